@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-// ax - CLI for interacting with AI agents (Codex, Claude) via `tmux`.
+// ax - CLI for interacting with AI agents (Codex, Claude, Aider, Gemini) via `tmux`.
 // Usage: ax --help
 //
 // Exit codes:
@@ -24,6 +24,8 @@ import {
   renameSync,
   realpathSync,
   watch,
+  rmSync,
+  mkdtempSync,
   openSync,
   readSync,
   closeSync,
@@ -33,6 +35,8 @@ import { fileURLToPath } from "node:url";
 import path from "node:path";
 import os from "node:os";
 import { parseArgs, styleText } from "node:util";
+import { createInterface } from "node:readline";
+import { createServer } from "node:http";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,7 +46,8 @@ const packageJson = JSON.parse(
 const VERSION = packageJson.version;
 
 /**
- * @typedef {'claude' | 'codex'} ToolName
+ * Built-in tool ("claude", "codex", "pi") or a custom tool from .ai/tools
+ * @typedef {string} ToolName
  */
 
 /**
@@ -54,21 +59,70 @@ const VERSION = packageJson.version;
  * @property {boolean} [yolo]
  */
 
+/**
+ * Log formats ax can read. Gemini sessions are single JSON documents,
+ * normalized into Claude-shaped entries when read.
+ * @typedef {'claude' | 'codex' | 'gemini'} LogFormat
+ */
+
 /**
  * @typedef {Object} ArchangelConfig
  * @property {string} name
  * @property {ToolName} tool
  * @property {string[]} watch
  * @property {number} interval
+ * @property {ArchangelTrigger} trigger
+ * @property {string | null} schedule - Cron expression; replaces the trigger
+ * @property {string | null} model - Passed to the agent CLI as --model
+ * @property {string | null} allowedTools - Replaces the agent's safe defaults
+ * @property {boolean} yolo
+ * @property {string | null} cwd - Relative to the project root
+ * @property {string | null} description
+ * @property {boolean} enabled - Disabled archangels are skipped by `ax summon`
+ * @property {number} contextBudget - Tokens of context before compacting
+ * @property {QuietHoursRange[] | null} quietHours - When the archangel pauses itself
  * @property {string} prompt
  * @property {string} [path]
  */
 
+/**
+ * A daily window (local time) in which an archangel doesn't review.
+ * @typedef {Object} QuietHoursRange
+ * @property {number[]} days - Days it starts on (0 = Sunday)
+ * @property {number} start - Minutes after midnight
+ * @property {number} end - Minutes after midnight; at or before start wraps past midnight
+ */
+
+/**
+ * What wakes an archangel: file edits (debounced), new commits, or changes
+ * to the git index.
+ * @typedef {'files' | 'commit' | 'staged'} ArchangelTrigger
+ */
+
 /**
  * @typedef {Object} MailboxEntry
+ * @property {string} id - Stable short id, used by `ax mailbox ack|dismiss|resolve`
  * @property {string} timestamp
  * @property {string} type
  * @property {MailboxPayload} payload
+ * @property {ObservationStatus} status - Folded in from status updates when read
+ * @property {string | null} [statusNote]
+ * @property {string | null} [statusAt]
+ * @property {number} [occurrences] - How often the archangel has reported it
+ * @property {string | null} [repeatedAt] - When it was last reported again
+ */
+
+/**
+ * new: not yet looked at. acked: seen, still relevant. dismissed: never
+ * inject again. resolved: fixed; reported back to the archangel.
+ * @typedef {'new' | 'acked' | 'dismissed' | 'resolved'} ObservationStatus
+ */
+
+/**
+ * How an observation interrupts the parent session. critical: blocks it from
+ * stopping and is injected before tool calls. warn: injected with the next
+ * prompt. info: only shown by `ax mailbox`.
+ * @typedef {'info' | 'warn' | 'critical'} ObservationSeverity
  */
 
 /**
@@ -80,6 +134,7 @@ const VERSION = packageJson.version;
  * @property {string[]} files
  * @property {string} [summary]
  * @property {string} [message]
+ * @property {ObservationSeverity} [severity] - Observations only; older entries have none
  * @property {string} [rfpId]
  * @property {string} [prompt]
  * @property {string} [archangel]
@@ -267,6 +322,8 @@ function findProjectRoot(startDir = process.cwd()) {
 const PROJECT_ROOT = findProjectRoot();
 const AI_DIR = path.join(PROJECT_ROOT, ".ai");
 const AGENTS_DIR = path.join(AI_DIR, "agents");
+const TEMPLATES_DIR = path.join(AI_DIR, "templates");
+const TOOLS_DIR = path.join(AI_DIR, "tools");
 const HOOKS_DIR = path.join(AI_DIR, "hooks");
 const RFP_DIR = path.join(AI_DIR, "rfps");
 const DO_DIR = path.join(AI_DIR, "do");
@@ -331,6 +388,7 @@ function tmux(args) {
  * @returns {boolean}
  */
 function tmuxHasSession(session) {
+  if (PTY_BACKEND) return Boolean(ptyReadMeta(session));
   try {
     tmux(["has-session", "-t", session]);
     return true;
@@ -346,6 +404,7 @@ function tmuxHasSession(session) {
  * @returns {string}
  */
 function tmuxCapture(session, scrollback = 0, withEscapes = false) {
+  if (PTY_BACKEND) return ptyCapture(session, scrollback, withEscapes);
   try {
     const args = ["capture-pane", "-t", session, "-p"];
     if (withEscapes) args.push("-e"); // Include escape sequences
@@ -363,6 +422,7 @@ function tmuxCapture(session, scrollback = 0, withEscapes = false) {
  */
 function tmuxSend(session, keys) {
   debug("tmux", `send session=${session}, keys=${keys}`);
+  if (PTY_BACKEND) return ptyWrite(session, { keys });
   tmux(["send-keys", "-t", session, keys]);
 }
 
@@ -372,6 +432,7 @@ function tmuxSend(session, keys) {
  */
 function tmuxSendLiteral(session, text) {
   debug("tmux", `sendLiteral session=${session}, text=${text.slice(0, 50)}...`);
+  if (PTY_BACKEND) return ptyWrite(session, { text });
   tmux(["send-keys", "-t", session, "-l", text]);
 }
 
@@ -387,6 +448,11 @@ function tmuxPasteLiteral(session, text) {
     "tmux",
     `pasteLiteral session=${session}, text=${text.slice(0, 50)}...`
   );
+  if (PTY_BACKEND) {
+    ptyWrite(session, { paste: text });
+    ptyWrite(session, { keys: "End" });
+    return;
+  }
   // Use unique buffer name per invocation to avoid races (even to same session)
   const bufferName = `ax-${process.pid}-${Date.now()}-${Math.random()
     .toString(36)
@@ -445,6 +511,7 @@ async function tmuxSendText(session, text) {
  * @param {string} session
  */
 function tmuxKill(session) {
+  if (PTY_BACKEND) return ptyKill(session);
   try {
     tmux(["kill-session", "-t", session]);
   } catch (err) {
@@ -460,7 +527,8 @@ function tmuxKill(session) {
  */
 function tmuxRenameSession(oldName, newName) {
   try {
-    tmux(["rename-session", "-t", oldName, newName]);
+    if (PTY_BACKEND) ptyRenameSession(oldName, newName);
+    else tmux(["rename-session", "-t", oldName, newName]);
     debug("tmux", `renamed session: ${oldName} -> ${newName}`);
     return true;
   } catch (err) {
@@ -475,6 +543,7 @@ function tmuxRenameSession(oldName, newName) {
  */
 function tmuxNewSession(session, command) {
   debug("tmux", `newSession: ${session}, command: ${command.slice(0, 80)}...`);
+  if (PTY_BACKEND) return ptyNewSession(session, command);
   // Use spawnSync to avoid command injection via session/command
   const result = spawnSync(
     "tmux",
@@ -493,6 +562,7 @@ function tmuxNewSession(session, command) {
  * @returns {string | null}
  */
 function tmuxCurrentSession() {
+  if (PTY_BACKEND) return process.env.AX_PTY_SESSION || null;
   if (!process.env.TMUX) return null;
   const result = spawnSync("tmux", ["display-message", "-p", "#S"], {
     encoding: "utf-8",
@@ -565,3465 +635,8471 @@ function computePermissionHash(allowedTools) {
 }
 
 // =============================================================================
-// Helpers - timing
+// Helpers - tmux control mode (wake pollers on pane output)
 // =============================================================================
 
-/** @param {number} ms */
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+/**
+ * A `tmux -C` client attached read-only to a session being waited on.
+ * Each %output notification bumps `version` and wakes waiters, so pollers
+ * re-check the screen when the pane changes instead of on every tick.
+ * tmux only reports output from the attached session's panes, so each
+ * watched session has its own client rather than one switching between them.
+ */
+class TmuxMonitor {
+  /** @type {import("node:child_process").ChildProcessByStdio<import("node:stream").Writable, import("node:stream").Readable, null> | null} */
+  child = null;
+  version = 0;
+  /** @type {Set<() => void>} */
+  waiters = new Set();
 
-const POLL_MS = parseInt(process.env.AX_POLL_MS || "200", 10);
-const DEFAULT_TIMEOUT_MS = parseInt(process.env.AX_TIMEOUT_MS || "120000", 10);
-const REVIEW_TIMEOUT_MS = parseInt(
-  process.env.AX_REVIEW_TIMEOUT_MS || "900000",
-  10
-); // 15 minutes
-const STARTUP_TIMEOUT_MS = parseInt(
-  process.env.AX_STARTUP_TIMEOUT_MS || "30000",
-  10
-);
-const ARCHANGEL_STARTUP_TIMEOUT_MS = parseInt(
-  process.env.AX_ARCHANGEL_STARTUP_TIMEOUT_MS || "60000",
-  10
-);
-const ARCHANGEL_RESPONSE_TIMEOUT_MS = parseInt(
-  process.env.AX_ARCHANGEL_RESPONSE_TIMEOUT_MS || "300000",
-  10
-); // 5 minutes
-const ARCHANGEL_HEALTH_CHECK_MS = parseInt(
-  process.env.AX_ARCHANGEL_HEALTH_CHECK_MS || "30000",
-  10
-);
-const STABLE_MS = parseInt(process.env.AX_STABLE_MS || "1000", 10);
-const APPROVE_DELAY_MS = parseInt(process.env.AX_APPROVE_DELAY_MS || "100", 10);
-const MAILBOX_MAX_AGE_MS = parseInt(
-  process.env.AX_MAILBOX_MAX_AGE_MS || "3600000",
-  10
-); // 1 hour
-const CLAUDE_CONFIG_DIR =
-  process.env.AX_CLAUDE_CONFIG_DIR || path.join(os.homedir(), ".claude");
-const CODEX_CONFIG_DIR =
-  process.env.AX_CODEX_CONFIG_DIR || path.join(os.homedir(), ".codex");
-const TRUNCATE_USER_LEN = 500;
-const TRUNCATE_THINKING_LEN = 300;
-const ARCHANGEL_GIT_CONTEXT_HOURS = 4;
-const ARCHANGEL_GIT_CONTEXT_MAX_LINES = 200;
-const ARCHANGEL_PARENT_CONTEXT_ENTRIES = 10;
-const ARCHANGEL_PREAMBLE = `## Guidelines
+  /** @param {string} session */
+  constructor(session) {
+    this.session = session;
+  }
 
-- If you have nothing to report, you MUST respond with ONLY "EMPTY_RESPONSE".
-- Investigate before speaking. If uncertain, read more code and trace the logic until you're confident.
-- Explain WHY something is an issue, not just that it is.
-- Focus on your area of expertise.
-- Calibrate to the task or plan. Don't suggest refactors during a bug fix.
-- Be clear. Brief is fine, but never sacrifice clarity.
-- For critical issues, request for them to be added to the todo list.
-- Don't repeat observations you've already made unless you have more to say or better clarity.
-- Make judgment calls - don't ask questions.`;
-const RFP_PREAMBLE = `## Guidelines
+  /**
+   * Start the client unless it's already running.
+   */
+  attach() {
+    if (this.child) return;
+    debug("monitor", `attaching to ${this.session}`);
+    const child = spawn(
+      "tmux",
+      [
+        "-C",
+        "attach-session",
+        "-t",
+        this.session,
+        "-f",
+        "read-only,ignore-size",
+      ],
+      { stdio: ["pipe", "pipe", "ignore"] }
+    );
+    let buffered = "";
+    child.stdout.setEncoding("utf-8");
+    child.stdout.on("data", (/** @type {string} */ chunk) => {
+      const lines = (buffered + chunk).split("\n");
+      buffered = lines.pop() ?? "";
+      if (lines.some((l) => l.startsWith("%output "))) this.notify();
+    });
+    child.stdin.on("error", (err) => debugError("TmuxMonitor:stdin", err));
+    const detach = () => {
+      if (this.child !== child) return;
+      debug("monitor", `detached from ${this.session}`);
+      this.child = null;
+      this.notify();
+    };
+    child.on("error", detach);
+    child.on("exit", detach); // %exit: session gone, or tmux too old for -f
 
-- Your only task is to propose a single idea in response to this RFP. This overrides any other goals or habits.
-- Provide exactly one proposal.
-- Make a persuasive case for why this is a strong idea.
-- Think deeply before you answer; avoid first-impression responses.
-- Aim for 3–4 clear paragraphs.
-- Ground the idea in the actual context you were given; don’t ignore it.
-- If you need context, read the existing project or conversation before proposing.
-- Structure: (1) core insight/value, (2) who benefits & why now, (3) risks/tradeoffs (brief), (4) closing case.
-- Focus on value: what improves, for whom, and why now.
-- Do NOT review code or report bugs.
-- Do NOT describe scope, implementation approach, or plan.
-- You may briefly note tradeoffs, but they are not the focus.
-- Prioritize clarity over brevity.
-- If you have nothing to propose, respond with ONLY "EMPTY_RESPONSE".`;
+    // Never keep the process alive just to watch
+    child.unref();
+    /** @type {import("node:net").Socket} */ (/** @type {unknown} */ (child.stdout)).unref();
+    /** @type {import("node:net").Socket} */ (/** @type {unknown} */ (child.stdin)).unref();
 
-// Note: DO_PREAMBLE is a template - {progressPath} gets replaced at runtime
-const DO_PREAMBLE = `You are an autonomous coding agent in a loop. Each iteration:
+    this.child = child;
+  }
 
-1. Read {progressPath} to see what's done (empty means nothing done yet).
-2. Choose the next task:
-  - Start with trivial/mechanistic work. It banks progress, builds context, and constrains nothing.
-  - Then do foundational work that makes harder problems easier and safer to approach.
-  - Defer risky/architectural decisions until they resolve themselves or there's no other way.
-  - If a change is hard to reverse, stop. Surface it as a decision for review.
-3. Read existing code before modifying it.
-4. Implement ONE small change - minimal diff.
-5. Verify the change works. Run typechecking, linting and relevant tests.
-6. Append to {progressPath}: task done + files changed.
-7. If ALL tasks complete, output: <promise>COMPLETE</promise>.
+  notify() {
+    this.version++;
+    for (const wake of this.waiters) wake(); // Each removes itself
+  }
 
-Guidelines:
-- Make minimal changes. Don't refactor surrounding code.
-- DO extract a shared abstraction when you're repeating a decision — that's an invariant, not tidying.
-- If stuck after 2-3 attempts, document the blocker in {progressPath} and move on.
-- Update {progressPath} BEFORE outputting COMPLETE.`;
+  /**
+   * Resolve on the next output (or detach), or after timeoutMs.
+   * @param {number} timeoutMs
+   * @returns {Promise<void>}
+   */
+  nextOutput(timeoutMs) {
+    return new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.waiters.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, timeoutMs);
+      this.waiters.add(wake);
+    });
+  }
+}
+
+/** @type {Map<string, TmuxMonitor>} */
+const tmuxMonitors = new Map();
 
 /**
+ * This process's monitor for `session` (attached on first use), or null to
+ * fall back to polling.
  * @param {string} session
- * @param {(screen: string) => boolean} predicate
- * @param {number} [timeoutMs]
- * @returns {Promise<string>}
+ * @returns {TmuxMonitor | null}
  */
-class TimeoutError extends Error {
-  /** @param {string} [session] */
-  constructor(session) {
-    super("timeout");
-    this.name = "TimeoutError";
-    this.session = session;
+function getTmuxMonitor(session) {
+  if (PTY_BACKEND || process.env.AX_TMUX_MONITOR === "0") return null;
+  let monitor = tmuxMonitors.get(session);
+  if (!monitor) {
+    monitor = new TmuxMonitor(session);
+    tmuxMonitors.set(session, monitor);
   }
+  monitor.attach();
+  return monitor;
 }
 
 /**
+ * Pause between screen checks: at least POLL_MS, then until the pane produces
+ * output or MONITOR_IDLE_MS passes (the fallback for missed notifications).
+ * Without a monitor this is plain POLL_MS polling.
  * @param {string} session
- * @param {(screen: string) => boolean} predicate
- * @param {number} [timeoutMs]
- * @returns {Promise<string>}
+ * @returns {Promise<void>}
  */
-async function waitFor(session, predicate, timeoutMs = STARTUP_TIMEOUT_MS) {
-  const start = Date.now();
-  debug("waitFor", `waiting (timeout=${timeoutMs}ms)`);
-  while (Date.now() - start < timeoutMs) {
-    const screen = tmuxCapture(session);
-    if (predicate(screen)) {
-      debug("waitFor", `matched after ${Date.now() - start}ms`);
-      return screen;
-    }
-    await sleep(POLL_MS);
-  }
-  debug("waitFor", `timeout after ${timeoutMs}ms`);
-  throw new TimeoutError(session);
+async function waitForPaneActivity(session) {
+  const monitor = getTmuxMonitor(session);
+  if (!monitor) return sleep(POLL_MS);
+  const seen = monitor.version;
+  await sleep(POLL_MS);
+  if (monitor.version !== seen || !monitor.child) return;
+  await monitor.nextOutput(Math.max(0, MONITOR_IDLE_MS - POLL_MS));
 }
 
 // =============================================================================
-// Helpers - process
+// Helpers - pty backend (AX_BACKEND=pty, no tmux server needed)
 // =============================================================================
 
+// Each session is a directory owned by an `ax pty-daemon` process, which runs
+// the agent under script(1) and keeps the screen in a ScreenBuffer:
+//   meta.json    - PtySessionMeta
+//   input        - JSON lines appended by clients (PtyInput), consumed by the
+//                  daemon, which rotates it to input.old once it grows large
+//   screen       - plain rendering of the visible rows, rewritten on output
+//   screen.ansi  - same with SGR escapes, for styled captures
+//   history      - lines scrolled off the screen, appended as they go
+//   history.ansi - same with SGR escapes
+const PTY_BACKEND = process.env.AX_BACKEND === "pty";
+const PTY_DIR =
+  process.env.AX_PTY_DIR ||
+  path.join(os.tmpdir(), `ax-pty-${os.userInfo().uid}`);
+const PTY_COLS = 200;
+const PTY_ROWS = 50;
+const PTY_HISTORY_LIMIT = 2000; // Matches tmux's default history-limit
+const PTY_INPUT_POLL_MS = 25;
+const PTY_FLUSH_MS = 50;
+const PTY_INPUT_ROTATE_BYTES = 64 * 1024;
+
 /**
- * @returns {{pid: number, agent: 'claude' | 'codex'} | null}
+ * @typedef {Object} PtySettings
+ * @property {string} command
+ * @property {string} cwd
+ * @property {number} created - ms since epoch
+ * @property {number} cols
+ * @property {number} rows
  */
-function findCallerAgent() {
-  let pid = process.ppid;
-  while (pid > 1) {
-    const result = spawnSync(
-      "ps",
-      ["-p", pid.toString(), "-o", "ppid=,comm="],
-      {
-        encoding: "utf-8",
-      }
-    );
-    if (result.status !== 0) break;
-    const parts = result.stdout.trim().split(/\s+/);
-    const ppid = parseInt(parts[0], 10);
-    const cmd = parts.slice(1).join(" ");
-    if (cmd.includes("claude")) return { pid, agent: "claude" };
-    if (cmd.includes("codex")) return { pid, agent: "codex" };
-    pid = ppid;
-  }
-  return null;
-}
 
 /**
- * Find orphaned claude/codex processes (PPID=1, reparented to init/launchd)
- * @returns {{pid: string, command: string}[]}
+ * @typedef {PtySettings & {pid: number, childPid?: number}} PtySessionMeta
+ * pid is the daemon's, childPid script(1)'s (the pane_pid equivalent)
  */
-function findOrphanedProcesses() {
-  const result = spawnSync("ps", ["-eo", "pid=,ppid=,args="], {
-    encoding: "utf-8",
-  });
 
-  if (result.status !== 0 || !result.stdout.trim()) {
-    return [];
-  }
+/**
+ * @typedef {{keys: string} | {text: string} | {paste: string}} PtyInput
+ */
 
-  const orphans = [];
-  for (const line of result.stdout.trim().split("\n")) {
-    // Parse: "  PID  PPID  command args..."
-    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(.+)$/);
-    if (!match) continue;
+/**
+ * @typedef {Object} ScreenCell
+ * @property {string} ch - "" for the right half of a wide character
+ * @property {string} style - SGR parameters in effect when written ("" = default)
+ */
 
-    const [, pid, ppid, args] = match;
+/** @type {ScreenCell} */
+const BLANK_CELL = Object.freeze({ ch: " ", style: "" });
 
-    // Must have PPID=1 (orphaned/reparented to init)
-    if (ppid !== "1") continue;
+// East Asian wide and emoji ranges (occupy two columns)
+const WIDE_CHAR_RANGES = [
+  [0x1100, 0x115f],
+  [0x2e80, 0xa4cf],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1f300, 0x1f64f],
+  [0x1f680, 0x1f6ff],
+  [0x1f900, 0x1faff],
+  [0x20000, 0x3fffd],
+];
 
-    // Command must START with claude or codex (excludes tmux which also has PPID=1)
-    const cmd = args.split(/\s+/)[0];
-    if (cmd !== "claude" && cmd !== "codex") continue;
+/**
+ * @param {number} cp - Unicode code point
+ * @returns {0 | 1 | 2}
+ */
+function charWidth(cp) {
+  // Combining marks, zero-width spaces/joiners and variation selectors
+  if (
+    (cp >= 0x300 && cp <= 0x36f) ||
+    (cp >= 0x200b && cp <= 0x200f) ||
+    (cp >= 0xfe00 && cp <= 0xfe0f)
+  ) {
+    return 0;
+  }
+  for (const [lo, hi] of WIDE_CHAR_RANGES) {
+    if (cp >= lo && cp <= hi) return 2;
+  }
+  return 1;
+}
+
+/**
+ * In-memory VT100/xterm screen: enough of the protocol for agent TUIs
+ * (cursor movement, erase, scroll regions, SGR, alternate screen) to render
+ * what `tmux capture-pane` would show.
+ */
+class ScreenBuffer {
+  /** @type {ScreenCell[][]} */
+  lines = [];
+  /** @type {ScreenCell[][] | null} - Primary screen, while the alternate one is shown */
+  primary = null;
+  x = 0;
+  y = 0;
+  wrapPending = false;
+  top = 0;
+  bottom = 0;
+  /** @type {Set<number>} */
+  flags = new Set();
+  fg = "";
+  bg = "";
+  style = "";
+  /** @type {{x: number, y: number, style: string} | null} */
+  saved = null;
+  appCursor = false;
+  bracketedPaste = false;
+  pending = "";
+  // Lines ever scrolled into the history, and how often it's been cleared,
+  // so the pty daemon can tell which lines it has yet to write out
+  scrolled = 0;
+  clears = 0;
 
-    orphans.push({ pid, command: args.slice(0, 60) });
+  /**
+   * @param {number} cols
+   * @param {number} rows
+   * @param {{historyLimit?: number, onReply?: (data: string) => void}} [opts] - onReply receives answers to terminal queries (cursor position, device attributes)
+   */
+  constructor(
+    cols,
+    rows,
+    { historyLimit = PTY_HISTORY_LIMIT, onReply = () => {} } = {}
+  ) {
+    this.cols = cols;
+    this.rows = rows;
+    this.historyLimit = historyLimit;
+    this.onReply = onReply;
+    /** @type {ScreenCell[][]} */
+    this.history = [];
+    this.reset();
+  }
+
+  reset() {
+    this.lines = this.blankLines(this.rows);
+    this.primary = null;
+    this.x = 0;
+    this.y = 0;
+    this.wrapPending = false;
+    this.top = 0;
+    this.bottom = this.rows - 1;
+    this.flags = new Set();
+    this.fg = "";
+    this.bg = "";
+    this.style = "";
+    this.saved = null;
+    this.appCursor = false;
+    this.bracketedPaste = false;
+    this.pending = "";
   }
 
-  return orphans;
-}
-
-// =============================================================================
-// Helpers - stdin
-// =============================================================================
+  /**
+   * @param {number} n
+   * @returns {ScreenCell[][]}
+   */
+  blankLines(n) {
+    return Array.from({ length: n }, () =>
+      Array.from({ length: this.cols }, () => BLANK_CELL)
+    );
+  }
 
-/**
- * @returns {boolean}
- */
-function hasStdinData() {
-  try {
-    const stat = fstatSync(0);
-    return stat.isFIFO() || stat.isFile();
-  } catch {
-    return false;
+  /**
+   * Feed terminal output. Escape sequences split across calls are buffered.
+   * @param {string} data
+   */
+  write(data) {
+    const input = this.pending + data;
+    this.pending = "";
+    let i = 0;
+    while (i < input.length) {
+      const c = input.charCodeAt(i);
+      if (c === 0x1b) {
+        const consumed = this.escape(input, i);
+        if (consumed === 0) {
+          // Incomplete sequence; keep it for the next write (unless it's runaway garbage)
+          if (input.length - i < 4096) this.pending = input.slice(i);
+          return;
+        }
+        i += consumed;
+      } else if (c < 0x20 || c === 0x7f) {
+        this.control(c);
+        i++;
+      } else {
+        let end = i;
+        while (end < input.length) {
+          const cc = input.charCodeAt(end);
+          if (cc < 0x20 || cc === 0x7f) break;
+          end++;
+        }
+        for (const ch of input.slice(i, end)) this.print(ch);
+        i = end;
+      }
+    }
   }
-}
 
-/**
- * @returns {Promise<string>}
- */
-async function readStdin() {
-  return new Promise((resolve) => {
-    let data = "";
-    process.stdin.on("data", (chunk) => (data += chunk));
-    process.stdin.on("end", () => resolve(data.trim()));
-  });
-}
+  /**
+   * @param {string} input
+   * @param {number} i - Index of the ESC
+   * @returns {number} Characters consumed (0 if the sequence is incomplete)
+   */
+  escape(input, i) {
+    if (i + 1 >= input.length) return 0;
+    const next = input[i + 1];
+
+    if (next === "[") {
+      // eslint-disable-next-line no-control-regex
+      const csi = /\x1b\[([\x30-\x3f]*)([\x20-\x2f]*)([\x40-\x7e])/y;
+      csi.lastIndex = i;
+      const match = csi.exec(input);
+      if (!match) {
+        // eslint-disable-next-line no-control-regex
+        return /^\x1b\[[\x20-\x3f]*$/.test(input.slice(i)) ? 0 : 2;
+      }
+      if (!match[2]) this.csi(match[1], match[3]);
+      return match[0].length;
+    }
 
-/**
- * @param {string | null | undefined} value
- * @returns {Promise<string | undefined>}
- */
-async function readStdinIfNeeded(value) {
-  if (value && value !== "-") return value;
-  if (!hasStdinData()) return undefined;
-  const stdinText = await readStdin();
-  return stdinText || undefined;
-}
+    // OSC (titles, hyperlinks), DCS, SOS, PM, APC: skip to BEL or ST
+    if ("]P^_X".includes(next)) {
+      // eslint-disable-next-line no-control-regex
+      const end = /\x07|\x1b\\/g;
+      end.lastIndex = i + 2;
+      const match = end.exec(input);
+      return match ? match.index + match[0].length - i : 0;
+    }
 
-// =============================================================================
-// =============================================================================
-// Helpers - CLI argument parsing
-// =============================================================================
+    // Charset designation and similar two-byte-argument sequences
+    if ("()*+#%".includes(next)) return i + 2 < input.length ? 3 : 0;
 
-/**
- * Parse CLI arguments using Node.js built-in parseArgs.
- * @param {string[]} args - Command line arguments (without node and script path)
- * @returns {{ flags: ParsedFlags, positionals: string[] }}
- *
- * @typedef {Object} ParsedFlags
- * @property {boolean} wait
- * @property {boolean} noWait
- * @property {boolean} yolo
- * @property {boolean} fresh
- * @property {boolean} reasoning
- * @property {boolean} follow
- * @property {boolean} all
- * @property {boolean} orphans
- * @property {boolean} force
- * @property {boolean} stale
- * @property {boolean} version
- * @property {boolean} help
- * @property {string} [tool]
- * @property {string} [session]
- * @property {number} [timeout]
- * @property {number} [tail]
- * @property {number} [limit]
- * @property {string} [branch]
- * @property {string} [archangels]
- * @property {string} [autoApprove]
- * @property {string} [name]
- * @property {number} [maxLoops]
- * @property {boolean} loop
- * @property {boolean} reset
- */
-function parseCliArgs(args) {
-  const { values, positionals } = parseArgs({
-    args,
-    options: {
-      // Boolean flags
-      wait: { type: "boolean", default: false },
-      "no-wait": { type: "boolean", default: false },
-      yolo: { type: "boolean", default: false },
-      fresh: { type: "boolean", default: false },
-      reasoning: { type: "boolean", default: false },
-      follow: { type: "boolean", short: "f", default: false },
-      all: { type: "boolean", default: false },
-      orphans: { type: "boolean", default: false },
-      force: { type: "boolean", default: false },
-      stale: { type: "boolean", default: false },
-      version: { type: "boolean", short: "V", default: false },
-      help: { type: "boolean", short: "h", default: false },
-      loop: { type: "boolean", default: false },
-      reset: { type: "boolean", default: false },
-      // Value flags
-      tool: { type: "string" },
-      "auto-approve": { type: "string" },
-      session: { type: "string" },
-      timeout: { type: "string" },
-      tail: { type: "string" },
-      limit: { type: "string" },
-      branch: { type: "string" },
-      archangels: { type: "string" },
-      name: { type: "string" },
-      "max-loops": { type: "string" },
-    },
-    allowPositionals: true,
-    strict: false, // Don't error on unknown flags
-  });
+    switch (next) {
+      case "7":
+        this.saveCursor();
+        break;
+      case "8":
+        this.restoreCursor();
+        break;
+      case "D":
+        this.lineFeed();
+        break;
+      case "E":
+        this.x = 0;
+        this.lineFeed();
+        break;
+      case "M":
+        this.reverseIndex();
+        break;
+      case "c":
+        this.reset();
+        break;
+    }
+    return 2;
+  }
 
-  return {
-    flags: {
-      wait: Boolean(values.wait),
-      noWait: Boolean(values["no-wait"]),
-      yolo: Boolean(values.yolo),
-      fresh: Boolean(values.fresh),
-      reasoning: Boolean(values.reasoning),
-      follow: Boolean(values.follow),
-      all: Boolean(values.all),
-      orphans: Boolean(values.orphans),
-      force: Boolean(values.force),
-      stale: Boolean(values.stale),
-      version: Boolean(values.version),
-      help: Boolean(values.help),
-      tool: /** @type {string | undefined} */ (values.tool),
-      session: /** @type {string | undefined} */ (values.session),
-      timeout:
-        values.timeout !== undefined ? Number(values.timeout) : undefined,
-      tail: values.tail !== undefined ? Number(values.tail) : undefined,
-      limit: values.limit !== undefined ? Number(values.limit) : undefined,
-      branch: /** @type {string | undefined} */ (values.branch),
-      archangels: /** @type {string | undefined} */ (values.archangels),
-      autoApprove: /** @type {string | undefined} */ (values["auto-approve"]),
-      name: /** @type {string | undefined} */ (values.name),
-      maxLoops:
-        values["max-loops"] !== undefined
-          ? Number(values["max-loops"])
-          : undefined,
-      loop: Boolean(values.loop),
-      reset: Boolean(values.reset),
-    },
-    positionals,
-  };
-}
+  /** @param {number} c */
+  control(c) {
+    switch (c) {
+      case 0x08: // BS
+        this.x = Math.max(0, this.x - 1);
+        this.wrapPending = false;
+        break;
+      case 0x09: // HT
+        this.x = Math.min(this.cols - 1, (Math.floor(this.x / 8) + 1) * 8);
+        break;
+      case 0x0a: // LF
+      case 0x0b: // VT
+      case 0x0c: // FF
+        this.lineFeed();
+        break;
+      case 0x0d: // CR
+        this.x = 0;
+        this.wrapPending = false;
+        break;
+    }
+  }
 
-// Helpers - session tracking
-// =============================================================================
+  /** @param {string} ch - A single code point */
+  print(ch) {
+    const width = charWidth(/** @type {number} */ (ch.codePointAt(0)));
+    const line = this.lines[this.y];
+    if (width === 0) {
+      // Combine with the previous character
+      const px = this.wrapPending ? this.x : Math.max(0, this.x - 1);
+      line[px] = { ch: line[px].ch + ch, style: line[px].style };
+      return;
+    }
+    if (this.wrapPending || (width === 2 && this.x === this.cols - 1)) {
+      this.x = 0;
+      this.lineFeed();
+    }
+    const row = this.lines[this.y];
+    row[this.x] = { ch, style: this.style };
+    if (width === 2) row[this.x + 1] = { ch: "", style: this.style };
+    if (this.x + width >= this.cols) {
+      this.x = this.cols - 1;
+      this.wrapPending = true;
+    } else {
+      this.x += width;
+    }
+  }
 
-// Regex pattern strings for session name parsing
-const UUID_PATTERN =
-  "[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}";
-const PERM_HASH_PATTERN = "[0-9a-f]{8}";
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.y === this.bottom) this.scrollUp(1);
+    else if (this.y < this.rows - 1) this.y++;
+  }
 
-/**
- * @param {string} session
- * @returns {ParsedSession | null}
- */
-function parseSessionName(session) {
-  const match = session.match(/^(claude|codex)-(.+)$/i);
-  if (!match) return null;
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.y === this.top) this.scrollDown(1);
+    else if (this.y > 0) this.y--;
+  }
 
-  const tool = match[1].toLowerCase();
-  const rest = match[2];
+  /** @param {number} n */
+  scrollUp(n) {
+    const count = Math.min(n, this.bottom - this.top + 1);
+    const removed = this.lines.splice(this.top, count);
+    this.lines.splice(this.bottom - count + 1, 0, ...this.blankLines(count));
+    // Only full-screen scrolls on the primary screen reach the scrollback
+    if (this.top === 0 && !this.primary) {
+      this.history.push(...removed);
+      this.scrolled += removed.length;
+      if (this.history.length > this.historyLimit) {
+        this.history.splice(0, this.history.length - this.historyLimit);
+      }
+    }
+  }
 
-  // Archangel: {tool}-archangel-{name}-{uuid}
-  const archangelPattern = new RegExp(
-    `^archangel-(.+)-(${UUID_PATTERN})$`,
-    "i"
-  );
-  const archangelMatch = rest.match(archangelPattern);
-  if (archangelMatch) {
-    return { tool, archangelName: archangelMatch[1], uuid: archangelMatch[2] };
+  /** @param {number} n */
+  scrollDown(n) {
+    const count = Math.min(n, this.bottom - this.top + 1);
+    this.lines.splice(this.bottom - count + 1, count);
+    this.lines.splice(this.top, 0, ...this.blankLines(count));
   }
 
-  // Partner: {tool}-partner-{uuid}[-p{hash}|-yolo]
-  const partnerPattern = new RegExp(
-    `^partner-(${UUID_PATTERN})(?:-p(${PERM_HASH_PATTERN})|-(yolo))?$`,
-    "i"
-  );
-  const partnerMatch = rest.match(partnerPattern);
-  if (partnerMatch) {
-    const result = { tool, uuid: partnerMatch[1] };
-    if (partnerMatch[2]) {
-      return { ...result, permissionHash: partnerMatch[2] };
+  saveCursor() {
+    this.saved = { x: this.x, y: this.y, style: this.style };
+  }
+
+  restoreCursor() {
+    if (!this.saved) return;
+    this.x = this.saved.x;
+    this.y = this.saved.y;
+    this.style = this.saved.style;
+    this.wrapPending = false;
+  }
+
+  /**
+   * @param {number} y
+   * @param {number} from
+   * @param {number} to - Exclusive
+   */
+  eraseCells(y, from, to) {
+    const line = this.lines[y];
+    for (let x = Math.max(0, from); x < Math.min(this.cols, to); x++) {
+      line[x] = BLANK_CELL;
     }
-    if (partnerMatch[3]) {
-      return { ...result, yolo: true };
+  }
+
+  /**
+   * @param {string} params
+   * @param {string} final
+   */
+  csi(params, final) {
+    const priv = /^[?<=>]/.test(params) ? params[0] : "";
+    const args = (priv ? params.slice(1) : params)
+      .split(";")
+      .map((p) => parseInt(p, 10));
+    /** @param {number} idx @param {number} def */
+    const arg = (idx, def) =>
+      Number.isNaN(args[idx]) || args[idx] === undefined || args[idx] === 0
+        ? def
+        : args[idx];
+
+    if (priv === "?") {
+      if (final === "h" || final === "l") this.setModes(args, final === "h");
+      return;
+    }
+    if (priv) return; // Secondary device attributes, kitty keyboard queries, ...
+
+    const clampY = (/** @type {number} */ y) =>
+      Math.max(0, Math.min(this.rows - 1, y));
+    const clampX = (/** @type {number} */ x) =>
+      Math.max(0, Math.min(this.cols - 1, x));
+    if (final !== "m") this.wrapPending = false;
+
+    switch (final) {
+      case "A":
+        this.y = Math.max(
+          this.y >= this.top ? this.top : 0,
+          this.y - arg(0, 1)
+        );
+        break;
+      case "B":
+        this.y = Math.min(
+          this.y <= this.bottom ? this.bottom : this.rows - 1,
+          this.y + arg(0, 1)
+        );
+        break;
+      case "C":
+        this.x = clampX(this.x + arg(0, 1));
+        break;
+      case "D":
+        this.x = clampX(this.x - arg(0, 1));
+        break;
+      case "E":
+        this.y = clampY(this.y + arg(0, 1));
+        this.x = 0;
+        break;
+      case "F":
+        this.y = clampY(this.y - arg(0, 1));
+        this.x = 0;
+        break;
+      case "G":
+      case "`":
+        this.x = clampX(arg(0, 1) - 1);
+        break;
+      case "d":
+        this.y = clampY(arg(0, 1) - 1);
+        break;
+      case "H":
+      case "f":
+        this.y = clampY(arg(0, 1) - 1);
+        this.x = clampX(arg(1, 1) - 1);
+        break;
+      case "J": {
+        const mode = arg(0, 0);
+        if (mode === 0) {
+          this.eraseCells(this.y, this.x, this.cols);
+          for (let y = this.y + 1; y < this.rows; y++) {
+            this.eraseCells(y, 0, this.cols);
+          }
+        } else if (mode === 1) {
+          for (let y = 0; y < this.y; y++) this.eraseCells(y, 0, this.cols);
+          this.eraseCells(this.y, 0, this.x + 1);
+        } else {
+          this.lines = this.blankLines(this.rows);
+          if (mode === 3) {
+            this.history = [];
+            this.clears++;
+          }
+        }
+        break;
+      }
+      case "K": {
+        const mode = arg(0, 0);
+        if (mode === 0) this.eraseCells(this.y, this.x, this.cols);
+        else if (mode === 1) this.eraseCells(this.y, 0, this.x + 1);
+        else this.eraseCells(this.y, 0, this.cols);
+        break;
+      }
+      case "X":
+        this.eraseCells(this.y, this.x, this.x + arg(0, 1));
+        break;
+      case "@": {
+        const line = this.lines[this.y];
+        const n = Math.min(arg(0, 1), this.cols - this.x);
+        line.splice(this.x, 0, ...Array.from({ length: n }, () => BLANK_CELL));
+        line.length = this.cols;
+        break;
+      }
+      case "P": {
+        const line = this.lines[this.y];
+        const n = Math.min(arg(0, 1), this.cols - this.x);
+        line.splice(this.x, n);
+        line.push(...Array.from({ length: n }, () => BLANK_CELL));
+        break;
+      }
+      case "L":
+      case "M": {
+        if (this.y < this.top || this.y > this.bottom) break;
+        const savedTop = this.top;
+        this.top = this.y;
+        if (final === "L") this.scrollDown(arg(0, 1));
+        else this.scrollUp(arg(0, 1));
+        this.top = savedTop;
+        this.x = 0;
+        break;
+      }
+      case "S":
+        this.scrollUp(arg(0, 1));
+        break;
+      case "T":
+        this.scrollDown(arg(0, 1));
+        break;
+      case "r": {
+        const top = arg(0, 1) - 1;
+        const bottom = arg(1, this.rows) - 1;
+        if (top < bottom && bottom < this.rows) {
+          this.top = top;
+          this.bottom = bottom;
+          this.x = 0;
+          this.y = 0;
+        }
+        break;
+      }
+      case "s":
+        this.saveCursor();
+        break;
+      case "u":
+        this.restoreCursor();
+        break;
+      case "m":
+        this.sgr(args);
+        break;
+      case "n":
+        if (args[0] === 6) this.onReply(`\x1b[${this.y + 1};${this.x + 1}R`);
+        else if (args[0] === 5) this.onReply("\x1b[0n");
+        break;
+      case "c":
+        this.onReply("\x1b[?1;2c"); // VT100 with advanced video
+        break;
+      case "t":
+        if (args[0] === 18) this.onReply(`\x1b[8;${this.rows};${this.cols}t`);
+        break;
     }
-    return result;
   }
 
-  // Anything else
-  return { tool };
+  /**
+   * DEC private modes (CSI ? Pm h/l).
+   * @param {number[]} modes
+   * @param {boolean} on
+   */
+  setModes(modes, on) {
+    for (const mode of modes) {
+      if (mode === 1) this.appCursor = on;
+      else if (mode === 2004) this.bracketedPaste = on;
+      else if (mode === 47 || mode === 1047 || mode === 1049) {
+        if (on && !this.primary) {
+          this.saveCursor();
+          this.primary = this.lines;
+          this.lines = this.blankLines(this.rows);
+        } else if (!on && this.primary) {
+          this.lines = this.primary;
+          this.primary = null;
+          this.restoreCursor();
+        }
+      }
+    }
+  }
+
+  /** @param {number[]} codes - NaN for empty parameters */
+  sgr(codes) {
+    for (let i = 0; i < codes.length; i++) {
+      const c = Number.isNaN(codes[i]) ? 0 : codes[i];
+      if (c === 0) {
+        this.flags.clear();
+        this.fg = "";
+        this.bg = "";
+      } else if (c === 22) {
+        this.flags.delete(1);
+        this.flags.delete(2);
+      } else if (c >= 23 && c <= 29) {
+        this.flags.delete(c - 20);
+      } else if (c < 10) {
+        this.flags.add(c);
+      } else if ((c >= 30 && c <= 37) || (c >= 90 && c <= 97)) {
+        this.fg = String(c);
+      } else if ((c >= 40 && c <= 47) || (c >= 100 && c <= 107)) {
+        this.bg = String(c);
+      } else if (c === 39) {
+        this.fg = "";
+      } else if (c === 49) {
+        this.bg = "";
+      } else if (c === 38 || c === 48) {
+        // 38;5;N (256 colours) or 38;2;R;G;B (truecolour)
+        const len = codes[i + 1] === 5 ? 2 : codes[i + 1] === 2 ? 4 : 1;
+        const value = codes.slice(i, i + 1 + len).join(";");
+        if (c === 38) this.fg = value;
+        else this.bg = value;
+        i += len;
+      }
+    }
+    this.style = [...[...this.flags].sort((a, b) => a - b), this.fg, this.bg]
+      .filter((p) => p !== "")
+      .join(";");
+  }
+
+  /**
+   * Render like `tmux capture-pane -p`: one line per row, trailing blanks trimmed.
+   * @param {{scrollback?: number, withEscapes?: boolean}} [opts]
+   * @returns {string}
+   */
+  render({ scrollback = 0, withEscapes = false } = {}) {
+    const history = this.primary
+      ? []
+      : this.history.slice(
+          this.history.length - Math.min(scrollback, this.history.length)
+        );
+    return [...history, ...this.lines]
+      .map((line) => renderScreenLine(line, withEscapes))
+      .join("\n")
+      .concat("\n");
+  }
 }
 
 /**
- * @param {string} tool
- * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
+ * @param {ScreenCell[]} line
+ * @param {boolean} withEscapes
  * @returns {string}
  */
-function generateSessionName(tool, { allowedTools = null, yolo = false } = {}) {
-  const uuid = randomUUID();
-  if (yolo) {
-    return `${tool}-partner-${uuid}-yolo`;
+function renderScreenLine(line, withEscapes) {
+  let end = line.length;
+  while (end > 0 && (line[end - 1].ch === " " || line[end - 1].ch === "")) {
+    end--;
   }
-  const hash = computePermissionHash(allowedTools);
-  if (hash) {
-    return `${tool}-partner-${uuid}-p${hash}`;
+  let out = "";
+  let style = "";
+  for (const cell of line.slice(0, end)) {
+    if (withEscapes && cell.style !== style) {
+      out += style ? "\x1b[0m" : "";
+      out += cell.style ? `\x1b[${cell.style}m` : "";
+      style = cell.style;
+    }
+    out += cell.ch;
   }
-  return `${tool}-partner-${uuid}`;
+  return withEscapes && style ? `${out}\x1b[0m` : out;
 }
 
 /**
- * Rebuild a session name with a new UUID, preserving other attributes.
- * @param {string} sessionName - existing session name
- * @param {string} newUuid - new UUID to use
- * @returns {string | null}
+ * Translate a tmux key name (as passed to send-keys) into the bytes a terminal
+ * sends. Anything that isn't a key name is sent literally, as tmux does.
+ * @param {string} key
+ * @param {boolean} [appCursor] - DECCKM: cursor keys send SS3 rather than CSI
+ * @returns {string}
  */
-function rebuildSessionName(sessionName, newUuid) {
-  const parsed = parseSessionName(sessionName);
-  if (!parsed || !parsed.uuid) return null;
-
-  // Archangel sessions: {tool}-archangel-{name}-{uuid}
-  if (parsed.archangelName) {
-    return `${parsed.tool}-archangel-${parsed.archangelName}-${newUuid}`;
+function encodePtyKey(key, appCursor = false) {
+  /** @type {Record<string, string>} */
+  const cursor = {
+    Up: "A",
+    Down: "B",
+    Right: "C",
+    Left: "D",
+    Home: "H",
+    End: "F",
+  };
+  if (Object.hasOwn(cursor, key)) {
+    return `${appCursor ? "\x1bO" : "\x1b["}${cursor[key]}`;
+  }
+  /** @type {Record<string, string>} */
+  const named = {
+    Enter: "\r",
+    Escape: "\x1b",
+    Tab: "\t",
+    BTab: "\x1b[Z",
+    BSpace: "\x7f",
+    Space: " ",
+    IC: "\x1b[2~",
+    DC: "\x1b[3~",
+    PPage: "\x1b[5~",
+    PageUp: "\x1b[5~",
+    NPage: "\x1b[6~",
+    PageDown: "\x1b[6~",
+  };
+  if (Object.hasOwn(named, key)) return named[key];
+  const ctrl = key.match(/^C-([a-zA-Z@[\\\]^_])$/);
+  if (ctrl) {
+    return String.fromCharCode(ctrl[1].toUpperCase().charCodeAt(0) & 0x1f);
   }
+  const meta = key.match(/^M-(.)$/);
+  if (meta) return `\x1b${meta[1]}`;
+  return key;
+}
 
-  // Partner sessions: {tool}-partner-{uuid}[-p{hash}|-yolo]
-  let name = `${parsed.tool}-partner-${newUuid}`;
-  if (parsed.yolo) {
-    name += "-yolo";
-  } else if (parsed.permissionHash) {
-    name += `-p${parsed.permissionHash}`;
+/**
+ * @param {string} session
+ * @returns {string}
+ */
+function ptySessionDir(session) {
+  return path.join(PTY_DIR, session);
+}
+
+/**
+ * Read a session's metadata, clearing it away if its daemon has died.
+ * @param {string} session
+ * @returns {PtySessionMeta | null}
+ */
+function ptyReadMeta(session) {
+  const dir = ptySessionDir(session);
+  /** @type {PtySessionMeta} */
+  let meta;
+  try {
+    meta = JSON.parse(readFileSync(path.join(dir, "meta.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+  try {
+    process.kill(meta.pid, 0);
+    return meta;
+  } catch {
+    debug("pty", `daemon for ${session} is gone, removing ${dir}`);
+    rmSync(dir, { recursive: true, force: true });
+    return null;
   }
-  return name;
 }
 
 /**
- * Quick hash for change detection (not cryptographic).
- * @param {string | null | undefined} str
- * @returns {string | null}
+ * @param {string} session
+ * @param {PtySessionMeta} meta
  */
-function quickHash(str) {
-  if (!str) return null;
-  return createHash("md5").update(str).digest("hex").slice(0, 8);
+function ptyWriteMeta(session, meta) {
+  const file = path.join(ptySessionDir(session), "meta.json");
+  writeFileSync(`${file}.tmp`, JSON.stringify(meta));
+  renameSync(`${file}.tmp`, file);
 }
 
 /**
- * @param {string} cwd
- * @returns {string}
+ * @returns {string[]}
  */
-function getClaudeProjectPath(cwd) {
-  // Claude encodes project paths by replacing / with -
-  // e.g., /Users/sebinsua/dev/gruf -> -Users-sebinsua-dev-gruf
-  return cwd.replace(/\//g, "-");
+function ptyListSessions() {
+  if (!existsSync(PTY_DIR)) return [];
+  return readdirSync(PTY_DIR).filter((name) => ptyReadMeta(name));
 }
 
 /**
- * @param {string} sessionName
- * @returns {string | null}
+ * @param {string} session
+ * @param {number} scrollback
+ * @param {boolean} withEscapes
+ * @returns {string}
  */
-function getTmuxSessionCwd(sessionName) {
-  try {
-    const result = spawnSync(
-      "tmux",
-      ["display-message", "-t", sessionName, "-p", "#{pane_current_path}"],
-      {
-        encoding: "utf-8",
-      }
-    );
-    if (result.status === 0) return result.stdout.trim();
-  } catch (err) {
-    debugError("getTmuxSessionCwd", err);
+function ptyCapture(session, scrollback, withEscapes) {
+  const meta = ptyReadMeta(session);
+  if (!meta) {
+    debug("pty", `capture: no session ${session}`);
+    return "";
   }
-  return null;
+  const dir = ptySessionDir(session);
+  const suffix = withEscapes ? ".ansi" : "";
+  /** @param {string} file */
+  const readLines = (file) => {
+    const text = existsSync(file) ? readFileSync(file, "utf-8") : "";
+    return text ? text.replace(/\n$/, "").split("\n") : [];
+  };
+  // Screen before history: the daemon appends history first, so a flush
+  // in between can repeat a line here but never lose one
+  const screen = readLines(path.join(dir, `screen${suffix}`));
+  if (screen.length === 0) return "";
+  const history = scrollback
+    ? readLines(path.join(dir, `history${suffix}`)).slice(-scrollback)
+    : [];
+  return `${[...history, ...screen.slice(-meta.rows)].join("\n")}\n`;
 }
 
 /**
- * @param {string} sessionId
- * @param {string | null} sessionName
- * @returns {string | null}
+ * Queue input for the session's daemon.
+ * @param {string} session
+ * @param {PtyInput} input
  */
-function findClaudeLogPath(sessionId, sessionName) {
-  // Get cwd from tmux session, fall back to process.cwd()
-  const cwd = (sessionName && getTmuxSessionCwd(sessionName)) || process.cwd();
-  const projectPath = getClaudeProjectPath(cwd);
-  const claudeProjectDir = path.join(
-    CLAUDE_CONFIG_DIR,
-    "projects",
-    projectPath
-  );
-  debug(
-    "log",
-    `findClaudeLogPath: sessionId=${sessionId}, projectDir=${claudeProjectDir}`
+function ptyWrite(session, input) {
+  if (!ptyReadMeta(session)) throw new Error(`can't find session: ${session}`);
+  appendFileSync(
+    path.join(ptySessionDir(session), "input"),
+    `${JSON.stringify(input)}\n`
   );
+}
 
-  // Check sessions-index.json first
-  const indexPath = path.join(claudeProjectDir, "sessions-index.json");
-  if (existsSync(indexPath)) {
-    try {
-      const index = JSON.parse(readFileSync(indexPath, "utf-8"));
-      const entry = index.entries?.find(
-        /** @param {{sessionId: string, fullPath?: string}} e */ (e) =>
-          e.sessionId === sessionId
-      );
-      if (entry?.fullPath) {
-        debug("log", `findClaudeLogPath: found via index -> ${entry.fullPath}`);
-        return entry.fullPath;
-      }
-    } catch (err) {
-      debugError("findClaudeLogPath", err);
-    }
-  }
-
-  // Fallback: direct path
-  const directPath = path.join(claudeProjectDir, `${sessionId}.jsonl`);
-  if (existsSync(directPath)) {
-    debug("log", `findClaudeLogPath: found via direct path -> ${directPath}`);
-    return directPath;
-  }
+/**
+ * Start a daemon that runs `command` under a pseudo-terminal.
+ * @param {string} session
+ * @param {string} command
+ */
+function ptyNewSession(session, command) {
+  if (ptyReadMeta(session)) throw new Error(`duplicate session: ${session}`);
+  const dir = ptySessionDir(session);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, "input"), "");
 
-  // Fallback: most recently modified session from index (handles /new creating new sessions)
-  if (existsSync(indexPath)) {
-    try {
-      const index = JSON.parse(readFileSync(indexPath, "utf-8"));
-      if (index.entries?.length) {
-        const sorted = [...index.entries].sort((a, b) => {
-          const aTime = a.modified ? new Date(a.modified).getTime() : 0;
-          const bTime = b.modified ? new Date(b.modified).getTime() : 0;
-          return bTime - aTime;
-        });
-        const newest = sorted[0];
-        if (newest?.fullPath && existsSync(newest.fullPath)) {
-          debug("log", `findClaudeLogPath: fallback to most recent via index -> ${newest.fullPath}`);
-          return newest.fullPath;
-        }
-      }
-    } catch (err) {
-      debugError("findClaudeLogPath:index-fallback", err);
-    }
+  /** @type {PtySettings} */
+  const settings = {
+    command,
+    cwd: process.cwd(),
+    created: Date.now(),
+    cols: PTY_COLS,
+    rows: PTY_ROWS,
+  };
+  // The daemon gets its settings on the command line rather than from
+  // meta.json, so it can start before we've written that
+  const child = spawn(
+    process.execPath,
+    [__filename, "pty-daemon", session, JSON.stringify(settings)],
+    { detached: true, stdio: "ignore", cwd: process.cwd() }
+  );
+  child.unref();
+  if (!child.pid) {
+    rmSync(dir, { recursive: true, force: true });
+    throw new Error("failed to start pty daemon");
   }
-
-  // Final fallback: most recently modified .jsonl file (for projects without index)
+  // Unless the daemon has already written its own, with script(1)'s pid too
   try {
-    const files = readdirSync(claudeProjectDir)
-      .filter((f) => f.endsWith(".jsonl"))
-      .map((f) => {
-        const fullPath = path.join(claudeProjectDir, f);
-        return { path: fullPath, mtime: statSync(fullPath).mtimeMs };
-      })
-      .sort((a, b) => b.mtime - a.mtime);
-    if (files.length > 0) {
-      debug("log", `findClaudeLogPath: fallback to most recent file -> ${files[0].path}`);
-      return files[0].path;
-    }
+    writeFileSync(
+      path.join(dir, "meta.json"),
+      JSON.stringify({ pid: child.pid, ...settings }),
+      { flag: "wx" }
+    );
   } catch (err) {
-    debugError("findClaudeLogPath:file-fallback", err);
+    if (/** @type {NodeJS.ErrnoException} */ (err).code !== "EEXIST") throw err;
   }
-
-  debug("log", `findClaudeLogPath: not found`);
-  return null;
 }
 
 /**
- * Find the most recently created Claude session UUID for a project.
- * @param {string} sessionName - tmux session name (used to get cwd)
- * @returns {string | null}
+ * @param {string} session
  */
-function findNewestClaudeSessionUuid(sessionName) {
-  const cwd = getTmuxSessionCwd(sessionName) || process.cwd();
-  const projectPath = getClaudeProjectPath(cwd);
-  const claudeProjectDir = path.join(
-    CLAUDE_CONFIG_DIR,
-    "projects",
-    projectPath
-  );
-  const indexPath = path.join(claudeProjectDir, "sessions-index.json");
-
-  if (!existsSync(indexPath)) {
-    debug("log", `findNewestClaudeSessionUuid: no index at ${indexPath}`);
-    return null;
-  }
-
+function ptyKill(session) {
+  const meta = ptyReadMeta(session);
+  if (!meta) return;
   try {
-    const index = JSON.parse(readFileSync(indexPath, "utf-8"));
-    if (!index.entries?.length) return null;
-
-    // Sort by created timestamp (most recent first)
-    const sorted = [...index.entries].sort((a, b) => {
-      const aTime = a.created ? new Date(a.created).getTime() : 0;
-      const bTime = b.created ? new Date(b.created).getTime() : 0;
-      return bTime - aTime;
-    });
-
-    const newest = sorted[0];
-    debug("log", `findNewestClaudeSessionUuid: newest=${newest.sessionId}`);
-    return newest.sessionId;
+    process.kill(meta.pid, "SIGTERM");
   } catch (err) {
-    debugError("findNewestClaudeSessionUuid", err);
-    return null;
+    debugError("ptyKill", err);
   }
+  // Remove eagerly so the session is gone as soon as we return, like kill-session
+  rmSync(ptySessionDir(session), { recursive: true, force: true });
 }
 
 /**
- * Find Codex log path by checking which .jsonl file the Codex process has open.
- * Uses lsof as the source of truth - whatever file the process has open is the current log.
- * Falls back to timestamp-based matching if lsof fails.
- * @param {string} sessionName
- * @returns {string | null}
+ * @param {string} oldName
+ * @param {string} newName
  */
-function findCodexLogPath(sessionName) {
-  debug("log", `findCodexLogPath: sessionName=${sessionName}`);
-
-  // Primary method: find the log file via lsof (what file does Codex have open?)
-  try {
-    // Get tmux pane PID
-    const paneResult = spawnSync(
-      "tmux",
-      ["list-panes", "-t", sessionName, "-F", "#{pane_pid}"],
-      { encoding: "utf-8" }
-    );
-    if (paneResult.status === 0 && paneResult.stdout.trim()) {
-      const panePid = parseInt(paneResult.stdout.trim().split("\n")[0], 10);
-      if (!isNaN(panePid)) {
-        // Find child process named "codex"
-        const pgrepResult = spawnSync("pgrep", ["-P", panePid.toString(), "-x", "codex"], {
-          encoding: "utf-8",
-        });
-        if (pgrepResult.status === 0 && pgrepResult.stdout.trim()) {
-          const codexPid = parseInt(pgrepResult.stdout.trim().split("\n")[0], 10);
-          if (!isNaN(codexPid)) {
-            // Use lsof to find which .jsonl file it has open
-            const lsofResult = spawnSync("lsof", ["-p", codexPid.toString()], {
-              encoding: "utf-8",
-            });
-            if (lsofResult.status === 0) {
-              const match = lsofResult.stdout.match(/(\S+\.jsonl)\s*$/m);
-              if (match) {
-                debug("log", `findCodexLogPath: lsof found ${match[1]}`);
-                return match[1];
-              }
-            }
-          }
-        }
-      }
-    }
-    debug("log", `findCodexLogPath: lsof method failed, falling back to timestamp`);
-  } catch (err) {
-    debug("log", `findCodexLogPath: lsof exception, falling back to timestamp`);
+function ptyRenameSession(oldName, newName) {
+  if (!ptyReadMeta(oldName)) throw new Error(`can't find session: ${oldName}`);
+  if (existsSync(ptySessionDir(newName))) {
+    throw new Error(`duplicate session: ${newName}`);
   }
+  // The daemon notices its directory moved and follows it
+  renameSync(ptySessionDir(oldName), ptySessionDir(newName));
+}
 
-  // Fallback: timestamp-based matching (for when process isn't running or lsof fails)
-  try {
-    const result = spawnSync(
-      "tmux",
-      ["display-message", "-t", sessionName, "-p", "#{session_created}"],
-      {
-        encoding: "utf-8",
-      }
-    );
-    if (result.status !== 0) {
-      debug("log", `findCodexLogPath: tmux display-message failed`);
-      return null;
-    }
-    const createdTs = parseInt(result.stdout.trim(), 10) * 1000; // tmux gives seconds, we need ms
-    if (isNaN(createdTs)) {
-      debug("log", `findCodexLogPath: invalid timestamp`);
-      return null;
-    }
-
-    // Codex stores sessions in ~/.codex/sessions/YYYY/MM/DD/rollout-TIMESTAMP-UUID.jsonl
-    const sessionsDir = path.join(CODEX_CONFIG_DIR, "sessions");
-    if (!existsSync(sessionsDir)) {
-      debug("log", `findCodexLogPath: sessions dir not found`);
-      return null;
-    }
-
-    const startDate = new Date(createdTs);
-    const year = startDate.getFullYear().toString();
-    const month = String(startDate.getMonth() + 1).padStart(2, "0");
-    const day = String(startDate.getDate()).padStart(2, "0");
-
-    const dayDir = path.join(sessionsDir, year, month, day);
-    if (!existsSync(dayDir)) {
-      debug("log", `findCodexLogPath: day dir not found: ${dayDir}`);
-      return null;
-    }
-
-    // Find the closest log file created after the tmux session started
-    // Use 60-second window to handle slow startups (model download, first run, heavy load)
-    const files = readdirSync(dayDir).filter((f) => f.endsWith(".jsonl"));
-    debug("log", `findCodexLogPath: ${files.length} jsonl files in ${dayDir}`);
-    const candidates = [];
-
-    for (const file of files) {
-      // Parse timestamp from filename: rollout-2026-01-22T13-05-15-UUID.jsonl
-      const match = file.match(
-        /^rollout-(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})-/
-      );
-      if (!match) continue;
+// =============================================================================
+// Helpers - timing
+// =============================================================================
 
-      const [, y, mo, d, h, mi, s] = match;
-      const fileTime = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`).getTime();
-      const diff = fileTime - createdTs;
+/** @param {number} ms */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-      // Log file should be created shortly after session start
-      // Allow small negative diff (-2s) for clock skew, up to 60s for slow starts
-      if (diff >= -2000 && diff < 60000) {
-        candidates.push({
-          file,
-          diff: Math.abs(diff),
-          path: path.join(dayDir, file),
-        });
-      }
-    }
+const POLL_MS = parseInt(process.env.AX_POLL_MS || "200", 10);
+// With a tmux monitor, screens are re-checked on output, or after this long without any
+const MONITOR_IDLE_MS = parseInt(process.env.AX_MONITOR_IDLE_MS || "1000", 10);
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.AX_TIMEOUT_MS || "120000", 10);
+const REVIEW_TIMEOUT_MS = parseInt(
+  process.env.AX_REVIEW_TIMEOUT_MS || "900000",
+  10
+); // 15 minutes
+const STARTUP_TIMEOUT_MS = parseInt(
+  process.env.AX_STARTUP_TIMEOUT_MS || "30000",
+  10
+);
+const ARCHANGEL_STARTUP_TIMEOUT_MS = parseInt(
+  process.env.AX_ARCHANGEL_STARTUP_TIMEOUT_MS || "60000",
+  10
+);
+const ARCHANGEL_RESPONSE_TIMEOUT_MS = parseInt(
+  process.env.AX_ARCHANGEL_RESPONSE_TIMEOUT_MS || "300000",
+  10
+); // 5 minutes
+const ARCHANGEL_HEALTH_CHECK_MS = parseInt(
+  process.env.AX_ARCHANGEL_HEALTH_CHECK_MS || "30000",
+  10
+);
+const STABLE_MS = parseInt(process.env.AX_STABLE_MS || "1000", 10);
+const APPROVE_DELAY_MS = parseInt(process.env.AX_APPROVE_DELAY_MS || "100", 10);
+const MAILBOX_MAX_AGE_MS = parseInt(
+  process.env.AX_MAILBOX_MAX_AGE_MS || "3600000",
+  10
+); // 1 hour
+const CLAUDE_CONFIG_DIR =
+  process.env.AX_CLAUDE_CONFIG_DIR || path.join(os.homedir(), ".claude");
+const CODEX_CONFIG_DIR =
+  process.env.AX_CODEX_CONFIG_DIR || path.join(os.homedir(), ".codex");
+const GEMINI_CONFIG_DIR =
+  process.env.AX_GEMINI_CONFIG_DIR || path.join(os.homedir(), ".gemini");
+const TRUNCATE_USER_LEN = 500;
+const TRUNCATE_THINKING_LEN = 300;
+const ARCHANGEL_GIT_CONTEXT_HOURS = 4;
+const ARCHANGEL_GIT_CONTEXT_MAX_LINES = 200;
+// Per-file cap on the hunks sent since an archangel's last review
+const ARCHANGEL_HUNK_MAX_LINES = 150;
+// Files larger than this aren't snapshotted (generated or vendored, usually)
+const MAX_SNAPSHOT_BYTES = 1_000_000;
+const ARCHANGEL_PARENT_CONTEXT_ENTRIES = 10;
+const ARCHANGEL_TRIGGERS = ["files", "commit", "staged"];
+// Tokens of conversation an archangel may hold before it's compacted
+const ARCHANGEL_CONTEXT_BUDGET = parseInt(
+  process.env.AX_ARCHANGEL_CONTEXT_BUDGET || "100000",
+  10
+);
+const ARCHANGEL_GIT_POLL_MS = parseInt(
+  process.env.AX_ARCHANGEL_GIT_POLL_MS || "2000",
+  10
+);
+// Commits reviewed at once when HEAD jumps ahead by several
+const ARCHANGEL_MAX_COMMITS = 5;
+// `ax archangel replay` takes this slot, and replay sessions are named
+// `<tool>-archangel-replay-…`, which an archangel by this name would claim
+const ARCHANGEL_RESERVED_NAME = "replay";
+const ARCHANGEL_PREAMBLE = `## Guidelines
 
-    if (candidates.length === 0) {
-      debug("log", `findCodexLogPath: no candidates within time window`);
-      return null;
-    }
-    // Return the closest match
-    candidates.sort((a, b) => a.diff - b.diff);
-    debug(
-      "log",
-      `findCodexLogPath: found ${candidates.length} candidates, best: ${candidates[0].path}`
-    );
-    return candidates[0].path;
-  } catch {
-    debug("log", `findCodexLogPath: exception caught`);
-    return null;
-  }
-}
+- If you have nothing to report, you MUST respond with ONLY "EMPTY_RESPONSE".
+- Otherwise, start your response with a severity tag: [critical] for bugs, data loss or security issues that must be fixed before the task is done; [warn] for things worth addressing soon; [info] for minor notes and context.
+- Investigate before speaking. If uncertain, read more code and trace the logic until you're confident.
+- Explain WHY something is an issue, not just that it is.
+- Focus on your area of expertise.
+- Calibrate to the task or plan. Don't suggest refactors during a bug fix.
+- Be clear. Brief is fine, but never sacrifice clarity.
+- For critical issues, request for them to be added to the todo list.
+- Don't repeat observations you've already made unless you have more to say or better clarity.
+- Make judgment calls - don't ask questions.`;
+const RFP_PREAMBLE = `## Guidelines
 
-/**
- * @typedef {Object} SessionMeta
- * @property {string | null} slug - Plan identifier (if plan is active)
- * @property {Array<{content: string, status: string, id?: string}> | null} todos - Current todos
- * @property {string | null} permissionMode - "default", "acceptEdits", "plan"
- * @property {string | null} gitBranch - Current git branch
- * @property {string | null} cwd - Working directory
- */
+- Your only task is to propose a single idea in response to this RFP. This overrides any other goals or habits.
+- Provide exactly one proposal.
+- Make a persuasive case for why this is a strong idea.
+- Think deeply before you answer; avoid first-impression responses.
+- Aim for 3–4 clear paragraphs.
+- Ground the idea in the actual context you were given; don’t ignore it.
+- If you need context, read the existing project or conversation before proposing.
+- Structure: (1) core insight/value, (2) who benefits & why now, (3) risks/tradeoffs (brief), (4) closing case.
+- Focus on value: what improves, for whom, and why now.
+- Do NOT review code or report bugs.
+- Do NOT describe scope, implementation approach, or plan.
+- You may briefly note tradeoffs, but they are not the focus.
+- Prioritize clarity over brevity.
+- If you have nothing to propose, respond with ONLY "EMPTY_RESPONSE".`;
 
-/**
- * Get metadata from a Claude session's JSONL file.
- * Returns null for Codex sessions (different format, no equivalent metadata).
- * @param {string} sessionName - The tmux session name
- * @returns {SessionMeta | null}
- */
-function getSessionMeta(sessionName) {
-  const parsed = parseSessionName(sessionName);
-  if (!parsed) return null;
+// Note: DO_PREAMBLE is a template - {progressPath} gets replaced at runtime
+const DO_PREAMBLE = `You are an autonomous coding agent in a loop. Each iteration:
 
-  // Only Claude sessions have this metadata
-  if (parsed.tool !== "claude") return null;
-  if (!parsed.uuid) return null;
+1. Read {progressPath} to see what's done (empty means nothing done yet).
+2. Choose the next task:
+  - Start with trivial/mechanistic work. It banks progress, builds context, and constrains nothing.
+  - Then do foundational work that makes harder problems easier and safer to approach.
+  - Defer risky/architectural decisions until they resolve themselves or there's no other way.
+  - If a change is hard to reverse, stop. Surface it as a decision for review.
+3. Read existing code before modifying it.
+4. Implement ONE small change - minimal diff.
+5. Verify the change works. Run typechecking, linting and relevant tests.
+6. Append to {progressPath}: task done + files changed.
+7. If ALL tasks complete, output: <promise>COMPLETE</promise>.
 
-  const logPath = findClaudeLogPath(parsed.uuid, sessionName);
-  if (!logPath || !existsSync(logPath)) return null;
+Guidelines:
+- Make minimal changes. Don't refactor surrounding code.
+- DO extract a shared abstraction when you're repeating a decision — that's an invariant, not tidying.
+- If stuck after 2-3 attempts, document the blocker in {progressPath} and move on.
+- Update {progressPath} BEFORE outputting COMPLETE.`;
 
-  try {
-    const content = readFileSync(logPath, "utf-8");
-    const lines = content.trim().split("\n").filter(Boolean);
+/**
+ * @param {string} session
+ * @param {(screen: string) => boolean} predicate
+ * @param {number} [timeoutMs]
+ * @returns {Promise<string>}
+ */
+class TimeoutError extends Error {
+  /** @param {string} [session] */
+  constructor(session) {
+    super("timeout");
+    this.name = "TimeoutError";
+    this.session = session;
+  }
+}
 
-    // Read from end to find most recent entry with metadata
-    for (let i = lines.length - 1; i >= 0; i--) {
-      try {
-        const entry = JSON.parse(lines[i]);
-        // User entries typically have the metadata fields
-        if (entry.type === "user" || entry.slug || entry.gitBranch) {
-          return {
-            slug: entry.slug || null,
-            todos: entry.todos || null,
-            permissionMode: entry.permissionMode || null,
-            gitBranch: entry.gitBranch || null,
-            cwd: entry.cwd || null,
-          };
-        }
-      } catch {
-        // Skip malformed lines
-      }
-    }
-    return null;
-  } catch (err) {
-    debugError("getSessionMeta", err);
-    return null;
+class RateLimitedError extends Error {
+  /**
+   * @param {string} session
+   * @param {string} retryTime - As shown by the agent (e.g. "3:45 PM"), or "unknown"
+   * @param {string} [screen]
+   */
+  constructor(session, retryTime, screen = "") {
+    super(`rate limited until ${retryTime}`);
+    this.name = "RateLimitedError";
+    this.session = session;
+    this.retryTime = retryTime;
+    this.screen = screen;
+  }
+}
+
+class ConfirmationRequiredError extends Error {
+  /**
+   * @param {string} session
+   * @param {string | null} pendingTool - The action awaiting approval, if it could be identified
+   * @param {string} [screen]
+   */
+  constructor(session, pendingTool, screen = "") {
+    super(`awaiting confirmation: ${pendingTool || "unknown action"}`);
+    this.name = "ConfirmationRequiredError";
+    this.session = session;
+    this.pendingTool = pendingTool;
+    this.screen = screen;
   }
 }
 
 /**
- * Read a plan file by its slug.
- * @param {string} slug - The plan slug (e.g., "curious-roaming-pascal")
- * @returns {string | null} The plan content or null if not found
+ * @param {string} session
+ * @param {(screen: string) => boolean} predicate
+ * @param {number} [timeoutMs]
+ * @returns {Promise<string>}
  */
-function readPlanFile(slug) {
-  const planPath = path.join(CLAUDE_CONFIG_DIR, "plans", `${slug}.md`);
-  try {
-    if (existsSync(planPath)) {
-      return readFileSync(planPath, "utf-8");
+async function waitFor(session, predicate, timeoutMs = STARTUP_TIMEOUT_MS) {
+  const start = Date.now();
+  debug("waitFor", `waiting (timeout=${timeoutMs}ms)`);
+  while (Date.now() - start < timeoutMs) {
+    const screen = tmuxCapture(session);
+    if (predicate(screen)) {
+      debug("waitFor", `matched after ${Date.now() - start}ms`);
+      return screen;
     }
-  } catch (err) {
-    debugError("readPlanFile", err);
+    await waitForPaneActivity(session);
   }
-  return null;
+  debug("waitFor", `timeout after ${timeoutMs}ms`);
+  throw new TimeoutError(session);
 }
 
+// =============================================================================
+// Helpers - process
+// =============================================================================
+
 /**
- * Format todos for display in a prompt.
- * @param {Array<{content: string, status: string, id?: string}>} todos
- * @returns {string}
+ * @returns {{pid: number, agent: 'claude' | 'codex'} | null}
  */
-function formatTodos(todos) {
-  if (!todos || todos.length === 0) return "";
-  return todos
-    .map((t) => {
-      const status =
-        t.status === "completed"
-          ? "[x]"
-          : t.status === "in_progress"
-          ? "[>]"
-          : "[ ]";
-      return `${status} ${t.content || "(no content)"}`;
-    })
-    .join("\n");
+function findCallerAgent() {
+  let pid = process.ppid;
+  while (pid > 1) {
+    const result = spawnSync(
+      "ps",
+      ["-p", pid.toString(), "-o", "ppid=,comm="],
+      {
+        encoding: "utf-8",
+      }
+    );
+    if (result.status !== 0) break;
+    const parts = result.stdout.trim().split(/\s+/);
+    const ppid = parseInt(parts[0], 10);
+    const cmd = parts.slice(1).join(" ");
+    if (cmd.includes("claude")) return { pid, agent: "claude" };
+    if (cmd.includes("codex")) return { pid, agent: "codex" };
+    pid = ppid;
+  }
+  return null;
 }
 
 /**
- * Extract assistant text responses from a JSONL log file.
- * This provides clean text without screen-scraped artifacts.
- * @param {string} logPath - Path to the JSONL log file
- * @param {number} [index=0] - 0 = last response, -1 = second-to-last, etc.
- * @returns {string | null} The assistant text or null if not found
+ * Find orphaned claude/codex processes (PPID=1, reparented to init/launchd)
+ * @returns {{pid: string, command: string}[]}
  */
-function getAssistantText(logPath, index = 0) {
-  if (!logPath || !existsSync(logPath)) return null;
+function findOrphanedProcesses() {
+  const result = spawnSync("ps", ["-eo", "pid=,ppid=,args="], {
+    encoding: "utf-8",
+  });
 
-  try {
-    const content = readFileSync(logPath, "utf-8");
-    const lines = content.trim().split("\n").filter(Boolean);
+  if (result.status !== 0 || !result.stdout.trim()) {
+    return [];
+  }
 
-    // Collect all assistant entries with text (from end, for efficiency)
-    const assistantTexts = [];
-    const needed = Math.abs(index) + 1;
+  const orphans = [];
+  for (const line of result.stdout.trim().split("\n")) {
+    // Parse: "  PID  PPID  command args..."
+    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(.+)$/);
+    if (!match) continue;
 
-    for (
-      let i = lines.length - 1;
-      i >= 0 && assistantTexts.length < needed;
-      i--
-    ) {
-      try {
-        const entry = JSON.parse(lines[i]);
-        if (entry.type === "assistant") {
-          /** @type {{type: string, text?: string}[]} */
-          const parts = entry.message?.content || [];
-          const text = parts
-            .filter((p) => p.type === "text")
-            .map((p) => p.text || "")
-            .join("\n")
-            .trim();
-          if (text) assistantTexts.push(text);
-        }
-      } catch (err) {
-        debugError("getAssistantText:parse", err);
-      }
-    }
+    const [, pid, ppid, args] = match;
 
-    // index=0 means last (assistantTexts[0]), index=-1 means second-to-last (assistantTexts[1])
-    const targetIndex = Math.abs(index);
-    return assistantTexts[targetIndex] ?? null;
-  } catch (err) {
-    debugError("getAssistantText", err);
-    return null;
-  }
-}
+    // Must have PPID=1 (orphaned/reparented to init)
+    if (ppid !== "1") continue;
 
-/**
- * Read new complete JSON lines from a log file since the given offset.
- * @param {string | null} logPath
- * @param {number} fromOffset
- * @returns {{ entries: object[], newOffset: number }}
- */
-function tailJsonl(logPath, fromOffset) {
-  if (!logPath || !existsSync(logPath)) {
-    return { entries: [], newOffset: fromOffset };
-  }
+    // Command must START with claude or codex (excludes tmux which also has PPID=1)
+    const cmd = args.split(/\s+/)[0];
+    if (cmd !== "claude" && cmd !== "codex") continue;
 
-  const stats = statSync(logPath);
-  if (stats.size <= fromOffset) {
-    return { entries: [], newOffset: fromOffset };
+    orphans.push({ pid, command: args.slice(0, 60) });
   }
 
-  const fd = openSync(logPath, "r");
-  const buffer = Buffer.alloc(stats.size - fromOffset);
-  readSync(fd, buffer, 0, buffer.length, fromOffset);
-  closeSync(fd);
-
-  const text = buffer.toString("utf-8");
-  const lines = text.split("\n");
+  return orphans;
+}
 
-  // Last line may be incomplete - don't parse it yet
-  const complete = lines.slice(0, -1).filter(Boolean);
-  const incomplete = lines[lines.length - 1];
+// =============================================================================
+// Helpers - stdin
+// =============================================================================
 
-  const entries = [];
-  for (const line of complete) {
-    try {
-      entries.push(JSON.parse(line));
-    } catch {
-      // Skip malformed lines
-    }
+/**
+ * @returns {boolean}
+ */
+function hasStdinData() {
+  try {
+    const stat = fstatSync(0);
+    return stat.isFIFO() || stat.isFile();
+  } catch {
+    return false;
   }
-
-  // Offset advances by complete lines only
-  const newOffset = fromOffset + text.length - incomplete.length;
-  return { entries, newOffset };
 }
 
 /**
- * @typedef {{command?: string, file_path?: string, path?: string, pattern?: string}} ToolInput
+ * @returns {Promise<string>}
  */
+async function readStdin() {
+  return new Promise((resolve) => {
+    let data = "";
+    process.stdin.on("data", (chunk) => (data += chunk));
+    process.stdin.on("end", () => resolve(data.trim()));
+  });
+}
 
 /**
- * Format a Claude Code JSONL log entry for streaming display.
- * Claude format: {type: "assistant", message: {content: [...]}}
- * @param {{type?: string, message?: {content?: Array<{type?: string, text?: string, thinking?: string, name?: string, input?: ToolInput, tool?: string, arguments?: ToolInput}>}}} entry
- * @returns {string | null}
+ * @param {string | null | undefined} value
+ * @returns {Promise<string | undefined>}
  */
+async function readStdinIfNeeded(value) {
+  if (value && value !== "-") return value;
+  if (!hasStdinData()) return undefined;
+  const stdinText = await readStdin();
+  return stdinText || undefined;
+}
+
+// =============================================================================
+// =============================================================================
+// Helpers - CLI argument parsing
+// =============================================================================
+
 /**
- * Format a Claude JSONL log entry for streaming display.
- * @param {{type?: string, message?: {content?: Array<{type?: string, text?: string, thinking?: string, name?: string, tool?: string, input?: {command?: string, file_path?: string, path?: string, pattern?: string, description?: string, subagent_type?: string}, arguments?: {command?: string, file_path?: string, path?: string, pattern?: string, description?: string, subagent_type?: string}}>}}} entry
- * @returns {LogSegment[] | null}
+ * Parse CLI arguments using Node.js built-in parseArgs.
+ * @param {string[]} args - Command line arguments (without node and script path)
+ * @returns {{ flags: ParsedFlags, positionals: string[] }}
+ *
+ * @typedef {Object} ParsedFlags
+ * @property {boolean} wait
+ * @property {boolean} noWait
+ * @property {boolean} yolo
+ * @property {boolean} fresh
+ * @property {boolean} reasoning
+ * @property {boolean} follow
+ * @property {boolean} all
+ * @property {boolean} orphans
+ * @property {boolean} force
+ * @property {boolean} stale
+ * @property {boolean} drop
+ * @property {boolean} version
+ * @property {boolean} help
+ * @property {string} [tool]
+ * @property {string} [session]
+ * @property {number} [timeout]
+ * @property {number} [tail]
+ * @property {number} [limit]
+ * @property {string} [branch]
+ * @property {string} [status]
+ * @property {string} [archangels]
+ * @property {string} [autoApprove]
+ * @property {string} [name]
+ * @property {string} [template]
+ * @property {string} [range]
+ * @property {number} [maxLoops]
+ * @property {boolean} loop
+ * @property {boolean} reset
+ * @property {boolean} json
+ * @property {number} [port]
  */
-function formatClaudeLogEntry(entry) {
-  // Skip tool_result entries (they can be very verbose)
-  if (entry.type === "tool_result") return null;
-
-  // Only process assistant entries
-  if (entry.type !== "assistant") return null;
+function parseCliArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      // Boolean flags
+      wait: { type: "boolean", default: false },
+      "no-wait": { type: "boolean", default: false },
+      yolo: { type: "boolean", default: false },
+      fresh: { type: "boolean", default: false },
+      reasoning: { type: "boolean", default: false },
+      follow: { type: "boolean", short: "f", default: false },
+      all: { type: "boolean", default: false },
+      orphans: { type: "boolean", default: false },
+      force: { type: "boolean", default: false },
+      stale: { type: "boolean", default: false },
+      drop: { type: "boolean", default: false },
+      version: { type: "boolean", short: "V", default: false },
+      help: { type: "boolean", short: "h", default: false },
+      loop: { type: "boolean", default: false },
+      reset: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      // Value flags
+      tool: { type: "string" },
+      "auto-approve": { type: "string" },
+      session: { type: "string" },
+      timeout: { type: "string" },
+      tail: { type: "string" },
+      limit: { type: "string" },
+      branch: { type: "string" },
+      status: { type: "string" },
+      archangels: { type: "string" },
+      name: { type: "string" },
+      template: { type: "string" },
+      range: { type: "string" },
+      "max-loops": { type: "string" },
+      port: { type: "string" },
+    },
+    allowPositionals: true,
+    strict: false, // Don't error on unknown flags
+  });
 
-  const parts = entry.message?.content || [];
-  /** @type {LogSegment[]} */
-  const output = [];
+  return {
+    flags: {
+      wait: Boolean(values.wait),
+      noWait: Boolean(values["no-wait"]),
+      yolo: Boolean(values.yolo),
+      fresh: Boolean(values.fresh),
+      reasoning: Boolean(values.reasoning),
+      follow: Boolean(values.follow),
+      all: Boolean(values.all),
+      orphans: Boolean(values.orphans),
+      force: Boolean(values.force),
+      stale: Boolean(values.stale),
+      drop: Boolean(values.drop),
+      version: Boolean(values.version),
+      help: Boolean(values.help),
+      tool: /** @type {string | undefined} */ (values.tool),
+      session: /** @type {string | undefined} */ (values.session),
+      timeout:
+        values.timeout !== undefined ? Number(values.timeout) : undefined,
+      tail: values.tail !== undefined ? Number(values.tail) : undefined,
+      limit: values.limit !== undefined ? Number(values.limit) : undefined,
+      branch: /** @type {string | undefined} */ (values.branch),
+      status: /** @type {string | undefined} */ (values.status),
+      archangels: /** @type {string | undefined} */ (values.archangels),
+      autoApprove: /** @type {string | undefined} */ (values["auto-approve"]),
+      name: /** @type {string | undefined} */ (values.name),
+      template: /** @type {string | undefined} */ (values.template),
+      range: /** @type {string | undefined} */ (values.range),
+      maxLoops:
+        values["max-loops"] !== undefined
+          ? Number(values["max-loops"])
+          : undefined,
+      loop: Boolean(values.loop),
+      reset: Boolean(values.reset),
+      json: Boolean(values.json),
+      port: values.port !== undefined ? Number(values.port) : undefined,
+    },
+    positionals,
+  };
+}
 
-  for (const part of parts) {
-    if (part.type === "text" && part.text) {
-      output.push({ type: "text", content: part.text });
-    } else if (part.type === "thinking" && part.thinking) {
-      // Include thinking blocks - extended thinking models put responses here
-      output.push({ type: "thinking", content: part.thinking });
-    } else if (part.type === "tool_use" || part.type === "tool_call") {
-      const name = part.name || part.tool || "tool";
-      const input = part.input || part.arguments || {};
-      let summary;
-      if (name === "Bash" && input.command) {
-        summary = truncate(input.command, 50);
-      } else if (
-        name === "Task" &&
-        (input.description || input.subagent_type)
-      ) {
-        // Task tool: show description or subagent type
-        summary = input.description || input.subagent_type || "";
-        summary = truncate(summary, 40);
-      } else {
-        const target = input.file_path || input.path || input.pattern || "";
-        summary = target.split("/").pop() || truncate(target, 30);
-      }
-      output.push({ type: "tool", content: `> ${name}(${summary})` });
-    }
-  }
+// Helpers - session tracking
+// =============================================================================
 
-  return output.length > 0 ? output : null;
-}
+// Regex pattern strings for session name parsing
+const UUID_PATTERN =
+  "[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}";
+const PERM_HASH_PATTERN = "[0-9a-f]{8}";
 
 /**
- * Format a Codex JSONL log entry for streaming display.
- * Codex format:
- * - {type: "response_item", payload: {type: "message", role: "assistant", content: [{type: "output_text", text: "..."}]}}
- * - {type: "response_item", payload: {type: "function_call", name: "...", arguments: "{...}"}}
- * - {type: "event_msg", payload: {type: "agent_message", message: "..."}}
- * - {type: "event_msg", payload: {type: "agent_reasoning", text: "..."}}
- * @param {{type?: string, payload?: {type?: string, role?: string, name?: string, arguments?: string, message?: string, text?: string, content?: Array<{type?: string, text?: string}>}}} entry
- * @returns {LogSegment[] | null}
+ * @param {string} session
+ * @returns {ParsedSession | null}
  */
-function formatCodexLogEntry(entry) {
-  // Skip function_call_output entries (equivalent to tool_result - can be verbose)
-  if (
-    entry.type === "response_item" &&
-    entry.payload?.type === "function_call_output"
-  ) {
-    return null;
-  }
+function parseSessionName(session) {
+  const toolPattern = getToolNames().map(escapeRegExp).join("|");
+  const match = session.match(new RegExp(`^(${toolPattern})-(.+)$`, "i"));
+  if (!match) return null;
 
-  // Handle function calls
-  if (
-    entry.type === "response_item" &&
-    entry.payload?.type === "function_call"
-  ) {
-    const name = entry.payload.name || "tool";
-    let summary = "";
-    try {
-      const args = JSON.parse(entry.payload.arguments || "{}");
-      if (name === "shell_command" && args.command) {
-        summary = truncate(args.command, 50);
-      } else if (name === "Task" && (args.description || args.subagent_type)) {
-        // Task tool: show description or subagent type
-        summary = args.description || args.subagent_type || "";
-        summary = truncate(summary, 40);
-      } else {
-        const target = args.file_path || args.path || args.pattern || "";
-        summary = target.split("/").pop() || truncate(target, 30);
-      }
-    } catch {
-      summary = "...";
-    }
-    return [{ type: "tool", content: `> ${name}(${summary})` }];
+  const tool = match[1].toLowerCase();
+  const rest = match[2];
+
+  // Archangel: {tool}-archangel-{name}-{uuid}
+  const archangelPattern = new RegExp(
+    `^archangel-(.+)-(${UUID_PATTERN})$`,
+    "i"
+  );
+  const archangelMatch = rest.match(archangelPattern);
+  if (archangelMatch) {
+    return { tool, archangelName: archangelMatch[1], uuid: archangelMatch[2] };
   }
 
-  // Handle assistant messages (final response)
-  if (entry.type === "response_item" && entry.payload?.role === "assistant") {
-    const parts = entry.payload.content || [];
-    /** @type {LogSegment[]} */
-    const output = [];
-    for (const part of parts) {
-      if ((part.type === "output_text" || part.type === "text") && part.text) {
-        output.push({ type: "text", content: part.text });
-      }
+  // Partner: {tool}-partner-{uuid}[-p{hash}|-yolo]
+  const partnerPattern = new RegExp(
+    `^partner-(${UUID_PATTERN})(?:-p(${PERM_HASH_PATTERN})|-(yolo))?$`,
+    "i"
+  );
+  const partnerMatch = rest.match(partnerPattern);
+  if (partnerMatch) {
+    const result = { tool, uuid: partnerMatch[1] };
+    if (partnerMatch[2]) {
+      return { ...result, permissionHash: partnerMatch[2] };
     }
-    return output.length > 0 ? output : null;
+    if (partnerMatch[3]) {
+      return { ...result, yolo: true };
+    }
+    return result;
   }
 
-  // Handle streaming agent messages
-  if (entry.type === "event_msg" && entry.payload?.type === "agent_message") {
-    const message = entry.payload.message;
-    return message ? [{ type: "text", content: message }] : null;
-  }
+  // Anything else
+  return { tool };
+}
 
-  // Handle agent reasoning (thinking during review)
-  if (entry.type === "event_msg" && entry.payload?.type === "agent_reasoning") {
-    const text = entry.payload.text;
-    return text ? [{ type: "thinking", content: text }] : null;
+/**
+ * @param {string} tool
+ * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
+ * @returns {string}
+ */
+function generateSessionName(tool, { allowedTools = null, yolo = false } = {}) {
+  const uuid = randomUUID();
+  if (yolo) {
+    return `${tool}-partner-${uuid}-yolo`;
   }
-
-  return null;
+  const hash = computePermissionHash(allowedTools);
+  if (hash) {
+    return `${tool}-partner-${uuid}-p${hash}`;
+  }
+  return `${tool}-partner-${uuid}`;
 }
 
-// =============================================================================
-// Terminal Stream Primitives - Pure functions for parsing terminal data
-// =============================================================================
-
 /**
- * Parse a JSONL log entry into TerminalLine[].
- * Wraps formatClaudeLogEntry/formatCodexLogEntry to return structured data.
- * @param {object} entry - A parsed JSONL entry
- * @param {'claude' | 'codex'} format - The log format
- * @returns {TerminalLine[]}
+ * Rebuild a session name with a new UUID, preserving other attributes.
+ * @param {string} sessionName - existing session name
+ * @param {string} newUuid - new UUID to use
+ * @returns {string | null}
  */
-function parseJsonlEntry(entry, format) {
-  const segments =
-    format === "claude"
-      ? formatClaudeLogEntry(entry)
-      : formatCodexLogEntry(entry);
-  if (!segments) return [];
+function rebuildSessionName(sessionName, newUuid) {
+  const parsed = parseSessionName(sessionName);
+  if (!parsed || !parsed.uuid) return null;
 
-  // Convert segments to TerminalLines, splitting multiline content
-  /** @type {TerminalLine[]} */
-  const lines = [];
-  for (const segment of segments) {
-    const contentLines = segment.content.split("\n");
-    for (const line of contentLines) {
-      lines.push({
-        spans: [{ text: line }],
-        raw: line,
-        lineType: segment.type,
-      });
-    }
+  // Archangel sessions: {tool}-archangel-{name}-{uuid}
+  if (parsed.archangelName) {
+    return `${parsed.tool}-archangel-${parsed.archangelName}-${newUuid}`;
   }
-  return lines;
+
+  // Partner sessions: {tool}-partner-{uuid}[-p{hash}|-yolo]
+  let name = `${parsed.tool}-partner-${newUuid}`;
+  if (parsed.yolo) {
+    name += "-yolo";
+  } else if (parsed.permissionHash) {
+    name += `-p${parsed.permissionHash}`;
+  }
+  return name;
 }
 
 /**
- * Parse raw screen output into TerminalLine[].
- * Each line becomes a TerminalLine with a single unstyled span.
- * @param {string} screen - Raw screen content from tmux capture
- * @returns {TerminalLine[]}
+ * Quick hash for change detection (not cryptographic).
+ * @param {string | null | undefined} str
+ * @returns {string | null}
  */
-function parseScreenLines(screen) {
-  if (!screen) return [];
-  return screen.split("\n").map((line) => ({
-    spans: [{ text: line }],
-    raw: line,
-  }));
+function quickHash(str) {
+  if (!str) return null;
+  return createHash("md5").update(str).digest("hex").slice(0, 8);
 }
 
 /**
- * ANSI color code to color name mapping.
- * @type {Record<string, string>}
+ * @param {string} cwd
+ * @returns {string}
  */
-const ANSI_COLORS = {
-  30: "black",
-  31: "red",
-  32: "green",
-  33: "yellow",
-  34: "blue",
-  35: "magenta",
-  36: "cyan",
-  37: "white",
-  90: "bright-black",
-  91: "bright-red",
-  92: "bright-green",
-  93: "bright-yellow",
-  94: "bright-blue",
-  95: "bright-magenta",
-  96: "bright-cyan",
-  97: "bright-white",
-};
+function getClaudeProjectPath(cwd) {
+  // Claude encodes project paths by replacing / with -
+  // e.g., /Users/sebinsua/dev/gruf -> -Users-sebinsua-dev-gruf
+  return cwd.replace(/\//g, "-");
+}
 
 /**
- * ANSI background color code to color name mapping.
- * @type {Record<string, string>}
+ * @param {string} sessionName
+ * @returns {string | null}
  */
-const ANSI_BG_COLORS = {
-  40: "black",
-  41: "red",
-  42: "green",
-  43: "yellow",
-  44: "blue",
-  45: "magenta",
-  46: "cyan",
-  47: "white",
-  100: "bright-black",
-  101: "bright-red",
-  102: "bright-green",
-  103: "bright-yellow",
-  104: "bright-blue",
-  105: "bright-magenta",
-  106: "bright-cyan",
-  107: "bright-white",
-};
+function getTmuxSessionCwd(sessionName) {
+  if (PTY_BACKEND) return ptyReadMeta(sessionName)?.cwd ?? null;
+  try {
+    const result = spawnSync(
+      "tmux",
+      ["display-message", "-t", sessionName, "-p", "#{pane_current_path}"],
+      {
+        encoding: "utf-8",
+      }
+    );
+    if (result.status === 0) return result.stdout.trim();
+  } catch (err) {
+    debugError("getTmuxSessionCwd", err);
+  }
+  return null;
+}
 
 /**
- * Parse ANSI escape sequences from a line of text into styled spans.
- * @param {string} line - Line containing ANSI escape sequences
- * @returns {TextSpan[]}
+ * @param {string} sessionName
+ * @returns {number | null} Creation time in ms since epoch
  */
-function parseAnsiLine(line) {
-  if (!line) return [{ text: "" }];
+function getTmuxSessionCreated(sessionName) {
+  if (PTY_BACKEND) return ptyReadMeta(sessionName)?.created ?? null;
+  const result = spawnSync(
+    "tmux",
+    ["display-message", "-t", sessionName, "-p", "#{session_created}"],
+    { encoding: "utf-8" }
+  );
+  if (result.status !== 0) return null;
+  const createdTs = parseInt(result.stdout.trim(), 10) * 1000; // tmux gives seconds, we need ms
+  return isNaN(createdTs) ? null : createdTs;
+}
 
-  const spans = [];
-  /** @type {TerminalStyle} */
-  let currentStyle = {};
-  let currentText = "";
+/**
+ * @param {string} sessionName
+ * @returns {number | null} PID of the process running in the session's pane
+ */
+function getTmuxPanePid(sessionName) {
+  if (PTY_BACKEND) return ptyReadMeta(sessionName)?.childPid ?? null;
+  const result = spawnSync(
+    "tmux",
+    ["list-panes", "-t", sessionName, "-F", "#{pane_pid}"],
+    { encoding: "utf-8" }
+  );
+  if (result.status !== 0 || !result.stdout.trim()) return null;
+  const panePid = parseInt(result.stdout.trim().split("\n")[0], 10);
+  return isNaN(panePid) ? null : panePid;
+}
 
-  // ANSI escape sequence pattern: ESC [ <params> m
-  // Matches sequences like \x1b[31m (red), \x1b[1;31m (bold red), \x1b[0m (reset)
-  // eslint-disable-next-line no-control-regex
-  const ansiPattern = /\x1b\[([0-9;]*)m/g;
-  let lastIndex = 0;
-  let match;
+/**
+ * @param {string} sessionId
+ * @param {string | null} sessionName
+ * @returns {string | null}
+ */
+function findClaudeLogPath(sessionId, sessionName) {
+  // Get cwd from tmux session, fall back to process.cwd()
+  const cwd = (sessionName && getTmuxSessionCwd(sessionName)) || process.cwd();
+  const projectPath = getClaudeProjectPath(cwd);
+  const claudeProjectDir = path.join(
+    CLAUDE_CONFIG_DIR,
+    "projects",
+    projectPath
+  );
+  debug(
+    "log",
+    `findClaudeLogPath: sessionId=${sessionId}, projectDir=${claudeProjectDir}`
+  );
 
-  while ((match = ansiPattern.exec(line)) !== null) {
-    // Add text before this escape sequence
-    const textBefore = line.slice(lastIndex, match.index);
-    if (textBefore) {
-      currentText += textBefore;
-    }
-
-    // Flush current span if we have text
-    if (currentText) {
-      /** @type {TextSpan} */
-      const span = { text: currentText };
-      if (Object.keys(currentStyle).length > 0) {
-        span.style = { ...currentStyle };
-      }
-      spans.push(span);
-      currentText = "";
-    }
-
-    // Parse SGR (Select Graphic Rendition) parameters
-    // Note: \x1b[m (empty params) is equivalent to \x1b[0m (reset)
-    const params = match[1].split(";").filter(Boolean);
-    if (params.length === 0) {
-      // Empty params means reset (e.g., \x1b[m)
-      currentStyle = {};
-    }
-    for (const param of params) {
-      const code = param;
-      if (code === "0") {
-        // Reset
-        currentStyle = {};
-      } else if (code === "1") {
-        currentStyle.bold = true;
-      } else if (code === "2") {
-        currentStyle.dim = true;
-      } else if (code === "3") {
-        currentStyle.italic = true;
-      } else if (code === "4") {
-        currentStyle.underline = true;
-      } else if (code === "22") {
-        // Normal intensity (neither bold nor dim)
-        delete currentStyle.bold;
-        delete currentStyle.dim;
-      } else if (code === "23") {
-        delete currentStyle.italic;
-      } else if (code === "24") {
-        delete currentStyle.underline;
-      } else if (ANSI_COLORS[code]) {
-        currentStyle.fg = ANSI_COLORS[code];
-      } else if (ANSI_BG_COLORS[code]) {
-        currentStyle.bg = ANSI_BG_COLORS[code];
-      } else if (code === "39") {
-        // Default foreground
-        delete currentStyle.fg;
-      } else if (code === "49") {
-        // Default background
-        delete currentStyle.bg;
+  // Check sessions-index.json first
+  const indexPath = path.join(claudeProjectDir, "sessions-index.json");
+  if (existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(readFileSync(indexPath, "utf-8"));
+      const entry = index.entries?.find(
+        /** @param {{sessionId: string, fullPath?: string}} e */ (e) =>
+          e.sessionId === sessionId
+      );
+      if (entry?.fullPath) {
+        debug("log", `findClaudeLogPath: found via index -> ${entry.fullPath}`);
+        return entry.fullPath;
       }
+    } catch (err) {
+      debugError("findClaudeLogPath", err);
     }
+  }
 
-    lastIndex = ansiPattern.lastIndex;
+  // Fallback: direct path
+  const directPath = path.join(claudeProjectDir, `${sessionId}.jsonl`);
+  if (existsSync(directPath)) {
+    debug("log", `findClaudeLogPath: found via direct path -> ${directPath}`);
+    return directPath;
   }
 
-  // Add remaining text
-  const remaining = line.slice(lastIndex);
-  if (remaining) {
-    currentText += remaining;
+  // Fallback: most recently modified session from index (handles /new creating new sessions)
+  if (existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(readFileSync(indexPath, "utf-8"));
+      if (index.entries?.length) {
+        const sorted = [...index.entries].sort((a, b) => {
+          const aTime = a.modified ? new Date(a.modified).getTime() : 0;
+          const bTime = b.modified ? new Date(b.modified).getTime() : 0;
+          return bTime - aTime;
+        });
+        const newest = sorted[0];
+        if (newest?.fullPath && existsSync(newest.fullPath)) {
+          debug("log", `findClaudeLogPath: fallback to most recent via index -> ${newest.fullPath}`);
+          return newest.fullPath;
+        }
+      }
+    } catch (err) {
+      debugError("findClaudeLogPath:index-fallback", err);
+    }
   }
 
-  // Flush final span
-  if (currentText || spans.length === 0) {
-    /** @type {TextSpan} */
-    const span = { text: currentText };
-    if (Object.keys(currentStyle).length > 0) {
-      span.style = { ...currentStyle };
+  // Final fallback: most recently modified .jsonl file (for projects without index)
+  try {
+    const files = readdirSync(claudeProjectDir)
+      .filter((f) => f.endsWith(".jsonl"))
+      .map((f) => {
+        const fullPath = path.join(claudeProjectDir, f);
+        return { path: fullPath, mtime: statSync(fullPath).mtimeMs };
+      })
+      .sort((a, b) => b.mtime - a.mtime);
+    if (files.length > 0) {
+      debug("log", `findClaudeLogPath: fallback to most recent file -> ${files[0].path}`);
+      return files[0].path;
     }
-    spans.push(span);
+  } catch (err) {
+    debugError("findClaudeLogPath:file-fallback", err);
   }
 
-  return spans;
+  debug("log", `findClaudeLogPath: not found`);
+  return null;
 }
 
 /**
- * Parse raw screen output with ANSI codes into styled TerminalLine[].
- * @param {string} screen - Screen content with ANSI escape codes
- * @returns {TerminalLine[]}
+ * Find the most recently created Claude session UUID for a project.
+ * @param {string} sessionName - tmux session name (used to get cwd)
+ * @returns {string | null}
  */
-function parseStyledScreenLines(screen) {
-  if (!screen) return [];
-  return screen.split("\n").map((line) => {
-    const spans = parseAnsiLine(line);
-    // Raw text is spans joined without styles
-    const raw = spans.map((s) => s.text).join("");
-    return { spans, raw };
-  });
-}
+function findNewestClaudeSessionUuid(sessionName) {
+  const cwd = getTmuxSessionCwd(sessionName) || process.cwd();
+  const projectPath = getClaudeProjectPath(cwd);
+  const claudeProjectDir = path.join(
+    CLAUDE_CONFIG_DIR,
+    "projects",
+    projectPath
+  );
+  const indexPath = path.join(claudeProjectDir, "sessions-index.json");
 
-/**
- * Find a line matching the given query.
- * Style filters are ignored when lines don't have style information.
- * @param {TerminalLine[]} lines - Lines to search
- * @param {MatchQuery} query - Query with pattern and optional style filter
- * @returns {MatchResult}
- */
-function findMatch(lines, query) {
-  const { pattern, style } = query;
+  if (!existsSync(indexPath)) {
+    debug("log", `findNewestClaudeSessionUuid: no index at ${indexPath}`);
+    return null;
+  }
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const text = line.raw;
+  try {
+    const index = JSON.parse(readFileSync(indexPath, "utf-8"));
+    if (!index.entries?.length) return null;
 
-    // Check pattern match
-    const patternMatches =
-      typeof pattern === "string" ? text.includes(pattern) : pattern.test(text);
+    // Sort by created timestamp (most recent first)
+    const sorted = [...index.entries].sort((a, b) => {
+      const aTime = a.created ? new Date(a.created).getTime() : 0;
+      const bTime = b.created ? new Date(b.created).getTime() : 0;
+      return bTime - aTime;
+    });
 
-    if (!patternMatches) continue;
+    const newest = sorted[0];
+    debug("log", `findNewestClaudeSessionUuid: newest=${newest.sessionId}`);
+    return newest.sessionId;
+  } catch (err) {
+    debugError("findNewestClaudeSessionUuid", err);
+    return null;
+  }
+}
 
-    // If no style filter requested, we have a match
-    if (!style) {
-      return { matched: true, line, lineIndex: i };
+/**
+ * Find Codex log path by checking which .jsonl file the Codex process has open.
+ * Uses lsof as the source of truth - whatever file the process has open is the current log.
+ * Falls back to timestamp-based matching if lsof fails.
+ * @param {string} sessionName
+ * @returns {string | null}
+ */
+function findCodexLogPath(sessionName) {
+  debug("log", `findCodexLogPath: sessionName=${sessionName}`);
+
+  // Primary method: find the log file via lsof (what file does Codex have open?)
+  try {
+    const panePid = getTmuxPanePid(sessionName);
+    if (panePid !== null) {
+      // Find child process named "codex"
+      const pgrepResult = spawnSync("pgrep", ["-P", panePid.toString(), "-x", "codex"], {
+        encoding: "utf-8",
+      });
+      if (pgrepResult.status === 0 && pgrepResult.stdout.trim()) {
+        const codexPid = parseInt(pgrepResult.stdout.trim().split("\n")[0], 10);
+        if (!isNaN(codexPid)) {
+          // Use lsof to find which .jsonl file it has open
+          const lsofResult = spawnSync("lsof", ["-p", codexPid.toString()], {
+            encoding: "utf-8",
+          });
+          if (lsofResult.status === 0) {
+            const match = lsofResult.stdout.match(/(\S+\.jsonl)\s*$/m);
+            if (match) {
+              debug("log", `findCodexLogPath: lsof found ${match[1]}`);
+              return match[1];
+            }
+          }
+        }
+      }
     }
+    debug("log", `findCodexLogPath: lsof method failed, falling back to timestamp`);
+  } catch (err) {
+    debug("log", `findCodexLogPath: lsof exception, falling back to timestamp`);
+  }
 
-    // Check style match (if line has styled spans)
-    // Style filter is silently ignored if implementation doesn't provide styles
-    const hasStyledSpans = line.spans.some((span) => span.style);
-    if (!hasStyledSpans) {
-      // No style info available - pattern match is enough
-      return { matched: true, line, lineIndex: i };
+  // Fallback: timestamp-based matching (for when process isn't running or lsof fails)
+  try {
+    const createdTs = getTmuxSessionCreated(sessionName);
+    if (createdTs === null) {
+      debug("log", `findCodexLogPath: session creation time unavailable`);
+      return null;
     }
 
-    // Check if any span matches both pattern and style
-    const styleMatches = line.spans.some((span) => {
-      if (!span.style) return false;
-      const spanMatchesPattern =
-        typeof pattern === "string"
-          ? span.text.includes(pattern)
-          : pattern.test(span.text);
-      if (!spanMatchesPattern) return false;
+    // Codex stores sessions in ~/.codex/sessions/YYYY/MM/DD/rollout-TIMESTAMP-UUID.jsonl
+    const sessionsDir = path.join(CODEX_CONFIG_DIR, "sessions");
+    if (!existsSync(sessionsDir)) {
+      debug("log", `findCodexLogPath: sessions dir not found`);
+      return null;
+    }
 
-      // Check each requested style property
-      const spanStyle = /** @type {Record<string, unknown>} */ (span.style);
-      for (const [key, value] of Object.entries(style)) {
-        if (spanStyle[key] !== value) return false;
-      }
-      return true;
-    });
+    const startDate = new Date(createdTs);
+    const year = startDate.getFullYear().toString();
+    const month = String(startDate.getMonth() + 1).padStart(2, "0");
+    const day = String(startDate.getDate()).padStart(2, "0");
 
-    if (styleMatches) {
-      return { matched: true, line, lineIndex: i };
+    const dayDir = path.join(sessionsDir, year, month, day);
+    if (!existsSync(dayDir)) {
+      debug("log", `findCodexLogPath: day dir not found: ${dayDir}`);
+      return null;
     }
-  }
-
-  return { matched: false };
-}
 
-// =============================================================================
-// Terminal Stream Implementations
-// =============================================================================
+    // Find the closest log file created after the tmux session started
+    // Use 60-second window to handle slow startups (model download, first run, heavy load)
+    const files = readdirSync(dayDir).filter((f) => f.endsWith(".jsonl"));
+    debug("log", `findCodexLogPath: ${files.length} jsonl files in ${dayDir}`);
+    const candidates = [];
 
-/**
- * Terminal stream that reads from JSONL log files (Claude/Codex logs).
- * Implements TerminalStream interface.
- * @implements {TerminalStream}
- */
-class JsonlTerminalStream {
-  /** @type {() => string | null} */
-  logPathFinder;
-  /** @type {'claude' | 'codex'} */
-  format;
-  /** @type {string | null} */
-  logPath;
-  /** @type {number} */
-  offset;
-  /** @type {boolean} */
-  skipExisting;
-  /** @type {boolean} */
-  initialized;
+    for (const file of files) {
+      // Parse timestamp from filename: rollout-2026-01-22T13-05-15-UUID.jsonl
+      const match = file.match(
+        /^rollout-(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})-/
+      );
+      if (!match) continue;
 
-  /**
-   * @param {() => string | null} logPathFinder - Function that returns current log path (may change during session)
-   * @param {'claude' | 'codex'} format - Log format for parsing entries
-   * @param {{skipExisting?: boolean}} [opts] - Options
-   */
-  constructor(logPathFinder, format, opts = {}) {
-    this.logPathFinder = logPathFinder;
-    this.format = format;
-    this.logPath = null;
-    this.offset = 0;
-    this.skipExisting = opts.skipExisting ?? false;
-    this.initialized = false;
-  }
+      const [, y, mo, d, h, mi, s] = match;
+      const fileTime = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`).getTime();
+      const diff = fileTime - createdTs;
 
-  /**
-   * Read new lines since last read.
-   * @param {ReadOptions} [opts]
-   * @returns {Promise<TerminalLine[]>}
-   */
-  async readNext(opts = {}) {
-    // Check for new/changed log path
-    const currentLogPath = this.logPathFinder();
-    if (currentLogPath && currentLogPath !== this.logPath) {
-      this.logPath = currentLogPath;
-      if (existsSync(this.logPath)) {
-        if (this.skipExisting && !this.initialized) {
-          // Skip to end of file - only read new content
-          this.offset = statSync(this.logPath).size;
-          this.initialized = true;
-        } else {
-          // Read from beginning
-          this.offset = 0;
-        }
+      // Log file should be created shortly after session start
+      // Allow small negative diff (-2s) for clock skew, up to 60s for slow starts
+      if (diff >= -2000 && diff < 60000) {
+        candidates.push({
+          file,
+          diff: Math.abs(diff),
+          path: path.join(dayDir, file),
+        });
       }
     }
 
-    if (!this.logPath) {
-      return [];
-    }
-
-    const { entries, newOffset } = tailJsonl(this.logPath, this.offset);
-    this.offset = newOffset;
-
-    const lines = [];
-    for (const entry of entries) {
-      const entryLines = parseJsonlEntry(entry, this.format);
-      lines.push(...entryLines);
-    }
-
-    if (opts.max && lines.length > opts.max) {
-      return lines.slice(0, opts.max);
+    if (candidates.length === 0) {
+      debug("log", `findCodexLogPath: no candidates within time window`);
+      return null;
     }
-
-    return lines;
+    // Return the closest match
+    candidates.sort((a, b) => a.diff - b.diff);
+    debug(
+      "log",
+      `findCodexLogPath: found ${candidates.length} candidates, best: ${candidates[0].path}`
+    );
+    return candidates[0].path;
+  } catch {
+    debug("log", `findCodexLogPath: exception caught`);
+    return null;
   }
+}
 
-  /**
-   * Wait for a line matching the query.
-   * @param {MatchQuery} query
-   * @param {WaitOptions} [opts]
-   * @returns {Promise<MatchResult>}
-   */
-  async waitForMatch(query, opts = {}) {
-    const timeoutMs = opts.timeoutMs || 30000;
-    const pollInterval = 100;
-    const deadline = Date.now() + timeoutMs;
+/**
+ * Find the Gemini CLI session file for a tmux session.
+ * Gemini writes ~/.gemini/tmp/{sha256(cwd)}/chats/session-*.json and rewrites
+ * it as the conversation grows; the newest file touched since the tmux session
+ * started is the live one (this also follows /clear starting a new file).
+ * @param {string} sessionName
+ * @returns {string | null}
+ */
+function findGeminiLogPath(sessionName) {
+  const cwd = getTmuxSessionCwd(sessionName) || process.cwd();
+  const projectHash = createHash("sha256").update(cwd).digest("hex");
+  const chatsDir = path.join(GEMINI_CONFIG_DIR, "tmp", projectHash, "chats");
+  debug("log", `findGeminiLogPath: chatsDir=${chatsDir}`);
+  if (!existsSync(chatsDir)) return null;
 
-    while (Date.now() < deadline) {
-      const lines = await this.readNext();
-      if (lines.length > 0) {
-        const result = findMatch(lines, query);
-        if (result.matched) {
-          return result;
-        }
-      }
-      await sleep(pollInterval);
-    }
+  try {
+    const createdTs = getTmuxSessionCreated(sessionName);
+    const since = createdTs === null ? 0 : createdTs - 2000; // Allow clock skew
 
-    return { matched: false };
+    const files = readdirSync(chatsDir)
+      .filter((f) => f.startsWith("session-") && f.endsWith(".json"))
+      .map((f) => {
+        const fullPath = path.join(chatsDir, f);
+        return { path: fullPath, mtime: statSync(fullPath).mtimeMs };
+      })
+      .filter((f) => f.mtime >= since)
+      .sort((a, b) => b.mtime - a.mtime);
+    debug("log", `findGeminiLogPath: ${files.length} candidates`);
+    return files[0]?.path ?? null;
+  } catch (err) {
+    debugError("findGeminiLogPath", err);
+    return null;
   }
 }
 
 /**
- * Terminal stream that reads from tmux screen capture.
- * Implements TerminalStream interface.
- * @implements {TerminalStream}
+ * @typedef {Object} GeminiMessage
+ * @property {string} [type] - "user", "gemini", "info", "error", ...
+ * @property {string} [timestamp]
+ * @property {string | Array<{text?: string}>} [content]
+ * @property {Array<{subject?: string, description?: string}>} [thoughts]
+ * @property {Array<{name?: string, args?: ToolInput}>} [toolCalls]
  */
-class ScreenTerminalStream {
-  /**
-   * @param {string} session - tmux session name
-   * @param {number} [scrollback] - Number of scrollback lines to capture
-   */
-  constructor(session, scrollback = 0) {
-    this.session = session;
-    this.scrollback = scrollback;
-    this.lastScreen = "";
-  }
-
-  /**
-   * Read current screen lines (returns all visible lines on each call).
-   * Note: Unlike JsonlTerminalStream, this returns the full screen each time.
-   * @param {ReadOptions} [opts]
-   * @returns {Promise<TerminalLine[]>}
-   */
-  async readNext(opts = {}) {
-    const screen = tmuxCapture(this.session, this.scrollback);
-    this.lastScreen = screen;
 
-    const lines = parseScreenLines(screen);
+/**
+ * Parse a Gemini CLI session file into Claude-shaped log entries, so the
+ * Claude formatters, getAssistantText and cmdLog can read it unchanged.
+ * @param {string} content - The session file's JSON
+ * @returns {object[]}
+ */
+function parseGeminiSession(content) {
+  /** @type {{messages?: GeminiMessage[]}} */
+  let session;
+  try {
+    session = JSON.parse(content);
+  } catch {
+    // Gemini rewrites the whole file; a read can catch it mid-write
+    return [];
+  }
 
-    if (opts.max && lines.length > opts.max) {
-      return lines.slice(-opts.max); // Return last N lines for screen capture
+  /** @type {object[]} */
+  const entries = [];
+  for (const msg of session.messages || []) {
+    const text =
+      typeof msg.content === "string"
+        ? msg.content
+        : (msg.content || []).map((p) => p?.text || "").join("");
+
+    if (msg.type === "user") {
+      entries.push({
+        type: "user",
+        timestamp: msg.timestamp,
+        message: { content: text },
+      });
+      continue;
     }
+    if (msg.type !== "gemini") continue;
 
-    return lines;
+    const content = [];
+    for (const thought of msg.thoughts || []) {
+      const thinking = [thought.subject, thought.description]
+        .filter(Boolean)
+        .join(": ");
+      if (thinking) content.push({ type: "thinking", thinking });
+    }
+    if (text) content.push({ type: "text", text });
+    for (const call of msg.toolCalls || []) {
+      content.push({
+        type: "tool_use",
+        name: call.name || "tool",
+        input: call.args || {},
+      });
+    }
+    entries.push({
+      type: "assistant",
+      timestamp: msg.timestamp,
+      message: { content },
+    });
   }
+  return entries;
+}
 
-  /**
-   * Wait for a line matching the query.
-   * @param {MatchQuery} query
-   * @param {WaitOptions} [opts]
-   * @returns {Promise<MatchResult>}
-   */
-  async waitForMatch(query, opts = {}) {
-    const timeoutMs = opts.timeoutMs || 30000;
-    const pollInterval = 100;
-    const deadline = Date.now() + timeoutMs;
+/**
+ * Read all entries from a log file (JSONL, or a Gemini session document).
+ * @param {string} logPath
+ * @returns {any[]}
+ */
+function readLogEntries(logPath) {
+  const content = readFileSync(logPath, "utf-8");
+  if (logPath.endsWith(".json")) return parseGeminiSession(content);
 
-    while (Date.now() < deadline) {
-      const lines = await this.readNext();
-      const result = findMatch(lines, query);
-      if (result.matched) {
-        return result;
-      }
-      await sleep(pollInterval);
+  /** @type {any[]} */
+  const entries = [];
+  for (const line of content.trim().split("\n").filter(Boolean)) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
     }
-
-    return { matched: false };
   }
+  return entries;
+}
 
-  /**
-   * Get the last captured screen (raw string).
-   * Useful for compatibility with existing code that needs raw screen.
-   * @returns {string}
-   */
-  getLastScreen() {
-    return this.lastScreen;
+/**
+ * Split an apply_patch body into its per-file sections. A moved file is
+ * reported under its new path.
+ * @param {string} patch
+ * @returns {{path: string, body: string}[]}
+ */
+function splitCodexPatch(patch) {
+  /** @type {{path: string, lines: string[]}[]} */
+  const files = [];
+  /** @type {{path: string, lines: string[]} | null} */
+  let current = null;
+  for (const line of patch.split("\n")) {
+    const header = line.match(/^\*\*\* (?:Add|Update|Delete) File: (.+)$/);
+    if (header) {
+      current = { path: header[1].trim(), lines: [line] };
+      files.push(current);
+      continue;
+    }
+    if (line.startsWith("*** End Patch")) {
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+    const move = line.match(/^\*\*\* Move to: (.+)$/);
+    if (move) current.path = move[1].trim();
+    current.lines.push(line);
   }
+  return files.map((f) => ({ path: f.path, body: f.lines.join("\n") }));
 }
 
 /**
- * Terminal stream that reads from tmux screen capture with ANSI styling.
- * Uses `tmux capture-pane -e` to capture escape sequences.
- * Implements TerminalStream interface.
- * @implements {TerminalStream}
+ * The apply_patch body of a Codex tool call, whether it was made as the
+ * apply_patch tool itself or through the shell.
+ * @param {{type?: string, input?: string, arguments?: string}} payload
+ * @returns {string | null}
  */
-class StyledScreenTerminalStream {
-  /**
-   * @param {string} session - tmux session name
-   * @param {number} [scrollback] - Number of scrollback lines to capture
-   */
-  constructor(session, scrollback = 0) {
-    this.session = session;
-    this.scrollback = scrollback;
-    this.lastScreen = "";
+function getCodexPatch(payload) {
+  const raw =
+    payload.type === "custom_tool_call" ? payload.input : payload.arguments;
+  if (typeof raw !== "string" || !raw.includes("*** Begin Patch")) return null;
+  let text = raw;
+  try {
+    // function_call arguments are JSON: {input} or {command: [...]}
+    const args = JSON.parse(raw);
+    text =
+      typeof args.input === "string"
+        ? args.input
+        : [args.command].flat().join("\n");
+  } catch {
+    // custom_tool_call input is the patch itself
   }
+  return text.match(/\*\*\* Begin Patch\n[\s\S]*?\*\*\* End Patch/)?.[0] ?? null;
+}
 
-  /**
-   * Read current screen lines with ANSI styling parsed.
-   * @param {ReadOptions} [opts]
-   * @returns {Promise<TerminalLine[]>}
-   */
-  async readNext(opts = {}) {
-    const screen = tmuxCapture(this.session, this.scrollback, true); // withEscapes=true
-    this.lastScreen = screen;
-
-    const lines = parseStyledScreenLines(screen);
-
-    if (opts.max && lines.length > opts.max) {
-      return lines.slice(-opts.max); // Return last N lines for screen capture
+/**
+ * The error output of a Codex tool call, or null if it succeeded. Older
+ * rollouts wrap output as JSON with metadata.exit_code, newer ones start
+ * with an "Exit code: N" line.
+ * @param {unknown} output
+ * @returns {string | null}
+ */
+function getCodexCallFailure(output) {
+  if (typeof output !== "string") return null;
+  try {
+    const parsed = JSON.parse(output);
+    const code = parsed?.metadata?.exit_code;
+    if (typeof code === "number") {
+      return code === 0 ? null : String(parsed.output || `exit code ${code}`);
     }
-
-    return lines;
+  } catch {
+    // Plain text output
   }
-
-  /**
-   * Wait for a line matching the query (supports style-aware matching).
-   * @param {MatchQuery} query
-   * @param {WaitOptions} [opts]
-   * @returns {Promise<MatchResult>}
-   */
-  async waitForMatch(query, opts = {}) {
-    const timeoutMs = opts.timeoutMs || 30000;
-    const pollInterval = 100;
-    const deadline = Date.now() + timeoutMs;
-
-    while (Date.now() < deadline) {
-      const lines = await this.readNext();
-      const result = findMatch(lines, query);
-      if (result.matched) {
-        return result;
-      }
-      await sleep(pollInterval);
-    }
-
-    return { matched: false };
-  }
-
-  /**
-   * Get the last captured screen (raw string with ANSI codes).
-   * @returns {string}
-   */
-  getLastScreen() {
-    return this.lastScreen;
-  }
-}
+  const match = output.match(/^Exit code: (\d+)/);
+  return match && match[1] !== "0" ? output : null;
+}
 
 /**
- * Fake terminal stream for testing.
- * Implements TerminalStream interface.
- * @implements {TerminalStream}
+ * Normalize Codex rollout entries into Claude-shaped log entries, so the
+ * parent session helpers read both:
+ * - the user's requests (user_message events) as user entries
+ * - assistant text, merged into the message of the tool call that follows
+ *   it, which is where Claude keeps an edit's explanation
+ * - apply_patch calls as one `apply_patch` tool_use per file, with its patch
+ * - shell calls as `Bash` tool_uses, and their outcomes as tool_results
+ * - cwd, git branch and update_plan steps (as todos) on every user entry
+ * @param {any[]} rollout - Raw rollout lines
+ * @returns {object[]}
  */
-class FakeTerminalStream {
-  /**
-   * @param {TerminalLine[]} lines - Initial lines to provide
-   */
-  constructor(lines = []) {
-    this.lines = [...lines];
-    this.readCount = 0;
-    /** @type {TerminalLine[][]} */
-    this.pendingLines = [];
-  }
-
-  /**
-   * Queue lines to be returned on subsequent readNext calls.
-   * @param {TerminalLine[]} lines
-   */
-  queueLines(lines) {
-    this.pendingLines.push(lines);
-  }
+function normalizeCodexRollout(rollout) {
+  /** @type {object[]} */
+  const entries = [];
+  /** @type {{cwd: string | null, gitBranch: string | null, todos: Array<{content: string, status: string}> | null}} */
+  const meta = { cwd: null, gitBranch: null, todos: null };
+  /** @type {{type: string, text: string}[]} */
+  let pendingText = [];
+  /** @type {string | null} */
+  let lastUserText = null;
 
-  /**
-   * Add more lines to the current buffer (simulates new output).
-   * @param {TerminalLine[]} lines
-   */
-  addLines(lines) {
-    this.lines.push(...lines);
-  }
+  /** @param {any[]} content */
+  const pushAssistant = (content) => {
+    entries.push({
+      type: "assistant",
+      message: { content: [...pendingText, ...content] },
+    });
+    pendingText = [];
+  };
+  /** @param {string | object[]} content */
+  const pushUser = (content) => {
+    if (pendingText.length > 0) pushAssistant([]);
+    entries.push({ type: "user", ...meta, message: { content } });
+  };
 
-  /**
-   * Read new lines since last read.
-   * First call returns initial lines, subsequent calls return queued lines.
-   * @param {ReadOptions} [opts]
-   * @returns {Promise<TerminalLine[]>}
-   */
-  async readNext(opts = {}) {
-    this.readCount++;
+  for (const { type, payload } of rollout) {
+    if (!payload) continue;
 
-    /** @type {TerminalLine[]} */
-    let result = [];
-    if (this.readCount === 1) {
-      result = this.lines;
-    } else if (this.pendingLines.length > 0) {
-      result = this.pendingLines.shift() || [];
+    if (type === "session_meta" || type === "turn_context") {
+      meta.cwd = payload.cwd || meta.cwd;
+      meta.gitBranch = payload.git?.branch || meta.gitBranch;
+      continue;
     }
 
-    if (opts.max && result.length > opts.max) {
-      return result.slice(0, opts.max);
+    if (type === "event_msg" && payload.type === "user_message") {
+      const text = String(payload.message || "").trim();
+      if (text && text !== lastUserText) pushUser(text);
+      lastUserText = text;
+      continue;
     }
+    if (type !== "response_item") continue;
 
-    return result;
-  }
-
-  /**
-   * Wait for a line matching the query.
-   * Immediately checks available lines without polling.
-   * @param {MatchQuery} query
-   * @param {WaitOptions} [_opts]
-   * @returns {Promise<MatchResult>}
-   */
-  async waitForMatch(query, _opts = {}) {
-    // Check initial lines
-    const result = findMatch(this.lines, query);
-    if (result.matched) {
-      return result;
+    if (payload.type === "message") {
+      const text = (payload.content || [])
+        .map((/** @type {{text?: string}} */ p) => p.text || "")
+        .join("")
+        .trim();
+      if (payload.role === "assistant" && text) {
+        pendingText.push({ type: "text", text });
+      } else if (
+        payload.role === "user" &&
+        text &&
+        !text.startsWith("<") && // injected environment/instructions
+        text !== lastUserText
+      ) {
+        pushUser(text);
+        lastUserText = text;
+      }
+      continue;
     }
 
-    // Check all pending lines
-    for (const pendingBatch of this.pendingLines) {
-      const batchResult = findMatch(pendingBatch, query);
-      if (batchResult.matched) {
-        return batchResult;
+    if (
+      payload.type === "function_call" ||
+      payload.type === "custom_tool_call"
+    ) {
+      const id = payload.call_id;
+      const patch = getCodexPatch(payload);
+      if (patch) {
+        pushAssistant(
+          splitCodexPatch(patch).map((file) => ({
+            type: "tool_use",
+            name: "apply_patch",
+            id,
+            input: { file_path: file.path, patch: file.body },
+          }))
+        );
+        continue;
+      }
+
+      /** @type {any} */
+      let args = {};
+      try {
+        args = JSON.parse(payload.arguments || payload.input || "{}");
+      } catch {
+        args = { input: payload.input };
       }
+      if (payload.name === "update_plan" && Array.isArray(args.plan)) {
+        meta.todos = args.plan.map(
+          (/** @type {{step?: string, status?: string}} */ p) => ({
+            content: p.step || "",
+            status: p.status || "pending",
+          })
+        );
+        continue;
+      }
+      // shell takes an argv, ["bash", "-lc", "..."] for most commands
+      const command = Array.isArray(args.command)
+        ? /^(ba|z)?sh$/.test(args.command[0]) && args.command.length === 3
+          ? args.command[2]
+          : args.command.join(" ")
+        : args.command;
+      pushAssistant([
+        typeof command === "string"
+          ? { type: "tool_use", name: "Bash", id, input: { command } }
+          : { type: "tool_use", name: payload.name || "tool", id, input: args },
+      ]);
+      continue;
     }
 
-    return { matched: false };
+    if (
+      payload.type === "function_call_output" ||
+      payload.type === "custom_tool_call_output"
+    ) {
+      const failure = getCodexCallFailure(payload.output);
+      pushUser([
+        {
+          type: "tool_result",
+          tool_use_id: payload.call_id,
+          is_error: failure !== null,
+          content: failure ?? "",
+        },
+      ]);
+    }
   }
+  if (pendingText.length > 0) pushAssistant([]);
+  return entries;
+}
 
-  /**
-   * Create a TerminalLine from a raw string (helper for tests).
-   * @param {string} raw
-   * @returns {TerminalLine}
-   */
-  static line(raw) {
-    return { spans: [{ text: raw }], raw };
-  }
+/**
+ * @typedef {Object} SessionMeta
+ * @property {string | null} slug - Plan identifier (if plan is active)
+ * @property {Array<{content: string, status: string, id?: string}> | null} todos - Current todos
+ * @property {string | null} permissionMode - "default", "acceptEdits", "plan"
+ * @property {string | null} gitBranch - Current git branch
+ * @property {string | null} cwd - Working directory
+ */
 
-  /**
-   * Create multiple TerminalLines from raw strings (helper for tests).
-   * @param {string[]} raws
-   * @returns {TerminalLine[]}
-   */
-  static lines(raws) {
-    return raws.map((raw) => FakeTerminalStream.line(raw));
+/**
+ * Get metadata from a Claude session's JSONL file or a Codex rollout. Codex
+ * has no plans or permission modes; its update_plan steps stand in for todos.
+ * @param {string} sessionName - The tmux session name
+ * @returns {SessionMeta | null}
+ */
+function getSessionMeta(sessionName) {
+  const parsed = parseSessionName(sessionName);
+  if (!parsed?.uuid) return null;
+  if (parsed.tool !== "claude" && parsed.tool !== "codex") return null;
+
+  const log = findParentLog({ session: sessionName, uuid: parsed.uuid });
+  if (!log) return null;
+
+  try {
+    const entries = readParentLogEntries(log);
+
+    // Read from end to find most recent entry with metadata
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      // User entries typically have the metadata fields
+      if (entry.type === "user" || entry.slug || entry.gitBranch) {
+        return {
+          slug: entry.slug || null,
+          todos: entry.todos || null,
+          permissionMode: entry.permissionMode || null,
+          gitBranch: entry.gitBranch || null,
+          cwd: entry.cwd || null,
+        };
+      }
+    }
+    return null;
+  } catch (err) {
+    debugError("getSessionMeta", err);
+    return null;
   }
 }
 
 /**
- * Extract pending tool from confirmation screen.
- * @param {string} screen
- * @returns {string | null}
+ * Read a plan file by its slug.
+ * @param {string} slug - The plan slug (e.g., "curious-roaming-pascal")
+ * @returns {string | null} The plan content or null if not found
  */
-function extractPendingToolFromScreen(screen) {
-  const lines = screen.split("\n");
-
-  // Check recent lines for tool confirmation patterns
-  for (let i = lines.length - 1; i >= Math.max(0, lines.length - 15); i--) {
-    const line = lines[i];
-    // Match tool confirmation patterns like "Bash: command" or "Write: /path/file"
-    const match = line.match(
-      /^\s*(Bash|Write|Edit|Read|Glob|Grep|Task|WebFetch|WebSearch|NotebookEdit|Skill|TodoWrite|TodoRead):\s*(.{1,40})/
-    );
-    if (match) {
-      return `${match[1]}: ${match[2].trim()}`;
+function readPlanFile(slug) {
+  const planPath = path.join(CLAUDE_CONFIG_DIR, "plans", `${slug}.md`);
+  try {
+    if (existsSync(planPath)) {
+      return readFileSync(planPath, "utf-8");
     }
+  } catch (err) {
+    debugError("readPlanFile", err);
   }
-
   return null;
 }
 
 /**
- * Format confirmation output with helpful commands
- * @param {string} screen
- * @param {Agent} _agent
+ * Format todos for display in a prompt.
+ * @param {Array<{content: string, status: string, id?: string}>} todos
  * @returns {string}
  */
-function formatConfirmationOutput(screen, _agent) {
-  const pendingTool = extractPendingToolFromScreen(screen);
-  const cli = path.basename(process.argv[1], ".js");
-
-  let output = pendingTool || "Confirmation required";
-  output += "\n\ne.g.";
-  output += `\n  ${cli} approve        # for y/n prompts`;
-  output += `\n  ${cli} reject`;
-  output += `\n  ${cli} select N       # for numbered menus`;
-
-  return output;
+function formatTodos(todos) {
+  if (!todos || todos.length === 0) return "";
+  return todos
+    .map((t) => {
+      const status =
+        t.status === "completed"
+          ? "[x]"
+          : t.status === "in_progress"
+          ? "[>]"
+          : "[ ]";
+      return `${status} ${t.content || "(no content)"}`;
+    })
+    .join("\n");
 }
 
 /**
- * @returns {string[]}
+ * Extract assistant text responses from a JSONL log file.
+ * This provides clean text without screen-scraped artifacts.
+ * @param {string} logPath - Path to the JSONL log file
+ * @param {number} [index=0] - 0 = last response, -1 = second-to-last, etc.
+ * @returns {string | null} The assistant text or null if not found
  */
-function tmuxListSessions() {
+function getAssistantText(logPath, index = 0) {
+  if (!logPath || !existsSync(logPath)) return null;
+
   try {
-    const output = tmux(["list-sessions", "-F", "#{session_name}"]);
-    return output.trim().split("\n").filter(Boolean);
-  } catch {
-    return [];
+    const entries = readLogEntries(logPath);
+
+    // Collect all assistant entries with text (from end, for efficiency)
+    const assistantTexts = [];
+    const needed = Math.abs(index) + 1;
+
+    for (
+      let i = entries.length - 1;
+      i >= 0 && assistantTexts.length < needed;
+      i--
+    ) {
+      const entry = entries[i];
+      if (entry.type === "assistant") {
+        /** @type {{type: string, text?: string}[]} */
+        const parts = entry.message?.content || [];
+        const text = parts
+          .filter((p) => p.type === "text")
+          .map((p) => p.text || "")
+          .join("\n")
+          .trim();
+        if (text) assistantTexts.push(text);
+      }
+    }
+
+    // index=0 means last (assistantTexts[0]), index=-1 means second-to-last (assistantTexts[1])
+    const targetIndex = Math.abs(index);
+    return assistantTexts[targetIndex] ?? null;
+  } catch (err) {
+    debugError("getAssistantText", err);
+    return null;
   }
 }
 
 /**
- * @param {string} partial
- * @returns {string | null}
+ * Read new complete JSON lines from a log file since the given offset.
+ * @param {string | null} logPath
+ * @param {number} fromOffset
+ * @returns {{ entries: object[], newOffset: number }}
  */
-function resolveSessionName(partial) {
-  if (!partial) return null;
-
-  const sessions = tmuxListSessions();
-  const agentSessions = sessions.filter((s) => parseSessionName(s));
-  debug(
-    "session",
-    `resolving "${partial}" from ${agentSessions.length} agent sessions`
-  );
-
-  // Exact match
-  if (agentSessions.includes(partial)) {
-    debug("session", `exact match: ${partial}`);
-    return partial;
+function tailJsonl(logPath, fromOffset) {
+  if (!logPath || !existsSync(logPath)) {
+    return { entries: [], newOffset: fromOffset };
   }
 
-  // Archangel name match (e.g., "reviewer" matches "claude-archangel-reviewer-uuid")
-  const archangelMatches = agentSessions.filter((s) => {
-    const parsed = parseSessionName(s);
-    return parsed?.archangelName === partial;
-  });
-  if (archangelMatches.length === 1) {
-    debug("session", `archangel match: ${archangelMatches[0]}`);
-    return archangelMatches[0];
-  }
-  if (archangelMatches.length > 1) {
-    console.log("ERROR: ambiguous archangel name. Matches:");
-    for (const m of archangelMatches) console.log(`  ${m}`);
-    process.exit(1);
+  const stats = statSync(logPath);
+  if (stats.size <= fromOffset) {
+    return { entries: [], newOffset: fromOffset };
   }
 
-  // Prefix match
-  const matches = agentSessions.filter((s) => s.startsWith(partial));
-  if (matches.length === 1) {
-    debug("session", `prefix match: ${matches[0]}`);
-    return matches[0];
-  }
-  if (matches.length > 1) {
-    console.log("ERROR: ambiguous session prefix. Matches:");
-    for (const m of matches) console.log(`  ${m}`);
-    process.exit(1);
-  }
+  const fd = openSync(logPath, "r");
+  const buffer = Buffer.alloc(stats.size - fromOffset);
+  readSync(fd, buffer, 0, buffer.length, fromOffset);
+  closeSync(fd);
 
-  // Partial UUID match (e.g., "33fe38" matches "claude-partner-33fe38b1-...")
-  const uuidMatches = agentSessions.filter((s) => {
-    const parsed = parseSessionName(s);
-    return parsed?.uuid?.startsWith(partial);
-  });
-  if (uuidMatches.length === 1) {
-    debug("session", `UUID match: ${uuidMatches[0]}`);
-    return uuidMatches[0];
-  }
-  if (uuidMatches.length > 1) {
-    console.log("ERROR: ambiguous UUID prefix. Matches:");
-    for (const m of uuidMatches) console.log(`  ${m}`);
-    process.exit(1);
+  // Last line may be incomplete - don't parse it yet (split on bytes, offsets are byte offsets)
+  const end = buffer.lastIndexOf(0x0a) + 1;
+  const complete = buffer
+    .subarray(0, end)
+    .toString("utf-8")
+    .split("\n")
+    .filter(Boolean);
+
+  const entries = [];
+  for (const line of complete) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip malformed lines
+    }
   }
 
-  debug("session", `no match found, returning as-is: ${partial}`);
-  return partial; // Return as-is, let caller handle not found
+  // Offset advances by complete lines only
+  const newOffset = fromOffset + end;
+  return { entries, newOffset };
 }
 
-// =============================================================================
-// Helpers - archangels
-// =============================================================================
+/**
+ * @typedef {{command?: string, file_path?: string, path?: string, pattern?: string}} ToolInput
+ */
 
 /**
- * @returns {ArchangelConfig[]}
+ * Format a Claude Code JSONL log entry for streaming display.
+ * Claude format: {type: "assistant", message: {content: [...]}}
+ * @param {{type?: string, message?: {content?: Array<{type?: string, text?: string, thinking?: string, name?: string, input?: ToolInput, tool?: string, arguments?: ToolInput}>}}} entry
+ * @returns {string | null}
  */
-function loadAgentConfigs() {
-  const agentsDir = AGENTS_DIR;
-  if (!existsSync(agentsDir)) return [];
+/**
+ * Format a Claude JSONL log entry for streaming display.
+ * @param {{type?: string, message?: {content?: Array<{type?: string, text?: string, thinking?: string, name?: string, tool?: string, input?: {command?: string, file_path?: string, path?: string, pattern?: string, description?: string, subagent_type?: string}, arguments?: {command?: string, file_path?: string, path?: string, pattern?: string, description?: string, subagent_type?: string}}>}}} entry
+ * @returns {LogSegment[] | null}
+ */
+function formatClaudeLogEntry(entry) {
+  // Skip tool_result entries (they can be very verbose)
+  if (entry.type === "tool_result") return null;
 
-  const files = readdirSync(agentsDir).filter((f) => f.endsWith(".md"));
-  /** @type {ArchangelConfig[]} */
-  const configs = [];
+  // Only process assistant entries
+  if (entry.type !== "assistant") return null;
 
-  for (const file of files) {
-    try {
-      const content = readFileSync(path.join(agentsDir, file), "utf-8");
-      const config = parseAgentConfig(file, content);
-      if (config && "error" in config) {
-        console.error(`ERROR: ${file}: ${config.error}`);
-        continue;
+  const parts = entry.message?.content || [];
+  /** @type {LogSegment[]} */
+  const output = [];
+
+  for (const part of parts) {
+    if (part.type === "text" && part.text) {
+      output.push({ type: "text", content: part.text });
+    } else if (part.type === "thinking" && part.thinking) {
+      // Include thinking blocks - extended thinking models put responses here
+      output.push({ type: "thinking", content: part.thinking });
+    } else if (part.type === "tool_use" || part.type === "tool_call") {
+      const name = part.name || part.tool || "tool";
+      const input = part.input || part.arguments || {};
+      let summary;
+      if (name === "Bash" && input.command) {
+        summary = truncate(input.command, 50);
+      } else if (
+        name === "Task" &&
+        (input.description || input.subagent_type)
+      ) {
+        // Task tool: show description or subagent type
+        summary = input.description || input.subagent_type || "";
+        summary = truncate(summary, 40);
+      } else {
+        const target = input.file_path || input.path || input.pattern || "";
+        summary = target.split("/").pop() || truncate(target, 30);
       }
-      if (config) configs.push(config);
-    } catch (err) {
-      console.error(
-        `ERROR: Failed to read ${file}: ${
-          err instanceof Error ? err.message : err
-        }`
-      );
+      output.push({ type: "tool", content: `> ${name}(${summary})` });
     }
   }
 
-  return configs;
+  return output.length > 0 ? output : null;
 }
 
 /**
- * @param {string} filename
- * @param {string} content
- * @returns {ArchangelConfig | {error: string} | null}
+ * Format a Codex JSONL log entry for streaming display.
+ * Codex format:
+ * - {type: "response_item", payload: {type: "message", role: "assistant", content: [{type: "output_text", text: "..."}]}}
+ * - {type: "response_item", payload: {type: "function_call", name: "...", arguments: "{...}"}}
+ * - {type: "event_msg", payload: {type: "agent_message", message: "..."}}
+ * - {type: "event_msg", payload: {type: "agent_reasoning", text: "..."}}
+ * @param {{type?: string, payload?: {type?: string, role?: string, name?: string, arguments?: string, message?: string, text?: string, content?: Array<{type?: string, text?: string}>}}} entry
+ * @returns {LogSegment[] | null}
  */
-function parseAgentConfig(filename, content) {
-  const name = filename.replace(/\.md$/, "");
-
-  // Normalize line endings (handle Windows CRLF)
-  const normalized = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-
-  // Parse frontmatter
-  const frontmatterMatch = normalized.match(
-    /^---\n([\s\S]*?)\n---\n([\s\S]*)$/
-  );
-  if (!frontmatterMatch) {
-    if (!normalized.startsWith("---")) {
-      return { error: `Missing frontmatter. File must start with '---'` };
-    }
-    if (!normalized.includes("\n---\n")) {
-      return {
-        error: `Frontmatter not closed. Add '---' on its own line after the YAML block`,
-      };
-    }
-    return { error: `Invalid frontmatter format` };
-  }
-
-  const frontmatter = frontmatterMatch[1];
-  const prompt = frontmatterMatch[2].trim();
-
-  if (!prompt) {
-    return { error: `Missing prompt content after frontmatter` };
+function formatCodexLogEntry(entry) {
+  // Skip function_call_output entries (equivalent to tool_result - can be verbose)
+  if (
+    entry.type === "response_item" &&
+    entry.payload?.type === "function_call_output"
+  ) {
+    return null;
   }
 
-  // Known fields
-  const knownFields = ["tool", "interval", "watch"];
-
-  // Check for unknown fields (likely typos)
-  const fieldLines = frontmatter
-    .split("\n")
-    .filter((line) => /^\w+:/.test(line.trim()));
-  for (const line of fieldLines) {
-    const fieldName = line.trim().match(/^(\w+):/)?.[1];
-    if (fieldName && !knownFields.includes(fieldName)) {
-      // Suggest closest match
-      const suggestions = knownFields.filter(
-        (f) => f[0] === fieldName[0] || fieldName.includes(f.slice(0, 3))
-      );
-      const hint =
-        suggestions.length > 0 ? ` Did you mean '${suggestions[0]}'?` : "";
-      return {
-        error: `Unknown field '${fieldName}'.${hint} Valid fields: ${knownFields.join(
-          ", "
-        )}`,
-      };
+  // Handle function calls
+  if (
+    entry.type === "response_item" &&
+    entry.payload?.type === "function_call"
+  ) {
+    const name = entry.payload.name || "tool";
+    let summary = "";
+    try {
+      const args = JSON.parse(entry.payload.arguments || "{}");
+      if (name === "shell_command" && args.command) {
+        summary = truncate(args.command, 50);
+      } else if (name === "Task" && (args.description || args.subagent_type)) {
+        // Task tool: show description or subagent type
+        summary = args.description || args.subagent_type || "";
+        summary = truncate(summary, 40);
+      } else {
+        const target = args.file_path || args.path || args.pattern || "";
+        summary = target.split("/").pop() || truncate(target, 30);
+      }
+    } catch {
+      summary = "...";
     }
+    return [{ type: "tool", content: `> ${name}(${summary})` }];
   }
 
-  // Parse tool
-  const toolMatch = frontmatter.match(/^tool:\s*(\S+)/m);
-  const tool = toolMatch?.[1] || "codex";
-  if (tool !== "claude" && tool !== "codex") {
-    return { error: `Invalid tool '${tool}'. Must be 'claude' or 'codex'` };
+  // Handle assistant messages (final response)
+  if (entry.type === "response_item" && entry.payload?.role === "assistant") {
+    const parts = entry.payload.content || [];
+    /** @type {LogSegment[]} */
+    const output = [];
+    for (const part of parts) {
+      if ((part.type === "output_text" || part.type === "text") && part.text) {
+        output.push({ type: "text", content: part.text });
+      }
+    }
+    return output.length > 0 ? output : null;
   }
 
-  // Parse interval
-  const intervalMatch = frontmatter.match(/^interval:\s*(.+)$/m);
-  let interval = 60;
-  if (intervalMatch) {
-    const rawValue = intervalMatch[1].trim();
-    const parsed = parseInt(rawValue, 10);
-    if (isNaN(parsed)) {
-      return {
-        error: `Invalid interval '${rawValue}'. Must be a number (seconds)`,
-      };
-    }
-    interval = Math.max(10, Math.min(3600, parsed)); // Clamp to 10s - 1hr
+  // Handle streaming agent messages
+  if (entry.type === "event_msg" && entry.payload?.type === "agent_message") {
+    const message = entry.payload.message;
+    return message ? [{ type: "text", content: message }] : null;
   }
 
-  // Parse watch patterns
-  const watchLine = frontmatter.match(/^watch:\s*(.+)$/m);
-  let watchPatterns = ["**/*"];
-  if (watchLine) {
-    const rawWatch = watchLine[1].trim();
-    // Must be array format
-    if (!rawWatch.startsWith("[") || !rawWatch.endsWith("]")) {
-      return {
-        error: `Invalid watch format. Must be an array: watch: ["src/**/*.ts"]`,
-      };
-    }
-    const inner = rawWatch.slice(1, -1).trim();
-    if (!inner) {
-      return {
-        error: `Empty watch array. Add at least one pattern: watch: ["**/*"]`,
-      };
-    }
-    watchPatterns = inner
-      .split(",")
-      .map((p) => p.trim().replace(/^["']|["']$/g, ""));
-    // Validate patterns aren't empty
-    if (watchPatterns.some((p) => !p)) {
-      return {
-        error: `Invalid watch pattern. Check for trailing commas or empty values`,
-      };
-    }
+  // Handle agent reasoning (thinking during review)
+  if (entry.type === "event_msg" && entry.payload?.type === "agent_reasoning") {
+    const text = entry.payload.text;
+    return text ? [{ type: "thinking", content: text }] : null;
   }
 
-  return { name, tool, watch: watchPatterns, interval, prompt };
+  return null;
 }
 
-/**
- * @param {ArchangelConfig} config
- * @returns {string}
- */
-function getArchangelSessionPattern(config) {
-  return `${config.tool}-archangel-${config.name}`;
-}
+// =============================================================================
+// Terminal Stream Primitives - Pure functions for parsing terminal data
+// =============================================================================
 
 /**
- * @param {string} rfpId
- * @param {string} prompt
+ * Parse a JSONL log entry into TerminalLine[].
+ * Wraps formatClaudeLogEntry/formatCodexLogEntry to return structured data.
+ * @param {object} entry - A parsed JSONL entry
+ * @param {LogFormat} format - The log format
+ * @returns {TerminalLine[]}
  */
-function writeRfpRecord(rfpId, prompt) {
-  ensureRfpDir();
-  const p = path.join(RFP_DIR, `${rfpId}.md`);
-  const block = [`### ${rfpId}`, "", prompt.trim(), ""].join("\n");
-  writeFileSync(p, block, "utf-8");
-}
+function parseJsonlEntry(entry, format) {
+  const segments =
+    format === "codex"
+      ? formatCodexLogEntry(entry)
+      : formatClaudeLogEntry(entry);
+  if (!segments) return [];
 
-/**
- * @param {string} input
- * @returns {string}
- */
-function resolveRfpId(input) {
-  ensureRfpDir();
-  if (!existsSync(RFP_DIR)) return input;
-  const files = readdirSync(RFP_DIR).filter((f) => f.endsWith(".md"));
-  const ids = files.map((f) => f.replace(/\.md$/, ""));
-  const matches = ids.filter((id) => id.startsWith(input));
-  if (matches.length === 1) return matches[0];
-  if (matches.length > 1) {
-    console.log("ERROR: ambiguous rfp id. Matches:");
-    for (const m of matches) console.log(`  ${m}`);
-    process.exit(1);
+  // Convert segments to TerminalLines, splitting multiline content
+  /** @type {TerminalLine[]} */
+  const lines = [];
+  for (const segment of segments) {
+    const contentLines = segment.content.split("\n");
+    for (const line of contentLines) {
+      lines.push({
+        spans: [{ text: line }],
+        raw: line,
+        lineType: segment.type,
+      });
+    }
   }
-  return input;
+  return lines;
 }
 
 /**
- * @param {ParentSession | null} parent
- * @returns {string}
+ * Parse raw screen output into TerminalLine[].
+ * Each line becomes a TerminalLine with a single unstyled span.
+ * @param {string} screen - Raw screen content from tmux capture
+ * @returns {TerminalLine[]}
  */
-function generateRfpId(parent) {
-  const now = new Date();
-  const y = now.getFullYear();
-  const mo = String(now.getMonth() + 1).padStart(2, "0");
-  const d = String(now.getDate()).padStart(2, "0");
-  const h = String(now.getHours()).padStart(2, "0");
-  const mi = String(now.getMinutes()).padStart(2, "0");
-  const s = String(now.getSeconds()).padStart(2, "0");
-  const ts = `${y}-${mo}-${d}-${h}-${mi}-${s}`;
-  const base = parent?.uuid
-    ? parent.uuid.split("-")[0]
-    : randomUUID().split("-")[0];
-  const suffix = randomUUID().split("-")[0].slice(0, 4);
-  return `rfp-${base}-${ts}-${suffix}`.toLowerCase();
+function parseScreenLines(screen) {
+  if (!screen) return [];
+  return screen.split("\n").map((line) => ({
+    spans: [{ text: line }],
+    raw: line,
+  }));
 }
 
-// =============================================================================
-// Helpers - mailbox
-// =============================================================================
-
-const MAILBOX_PATH = path.join(AI_DIR, "mailbox.jsonl");
-
 /**
- * @returns {void}
+ * ANSI color code to color name mapping.
+ * @type {Record<string, string>}
  */
-function ensureMailboxDir() {
-  const dir = path.dirname(MAILBOX_PATH);
-  if (!existsSync(dir)) {
-    mkdirSync(dir, { recursive: true });
-  }
-}
+const ANSI_COLORS = {
+  30: "black",
+  31: "red",
+  32: "green",
+  33: "yellow",
+  34: "blue",
+  35: "magenta",
+  36: "cyan",
+  37: "white",
+  90: "bright-black",
+  91: "bright-red",
+  92: "bright-green",
+  93: "bright-yellow",
+  94: "bright-blue",
+  95: "bright-magenta",
+  96: "bright-cyan",
+  97: "bright-white",
+};
 
 /**
- * @returns {void}
+ * ANSI background color code to color name mapping.
+ * @type {Record<string, string>}
  */
-function ensureRfpDir() {
-  if (!existsSync(RFP_DIR)) {
-    mkdirSync(RFP_DIR, { recursive: true });
-  }
-}
+const ANSI_BG_COLORS = {
+  40: "black",
+  41: "red",
+  42: "green",
+  43: "yellow",
+  44: "blue",
+  45: "magenta",
+  46: "cyan",
+  47: "white",
+  100: "bright-black",
+  101: "bright-red",
+  102: "bright-green",
+  103: "bright-yellow",
+  104: "bright-blue",
+  105: "bright-magenta",
+  106: "bright-cyan",
+  107: "bright-white",
+};
 
 /**
- * @param {MailboxPayload} payload
- * @param {string} [type]
- * @returns {void}
+ * Parse ANSI escape sequences from a line of text into styled spans.
+ * @param {string} line - Line containing ANSI escape sequences
+ * @returns {TextSpan[]}
  */
-function writeToMailbox(payload, type = "observation") {
-  ensureMailboxDir();
-  const entry = {
-    timestamp: new Date().toISOString(),
-    type,
-    payload,
-  };
-  appendFileSync(MAILBOX_PATH, JSON.stringify(entry) + "\n");
-}
+function parseAnsiLine(line) {
+  if (!line) return [{ text: "" }];
 
-/**
- * @param {Object} [options]
- * @param {number} [options.maxAge]
- * @param {string | null} [options.branch]
- * @param {number} [options.limit]
- * @returns {MailboxEntry[]}
- */
-function readMailbox({
-  maxAge = MAILBOX_MAX_AGE_MS,
-  branch = null,
-  limit = 10,
-} = {}) {
-  if (!existsSync(MAILBOX_PATH)) return [];
+  const spans = [];
+  /** @type {TerminalStyle} */
+  let currentStyle = {};
+  let currentText = "";
 
-  const now = Date.now();
-  const lines = readFileSync(MAILBOX_PATH, "utf-8")
-    .trim()
-    .split("\n")
-    .filter(Boolean);
-  /** @type {MailboxEntry[]} */
-  const entries = [];
+  // ANSI escape sequence pattern: ESC [ <params> m
+  // Matches sequences like \x1b[31m (red), \x1b[1;31m (bold red), \x1b[0m (reset)
+  // eslint-disable-next-line no-control-regex
+  const ansiPattern = /\x1b\[([0-9;]*)m/g;
+  let lastIndex = 0;
+  let match;
 
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      const age = now - new Date(entry.timestamp).getTime();
+  while ((match = ansiPattern.exec(line)) !== null) {
+    // Add text before this escape sequence
+    const textBefore = line.slice(lastIndex, match.index);
+    if (textBefore) {
+      currentText += textBefore;
+    }
+
+    // Flush current span if we have text
+    if (currentText) {
+      /** @type {TextSpan} */
+      const span = { text: currentText };
+      if (Object.keys(currentStyle).length > 0) {
+        span.style = { ...currentStyle };
+      }
+      spans.push(span);
+      currentText = "";
+    }
+
+    // Parse SGR (Select Graphic Rendition) parameters
+    // Note: \x1b[m (empty params) is equivalent to \x1b[0m (reset)
+    const params = match[1].split(";").filter(Boolean);
+    if (params.length === 0) {
+      // Empty params means reset (e.g., \x1b[m)
+      currentStyle = {};
+    }
+    for (const param of params) {
+      const code = param;
+      if (code === "0") {
+        // Reset
+        currentStyle = {};
+      } else if (code === "1") {
+        currentStyle.bold = true;
+      } else if (code === "2") {
+        currentStyle.dim = true;
+      } else if (code === "3") {
+        currentStyle.italic = true;
+      } else if (code === "4") {
+        currentStyle.underline = true;
+      } else if (code === "22") {
+        // Normal intensity (neither bold nor dim)
+        delete currentStyle.bold;
+        delete currentStyle.dim;
+      } else if (code === "23") {
+        delete currentStyle.italic;
+      } else if (code === "24") {
+        delete currentStyle.underline;
+      } else if (ANSI_COLORS[code]) {
+        currentStyle.fg = ANSI_COLORS[code];
+      } else if (ANSI_BG_COLORS[code]) {
+        currentStyle.bg = ANSI_BG_COLORS[code];
+      } else if (code === "39") {
+        // Default foreground
+        delete currentStyle.fg;
+      } else if (code === "49") {
+        // Default background
+        delete currentStyle.bg;
+      }
+    }
 
-      // Filter by age
-      if (age > maxAge) continue;
+    lastIndex = ansiPattern.lastIndex;
+  }
 
-      // Filter by branch if specified
-      if (branch && entry.payload?.branch !== branch) continue;
+  // Add remaining text
+  const remaining = line.slice(lastIndex);
+  if (remaining) {
+    currentText += remaining;
+  }
 
-      entries.push(entry);
-    } catch (err) {
-      debugError("readMailbox", err);
+  // Flush final span
+  if (currentText || spans.length === 0) {
+    /** @type {TextSpan} */
+    const span = { text: currentText };
+    if (Object.keys(currentStyle).length > 0) {
+      span.style = { ...currentStyle };
     }
+    spans.push(span);
   }
 
-  // Return most recent entries
-  return entries.slice(-limit);
+  return spans;
 }
 
 /**
- * @param {number} [maxAgeHours]
- * @returns {void}
- */
-function gcMailbox(maxAgeHours = 24) {
-  if (!existsSync(MAILBOX_PATH)) return;
+ * Parse raw screen output with ANSI codes into styled TerminalLine[].
+ * @param {string} screen - Screen content with ANSI escape codes
+ * @returns {TerminalLine[]}
+ */
+function parseStyledScreenLines(screen) {
+  if (!screen) return [];
+  return screen.split("\n").map((line) => {
+    const spans = parseAnsiLine(line);
+    // Raw text is spans joined without styles
+    const raw = spans.map((s) => s.text).join("");
+    return { spans, raw };
+  });
+}
 
-  const now = Date.now();
-  const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
-  const lines = readFileSync(MAILBOX_PATH, "utf-8")
-    .trim()
-    .split("\n")
-    .filter(Boolean);
-  const kept = [];
+/**
+ * Find a line matching the given query.
+ * Style filters are ignored when lines don't have style information.
+ * @param {TerminalLine[]} lines - Lines to search
+ * @param {MatchQuery} query - Query with pattern and optional style filter
+ * @returns {MatchResult}
+ */
+function findMatch(lines, query) {
+  const { pattern, style } = query;
 
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      const age = now - new Date(entry.timestamp).getTime();
-      if (age < maxAgeMs) kept.push(line);
-    } catch {
-      // Skip invalid lines
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const text = line.raw;
+
+    // Check pattern match
+    const patternMatches =
+      typeof pattern === "string" ? text.includes(pattern) : pattern.test(text);
+
+    if (!patternMatches) continue;
+
+    // If no style filter requested, we have a match
+    if (!style) {
+      return { matched: true, line, lineIndex: i };
+    }
+
+    // Check style match (if line has styled spans)
+    // Style filter is silently ignored if implementation doesn't provide styles
+    const hasStyledSpans = line.spans.some((span) => span.style);
+    if (!hasStyledSpans) {
+      // No style info available - pattern match is enough
+      return { matched: true, line, lineIndex: i };
+    }
+
+    // Check if any span matches both pattern and style
+    const styleMatches = line.spans.some((span) => {
+      if (!span.style) return false;
+      const spanMatchesPattern =
+        typeof pattern === "string"
+          ? span.text.includes(pattern)
+          : pattern.test(span.text);
+      if (!spanMatchesPattern) return false;
+
+      // Check each requested style property
+      const spanStyle = /** @type {Record<string, unknown>} */ (span.style);
+      for (const [key, value] of Object.entries(style)) {
+        if (spanStyle[key] !== value) return false;
+      }
+      return true;
+    });
+
+    if (styleMatches) {
+      return { matched: true, line, lineIndex: i };
     }
   }
 
-  // Atomic write: write to temp file then rename
-  const tmpPath = MAILBOX_PATH + ".tmp";
-  writeFileSync(tmpPath, kept.join("\n") + (kept.length ? "\n" : ""));
-  renameSync(tmpPath, MAILBOX_PATH);
+  return { matched: false };
 }
 
 // =============================================================================
-// Helpers - git
+// Terminal Stream Implementations
 // =============================================================================
 
-/** @returns {string} */
-function getCurrentBranch() {
-  try {
-    return execSync("git branch --show-current 2>/dev/null", {
-      encoding: "utf-8",
-    }).trim();
-  } catch {
-    return "unknown";
-  }
-}
+/**
+ * Terminal stream that reads from JSONL log files (Claude/Codex logs).
+ * Implements TerminalStream interface.
+ * @implements {TerminalStream}
+ */
+class JsonlTerminalStream {
+  /** @type {() => string | null} */
+  logPathFinder;
+  /** @type {LogFormat} */
+  format;
+  /** @type {string | null} */
+  logPath;
+  /** @type {number} */
+  offset;
+  /** @type {boolean} */
+  skipExisting;
+  /** @type {boolean} */
+  initialized;
 
-/** @returns {string} */
-function getCurrentCommit() {
-  try {
-    return execSync("git rev-parse --short HEAD 2>/dev/null", {
-      encoding: "utf-8",
-    }).trim();
-  } catch {
-    return "unknown";
+  /**
+   * @param {() => string | null} logPathFinder - Function that returns current log path (may change during session)
+   * @param {LogFormat} format - Log format for parsing entries
+   * @param {{skipExisting?: boolean}} [opts] - Options
+   */
+  constructor(logPathFinder, format, opts = {}) {
+    this.logPathFinder = logPathFinder;
+    this.format = format;
+    this.logPath = null;
+    this.offset = 0;
+    this.skipExisting = opts.skipExisting ?? false;
+    this.initialized = false;
   }
-}
 
-/** @returns {string} */
-function getMainBranch() {
-  try {
-    execSync("git rev-parse --verify main 2>/dev/null");
-    return "main";
-  } catch {
-    try {
-      execSync("git rev-parse --verify master 2>/dev/null");
-      return "master";
-    } catch {
-      return "main";
+  /**
+   * Read new lines since last read.
+   * @param {ReadOptions} [opts]
+   * @returns {Promise<TerminalLine[]>}
+   */
+  async readNext(opts = {}) {
+    // Check for new/changed log path
+    const currentLogPath = this.logPathFinder();
+    if (currentLogPath && currentLogPath !== this.logPath) {
+      this.logPath = currentLogPath;
+      if (existsSync(this.logPath)) {
+        if (this.skipExisting && !this.initialized) {
+          // Skip to end of file - only read new content
+          this.offset =
+            this.format === "gemini"
+              ? readLogEntries(this.logPath).length
+              : statSync(this.logPath).size;
+          this.initialized = true;
+        } else {
+          // Read from beginning
+          this.offset = 0;
+        }
+      }
     }
-  }
-}
 
-/** @returns {string} */
-function getStagedDiff() {
-  try {
-    return execSync("git diff --cached 2>/dev/null", {
-      encoding: "utf-8",
-    }).trim();
-  } catch {
-    return "";
-  }
-}
+    if (!this.logPath) {
+      return [];
+    }
 
-/** @returns {string} */
-function getUncommittedDiff() {
-  try {
-    return execSync("git diff 2>/dev/null", { encoding: "utf-8" }).trim();
-  } catch {
-    return "";
+    /** @type {object[]} */
+    let entries;
+    if (this.format === "gemini") {
+      // Session documents are rewritten in place, so the offset counts entries
+      const all = existsSync(this.logPath) ? readLogEntries(this.logPath) : [];
+      entries = all.slice(this.offset);
+      this.offset = Math.max(this.offset, all.length);
+    } else {
+      const tail = tailJsonl(this.logPath, this.offset);
+      entries = tail.entries;
+      this.offset = tail.newOffset;
+    }
+
+    const lines = [];
+    for (const entry of entries) {
+      const entryLines = parseJsonlEntry(entry, this.format);
+      lines.push(...entryLines);
+    }
+
+    if (opts.max && lines.length > opts.max) {
+      return lines.slice(0, opts.max);
+    }
+
+    return lines;
   }
-}
 
-/**
- * @param {number} [hoursAgo]
- * @returns {string}
- */
-function getRecentCommitsDiff(hoursAgo = 4) {
-  try {
-    const mainBranch = getMainBranch();
-    const since = `--since="${hoursAgo} hours ago"`;
+  /**
+   * Wait for a line matching the query.
+   * @param {MatchQuery} query
+   * @param {WaitOptions} [opts]
+   * @returns {Promise<MatchResult>}
+   */
+  async waitForMatch(query, opts = {}) {
+    const timeoutMs = opts.timeoutMs || 30000;
+    const pollInterval = 100;
+    const deadline = Date.now() + timeoutMs;
 
-    // Get list of commits in range
-    const commits = execSync(
-      `git log ${mainBranch}..HEAD ${since} --oneline 2>/dev/null`,
-      {
-        encoding: "utf-8",
+    while (Date.now() < deadline) {
+      const lines = await this.readNext();
+      if (lines.length > 0) {
+        const result = findMatch(lines, query);
+        if (result.matched) {
+          return result;
+        }
       }
-    ).trim();
-
-    if (!commits) return "";
+      await sleep(pollInterval);
+    }
 
-    // Get diff for those commits
-    const firstCommit = commits
-      .split("\n")
-      .filter(Boolean)
-      .pop()
-      ?.split(" ")[0];
-    if (!firstCommit) return "";
-    return execSync(`git diff ${firstCommit}^..HEAD 2>/dev/null`, {
-      encoding: "utf-8",
-    }).trim();
-  } catch {
-    return "";
+    return { matched: false };
   }
 }
 
 /**
- * @param {string} diff
- * @param {number} [maxLines]
- * @returns {string}
+ * Terminal stream that reads from tmux screen capture.
+ * Implements TerminalStream interface.
+ * @implements {TerminalStream}
  */
-function truncateDiff(diff, maxLines = 200) {
-  if (!diff) return "";
-  const lines = diff.split("\n");
-  if (lines.length <= maxLines) return diff;
-  return (
-    lines.slice(0, maxLines).join("\n") +
-    `\n\n... (truncated, ${lines.length - maxLines} more lines)`
-  );
-}
+class ScreenTerminalStream {
+  /**
+   * @param {string} session - tmux session name
+   * @param {number} [scrollback] - Number of scrollback lines to capture
+   */
+  constructor(session, scrollback = 0) {
+    this.session = session;
+    this.scrollback = scrollback;
+    this.lastScreen = "";
+  }
 
-/**
- * @param {number} [hoursAgo]
- * @param {number} [maxLinesPerSection]
- * @returns {string}
- */
-function buildGitContext(hoursAgo = 4, maxLinesPerSection = 200) {
-  const sections = [];
+  /**
+   * Read current screen lines (returns all visible lines on each call).
+   * Note: Unlike JsonlTerminalStream, this returns the full screen each time.
+   * @param {ReadOptions} [opts]
+   * @returns {Promise<TerminalLine[]>}
+   */
+  async readNext(opts = {}) {
+    const screen = tmuxCapture(this.session, this.scrollback);
+    this.lastScreen = screen;
 
-  const staged = truncateDiff(getStagedDiff(), maxLinesPerSection);
-  if (staged) {
-    sections.push(
-      "## Staged Changes (about to be committed)\n```diff\n" + staged + "\n```"
-    );
-  }
+    const lines = parseScreenLines(screen);
 
-  const uncommitted = truncateDiff(getUncommittedDiff(), maxLinesPerSection);
-  if (uncommitted) {
-    sections.push(
-      "## Uncommitted Changes (work in progress)\n```diff\n" +
-        uncommitted +
-        "\n```"
-    );
-  }
+    if (opts.max && lines.length > opts.max) {
+      return lines.slice(-opts.max); // Return last N lines for screen capture
+    }
 
-  const recent = truncateDiff(
-    getRecentCommitsDiff(hoursAgo),
-    maxLinesPerSection
-  );
-  if (recent) {
-    sections.push(
-      `## Recent Commits (last ${hoursAgo} hours)\n\`\`\`diff\n` +
-        recent +
-        "\n```"
-    );
+    return lines;
   }
 
-  return sections.join("\n\n");
-}
+  /**
+   * Wait for a line matching the query.
+   * @param {MatchQuery} query
+   * @param {WaitOptions} [opts]
+   * @returns {Promise<MatchResult>}
+   */
+  async waitForMatch(query, opts = {}) {
+    const timeoutMs = opts.timeoutMs || 30000;
+    const pollInterval = 100;
+    const deadline = Date.now() + timeoutMs;
 
-// =============================================================================
-// Helpers - parent session context
-// =============================================================================
+    while (Date.now() < deadline) {
+      const lines = await this.readNext();
+      const result = findMatch(lines, query);
+      if (result.matched) {
+        return result;
+      }
+      await sleep(pollInterval);
+    }
 
-// Environment variables used to pass parent session info to archangels
-const AX_ARCHANGEL_PARENT_SESSION_ENV = "AX_ARCHANGEL_PARENT_SESSION";
-const AX_ARCHANGEL_PARENT_UUID_ENV = "AX_ARCHANGEL_PARENT_UUID";
+    return { matched: false };
+  }
+
+  /**
+   * Get the last captured screen (raw string).
+   * Useful for compatibility with existing code that needs raw screen.
+   * @returns {string}
+   */
+  getLastScreen() {
+    return this.lastScreen;
+  }
+}
 
 /**
- * @returns {ParentSession | null}
+ * Terminal stream that reads from tmux screen capture with ANSI styling.
+ * Uses `tmux capture-pane -e` to capture escape sequences.
+ * Implements TerminalStream interface.
+ * @implements {TerminalStream}
  */
-function findCurrentClaudeSession() {
-  // If we're inside a tmux session, check if it's a Claude session
-  const current = tmuxCurrentSession();
-  if (current) {
-    const parsed = parseSessionName(current);
-    if (parsed?.tool === "claude" && !parsed.archangelName && parsed.uuid) {
-      return { session: current, uuid: parsed.uuid };
-    }
+class StyledScreenTerminalStream {
+  /**
+   * @param {string} session - tmux session name
+   * @param {number} [scrollback] - Number of scrollback lines to capture
+   */
+  constructor(session, scrollback = 0) {
+    this.session = session;
+    this.scrollback = scrollback;
+    this.lastScreen = "";
   }
 
-  // We might be running from Claude but not inside tmux (e.g., VSCode, Cursor)
-  // Find Claude sessions in the same cwd and pick the most recently active one
-  const caller = findCallerAgent();
-  if (!caller) return null;
-
-  const cwd = process.cwd();
-  const sessions = tmuxListSessions();
-  const candidates = [];
-
-  for (const session of sessions) {
-    const parsed = parseSessionName(session);
-    if (!parsed || parsed.tool !== "claude") continue;
-    if (parsed.archangelName) continue;
-    if (!parsed.uuid) continue;
+  /**
+   * Read current screen lines with ANSI styling parsed.
+   * @param {ReadOptions} [opts]
+   * @returns {Promise<TerminalLine[]>}
+   */
+  async readNext(opts = {}) {
+    const screen = tmuxCapture(this.session, this.scrollback, true); // withEscapes=true
+    this.lastScreen = screen;
 
-    const sessionCwd = getTmuxSessionCwd(session);
-    if (sessionCwd !== cwd) continue;
+    const lines = parseStyledScreenLines(screen);
 
-    // Check log file modification time
-    const logPath = findClaudeLogPath(parsed.uuid, session);
-    if (logPath && existsSync(logPath)) {
-      try {
-        const stat = statSync(logPath);
-        candidates.push({ session, uuid: parsed.uuid, mtime: stat.mtimeMs });
-      } catch (err) {
-        debugError("findCurrentClaudeSession:stat", err);
-      }
+    if (opts.max && lines.length > opts.max) {
+      return lines.slice(-opts.max); // Return last N lines for screen capture
     }
+
+    return lines;
   }
 
-  // Also check non-tmux Claude sessions by scanning the project's log directory
-  const projectPath = getClaudeProjectPath(cwd);
-  const claudeProjectDir = path.join(
-    CLAUDE_CONFIG_DIR,
-    "projects",
-    projectPath
-  );
-  if (existsSync(claudeProjectDir)) {
-    try {
-      const files = readdirSync(claudeProjectDir).filter((f) =>
-        f.endsWith(".jsonl")
-      );
-      for (const file of files) {
-        const uuid = file.replace(".jsonl", "");
-        // Skip if we already have this from tmux sessions
-        if (candidates.some((c) => c.uuid === uuid)) continue;
+  /**
+   * Wait for a line matching the query (supports style-aware matching).
+   * @param {MatchQuery} query
+   * @param {WaitOptions} [opts]
+   * @returns {Promise<MatchResult>}
+   */
+  async waitForMatch(query, opts = {}) {
+    const timeoutMs = opts.timeoutMs || 30000;
+    const pollInterval = 100;
+    const deadline = Date.now() + timeoutMs;
 
-        const logPath = path.join(claudeProjectDir, file);
-        try {
-          const stat = statSync(logPath);
-          // Only consider logs modified in the last hour (active sessions)
-          if (Date.now() - stat.mtimeMs < MAILBOX_MAX_AGE_MS) {
-            candidates.push({
-              session: null,
-              uuid,
-              mtime: stat.mtimeMs,
-              logPath,
-            });
-          }
-        } catch (err) {
-          debugError("findCurrentClaudeSession:logStat", err);
-        }
+    while (Date.now() < deadline) {
+      const lines = await this.readNext();
+      const result = findMatch(lines, query);
+      if (result.matched) {
+        return result;
       }
-    } catch (err) {
-      debugError("findCurrentClaudeSession:readdir", err);
+      await sleep(pollInterval);
     }
-  }
 
-  if (candidates.length === 0) return null;
+    return { matched: false };
+  }
 
-  // Return the most recently active session
-  candidates.sort((a, b) => b.mtime - a.mtime);
-  return { session: candidates[0].session, uuid: candidates[0].uuid };
+  /**
+   * Get the last captured screen (raw string with ANSI codes).
+   * @returns {string}
+   */
+  getLastScreen() {
+    return this.lastScreen;
+  }
 }
 
 /**
- * @returns {ParentSession | null}
+ * Fake terminal stream for testing.
+ * Implements TerminalStream interface.
+ * @implements {TerminalStream}
  */
-function findParentSession() {
-  // First check if parent session was passed via environment (for archangels)
-  const envUuid = process.env[AX_ARCHANGEL_PARENT_UUID_ENV];
-  if (envUuid) {
-    // Session name is optional (may be null for non-tmux sessions)
-    const envSession = process.env[AX_ARCHANGEL_PARENT_SESSION_ENV] || null;
-    return { session: envSession, uuid: envUuid };
+class FakeTerminalStream {
+  /**
+   * @param {TerminalLine[]} lines - Initial lines to provide
+   */
+  constructor(lines = []) {
+    this.lines = [...lines];
+    this.readCount = 0;
+    /** @type {TerminalLine[][]} */
+    this.pendingLines = [];
   }
 
-  // Fallback to detecting current session (shouldn't be needed for archangels)
-  return findCurrentClaudeSession();
-}
+  /**
+   * Queue lines to be returned on subsequent readNext calls.
+   * @param {TerminalLine[]} lines
+   */
+  queueLines(lines) {
+    this.pendingLines.push(lines);
+  }
 
-/**
- * @param {number} [maxEntries]
- * @returns {string}
- */
-function getParentSessionContext(maxEntries = 20) {
-  const parent = findParentSession();
-  if (!parent) return "";
+  /**
+   * Add more lines to the current buffer (simulates new output).
+   * @param {TerminalLine[]} lines
+   */
+  addLines(lines) {
+    this.lines.push(...lines);
+  }
 
-  const logPath = findClaudeLogPath(parent.uuid, parent.session);
-  if (!logPath || !existsSync(logPath)) return "";
+  /**
+   * Read new lines since last read.
+   * First call returns initial lines, subsequent calls return queued lines.
+   * @param {ReadOptions} [opts]
+   * @returns {Promise<TerminalLine[]>}
+   */
+  async readNext(opts = {}) {
+    this.readCount++;
 
-  try {
-    const content = readFileSync(logPath, "utf-8");
-    const lines = content.trim().split("\n").filter(Boolean);
+    /** @type {TerminalLine[]} */
+    let result = [];
+    if (this.readCount === 1) {
+      result = this.lines;
+    } else if (this.pendingLines.length > 0) {
+      result = this.pendingLines.shift() || [];
+    }
 
-    // Go back further to find meaningful entries (not just tool uses)
-    const recent = lines.slice(-maxEntries * 10);
-    /** @type {{type: string, text: string}[]} */
-    const entries = [];
-    /** @type {string | null} */
-    let planPath = null;
+    if (opts.max && result.length > opts.max) {
+      return result.slice(0, opts.max);
+    }
 
-    for (const line of recent) {
-      try {
-        const entry = JSON.parse(line);
+    return result;
+  }
 
-        // Look for plan file path in the log content
-        if (!planPath) {
-          const planMatch = line.match(
-            /\/Users\/[^"]+\/\.claude\/plans\/[^"]+\.md/
-          );
-          if (planMatch) planPath = planMatch[0];
-        }
+  /**
+   * Wait for a line matching the query.
+   * Immediately checks available lines without polling.
+   * @param {MatchQuery} query
+   * @param {WaitOptions} [_opts]
+   * @returns {Promise<MatchResult>}
+   */
+  async waitForMatch(query, _opts = {}) {
+    // Check initial lines
+    const result = findMatch(this.lines, query);
+    if (result.matched) {
+      return result;
+    }
 
-        if (entry.type === "user") {
-          const c = entry.message?.content;
-          // Only include user messages with actual text (not just tool results)
-          if (typeof c === "string" && c.length > 10) {
-            entries.push({ type: "user", text: c });
-          } else if (Array.isArray(c)) {
-            const text = c.find(
-              /** @param {{type: string, text?: string}} x */ (x) =>
-                x.type === "text"
-            )?.text;
-            if (text && text.length > 10) {
-              entries.push({ type: "user", text });
-            }
-          }
-        } else if (entry.type === "assistant") {
-          /** @type {{type: string, text?: string}[]} */
-          const parts = entry.message?.content || [];
-          const text = parts
-            .filter((p) => p.type === "text")
-            .map((p) => p.text || "")
-            .join("\n");
-          // Only include assistant responses with meaningful text
-          if (text && text.length > 20) {
-            entries.push({ type: "assistant", text });
-          }
-        }
-      } catch (err) {
-        debugError("getParentSessionContext:parseLine", err);
+    // Check all pending lines
+    for (const pendingBatch of this.pendingLines) {
+      const batchResult = findMatch(pendingBatch, query);
+      if (batchResult.matched) {
+        return batchResult;
       }
     }
 
-    // Format recent conversation
-    const formatted = entries.slice(-maxEntries).map((e) => {
-      const preview = e.text.slice(0, 500).replace(/\n/g, " ");
-      return `**${e.type === "user" ? "User" : "Assistant"}**: ${preview}`;
-    });
-
-    let result = formatted.join("\n\n");
+    return { matched: false };
+  }
 
-    // If we found a plan file, include its contents
-    if (planPath && existsSync(planPath)) {
-      try {
-        const planContent = readFileSync(planPath, "utf-8").trim();
-        if (planContent) {
-          result += "\n\n## Current Plan\n\n" + planContent.slice(0, 2000);
-        }
-      } catch (err) {
-        debugError("getParentSessionContext:readPlan", err);
-      }
-    }
+  /**
+   * Create a TerminalLine from a raw string (helper for tests).
+   * @param {string} raw
+   * @returns {TerminalLine}
+   */
+  static line(raw) {
+    return { spans: [{ text: raw }], raw };
+  }
 
-    return result;
-  } catch (err) {
-    debugError("getParentSessionContext", err);
-    return "";
+  /**
+   * Create multiple TerminalLines from raw strings (helper for tests).
+   * @param {string[]} raws
+   * @returns {TerminalLine[]}
+   */
+  static lines(raws) {
+    return raws.map((raw) => FakeTerminalStream.line(raw));
   }
 }
 
-// =============================================================================
-// JSONL extraction for intent matching
-// =============================================================================
-
 /**
- * @param {string | null} logPath
- * @param {string} filePath
- * @returns {FileEditContext | null}
+ * Extract pending tool from confirmation screen.
+ * @param {string} screen
+ * @returns {string | null}
  */
-function extractFileEditContext(logPath, filePath) {
-  if (!logPath || !existsSync(logPath)) return null;
+function extractPendingToolFromScreen(screen) {
+  const lines = screen.split("\n");
 
-  const content = readFileSync(logPath, "utf-8");
-  const lines = content.trim().split("\n").filter(Boolean);
+  // Check recent lines for tool confirmation patterns
+  for (let i = lines.length - 1; i >= Math.max(0, lines.length - 15); i--) {
+    const line = lines[i];
+    // Match tool confirmation patterns like "Bash: command" or "Write: /path/file"
+    const match = line.match(
+      /^\s*(Bash|Write|Edit|Read|Glob|Grep|Task|WebFetch|WebSearch|NotebookEdit|Skill|TodoWrite|TodoRead):\s*(.{1,40})/
+    );
+    if (match) {
+      return `${match[1]}: ${match[2].trim()}`;
+    }
+  }
 
-  // Parse all entries
-  /** @type {any[]} */
-  const entries = lines
-    .map((line, idx) => {
-      try {
-        return { idx, ...JSON.parse(line) };
-      } catch (err) {
-        debugError("extractFileEditContext:parse", err);
-        return null;
-      }
-    })
-    .filter(Boolean);
+  return null;
+}
 
-  // Find Write/Edit tool calls for this file (scan backwards, want most recent)
-  /** @type {any} */
-  let editEntry = null;
-  let editIdx = -1;
+/**
+ * Format confirmation output with helpful commands
+ * @param {string} screen
+ * @param {Agent} _agent
+ * @returns {string}
+ */
+function formatConfirmationOutput(screen, _agent) {
+  const pendingTool = extractPendingToolFromScreen(screen);
+  const cli = path.basename(process.argv[1], ".js");
 
-  for (let i = entries.length - 1; i >= 0; i--) {
-    const entry = entries[i];
-    if (entry.type !== "assistant") continue;
+  let output = pendingTool || "Confirmation required";
+  output += "\n\ne.g.";
+  output += `\n  ${cli} approve        # for y/n prompts`;
+  output += `\n  ${cli} reject`;
+  output += `\n  ${cli} select N       # for numbered menus`;
 
-    /** @type {any[]} */
-    const msgContent = entry.message?.content || [];
-    const toolCalls = msgContent.filter(
-      (/** @type {any} */ c) =>
-        (c.type === "tool_use" || c.type === "tool_call") &&
-        (c.name === "Write" || c.name === "Edit")
-    );
+  return output;
+}
 
-    for (const tc of toolCalls) {
-      const input = tc.input || tc.arguments || {};
-      if (
-        input.file_path === filePath ||
-        input.file_path?.endsWith("/" + filePath)
-      ) {
-        editEntry = { entry, toolCall: tc, content: msgContent };
-        editIdx = i;
-        break;
-      }
-    }
-    if (editEntry) break;
+/**
+ * @returns {string[]}
+ */
+function tmuxListSessions() {
+  if (PTY_BACKEND) return ptyListSessions();
+  try {
+    const output = tmux(["list-sessions", "-F", "#{session_name}"]);
+    return output.trim().split("\n").filter(Boolean);
+  } catch {
+    return [];
   }
+}
 
-  if (!editEntry) return null;
-
-  // Extract intent: text blocks from same assistant message
-  const intent = editEntry.content
-    .filter((/** @type {any} */ c) => c.type === "text")
-    .map((/** @type {any} */ c) => c.text)
-    .join("\n")
-    .trim();
+/**
+ * @param {string} partial
+ * @returns {string | null}
+ */
+function resolveSessionName(partial) {
+  if (!partial) return null;
 
-  // Look forward for Bash errors
-  /** @type {string[]} */
-  const subsequentErrors = [];
-  for (let i = editIdx + 1; i < entries.length && i < editIdx + 10; i++) {
-    const entry = entries[i];
-    // Check user messages for tool_result with errors
-    if (entry.type === "user") {
-      /** @type {any[]} */
-      const msgContent = entry.message?.content || [];
-      if (Array.isArray(msgContent)) {
-        for (const c of msgContent) {
-          if (c.type === "tool_result" && c.is_error) {
-            subsequentErrors.push(c.content?.slice(0, 500) || "error");
-          }
-        }
-      }
-    }
+  const match = matchSessionName(partial);
+  if ("error" in match) {
+    exitWithError(match.error, { matches: match.matches });
   }
+  return match.session;
+}
 
-  // Look backward for Read calls (what context did agent have?)
-  /** @type {string[]} */
-  const readsBefore = [];
-  for (let i = editIdx - 1; i >= 0 && i > editIdx - 20; i--) {
-    const entry = entries[i];
-    if (entry.type !== "assistant") continue;
-
-    /** @type {any[]} */
-    const msgContent = entry.message?.content || [];
-    const readCalls = msgContent.filter(
-      (/** @type {any} */ c) =>
-        (c.type === "tool_use" || c.type === "tool_call") && c.name === "Read"
-    );
+/**
+ * Resolve a partial session name without exiting, so long-running callers
+ * (e.g. the MCP server) can report ambiguity instead of dying on it.
+ * @param {string} partial
+ * @returns {{session: string} | {error: string, matches: string[]}}
+ */
+function matchSessionName(partial) {
+  const sessions = tmuxListSessions();
+  const agentSessions = sessions.filter((s) => parseSessionName(s));
+  debug(
+    "session",
+    `resolving "${partial}" from ${agentSessions.length} agent sessions`
+  );
 
-    for (const rc of readCalls) {
-      const input = rc.input || rc.arguments || {};
-      if (input.file_path) readsBefore.push(input.file_path);
-    }
+  // Exact match
+  if (agentSessions.includes(partial)) {
+    debug("session", `exact match: ${partial}`);
+    return { session: partial };
   }
 
-  // Count edit sequence (how many times was this file edited?)
-  let editSequence = 0;
-  for (const entry of entries) {
-    if (entry.type !== "assistant") continue;
-    /** @type {any[]} */
-    const msgContent = entry.message?.content || [];
-    const edits = msgContent.filter(
-      (/** @type {any} */ c) =>
-        (c.type === "tool_use" || c.type === "tool_call") &&
-        (c.name === "Write" || c.name === "Edit")
-    );
-    for (const e of edits) {
-      const input = e.input || e.arguments || {};
-      if (
-        input.file_path === filePath ||
-        input.file_path?.endsWith("/" + filePath)
-      ) {
-        editSequence++;
+  // Archangel name match (e.g., "reviewer" matches "claude-archangel-reviewer-uuid")
+  const archangelMatches = agentSessions.filter((s) => {
+    const parsed = parseSessionName(s);
+    return parsed?.archangelName === partial;
+  });
+  if (archangelMatches.length === 1) {
+    debug("session", `archangel match: ${archangelMatches[0]}`);
+    return { session: archangelMatches[0] };
+  }
+  if (archangelMatches.length > 1) {
+    return { error: "ambiguous archangel name", matches: archangelMatches };
+  }
+
+  // Prefix match
+  const matches = agentSessions.filter((s) => s.startsWith(partial));
+  if (matches.length === 1) {
+    debug("session", `prefix match: ${matches[0]}`);
+    return { session: matches[0] };
+  }
+  if (matches.length > 1) {
+    return { error: "ambiguous session prefix", matches };
+  }
+
+  // Partial UUID match (e.g., "33fe38" matches "claude-partner-33fe38b1-...")
+  const uuidMatches = agentSessions.filter((s) => {
+    const parsed = parseSessionName(s);
+    return parsed?.uuid?.startsWith(partial);
+  });
+  if (uuidMatches.length === 1) {
+    debug("session", `UUID match: ${uuidMatches[0]}`);
+    return { session: uuidMatches[0] };
+  }
+  if (uuidMatches.length > 1) {
+    return { error: "ambiguous UUID prefix", matches: uuidMatches };
+  }
+
+  debug("session", `no match found, returning as-is: ${partial}`);
+  return { session: partial }; // Return as-is, let caller handle not found
+}
+
+// =============================================================================
+// Helpers - frontmatter (YAML subset)
+// =============================================================================
+
+/**
+ * @typedef {string | number | boolean | null} YamlScalar
+ */
+
+/**
+ * @typedef {YamlScalar | YamlScalar[]} YamlValue
+ */
+
+/**
+ * @typedef {Object} ParsedFrontmatter
+ * @property {Record<string, YamlValue>} values
+ * @property {Record<string, number>} lines - Line number each key is on
+ */
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isYamlBlankLine(line) {
+  return /^\s*(#.*)?$/.test(line);
+}
+
+/**
+ * Drop a trailing `# comment`, ignoring `#` inside quotes or not preceded by
+ * whitespace (as in YAML).
+ * @param {string} text
+ * @returns {string}
+ */
+function stripYamlComment(text) {
+  /** @type {string | null} */
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * @param {string} raw - Already trimmed, comment stripped
+ * @returns {{value: YamlScalar} | {error: string}}
+ */
+function parseYamlScalar(raw) {
+  if (raw.startsWith('"')) {
+    // The closing quote is the first one not escaped by a backslash
+    let close = -1;
+    for (let i = 1; i < raw.length; i++) {
+      if (raw[i] === "\\") i++;
+      else if (raw[i] === '"') {
+        close = i;
+        break;
       }
     }
+    if (close === -1) return { error: `Unterminated string ${raw}` };
+    try {
+      return { value: JSON.parse(raw) };
+    } catch {
+      return { error: `Invalid string ${raw}` };
+    }
   }
+  if (raw.startsWith("'")) {
+    if (raw.length < 2 || !raw.endsWith("'")) {
+      return { error: `Unterminated string ${raw}` };
+    }
+    return { value: raw.slice(1, -1).replace(/''/g, "'") };
+  }
+  if (raw.startsWith("[") || raw.startsWith("{")) {
+    return { error: `Nested lists and mappings aren't supported: ${raw}` };
+  }
+  if (raw === "" || raw === "~" || raw === "null") return { value: null };
+  if (/^(true|false)$/i.test(raw)) return { value: /^t/i.test(raw) };
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return { value: Number(raw) };
+  return { value: raw };
+}
 
-  return {
-    intent,
-    toolCall: {
-      name: editEntry.toolCall.name,
-      input: editEntry.toolCall.input || editEntry.toolCall.arguments,
-      id: editEntry.toolCall.id,
-    },
-    subsequentErrors,
-    readsBefore: [...new Set(readsBefore)].slice(0, 10),
-    editSequence,
-  };
+/**
+ * Split a flow list's contents on the commas that aren't inside quotes.
+ * @param {string} inner
+ * @returns {string[]}
+ */
+function splitYamlFlowList(inner) {
+  const items = [];
+  /** @type {string | null} */
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ",") {
+      items.push(inner.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  items.push(inner.slice(start).trim());
+  return items;
+}
+
+/**
+ * Parse the YAML subset used by archangel frontmatter: top-level `key: value`
+ * pairs whose values are scalars (plain, quoted, or `|` / `>` blocks), flow
+ * lists (`[a, "b"]`) or block lists (indented `- item` lines). Everything
+ * else is an error naming the offending line.
+ * @param {string} text
+ * @param {number} [firstLine] - Line number of the first line of `text`
+ * @returns {ParsedFrontmatter | {error: string}}
+ */
+function parseFrontmatter(text, firstLine = 1) {
+  const lines = text.split("\n");
+  /** @type {Record<string, YamlValue>} */
+  const values = {};
+  /** @type {Record<string, number>} */
+  const keyLines = {};
+  /**
+   * @param {number} index
+   * @param {string} message
+   */
+  const fail = (index, message) => ({
+    error: `Line ${firstLine + index}: ${message}`,
+  });
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isYamlBlankLine(line)) {
+      i++;
+      continue;
+    }
+    if (/^\s/.test(line)) {
+      return fail(
+        i,
+        line.startsWith("\t")
+          ? "Tabs can't be used for indentation"
+          : "Unexpected indentation"
+      );
+    }
+    const match = line.match(/^(\w+):(.*)$/);
+    if (!match) {
+      return fail(i, `Expected 'field: value', got '${line.trim()}'`);
+    }
+    const [, key, rest] = match;
+    if (key in values) {
+      return fail(
+        i,
+        `Duplicate field '${key}' (first set on line ${keyLines[key]})`
+      );
+    }
+    keyLines[key] = firstLine + i;
+    const raw = stripYamlComment(rest).trim();
+    const keyIndex = i;
+    i++;
+
+    // The indented lines that belong to this key
+    const blockStart = i;
+    while (
+      i < lines.length &&
+      (/^\s/.test(lines[i]) || isYamlBlankLine(lines[i]))
+    ) {
+      i++;
+    }
+    // Trailing blank lines belong to whatever comes next
+    while (i > blockStart && isYamlBlankLine(lines[i - 1])) i--;
+    const block = lines.slice(blockStart, i);
+
+    if (/^[|>][+-]?$/.test(raw)) {
+      // Block scalar: indentation set by its first line
+      const indent = block.find((l) => l.trim())?.match(/^\s*/)?.[0] ?? "";
+      const body = block.map((l) =>
+        l.startsWith(indent) ? l.slice(indent.length) : l.trim()
+      );
+      values[key] = (
+        raw.startsWith("|")
+          ? body.join("\n")
+          : body.join("\n").replace(/\n(\n*)/g, (_, blank) => blank || " ")
+      ).trimEnd();
+      continue;
+    }
+
+    if (block.length > 0) {
+      if (raw) {
+        return fail(blockStart, `Unexpected indentation under '${key}'`);
+      }
+      /** @type {YamlScalar[]} */
+      const items = [];
+      for (let j = 0; j < block.length; j++) {
+        if (isYamlBlankLine(block[j])) continue;
+        const item = block[j].match(/^\s+-(?:\s+(.*))?$/);
+        if (!item) {
+          return fail(
+            blockStart + j,
+            `Expected a '- item' list under '${key}' (nested mappings aren't supported)`
+          );
+        }
+        const scalar = parseYamlScalar(stripYamlComment(item[1] ?? "").trim());
+        if ("error" in scalar) return fail(blockStart + j, scalar.error);
+        items.push(scalar.value);
+      }
+      values[key] = items;
+      continue;
+    }
+
+    if (raw.startsWith("[")) {
+      if (!raw.endsWith("]")) {
+        return fail(
+          keyIndex,
+          `Unterminated list for '${key}'. Close it on the same line, or use '- item' lines`
+        );
+      }
+      const inner = raw.slice(1, -1).trim();
+      /** @type {YamlScalar[]} */
+      const items = [];
+      for (const part of inner ? splitYamlFlowList(inner) : []) {
+        const scalar = parseYamlScalar(part);
+        if ("error" in scalar) return fail(keyIndex, scalar.error);
+        items.push(scalar.value);
+      }
+      values[key] = items;
+      continue;
+    }
+
+    const scalar = parseYamlScalar(raw);
+    if ("error" in scalar) return fail(keyIndex, scalar.error);
+    values[key] = scalar.value;
+  }
+
+  return { values, lines: keyLines };
 }
 
 // =============================================================================
-// Helpers - file watching
+// Helpers - cron schedules (archangel `schedule:` frontmatter)
 // =============================================================================
 
 /**
- * @param {string} pattern
- * @returns {string}
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} days - Days of the month
+ * @property {Set<number>} months - 1-12
+ * @property {Set<number>} weekdays - 0-6, Sunday is 0
+ * @property {boolean} anyDay - Day of month was "*"
+ * @property {boolean} anyWeekday - Day of week was "*"
  */
-function getBaseDir(pattern) {
-  // Extract base directory from glob pattern
-  // e.g., "src/**/*.ts" -> "src"
-  // e.g., "**/*.ts" -> "."
-  const parts = pattern.split("/");
-  /** @type {string[]} */
-  const baseParts = [];
-  for (const part of parts) {
-    if (part.includes("*") || part.includes("?") || part.includes("[")) break;
-    baseParts.push(part);
+
+const CRON_MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// [name, min, max] for the five fields, in order
+/** @type {[string, number, number][]} */
+const CRON_FIELDS = [
+  ["minute", 0, 59],
+  ["hour", 0, 23],
+  ["day of month", 1, 31],
+  ["month", 1, 12],
+  ["day of week", 0, 7],
+];
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month
+ * day-of-week) with `*`, lists, ranges and steps, or one of the @macros.
+ * @param {string} expression
+ * @returns {CronSchedule | {error: string}}
+ */
+function parseCron(expression) {
+  const expanded =
+    CRON_MACROS[/** @type {keyof typeof CRON_MACROS} */ (expression.trim())] ??
+    expression;
+  const fields = expanded.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    return {
+      error: `Invalid schedule '${expression}'. Expected 5 fields (minute hour day month weekday), e.g. "0 9 * * 1-5"`,
+    };
   }
-  return baseParts.length > 0 ? baseParts.join("/") : ".";
+
+  /** @type {Set<number>[]} */
+  const sets = [];
+  for (let i = 0; i < 5; i++) {
+    const [name, min, max] = CRON_FIELDS[i];
+    /** @type {Set<number>} */
+    const values = new Set();
+    for (const part of fields[i].split(",")) {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      const step = match?.[4] ? parseInt(match[4], 10) : 1;
+      const start = match?.[2] ? parseInt(match[2], 10) : min;
+      const end = match?.[3]
+        ? parseInt(match[3], 10)
+        : match?.[2] && !match[4]
+        ? start
+        : max;
+      if (!match || step < 1 || start < min || end > max || start > end) {
+        return {
+          error: `Invalid ${name} '${part}' in schedule '${expression}'. Use ${min}-${max}, *, ranges (a-b), lists (a,b) or steps (*/n)`,
+        };
+      }
+      for (let v = start; v <= end; v += step) values.add(v);
+    }
+    sets.push(values);
+  }
+
+  // Sunday can be written as 7
+  const weekdays = new Set([...sets[4]].map((d) => d % 7));
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
 }
 
 /**
- * @param {string} filename
- * @param {string} pattern
+ * @param {CronSchedule} cron
+ * @param {Date} date
  * @returns {boolean}
  */
-function matchesPattern(filename, pattern) {
-  return path.matchesGlob(filename, pattern);
+function cronMatchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  // As in cron(8): when both are restricted, either one matching is enough
+  if (!cron.anyDay && !cron.anyWeekday) return day || weekday;
+  return day && weekday;
 }
 
-// Default exclusions - always applied
-const DEFAULT_EXCLUDE_PATTERNS = [
-  "**/node_modules/**",
-  "**/.git/**",
-  "**/dist/**",
-  "**/build/**",
-  "**/.next/**",
-  "**/coverage/**",
-];
+/**
+ * The first time strictly after `after` that the schedule fires (local time).
+ * @param {CronSchedule} cron
+ * @param {Date} after
+ * @returns {Date | null} null if it never fires (e.g. 31 February)
+ */
+function nextCronTime(cron, after) {
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  // Skip whole months, days and hours that can't match; a valid schedule
+  // fires within a few years (29 February on a Monday is the worst case)
+  const limit = after.getTime() + 8 * 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    if (!cronMatchesDay(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
 
 /**
- * @param {string[]} patterns
- * @param {(filePath: string) => void} callback
- * @returns {() => void}
+ * Call `callback` each time the schedule fires.
+ * @param {CronSchedule} cron
+ * @param {() => void} callback
+ * @returns {() => void} Stops the schedule
  */
-function watchForChanges(patterns, callback) {
-  // Separate include and exclude patterns
-  const includePatterns = patterns.filter((p) => !p.startsWith("!"));
-  const userExcludePatterns = patterns
-    .filter((p) => p.startsWith("!"))
-    .map((p) => p.slice(1));
-  const excludePatterns = [...DEFAULT_EXCLUDE_PATTERNS, ...userExcludePatterns];
+function runOnSchedule(cron, callback) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  const arm = () => {
+    const next = nextCronTime(cron, new Date());
+    if (!next) return;
+    // Long waits are split into hops setTimeout can express
+    const delay = Math.min(next.getTime() - Date.now(), MAX_TIMEOUT_MS);
+    timer = setTimeout(() => {
+      if (Date.now() >= next.getTime()) callback();
+      arm();
+    }, delay);
+  };
+  arm();
+  return () => clearTimeout(timer);
+}
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Parse `quiet_hours:` entries such as "22:00-07:00", "Mon-Fri 12:00-13:00"
+ * or "Sat,Sun" (all day). Ranges ending at or before their start run past
+ * midnight into the next day.
+ * @param {string[]} entries
+ * @returns {QuietHoursRange[] | {error: string}}
+ */
+function parseQuietHours(entries) {
+  /** @type {QuietHoursRange[]} */
+  const ranges = [];
+  for (const entry of entries) {
+    const match = entry
+      .trim()
+      .match(/^(?:([A-Za-z,-]+)(?:\s+|$))?(?:(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2}))?$/);
+    if (!match || (!match[1] && !match[2])) {
+      return {
+        error: `Invalid quiet hours '${entry}'. Use HH:MM-HH:MM, optionally after days: "Mon-Fri 22:00-07:00", or days alone: "Sat,Sun"`,
+      };
+    }
+
+    /** @type {number[]} */
+    let days = [0, 1, 2, 3, 4, 5, 6];
+    if (match[1]) {
+      days = [];
+      for (const part of match[1].toLowerCase().split(",")) {
+        const [from, to = from] = part.split("-").map((d) => d.slice(0, 3));
+        const a = WEEKDAYS.indexOf(from);
+        const b = WEEKDAYS.indexOf(to);
+        if (a === -1 || b === -1) {
+          return { error: `Invalid day '${part}' in quiet hours '${entry}'` };
+        }
+        for (let d = a; ; d = (d + 1) % 7) {
+          if (!days.includes(d)) days.push(d);
+          if (d === b) break;
+        }
+      }
+    }
+
+    let start = 0;
+    let end = 24 * 60;
+    if (match[2]) {
+      const [h1, m1, h2, m2] = match.slice(2, 6).map(Number);
+      if (h1 > 23 || h2 > 24 || m1 > 59 || m2 > 59 || (h2 === 24 && m2 > 0)) {
+        return { error: `Invalid time in quiet hours '${entry}'` };
+      }
+      start = h1 * 60 + m1;
+      end = h2 * 60 + m2;
+    }
+    ranges.push({ days: days.sort(), start, end });
+  }
+  return ranges;
+}
+
+/**
+ * @param {QuietHoursRange[]} ranges
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInQuietHours(ranges, date) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const yesterday = (day + 6) % 7;
+  return ranges.some((r) =>
+    r.start < r.end
+      ? r.days.includes(day) && minute >= r.start && minute < r.end
+      : (r.days.includes(day) && minute >= r.start) ||
+        (r.days.includes(yesterday) && minute < r.end)
+  );
+}
+
+// =============================================================================
+// Helpers - archangels
+// =============================================================================
+
+/**
+ * @returns {ArchangelConfig[]}
+ */
+function loadAgentConfigs() {
+  const agentsDir = AGENTS_DIR;
+  if (!existsSync(agentsDir)) return [];
+
+  const files = readdirSync(agentsDir).filter((f) => f.endsWith(".md"));
+  /** @type {ArchangelConfig[]} */
+  const configs = [];
+
+  for (const file of files) {
+    try {
+      const content = readFileSync(path.join(agentsDir, file), "utf-8");
+      const config = parseAgentConfig(file, content);
+      if (config && "error" in config) {
+        console.error(`ERROR: ${file}: ${config.error}`);
+        continue;
+      }
+      if (config) configs.push(config);
+    } catch (err) {
+      console.error(
+        `ERROR: Failed to read ${file}: ${
+          err instanceof Error ? err.message : err
+        }`
+      );
+    }
+  }
+
+  return configs;
+}
+
+/**
+ * @param {string} filename
+ * @param {string} content
+ * @returns {ArchangelConfig | {error: string} | null}
+ */
+function parseAgentConfig(filename, content) {
+  const name = filename.replace(/\.md$/, "");
+  if (name === ARCHANGEL_RESERVED_NAME) {
+    return {
+      error: `'${name}' is reserved for \`ax archangel replay\`. Rename the file`,
+    };
+  }
+
+  // Normalize line endings (handle Windows CRLF)
+  const normalized = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+
+  // Parse frontmatter
+  const frontmatterMatch = normalized.match(
+    /^---\n([\s\S]*?)\n---\n([\s\S]*)$/
+  );
+  if (!frontmatterMatch) {
+    if (!normalized.startsWith("---")) {
+      return { error: `Missing frontmatter. File must start with '---'` };
+    }
+    if (!normalized.includes("\n---\n")) {
+      return {
+        error: `Frontmatter not closed. Add '---' on its own line after the YAML block`,
+      };
+    }
+    return { error: `Invalid frontmatter format` };
+  }
+
+  const frontmatter = frontmatterMatch[1];
+  const prompt = frontmatterMatch[2].trim();
+
+  if (!prompt) {
+    return { error: `Missing prompt content after frontmatter` };
+  }
+
+  // Frontmatter starts on line 2, after the opening '---'
+  const parsed = parseFrontmatter(frontmatter, 2);
+  if ("error" in parsed) return parsed;
+  const { values, lines } = parsed;
+  /**
+   * @param {string} field
+   * @param {string} message
+   */
+  const fieldError = (field, message) => ({
+    error: `Line ${lines[field]}: ${message}`,
+  });
+
+  // Known fields
+  const knownFields = [
+    "tool",
+    "interval",
+    "watch",
+    "trigger",
+    "schedule",
+    "model",
+    "allowedTools",
+    "yolo",
+    "cwd",
+    "description",
+    "enabled",
+    "contextBudget",
+    "quiet_hours",
+  ];
+
+  // Check for unknown fields (likely typos)
+  for (const fieldName of Object.keys(values)) {
+    if (!knownFields.includes(fieldName)) {
+      // Suggest closest match
+      const suggestions = knownFields.filter(
+        (f) => f[0] === fieldName[0] || fieldName.includes(f.slice(0, 3))
+      );
+      const hint =
+        suggestions.length > 0 ? ` Did you mean '${suggestions[0]}'?` : "";
+      return fieldError(
+        fieldName,
+        `Unknown field '${fieldName}'.${hint} Valid fields: ${knownFields.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  // String fields (numbers are accepted as written, e.g. `model: 4.1`)
+  /** @type {Record<string, string | null>} */
+  const strings = {};
+  for (const field of [
+    "tool",
+    "trigger",
+    "schedule",
+    "model",
+    "cwd",
+    "description",
+  ]) {
+    const value = values[field] ?? null;
+    if (Array.isArray(value) || typeof value === "boolean") {
+      return fieldError(field, `'${field}' must be a string`);
+    }
+    strings[field] = value === null ? null : String(value);
+  }
+
+  // Boolean fields
+  for (const field of ["yolo", "enabled"]) {
+    const value = values[field] ?? null;
+    if (value !== null && typeof value !== "boolean") {
+      return fieldError(field, `'${field}' must be true or false`);
+    }
+  }
+
+  // Parse tool
+  const tool = strings.tool || "codex";
+  // Archangels run in tmux, so in-process agents (pi) can't be used
+  const tools = getToolNames().filter((t) => getAgent(t)?.usesTmux);
+  if (!tools.includes(tool)) {
+    return fieldError(
+      "tool",
+      `Invalid tool '${tool}'. Must be one of: ${tools.join(", ")}`
+    );
+  }
+
+  // Parse interval
+  let interval = 60;
+  if (values.interval !== undefined) {
+    const rawValue = values.interval;
+    const parsedInterval =
+      typeof rawValue === "number"
+        ? Math.trunc(rawValue)
+        : parseInt(String(rawValue), 10);
+    if (isNaN(parsedInterval) || Array.isArray(rawValue)) {
+      return fieldError(
+        "interval",
+        `Invalid interval '${rawValue}'. Must be a number (seconds)`
+      );
+    }
+    interval = Math.max(10, Math.min(3600, parsedInterval)); // Clamp to 10s - 1hr
+  }
+
+  // Parse watch patterns
+  let watchPatterns = ["**/*"];
+  if (values.watch !== undefined) {
+    const rawWatch = values.watch;
+    // Must be a list, either [a, b] or '- a' lines
+    if (rawWatch !== null && !Array.isArray(rawWatch)) {
+      return fieldError(
+        "watch",
+        `Invalid watch format. Must be an array: watch: ["src/**/*.ts"]`
+      );
+    }
+    if (!rawWatch || rawWatch.length === 0) {
+      return fieldError(
+        "watch",
+        `Empty watch array. Add at least one pattern: watch: ["**/*"]`
+      );
+    }
+    // Validate patterns aren't empty
+    if (rawWatch.some((p) => typeof p !== "string" || !p)) {
+      return fieldError(
+        "watch",
+        `Invalid watch pattern. Check for trailing commas or empty values`
+      );
+    }
+    watchPatterns = /** @type {string[]} */ (rawWatch);
+  }
+
+  // Parse trigger
+  const trigger = strings.trigger || "files";
+  if (!ARCHANGEL_TRIGGERS.includes(trigger)) {
+    return fieldError(
+      "trigger",
+      `Invalid trigger '${trigger}'. Must be one of: ${ARCHANGEL_TRIGGERS.join(
+        ", "
+      )}`
+    );
+  }
+
+  // Parse schedule (cron expression)
+  const schedule = strings.schedule || null;
+  if (schedule) {
+    const cron = parseCron(schedule);
+    if ("error" in cron) return fieldError("schedule", cron.error);
+    if (strings.trigger) {
+      return fieldError(
+        "schedule",
+        `Use either 'trigger' or 'schedule', not both. Scheduled archangels run at the scheduled times instead of on changes`
+      );
+    }
+  }
+
+  // Parse model (passed to the agent CLI's --model flag)
+  const model = strings.model || null;
+  if (model && !/^[\w.:/@+-]+$/.test(model)) {
+    return fieldError(
+      "model",
+      `Invalid model '${model}'. Use the name the ${tool} CLI accepts, e.g. model: sonnet`
+    );
+  }
+
+  // Parse allowedTools (a string, or a list joined with spaces)
+  const rawAllowedTools = values.allowedTools ?? null;
+  if (
+    Array.isArray(rawAllowedTools)
+      ? rawAllowedTools.some((t) => typeof t !== "string" || !t)
+      : rawAllowedTools !== null && typeof rawAllowedTools !== "string"
+  ) {
+    return fieldError(
+      "allowedTools",
+      `'allowedTools' must be a string or an array of strings`
+    );
+  }
+  const allowedTools = Array.isArray(rawAllowedTools)
+    ? rawAllowedTools.join(" ") || null
+    : /** @type {string | null} */ (rawAllowedTools) || null;
+
+  const yolo = values.yolo === true;
+  if (yolo && allowedTools) {
+    return fieldError(
+      "yolo",
+      `Use either 'yolo' or 'allowedTools', not both. yolo already allows every tool`
+    );
+  }
+
+  // Parse cwd (relative to the project root, and inside it)
+  const cwd = strings.cwd || null;
+  if (
+    cwd &&
+    (path.isAbsolute(cwd) || path.normalize(cwd).split(path.sep)[0] === "..")
+  ) {
+    return fieldError(
+      "cwd",
+      `Invalid cwd '${cwd}'. Must be a directory inside the project, relative to ${PROJECT_ROOT}`
+    );
+  }
+
+  // Parse contextBudget (tokens, e.g. 150000 or 150k)
+  let contextBudget = ARCHANGEL_CONTEXT_BUDGET;
+  if (values.contextBudget !== undefined) {
+    const rawBudget = values.contextBudget;
+    const budgetMatch = String(rawBudget).match(/^(\d+)(k)?$/i);
+    if (!budgetMatch || Array.isArray(rawBudget)) {
+      return fieldError(
+        "contextBudget",
+        `Invalid contextBudget '${rawBudget}'. Must be a number of tokens, e.g. contextBudget: 150k`
+      );
+    }
+    contextBudget =
+      parseInt(budgetMatch[1], 10) * (budgetMatch[2] ? 1000 : 1);
+    if (contextBudget < MIN_CONTEXT_BUDGET) {
+      return fieldError(
+        "contextBudget",
+        `contextBudget must be at least ${MIN_CONTEXT_BUDGET} tokens`
+      );
+    }
+  }
+
+  // Parse quiet_hours (a range, or a list of them)
+  let quietHours = null;
+  if (values.quiet_hours !== undefined && values.quiet_hours !== null) {
+    const rawQuiet = values.quiet_hours;
+    const entries = Array.isArray(rawQuiet) ? rawQuiet : [rawQuiet];
+    if (entries.some((e) => typeof e !== "string")) {
+      return fieldError(
+        "quiet_hours",
+        `'quiet_hours' must be a string or an array of strings, e.g. quiet_hours: "22:00-07:00"`
+      );
+    }
+    const parsedQuiet = parseQuietHours(/** @type {string[]} */ (entries));
+    if ("error" in parsedQuiet) {
+      return fieldError("quiet_hours", parsedQuiet.error);
+    }
+    quietHours = parsedQuiet;
+  }
+
+  return {
+    name,
+    tool,
+    watch: watchPatterns,
+    interval,
+    trigger: /** @type {ArchangelTrigger} */ (trigger),
+    schedule,
+    model,
+    allowedTools,
+    yolo,
+    cwd,
+    description: strings.description || null,
+    enabled: values.enabled !== false,
+    contextBudget,
+    quietHours,
+    prompt,
+  };
+}
+
+/**
+ * @param {ArchangelConfig} config
+ * @returns {string}
+ */
+function getArchangelSessionPattern(config) {
+  return `${config.tool}-archangel-${config.name}`;
+}
+
+/**
+ * @param {string} rfpId
+ * @param {string} prompt
+ */
+function writeRfpRecord(rfpId, prompt) {
+  ensureRfpDir();
+  const p = path.join(RFP_DIR, `${rfpId}.md`);
+  const block = [`### ${rfpId}`, "", prompt.trim(), ""].join("\n");
+  writeFileSync(p, block, "utf-8");
+}
+
+/**
+ * @param {string} input
+ * @returns {string}
+ */
+function resolveRfpId(input) {
+  const match = matchRfpId(input);
+  if ("error" in match) {
+    exitWithError(match.error, { matches: match.matches });
+  }
+  return match.rfpId;
+}
+
+/**
+ * @param {string} input
+ * @returns {{rfpId: string} | {error: string, matches: string[]}}
+ */
+function matchRfpId(input) {
+  ensureRfpDir();
+  if (!existsSync(RFP_DIR)) return { rfpId: input };
+  const files = readdirSync(RFP_DIR).filter((f) => f.endsWith(".md"));
+  const ids = files.map((f) => f.replace(/\.md$/, ""));
+  const matches = ids.filter((id) => id.startsWith(input));
+  if (matches.length === 1) return { rfpId: matches[0] };
+  if (matches.length > 1) return { error: "ambiguous rfp id", matches };
+  return { rfpId: input };
+}
+
+/**
+ * @param {ParentSession | null} parent
+ * @returns {string}
+ */
+function generateRfpId(parent) {
+  const now = new Date();
+  const y = now.getFullYear();
+  const mo = String(now.getMonth() + 1).padStart(2, "0");
+  const d = String(now.getDate()).padStart(2, "0");
+  const h = String(now.getHours()).padStart(2, "0");
+  const mi = String(now.getMinutes()).padStart(2, "0");
+  const s = String(now.getSeconds()).padStart(2, "0");
+  const ts = `${y}-${mo}-${d}-${h}-${mi}-${s}`;
+  const base = parent?.uuid
+    ? parent.uuid.split("-")[0]
+    : randomUUID().split("-")[0];
+  const suffix = randomUUID().split("-")[0].slice(0, 4);
+  return `rfp-${base}-${ts}-${suffix}`.toLowerCase();
+}
+
+// =============================================================================
+// Helpers - archangel templates (`ax summon <name> --template=<kind>`)
+// =============================================================================
+
+const SOURCE_GLOB = "**/*.{ts,tsx,js,jsx,mjs,mts,py,go,rs,rb,java}";
+const DEFAULT_ARCHANGEL_TEMPLATE = "bugs";
+
+/**
+ * @typedef {Object} ArchangelTemplate
+ * @property {string} kind
+ * @property {string | null} description
+ * @property {'built-in' | 'project'} source
+ * @property {string} content - The archangel file written by `ax summon`
+ * @property {string} [error] - Project templates that don't parse
+ */
+
+/** @type {Record<string, {description: string, watch: string[], interval: number, prompt: string}>} */
+const BUILTIN_ARCHANGEL_TEMPLATES = {
+  bugs: {
+    description: "Bugs, type errors and edge cases",
+    watch: ["**/*.{ts,tsx,js,jsx,mjs,mts}"],
+    interval: 30,
+    prompt: "Review changed files for bugs, type errors, and edge cases.",
+  },
+  security: {
+    description: "Security review",
+    watch: [SOURCE_GLOB, "**/*.{json,yaml,yml,toml}", "!**/*lock*"],
+    interval: 60,
+    prompt: `Review changed code for security issues: injection (SQL, shell, HTML), missing authentication or authorization checks, secrets or tokens in code or logs, unsafe deserialization, path traversal, SSRF, and weak or hand-rolled cryptography.
+
+Trace untrusted input to where it is used before reporting. Say how an attacker would reach the issue.`,
+  },
+  performance: {
+    description: "Performance regressions",
+    watch: [SOURCE_GLOB],
+    interval: 60,
+    prompt: `Review changed code for performance problems: queries or requests in loops (N+1), repeated work that could be hoisted or cached, synchronous I/O on request or render paths, unbounded growth of caches, queues and buffers, and needless re-renders.
+
+Only report issues on paths that run often or with large inputs, and estimate the cost.`,
+  },
+  "test-coverage": {
+    description: "Changes without tests",
+    watch: [SOURCE_GLOB],
+    interval: 120,
+    prompt: `Review changed code for behaviour that no test covers: new branches, error paths, and bug fixes without a regression test. Also flag tests that cannot fail (no assertions, or assertions on mocks only).
+
+Name the test file the coverage belongs in and the cases it should check.`,
+  },
+  "api-compat": {
+    description: "Breaking API changes",
+    watch: [
+      "**/index.{ts,js,mjs}",
+      "**/*.d.ts",
+      "**/*.proto",
+      "**/*.graphql",
+      "**/openapi.{yaml,yml,json}",
+      "package.json",
+    ],
+    interval: 60,
+    prompt: `Review changes to public interfaces for breaking changes: removed or renamed exports, fields and endpoints, changed signatures, stricter validation, changed defaults, and changed error or response shapes.
+
+For each, say who breaks and how: a deprecation path, a default that keeps old behaviour, or a major version bump.`,
+  },
+  accessibility: {
+    description: "Accessibility of UI changes",
+    watch: ["**/*.{tsx,jsx,vue,svelte,html,css,scss}"],
+    interval: 60,
+    prompt: `Review changed UI code for accessibility: missing labels and alt text, interactive elements that aren't keyboard-reachable or lack focus styles, non-semantic markup where a native element exists, colour-only cues, insufficient contrast, and ARIA that contradicts the markup.
+
+Cite the WCAG criterion where one applies.`,
+  },
+  "docs-drift": {
+    description: "Docs that no longer match the code",
+    watch: ["**/*.md", SOURCE_GLOB],
+    interval: 300,
+    prompt: `Review changes for documentation that no longer matches the code: READMEs, guides, doc comments and examples that describe old names, options, defaults or behaviour. Also flag new user-facing options or commands that aren't documented.
+
+Quote the stale text and say what it should say.`,
+  },
+};
+
+/**
+ * @param {string} kind
+ * @returns {string}
+ */
+function renderBuiltinTemplate(kind) {
+  const t = BUILTIN_ARCHANGEL_TEMPLATES[kind];
+  return `---
+tool: claude
+description: ${t.description}
+watch: ${JSON.stringify(t.watch)}
+interval: ${t.interval}
+---
+
+${t.prompt}
+`;
+}
+
+/**
+ * Built-in templates, overridden by (and extended with) .ai/templates/*.md.
+ * @returns {ArchangelTemplate[]}
+ */
+function loadArchangelTemplates() {
+  /** @type {Map<string, ArchangelTemplate>} */
+  const templates = new Map();
+  for (const kind of Object.keys(BUILTIN_ARCHANGEL_TEMPLATES)) {
+    templates.set(kind, {
+      kind,
+      description: BUILTIN_ARCHANGEL_TEMPLATES[kind].description,
+      source: "built-in",
+      content: renderBuiltinTemplate(kind),
+    });
+  }
+
+  if (existsSync(TEMPLATES_DIR)) {
+    for (const file of readdirSync(TEMPLATES_DIR).filter((f) =>
+      f.endsWith(".md")
+    )) {
+      const kind = file.replace(/\.md$/, "");
+      try {
+        const content = readFileSync(path.join(TEMPLATES_DIR, file), "utf-8");
+        const config = parseAgentConfig(file, content);
+        templates.set(kind, {
+          kind,
+          description: config && !("error" in config) ? config.description : null,
+          source: "project",
+          content,
+          ...(config && "error" in config ? { error: config.error } : {}),
+        });
+      } catch (err) {
+        debugError("loadArchangelTemplates", err);
+      }
+    }
+  }
+
+  return [...templates.values()].sort((a, b) => a.kind.localeCompare(b.kind));
+}
+
+// =============================================================================
+// Helpers - archangel supervisor
+// =============================================================================
+
+const SUPERVISOR_DIR = path.join(AI_DIR, "supervisor");
+// Restart delay after a crash: doubles per consecutive crash, within these bounds
+const SUPERVISOR_BACKOFF_BASE_MS = 5000;
+const SUPERVISOR_BACKOFF_MAX_MS = 300000; // 5 minutes
+// A run this long resets the crash counter
+const SUPERVISOR_STABLE_RUN_MS = 600000; // 10 minutes
+// Consecutive crashes before the supervisor gives up
+const SUPERVISOR_MAX_CRASHES = 5;
+// Slack after a rate limit's retry time, so the agent has actually reset
+const SUPERVISOR_RETRY_SLACK_MS = 60000;
+
+/**
+ * @typedef {'running' | 'backoff' | 'rate_limited' | 'failed' | 'stopped'} SupervisorStatus
+ */
+
+/**
+ * Persisted by `ax supervise` in .ai/supervisor/<name>.json.
+ * @typedef {Object} SupervisorState
+ * @property {string} name
+ * @property {number} pid - The supervisor process
+ * @property {number | null} childPid - The archangel process, while running
+ * @property {SupervisorStatus} status
+ * @property {number} restarts
+ * @property {number} crashes - Consecutive crashes, reset by a stable run
+ * @property {{code: number | null, signal: string | null, at: string} | null} lastExit
+ * @property {string | null} retryTime - From the agent, when rate limited
+ * @property {string | null} nextStartAt - ISO time of the pending restart
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function getSupervisorStatePath(name) {
+  return path.join(SUPERVISOR_DIR, `${name}.json`);
+}
+
+/**
+ * @param {string} name
+ * @returns {SupervisorState | null}
+ */
+function readSupervisorState(name) {
+  try {
+    return JSON.parse(readFileSync(getSupervisorStatePath(name), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {SupervisorState} state
+ */
+function writeSupervisorState(state) {
+  if (!existsSync(SUPERVISOR_DIR)) {
+    mkdirSync(SUPERVISOR_DIR, { recursive: true });
+  }
+  // Atomic write: readers never see a partial file
+  const statePath = getSupervisorStatePath(state.name);
+  const tmpPath = statePath + ".tmp";
+  writeFileSync(tmpPath, JSON.stringify(state, null, 2) + "\n");
+  renameSync(tmpPath, statePath);
+}
+
+/**
+ * @param {SupervisorState | null} state
+ * @returns {boolean} Whether the supervisor that wrote `state` is still running
+ */
+function isSupervisorAlive(state) {
+  if (!state || state.status === "stopped" || state.status === "failed") {
+    return false;
+  }
+  try {
+    process.kill(state.pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stop the supervisor of an archangel session that is about to be killed, so
+ * it doesn't restart the archangel. The state is looked up from the session's
+ * directory up, as `ax kill --all` reaches archangels of other projects.
+ * @param {string} session
+ * @returns {boolean} Whether a supervisor was stopped
+ */
+function stopArchangelSupervisor(session) {
+  const name = parseSessionName(session)?.archangelName;
+  if (!name) return false;
+
+  /** @type {SupervisorState | null} */
+  let supervisor = null;
+  const cwd = getTmuxSessionCwd(session);
+  for (let dir = cwd; dir; ) {
+    const statePath = path.join(dir, ".ai", "supervisor", `${name}.json`);
+    if (existsSync(statePath)) {
+      try {
+        supervisor = JSON.parse(readFileSync(statePath, "utf-8"));
+      } catch (err) {
+        debugError("stopArchangelSupervisor", err);
+      }
+      break;
+    }
+    const parent = path.dirname(dir);
+    dir = parent === dir ? null : parent;
+  }
+  if (!supervisor) supervisor = readSupervisorState(name);
+
+  if (!supervisor || !isSupervisorAlive(supervisor)) return false;
+  try {
+    process.kill(supervisor.pid, "SIGTERM");
+    return true;
+  } catch (err) {
+    debugError("stopArchangelSupervisor", err);
+    return false;
+  }
+}
+
+/**
+ * @param {number} crashes - Consecutive crashes so far (1 for the first)
+ * @returns {number}
+ */
+function getSupervisorBackoffMs(crashes) {
+  return Math.min(
+    SUPERVISOR_BACKOFF_BASE_MS * 2 ** Math.max(0, crashes - 1),
+    SUPERVISOR_BACKOFF_MAX_MS
+  );
+}
+
+/** @type {Record<string, number>} */
+const DURATION_UNIT_MS = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+
+/**
+ * Parse a duration as agents phrase it ("2 hours", "1h 30m", "3 days 2 hours
+ * and 5 minutes", "38.5s").
+ * @param {string} text
+ * @returns {number | null} null when no duration was found
+ */
+function parseDurationMs(text) {
+  const parts = text.matchAll(
+    /(\d+(?:\.\d+)?)\s*(d(?:ays?)?|h(?:(?:ou)?rs?)?|m(?:in(?:ute)?s?)?|s(?:ec(?:ond)?s?)?)\b/gi
+  );
+  /** @type {number | null} */
+  let total = null;
+  for (const [, amount, unit] of parts) {
+    total =
+      (total ?? 0) +
+      parseFloat(amount) * DURATION_UNIT_MS[unit[0].toLowerCase()];
+  }
+  return total;
+}
+
+/**
+ * Milliseconds until a retry time from `parseRetryTime`: a time of day
+ * ("3:45 PM", taking its next occurrence), an ISO time, or a duration
+ * ("in 2 hours").
+ * @param {string} retryTime
+ * @param {Date} [now]
+ * @returns {number | null} null when the time couldn't be parsed
+ */
+function getRetryDelayMs(retryTime, now = new Date()) {
+  const text = retryTime.trim();
+  const clock = text.match(/^(\d{1,2}):(\d{2})\s*([AP]M)$/i);
+  if (clock) {
+    const hours =
+      (parseInt(clock[1], 10) % 12) + (/p/i.test(clock[3]) ? 12 : 0);
+    const retryAt = new Date(now);
+    retryAt.setHours(hours, parseInt(clock[2], 10), 0, 0);
+    if (retryAt <= now) retryAt.setDate(retryAt.getDate() + 1);
+    return retryAt.getTime() - now.getTime();
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const retryAt = Date.parse(text);
+    return Number.isNaN(retryAt)
+      ? null
+      : Math.max(0, retryAt - now.getTime());
+  }
+  return parseDurationMs(text);
+}
+
+// =============================================================================
+// Helpers - context usage (archangel context budget)
+// =============================================================================
+
+// Below this, compaction would run on nearly every trigger
+const MIN_CONTEXT_BUDGET = 10000;
+// Rough size of a token, for prompts not yet sent
+const CHARS_PER_TOKEN = 4;
+// Assumed window when only a "N% context left" figure is available
+const DEFAULT_CONTEXT_WINDOW = 200000;
+
+/**
+ * @param {string | null | undefined} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens in context as of the latest model call recorded in a session log:
+ * the prompt (including cached tokens) plus what the model wrote. Null when
+ * the log has none, or was compacted since.
+ * @param {any[]} entries
+ * @param {LogFormat} format
+ * @returns {{used: number, window: number | null} | null}
+ */
+function getLogContextUsage(entries, format) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (format === "claude") {
+      if (entry?.type === "system" && entry.subtype === "compact_boundary") {
+        return null;
+      }
+      const usage = entry?.type === "assistant" ? entry.message?.usage : null;
+      if (usage) {
+        return {
+          used:
+            (usage.input_tokens || 0) +
+            (usage.cache_creation_input_tokens || 0) +
+            (usage.cache_read_input_tokens || 0) +
+            (usage.output_tokens || 0),
+          window: null,
+        };
+      }
+    } else if (format === "codex") {
+      if (entry?.type === "compacted") return null;
+      const info =
+        entry?.type === "event_msg" && entry.payload?.type === "token_count"
+          ? entry.payload.info
+          : null;
+      // Cached input tokens are part of input_tokens
+      const usage = info?.last_token_usage;
+      if (usage) {
+        return {
+          used: (usage.input_tokens || 0) + (usage.output_tokens || 0),
+          window: info.model_context_window || null,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The "N% context left" figure from an agent's status line (Codex:
+ * "42% context left"; Claude: "Context left until auto-compact: 12%").
+ * @param {string} screen
+ * @returns {number | null} Percent of the window still free
+ */
+function parseContextLeftPercent(screen) {
+  const match =
+    screen.match(/(\d{1,3})% context left/i) ||
+    screen.match(/context left[^\n\d%]*(\d{1,3})%/i);
+  return match ? Math.min(100, parseInt(match[1], 10)) : null;
+}
+
+/**
+ * @param {Agent} agent
+ * @param {string} sessionName
+ * @param {string} screen
+ * @returns {number | null} Tokens in context, or null if it can't be told
+ */
+function getContextUsage(agent, sessionName, screen) {
+  let fromLog = null;
+  const logPath = agent.findLogPath(sessionName);
+  if (logPath && existsSync(logPath)) {
+    try {
+      fromLog = getLogContextUsage(readLogEntries(logPath), agent.logFormat);
+    } catch (err) {
+      debugError("getContextUsage", err);
+    }
+  }
+  if (fromLog) return fromLog.used;
+
+  const percentLeft = parseContextLeftPercent(screen);
+  if (percentLeft === null) return null;
+  return Math.round((DEFAULT_CONTEXT_WINDOW * (100 - percentLeft)) / 100);
+}
+
+// =============================================================================
+// Helpers - archangel state (for `ax archangels`)
+// =============================================================================
+
+const ARCHANGEL_STATE_DIR = path.join(AI_DIR, "archangels");
+
+/**
+ * Persisted by `ax archangel` in .ai/archangels/<name>.json. Counters carry
+ * over across restarts; the rest describes the latest run.
+ * @typedef {Object} ArchangelState
+ * @property {string} name
+ * @property {number} pid - The archangel process
+ * @property {string} session - Its agent's tmux session
+ * @property {string} startedAt
+ * @property {string | null} parentSession
+ * @property {string | null} lastTriggerAt
+ * @property {number} pendingChanges - Changed files, commits or runs not yet reviewed
+ * @property {number} observations - Written to the mailbox
+ * @property {number} repeats - Merged into earlier observations
+ * @property {number} responses
+ * @property {number} totalResponseMs
+ * @property {number} compactions
+ * @property {number | null} contextTokens - At the last trigger, measured or estimated
+ * @property {{message: string, at: string} | null} lastError
+ * @property {string} updatedAt
+ */
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function getArchangelStatePath(name) {
+  return path.join(ARCHANGEL_STATE_DIR, `${name}.json`);
+}
+
+/**
+ * @param {string} name
+ * @returns {ArchangelState | null}
+ */
+function readArchangelState(name) {
+  try {
+    return JSON.parse(readFileSync(getArchangelStatePath(name), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {ArchangelState} state
+ */
+function writeArchangelState(state) {
+  if (!existsSync(ARCHANGEL_STATE_DIR)) {
+    mkdirSync(ARCHANGEL_STATE_DIR, { recursive: true });
+  }
+  // Atomic write: readers never see a partial file
+  const statePath = getArchangelStatePath(state.name);
+  const tmpPath = statePath + ".tmp";
+  writeFileSync(tmpPath, JSON.stringify(state, null, 2) + "\n");
+  renameSync(tmpPath, statePath);
+}
+
+/**
+ * Written by `ax pause` in .ai/archangels/<name>.pause.json, and removed by
+ * `ax resume`. While it exists the archangel keeps its session but doesn't
+ * review; changes queue up (accumulate) or are thrown away (drop).
+ * @typedef {Object} ArchangelPause
+ * @property {'accumulate' | 'drop'} mode
+ * @property {string} at
+ */
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function getArchangelPausePath(name) {
+  return path.join(ARCHANGEL_STATE_DIR, `${name}.pause.json`);
+}
+
+/**
+ * @param {string} name
+ * @returns {ArchangelPause | null}
+ */
+function readArchangelPause(name) {
+  try {
+    return JSON.parse(readFileSync(getArchangelPausePath(name), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {ArchangelPause | null} pause - null to resume
+ */
+function writeArchangelPause(name, pause) {
+  const pausePath = getArchangelPausePath(name);
+  if (!pause) {
+    rmSync(pausePath, { force: true });
+    return;
+  }
+  if (!existsSync(ARCHANGEL_STATE_DIR)) {
+    mkdirSync(ARCHANGEL_STATE_DIR, { recursive: true });
+  }
+  writeFileSync(pausePath, JSON.stringify(pause, null, 2) + "\n");
+}
+
+/**
+ * Why an archangel isn't reviewing right now, if it isn't.
+ * @param {ArchangelConfig} config
+ * @param {Date} [now]
+ * @returns {{mode: 'accumulate' | 'drop', reason: 'paused' | 'quiet hours'} | null}
+ */
+function getArchangelPause(config, now = new Date()) {
+  const pause = readArchangelPause(config.name);
+  if (pause) return { mode: pause.mode, reason: "paused" };
+  if (config.quietHours && isInQuietHours(config.quietHours, now)) {
+    return { mode: "accumulate", reason: "quiet hours" };
+  }
+  return null;
+}
+
+// =============================================================================
+// Helpers - mailbox
+// =============================================================================
+
+const MAILBOX_PATH = path.join(AI_DIR, "mailbox.jsonl");
+
+/**
+ * @returns {void}
+ */
+function ensureMailboxDir() {
+  const dir = path.dirname(MAILBOX_PATH);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * @returns {void}
+ */
+function ensureRfpDir() {
+  if (!existsSync(RFP_DIR)) {
+    mkdirSync(RFP_DIR, { recursive: true });
+  }
+}
+
+const OBSERVATION_STATUSES = ["new", "acked", "dismissed", "resolved"];
+// What `ax mailbox` shows without --status
+const MAILBOX_DEFAULT_STATUSES = ["new", "acked"];
+/** @type {Record<string, ObservationStatus>} */
+const MAILBOX_STATUS_ACTIONS = {
+  ack: "acked",
+  dismiss: "dismissed",
+  resolve: "resolved",
+};
+
+/**
+ * @param {MailboxPayload} payload
+ * @param {string} [type]
+ * @returns {string} The entry's id
+ */
+function writeToMailbox(payload, type = "observation") {
+  ensureMailboxDir();
+  const entry = {
+    id: randomUUID().slice(0, 8),
+    timestamp: new Date().toISOString(),
+    type,
+    payload,
+  };
+  appendFileSync(MAILBOX_PATH, JSON.stringify(entry) + "\n");
+  return entry.id;
+}
+
+/**
+ * Record a status change. The mailbox stays append-only (archangels write to
+ * it concurrently); readMailbox folds the latest status into each entry.
+ * @param {string} id
+ * @param {ObservationStatus} status
+ * @param {string | null} [note]
+ * @returns {void}
+ */
+function writeMailboxStatus(id, status, note = null) {
+  ensureMailboxDir();
+  const update = {
+    timestamp: new Date().toISOString(),
+    type: "status",
+    payload: { id, status, ...(note ? { note } : {}) },
+  };
+  appendFileSync(MAILBOX_PATH, JSON.stringify(update) + "\n");
+}
+
+/**
+ * Entries written before ids existed get one from their line's hash, which
+ * is stable because lines are never rewritten (only dropped by gcMailbox).
+ * The hook script derives the same id.
+ * @param {{id?: string}} entry
+ * @param {string} line
+ * @returns {string}
+ */
+function getMailboxEntryId(entry, line) {
+  return entry.id || /** @type {string} */ (quickHash(line));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxAge]
+ * @param {string | null} [options.branch]
+ * @param {number} [options.limit]
+ * @param {string[] | null} [options.status] - Only entries with these statuses
+ * @returns {MailboxEntry[]}
+ */
+function readMailbox(options = {}) {
+  if (!existsSync(MAILBOX_PATH)) return [];
+  return parseMailbox(readFileSync(MAILBOX_PATH, "utf-8"), options);
+}
+
+/**
+ * Parse mailbox JSONL, folding status updates into the entries they refer to.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxAge]
+ * @param {string | null} [options.branch]
+ * @param {number} [options.limit]
+ * @param {string[] | null} [options.status] - Only entries with these statuses
+ * @param {number} [options.now]
+ * @returns {MailboxEntry[]}
+ */
+function parseMailbox(
+  text,
+  {
+    maxAge = MAILBOX_MAX_AGE_MS,
+    branch = null,
+    limit = 10,
+    status = null,
+    now = Date.now(),
+  } = {}
+) {
+  const lines = text.trim().split("\n").filter(Boolean);
+  /** @type {MailboxEntry[]} */
+  const entries = [];
+  /** @type {Map<string, {status: ObservationStatus, note: string | null, at: string}>} */
+  const statuses = new Map();
+  /** @type {Map<string, {count: number, at: string}>} */
+  const repeats = new Map();
+
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+
+      if (entry.type === "status") {
+        statuses.set(entry.payload.id, {
+          status: entry.payload.status,
+          note: entry.payload.note || null,
+          at: entry.timestamp,
+        });
+        continue;
+      }
+
+      if (entry.type === "repeat") {
+        const count = repeats.get(entry.payload.id)?.count ?? 0;
+        repeats.set(entry.payload.id, { count: count + 1, at: entry.timestamp });
+        continue;
+      }
+
+      // Filter by branch if specified
+      if (branch && entry.payload?.branch !== branch) continue;
+
+      entries.push({ ...entry, id: getMailboxEntryId(entry, line) });
+    } catch (err) {
+      debugError("parseMailbox", err);
+    }
+  }
+
+  // Updates always come after the entry, so fold them in at the end
+  const folded = entries.map((entry) => {
+    const update = statuses.get(entry.id);
+    const repeat = repeats.get(entry.id);
+    return {
+      ...entry,
+      status: update?.status ?? /** @type {ObservationStatus} */ ("new"),
+      statusNote: update?.note ?? null,
+      statusAt: update?.at ?? null,
+      occurrences: 1 + (repeat?.count ?? 0),
+      repeatedAt: repeat?.at ?? null,
+    };
+  });
+
+  // Return most recent entries (a repeat keeps an observation current)
+  return folded
+    .filter((entry) => {
+      const lastSeen = entry.repeatedAt ?? entry.timestamp;
+      if (now - new Date(lastSeen).getTime() > maxAge) return false;
+      return !status || status.includes(entry.status);
+    })
+    .slice(-limit);
+}
+
+/**
+ * Record that an archangel reported an existing observation again.
+ * @param {string} id
+ * @param {string | null} commit
+ * @returns {void}
+ */
+function writeMailboxRepeat(id, commit) {
+  ensureMailboxDir();
+  const repeat = {
+    timestamp: new Date().toISOString(),
+    type: "repeat",
+    payload: { id, commit },
+  };
+  appendFileSync(MAILBOX_PATH, JSON.stringify(repeat) + "\n");
+}
+
+/**
+ * Find a mailbox entry by id or unique id prefix.
+ * @param {string} input
+ * @returns {{entry: MailboxEntry} | {error: string, matches?: string[]}}
+ */
+function matchMailboxEntry(input) {
+  const entries = readMailbox({ maxAge: Infinity, limit: Infinity });
+  const exact = entries.find((e) => e.id === input);
+  if (exact) return { entry: exact };
+  const matches = entries.filter((e) => e.id.startsWith(input));
+  if (matches.length === 1) return { entry: matches[0] };
+  if (matches.length > 1) {
+    return {
+      error: "ambiguous mailbox id",
+      matches: matches.map((e) => e.id),
+    };
+  }
+  return { error: `no mailbox entry with id '${input}'` };
+}
+
+/**
+ * The mailbox lines to keep. An entry lives as long as anything refers to
+ * it: repeats and status updates keep it (and themselves) around, so an
+ * observation that is still being reported, or was dismissed, isn't dropped
+ * from under them. Updates whose entry is gone are dropped.
+ * @param {string} text
+ * @param {number} maxAgeMs
+ * @param {number} [now]
+ * @returns {string[]}
+ */
+function gcMailboxLines(text, maxAgeMs, now = Date.now()) {
+  /** @type {{line: string, time: number, id: string, isUpdate: boolean}[]} */
+  const parsed = [];
+  /** @type {Map<string, number>} Latest time each entry was referred to */
+  const lastReferenced = new Map();
+
+  for (const line of text.trim().split("\n").filter(Boolean)) {
+    try {
+      const entry = JSON.parse(line);
+      const time = new Date(entry.timestamp).getTime();
+      const isUpdate = entry.type === "status" || entry.type === "repeat";
+      const id = isUpdate ? entry.payload.id : getMailboxEntryId(entry, line);
+      parsed.push({ line, time, id, isUpdate });
+      lastReferenced.set(id, Math.max(lastReferenced.get(id) ?? 0, time));
+    } catch {
+      // Skip invalid lines
+    }
+  }
+
+  // Entries that still exist after GC; their updates go with them
+  const keptIds = new Set(
+    parsed
+      .filter(
+        (p) =>
+          !p.isUpdate &&
+          now - /** @type {number} */ (lastReferenced.get(p.id)) < maxAgeMs
+      )
+      .map((p) => p.id)
+  );
+  return parsed.filter((p) => keptIds.has(p.id)).map((p) => p.line);
+}
+
+/**
+ * @param {number} [maxAgeHours]
+ * @returns {void}
+ */
+function gcMailbox(maxAgeHours = 24) {
+  if (!existsSync(MAILBOX_PATH)) return;
+
+  const kept = gcMailboxLines(
+    readFileSync(MAILBOX_PATH, "utf-8"),
+    maxAgeHours * 60 * 60 * 1000
+  );
+
+  // Atomic write: write to temp file then rename
+  const tmpPath = MAILBOX_PATH + ".tmp";
+  writeFileSync(tmpPath, kept.join("\n") + (kept.length ? "\n" : ""));
+  renameSync(tmpPath, MAILBOX_PATH);
+}
+
+// =============================================================================
+// Helpers - mailbox delivery (sessions without hooks)
+// =============================================================================
+
+// Shared with the Claude hook, which keys sessions by a hash of their id
+const MAILBOX_LAST_SEEN_PATH = path.join(AI_DIR, "mailbox-last-seen.json");
+const MAILBOX_LAST_SEEN_PRUNE_MS = 24 * 60 * 60 * 1000;
+// Prompts sent by ax are the hook's UserPromptSubmit: info waits for `ax mailbox`
+const MAILBOX_PROMPT_SEVERITIES = ["critical", "warn"];
+
+const AGENTS_MD_PATH = path.join(PROJECT_ROOT, "AGENTS.md");
+const AGENTS_MD_START = "<!-- ax:mailbox:start -->";
+const AGENTS_MD_END = "<!-- ax:mailbox:end -->";
+const AGENTS_MD_MAX_ENTRIES = 20;
+
+/**
+ * What a session has been shown: everything up to `since`, plus `ids`.
+ * The hook wrote a bare timestamp before ids existed.
+ * @typedef {{at: number, since: number, ids: string[]} | number} MailboxSeen
+ */
+
+/**
+ * Open entries a session hasn't been shown yet.
+ * @param {MailboxEntry[]} entries
+ * @param {MailboxSeen | undefined} seen
+ * @returns {MailboxEntry[]}
+ */
+function getUndeliveredEntries(entries, seen) {
+  const since = typeof seen === "number" ? seen : seen?.since || 0;
+  const ids = new Set(typeof seen === "number" ? [] : seen?.ids || []);
+  return entries.filter(
+    (e) =>
+      (e.status === "new" || e.status === "acked") &&
+      !ids.has(e.id) &&
+      new Date(e.timestamp).getTime() > since &&
+      MAILBOX_PROMPT_SEVERITIES.includes(
+        e.payload?.severity || DEFAULT_OBSERVATION_SEVERITY
+      )
+  );
+}
+
+/**
+ * The same message the Claude hook injects.
+ * @param {MailboxEntry[]} entries
+ * @returns {string}
+ */
+function formatMailboxDelivery(entries) {
+  const lines = [
+    "## Background Agents",
+    "",
+    "Background agents watching your files found:",
+    "",
+  ];
+  /** @type {Set<string>} */
+  const sessionPrefixes = new Set();
+  for (const { id, payload } of entries) {
+    const prefix = (payload.session || "").replace(
+      new RegExp(`-${UUID_PATTERN}$`, "i"),
+      ""
+    );
+    if (prefix) sessionPrefixes.add(prefix);
+    lines.push(
+      `**[${payload.agent}]** (${id}, ${
+        payload.severity || DEFAULT_OBSERVATION_SEVERITY
+      })`,
+      "",
+      payload.message || "",
+      ""
+    );
+  }
+  const sessionList = [...sessionPrefixes]
+    .map((s) => `\`./ax.js log ${s}\``)
+    .join(" or ");
+  lines.push(
+    `> For more context: \`./ax.js mailbox\`${
+      sessionList ? ` or ${sessionList}` : ""
+    }`,
+    "> Once handled: `./ax.js mailbox resolve <id> [note]` (or `dismiss <id>` if it doesn't apply)"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @typedef {Object} MailboxDelivery
+ * @property {string} text - Observations to inject ("" if there are none)
+ * @property {() => void} markDelivered - Record them as seen by the session
+ */
+
+/** @type {MailboxDelivery} */
+const NO_MAILBOX_DELIVERY = { text: "", markDelivered: () => {} };
+
+/**
+ * The observations a session hasn't seen, for agents without hooks to
+ * inject them. They're only recorded as seen once the caller says the
+ * prompt carrying them got through.
+ * @param {string} session - tmux session name
+ * @returns {MailboxDelivery}
+ */
+function getMailboxDelivery(session) {
+  const entries = readMailbox({ limit: Infinity });
+  if (entries.length === 0) return NO_MAILBOX_DELIVERY;
+
+  /** @type {Record<string, MailboxSeen>} */
+  let seenMap = {};
+  try {
+    seenMap = JSON.parse(readFileSync(MAILBOX_LAST_SEEN_PATH, "utf-8"));
+  } catch {
+    // Nothing delivered yet
+  }
+  const key = /** @type {string} */ (quickHash(session));
+  const undelivered = getUndeliveredEntries(entries, seenMap[key]);
+  if (undelivered.length === 0) return NO_MAILBOX_DELIVERY;
+
+  return {
+    text: formatMailboxDelivery(undelivered),
+    markDelivered: () =>
+      markMailboxDelivered(
+        session,
+        undelivered.map((e) => e.id),
+        new Set(entries.map((e) => e.id))
+      ),
+  };
+}
+
+/**
+ * Add ids to what a session has been shown, re-reading the file so marks
+ * made meanwhile (by the hook or another ax) aren't lost.
+ * @param {string} session
+ * @param {string[]} ids
+ * @param {Set<string>} recent - Ids still recent enough to deliver
+ */
+function markMailboxDelivered(session, ids, recent) {
+  /** @type {Record<string, MailboxSeen>} */
+  let seenMap = {};
+  try {
+    seenMap = JSON.parse(readFileSync(MAILBOX_LAST_SEEN_PATH, "utf-8"));
+  } catch {
+    // Nothing delivered yet
+  }
+  const key = /** @type {string} */ (quickHash(session));
+  const seen = seenMap[key];
+
+  // Only entries still recent enough to deliver need remembering
+  /** @type {string[]} */
+  const seenIds = typeof seen === "number" ? [] : seen?.ids || [];
+  const now = Date.now();
+  seenMap[key] = {
+    at: now,
+    since: typeof seen === "number" ? seen : seen?.since || 0,
+    ids: [...new Set([...seenIds.filter((id) => recent.has(id)), ...ids])],
+  };
+  for (const [k, value] of Object.entries(seenMap)) {
+    const at = typeof value === "number" ? value : value.at;
+    if (now - at > MAILBOX_LAST_SEEN_PRUNE_MS) delete seenMap[k];
+  }
+  try {
+    const tmpPath = MAILBOX_LAST_SEEN_PATH + ".tmp";
+    writeFileSync(tmpPath, JSON.stringify(seenMap));
+    renameSync(tmpPath, MAILBOX_LAST_SEEN_PATH);
+  } catch (err) {
+    debugError("markMailboxDelivered", err);
+  }
+}
+
+/**
+ * Prepend unseen observations to a prompt for a Codex session, which has
+ * no hook to inject them. Other agents' prompts are returned unchanged.
+ * Call markDelivered() once the prompt has been sent.
+ * @param {Agent} agent
+ * @param {string} session
+ * @param {string} prompt
+ * @returns {{prompt: string, markDelivered: () => void}}
+ */
+function withMailboxDelivery(agent, session, prompt) {
+  const unchanged = { prompt, markDelivered: NO_MAILBOX_DELIVERY.markDelivered };
+  if (agent.name !== "codex") return unchanged;
+  // Archangels report to the mailbox; they don't read it
+  if (parseSessionName(session)?.archangelName) return unchanged;
+  syncAgentsMd();
+  const { text, markDelivered } = getMailboxDelivery(session);
+  if (!text) return unchanged;
+  return { prompt: `${text}\n\n---\n\n${prompt}`, markDelivered };
+}
+
+/**
+ * Replace the ax-managed section of an AGENTS.md with the given open
+ * observations, adding it if missing and removing it when there are none.
+ * @param {string} content - Current AGENTS.md ("" if there is none)
+ * @param {MailboxEntry[]} entries
+ * @returns {string}
+ */
+function renderAgentsMdSection(content, entries) {
+  const section = entries.length
+    ? [
+        AGENTS_MD_START,
+        "## Open Observations From Background Agents",
+        "",
+        "Managed by `ax` from `.ai/mailbox.jsonl`; edits here are overwritten.",
+        "",
+        ...entries.map(
+          ({ id, payload }) =>
+            `- **[${payload.agent}]** (${id}, ${
+              payload.severity || DEFAULT_OBSERVATION_SEVERITY
+            }) ${(payload.message || "").trim().replace(/\s*\n\s*/g, " ")}`
+        ),
+        "",
+        "Once handled: `./ax.js mailbox resolve <id> [note]` (or `dismiss <id>`)",
+        AGENTS_MD_END,
+      ].join("\n")
+    : "";
+
+  const start = content.indexOf(AGENTS_MD_START);
+  const end = content.indexOf(AGENTS_MD_END, start);
+  if (start !== -1 && end !== -1) {
+    const before = content.slice(0, start).trimEnd();
+    const after = content.slice(end + AGENTS_MD_END.length).trimStart();
+    const joined = [before, section, after].filter(Boolean).join("\n\n");
+    return joined ? `${joined.trimEnd()}\n` : "";
+  }
+  if (!section) return content;
+  return content.trim() ? `${content.trimEnd()}\n\n${section}\n` : `${section}\n`;
+}
+
+/**
+ * Keep AGENTS.md's managed section in step with the mailbox, when enabled
+ * with AX_MAILBOX_AGENTS_MD=1 or once the section exists. Only called from
+ * the parent's side: an archangel watching AGENTS.md would be re-triggered
+ * by its own write.
+ * @returns {void}
+ */
+function syncAgentsMd() {
+  let content = "";
+  try {
+    content = readFileSync(AGENTS_MD_PATH, "utf-8");
+  } catch {
+    // Created below if enabled and there's something to say
+  }
+  if (
+    process.env.AX_MAILBOX_AGENTS_MD !== "1" &&
+    !content.includes(AGENTS_MD_START)
+  ) {
+    return;
+  }
+
+  const entries = readMailbox({
+    limit: AGENTS_MD_MAX_ENTRIES,
+    status: MAILBOX_DEFAULT_STATUSES,
+  }).filter((e) =>
+    MAILBOX_PROMPT_SEVERITIES.includes(
+      e.payload?.severity || DEFAULT_OBSERVATION_SEVERITY
+    )
+  );
+  const updated = renderAgentsMdSection(content, entries);
+  if (updated === content) return;
+  try {
+    // Written in place: AGENTS.md is often a symlink (e.g. to CLAUDE.md)
+    writeFileSync(AGENTS_MD_PATH, updated);
+  } catch (err) {
+    debugError("syncAgentsMd", err);
+  }
+}
+
+/**
+ * Whether a path is AGENTS.md while ax manages a section of it. Archangels
+ * leave it out of their changes: every mailbox sync rewrites it, and a
+ * review of that would raise observations that sync it again.
+ * @param {string} file - Relative to the current directory
+ * @returns {boolean}
+ */
+function isManagedAgentsMd(file) {
+  if (path.resolve(file) !== AGENTS_MD_PATH) return false;
+  if (process.env.AX_MAILBOX_AGENTS_MD === "1") return true;
+  try {
+    return readFileSync(AGENTS_MD_PATH, "utf-8").includes(AGENTS_MD_START);
+  } catch {
+    return false;
+  }
+}
+
+// =============================================================================
+// Helpers - observation severity
+// =============================================================================
+
+// Untagged observations interrupt the way every observation used to
+const DEFAULT_OBSERVATION_SEVERITY = "warn";
+
+/**
+ * Split the severity tag (`[critical]`, `[warn]` or `[info]`, optionally
+ * bold) off the start of an archangel's response.
+ * @param {string} response
+ * @returns {{severity: ObservationSeverity, message: string}}
+ */
+function parseObservationSeverity(response) {
+  const match = response
+    .trimStart()
+    .match(/^(\*\*)?\[(critical|warn|warning|info)\]\1?:?[ \t]*\n?/i);
+  if (!match) {
+    return {
+      severity: /** @type {ObservationSeverity} */ (
+        DEFAULT_OBSERVATION_SEVERITY
+      ),
+      message: response.trim(),
+    };
+  }
+  const tag = match[2].toLowerCase();
+  return {
+    severity: /** @type {ObservationSeverity} */ (
+      tag === "warning" ? "warn" : tag
+    ),
+    message: response.trimStart().slice(match[0].length).trim(),
+  };
+}
+
+// =============================================================================
+// Helpers - duplicate observations
+// =============================================================================
+
+// How far back an archangel's observations are checked for near-duplicates
+const OBSERVATION_DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Word-set similarity above which two observations say the same thing
+const OBSERVATION_DUPLICATE_SIMILARITY = 0.6;
+// Lower bar when both point at the same place in the same file
+const OBSERVATION_ANCHORED_SIMILARITY = 0.35;
+// Lines drift as the file is edited around an issue
+const OBSERVATION_ANCHOR_LINE_TOLERANCE = 10;
+
+/**
+ * Words of an observation, ignoring case, markdown and numbers (line numbers
+ * and counts change between reports of the same issue).
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function getObservationWords(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/\d+/g, " ")
+    .split(/[^a-z_]+/)
+    .filter((w) => w.length >= 3);
+  return new Set(words);
+}
+
+/**
+ * `path/to/file.ext:42` references in an observation.
+ * @param {string} text
+ * @returns {{file: string, line: number}[]}
+ */
+function getObservationAnchors(text) {
+  const anchors = [];
+  for (const m of text.matchAll(/([\w./-]+\.[A-Za-z]\w*):(\d+)/g)) {
+    anchors.push({ file: m[1].replace(/^\.\//, ""), line: Number(m[2]) });
+  }
+  return anchors;
+}
+
+/**
+ * Whether two paths name the same file (one may be relative to a subdirectory).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameFilePath(a, b) {
+  return a === b || a.endsWith("/" + b) || b.endsWith("/" + a);
+}
+
+/**
+ * Jaccard similarity of two observations' words (0-1).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getObservationSimilarity(a, b) {
+  const wordsA = getObservationWords(a);
+  const wordsB = getObservationWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  for (const w of wordsA) if (wordsB.has(w)) shared++;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Split an observation into its findings: the items of a list, or else
+ * paragraphs that each point at a place of their own. Text before the
+ * first item is kept apart as the lead-in.
+ * @param {string} message
+ * @returns {{lead: string, findings: string[], separator: string}}
+ */
+function splitObservationFindings(message) {
+  const lines = message.trim().split("\n");
+  const isItem = (/** @type {string} */ line) =>
+    /^(?:[-*+]|\d+[.)])\s/.test(line);
+  const first = lines.findIndex(isItem);
+  /** @type {string[]} */
+  const findings = [];
+
+  if (first !== -1) {
+    for (const [i, line] of lines.slice(first).entries()) {
+      if (i === 0 || isItem(line)) findings.push(line);
+      else findings[findings.length - 1] += "\n" + line;
+    }
+    return {
+      lead: lines.slice(0, first).join("\n").trim(),
+      findings: findings.map((f) => f.trim()),
+      separator: "\n",
+    };
+  }
+
+  for (const paragraph of message.trim().split(/\n\s*\n/)) {
+    const last = findings[findings.length - 1];
+    const startsFinding =
+      last === undefined ||
+      (getObservationAnchors(paragraph).length > 0 &&
+        getObservationAnchors(last).length > 0);
+    if (startsFinding) findings.push(paragraph);
+    else findings[findings.length - 1] = `${last}\n\n${paragraph}`;
+  }
+  return { lead: "", findings, separator: "\n\n" };
+}
+
+/**
+ * Find an earlier observation that a new one repeats: about the same files
+ * (or the same file and line), saying much the same thing as it or as one
+ * of its findings.
+ * @param {{message: string, files: string[]}} observation
+ * @param {MailboxEntry[]} entries - Earlier observations by the same archangel
+ * @returns {MailboxEntry | null}
+ */
+function findDuplicateObservation(observation, entries) {
+  const anchors = getObservationAnchors(observation.message);
+  let best = null;
+  let bestSimilarity = 0;
+
+  for (const entry of entries) {
+    const message = entry.payload?.message || "";
+    const files = entry.payload?.files || [];
+    const sharesFiles =
+      files.length === 0 && observation.files.length === 0
+        ? true
+        : files.some((f) => observation.files.includes(f));
+    const { findings } = splitObservationFindings(message);
+
+    for (const part of findings.length > 1 ? [message, ...findings] : [message]) {
+      const sharesAnchor = getObservationAnchors(part).some((a) =>
+        anchors.some(
+          (b) =>
+            isSameFilePath(a.file, b.file) &&
+            Math.abs(a.line - b.line) <= OBSERVATION_ANCHOR_LINE_TOLERANCE
+        )
+      );
+      if (!sharesAnchor && !sharesFiles) continue;
+
+      const similarity = getObservationSimilarity(observation.message, part);
+      const threshold = sharesAnchor
+        ? OBSERVATION_ANCHORED_SIMILARITY
+        : OBSERVATION_DUPLICATE_SIMILARITY;
+      if (similarity >= threshold && similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Sort an observation's findings into repeats of earlier observations and
+ * new ones, so a response that repeats one issue still reports the others.
+ * @param {{message: string, files: string[]}} observation
+ * @param {MailboxEntry[]} entries - Earlier observations by the same archangel
+ * @returns {{repeats: MailboxEntry[], fresh: string | null}} fresh: what's
+ * left to write as a new observation (with its lead-in), if anything
+ */
+function partitionObservation(observation, entries) {
+  const { lead, findings, separator } = splitObservationFindings(
+    observation.message
+  );
+  if (findings.length <= 1) {
+    const duplicate = findDuplicateObservation(observation, entries);
+    return duplicate
+      ? { repeats: [duplicate], fresh: null }
+      : { repeats: [], fresh: observation.message };
+  }
+
+  /** @type {MailboxEntry[]} */
+  const repeats = [];
+  /** @type {string[]} */
+  const fresh = [];
+  for (const finding of findings) {
+    const duplicate = findDuplicateObservation(
+      { message: finding, files: observation.files },
+      entries
+    );
+    if (!duplicate) fresh.push(finding);
+    else if (!repeats.includes(duplicate)) repeats.push(duplicate);
+  }
+  if (fresh.length === 0) return { repeats, fresh: null };
+  if (repeats.length === 0) return { repeats, fresh: observation.message };
+  return { repeats, fresh: [lead, ...fresh].filter(Boolean).join(separator) };
+}
+
+// =============================================================================
+// Helpers - git
+// =============================================================================
+
+/** @returns {string} */
+function getCurrentBranch() {
+  try {
+    return execSync("git branch --show-current 2>/dev/null", {
+      encoding: "utf-8",
+    }).trim();
+  } catch {
+    return "unknown";
+  }
+}
+
+/** @returns {string} */
+function getCurrentCommit() {
+  try {
+    return execSync("git rev-parse --short HEAD 2>/dev/null", {
+      encoding: "utf-8",
+    }).trim();
+  } catch {
+    return "unknown";
+  }
+}
+
+/** @returns {string | null} Full hash, or null outside a repo or before the first commit */
+function getHeadCommit() {
+  try {
+    return (
+      execSync("git rev-parse HEAD 2>/dev/null", { encoding: "utf-8" }).trim() ||
+      null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Commits HEAD gained when it moved from `from` to `to`, oldest first. When
+ * HEAD moved elsewhere (checkout, reset), just the commit it now points at.
+ * @param {string | null} from
+ * @param {string} to
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function getNewCommits(from, to, limit = ARCHANGEL_MAX_COMMITS) {
+  if (!from) return [to];
+  try {
+    execSync(`git merge-base --is-ancestor ${from} ${to} 2>/dev/null`);
+  } catch {
+    return [to];
+  }
+  try {
+    return execSync(
+      `git rev-list --reverse --max-count=${limit} ${from}..${to} 2>/dev/null`,
+      { encoding: "utf-8" }
+    )
+      .trim()
+      .split("\n")
+      .filter(Boolean);
+  } catch {
+    return [to];
+  }
+}
+
+/**
+ * Commits in a range such as "main..feature" or "HEAD~10..HEAD", oldest
+ * first, or null if git can't resolve it.
+ * @param {string} range
+ * @returns {{commit: string, subject: string}[] | null}
+ */
+function getRangeCommits(range) {
+  const result = spawnSync(
+    "git",
+    ["log", "--reverse", "--format=%H%x09%s", range, "--"],
+    { encoding: "utf-8" }
+  );
+  if (result.status !== 0) return null;
+  return result.stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [commit, ...subject] = line.split("\t");
+      return { commit, subject: subject.join("\t") };
+    });
+}
+
+/**
+ * @param {string} commit
+ * @returns {string} Message, stat and patch
+ */
+function getCommitDiff(commit) {
+  try {
+    return execSync(`git show --stat --patch ${commit} 2>/dev/null`, {
+      encoding: "utf-8",
+    }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {string} commit
+ * @returns {string[]} Paths relative to the current directory
+ */
+function getCommitFiles(commit) {
+  try {
+    return execSync(
+      `git show --name-only --relative --format= ${commit} 2>/dev/null`,
+      { encoding: "utf-8" }
+    )
+      .trim()
+      .split("\n")
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/** @returns {string[]} Paths relative to the current directory */
+function getStagedFiles() {
+  try {
+    return execSync("git diff --cached --name-only --relative 2>/dev/null", {
+      encoding: "utf-8",
+    })
+      .trim()
+      .split("\n")
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/** @returns {string | null} Changes whenever staged content does */
+function getStagedSignature() {
+  try {
+    return quickHash(
+      execSync("git diff --cached --raw --no-abbrev 2>/dev/null", {
+        encoding: "utf-8",
+      })
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @returns {string | null} Changes whenever HEAD, the working tree or an
+ * untracked file does; null outside a repo
+ */
+function getWorkingTreeSignature() {
+  // Every mailbox sync rewrites a managed AGENTS.md; that's not a change
+  const agentsMd = path.relative(process.cwd(), AGENTS_MD_PATH);
+  const pathspec = isManagedAgentsMd(agentsMd)
+    ? ` -- ':(top)' ':(exclude)${agentsMd.replace(/'/g, "'\\''")}'`
+    : "";
+  try {
+    const tracked = execSync(
+      `git rev-parse HEAD 2>/dev/null && (git diff HEAD${pathspec} 2>/dev/null | git hash-object --stdin)`,
+      { encoding: "utf-8" }
+    );
+    // Untracked files aren't in the diff: size and mtime stand in for content
+    const untracked = execSync(
+      "git ls-files --others --exclude-standard 2>/dev/null",
+      { encoding: "utf-8" }
+    )
+      .split("\n")
+      .filter((file) => file && !isManagedAgentsMd(file))
+      .map((file) => {
+        try {
+          const { size, mtimeMs } = statSync(file);
+          return `${file} ${size} ${mtimeMs}`;
+        } catch {
+          return file;
+        }
+      });
+    return quickHash(tracked + untracked.join("\n"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files that differ between `commit` and the working tree, plus untracked ones.
+ * @param {string} commit
+ * @returns {string[]} Paths relative to the current directory
+ */
+function getFilesChangedSince(commit) {
+  try {
+    const output = execSync(
+      `git diff --name-only --relative ${commit} 2>/dev/null && git ls-files --others --exclude-standard 2>/dev/null`,
+      { encoding: "utf-8" }
+    );
+    return [...new Set(output.trim().split("\n").filter(Boolean))];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {number} [limit]
+ * @returns {string} One line per commit since `from`, newest first
+ */
+function getCommitLogSince(from, limit = 20) {
+  try {
+    return execSync(
+      `git log --oneline --max-count=${limit} ${from}..HEAD 2>/dev/null`,
+      { encoding: "utf-8" }
+    ).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Poll a piece of git state (HEAD, the index) and report when it changes.
+ * @param {() => string | null} read
+ * @param {(previous: string | null, current: string | null) => void} onChange
+ * @returns {() => void} Stops polling
+ */
+function pollGitState(read, onChange) {
+  let last = read();
+  const timer = setInterval(() => {
+    const current = read();
+    if (current === last) return;
+    const previous = last;
+    last = current;
+    onChange(previous, current);
+  }, ARCHANGEL_GIT_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+/** @returns {string} */
+function getMainBranch() {
+  try {
+    execSync("git rev-parse --verify main 2>/dev/null");
+    return "main";
+  } catch {
+    try {
+      execSync("git rev-parse --verify master 2>/dev/null");
+      return "master";
+    } catch {
+      return "main";
+    }
+  }
+}
+
+/**
+ * A file's contents at HEAD, or null if it isn't tracked there.
+ * @param {string} file - Relative to the current directory
+ * @returns {string | null}
+ */
+function getFileAtHead(file) {
+  const result = spawnSync("git", ["show", `HEAD:./${file}`], {
+    encoding: "utf-8",
+    maxBuffer: MAX_SNAPSHOT_BYTES * 2,
+  });
+  return result.status === 0 ? result.stdout : null;
+}
+
+/**
+ * A file's current contents for snapshotting.
+ * @param {string} file
+ * @returns {string | null | undefined} null if it's gone, undefined if it's
+ * too big to be worth diffing
+ */
+function readSnapshot(file) {
+  try {
+    if (statSync(file).size > MAX_SNAPSHOT_BYTES) return undefined;
+    return readFileSync(file, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unified diff (hunks only, with a/ and b/ headers for `file`) between two
+ * snapshots of a file.
+ * @param {string} file
+ * @param {string | null} before - null: the file didn't exist
+ * @param {string | null} after - null: the file was deleted
+ * @returns {string} Empty when unchanged or binary
+ */
+function diffSnapshots(file, before, after) {
+  const dir = mkdtempSync(path.join(os.tmpdir(), "ax-snapshot-"));
+  try {
+    const beforePath = path.join(dir, "before");
+    const afterPath = path.join(dir, "after");
+    writeFileSync(beforePath, before ?? "");
+    writeFileSync(afterPath, after ?? "");
+    const result = spawnSync(
+      "git",
+      ["diff", "--no-index", "--no-color", "--", beforePath, afterPath],
+      { encoding: "utf-8", maxBuffer: MAX_SNAPSHOT_BYTES * 4 }
+    );
+    // Exit code 1 means "differences found"
+    const hunks = (result.stdout || "").indexOf("\n@@");
+    if (hunks === -1) return "";
+    const from = before === null ? "/dev/null" : `a/${file}`;
+    const to = after === null ? "/dev/null" : `b/${file}`;
+    return `--- ${from}\n+++ ${to}` + result.stdout.slice(hunks).trimEnd();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/** @returns {string} */
+function getStagedDiff() {
+  try {
+    return execSync("git diff --cached 2>/dev/null", {
+      encoding: "utf-8",
+    }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/** @returns {string} */
+function getUncommittedDiff() {
+  try {
+    return execSync("git diff 2>/dev/null", { encoding: "utf-8" }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {number} [hoursAgo]
+ * @returns {string}
+ */
+function getRecentCommitsDiff(hoursAgo = 4) {
+  try {
+    const mainBranch = getMainBranch();
+    const since = `--since="${hoursAgo} hours ago"`;
+
+    // Get list of commits in range
+    const commits = execSync(
+      `git log ${mainBranch}..HEAD ${since} --oneline 2>/dev/null`,
+      {
+        encoding: "utf-8",
+      }
+    ).trim();
+
+    if (!commits) return "";
+
+    // Get diff for those commits
+    const firstCommit = commits
+      .split("\n")
+      .filter(Boolean)
+      .pop()
+      ?.split(" ")[0];
+    if (!firstCommit) return "";
+    return execSync(`git diff ${firstCommit}^..HEAD 2>/dev/null`, {
+      encoding: "utf-8",
+    }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {string} diff
+ * @param {number} [maxLines]
+ * @returns {string}
+ */
+function truncateDiff(diff, maxLines = 200) {
+  if (!diff) return "";
+  const lines = diff.split("\n");
+  if (lines.length <= maxLines) return diff;
+  return (
+    lines.slice(0, maxLines).join("\n") +
+    `\n\n... (truncated, ${lines.length - maxLines} more lines)`
+  );
+}
+
+/**
+ * @param {number} [hoursAgo]
+ * @param {number} [maxLinesPerSection]
+ * @returns {string}
+ */
+function buildGitContext(hoursAgo = 4, maxLinesPerSection = 200) {
+  const sections = [];
+
+  const staged = truncateDiff(getStagedDiff(), maxLinesPerSection);
+  if (staged) {
+    sections.push(
+      "## Staged Changes (about to be committed)\n```diff\n" + staged + "\n```"
+    );
+  }
+
+  const uncommitted = truncateDiff(getUncommittedDiff(), maxLinesPerSection);
+  if (uncommitted) {
+    sections.push(
+      "## Uncommitted Changes (work in progress)\n```diff\n" +
+        uncommitted +
+        "\n```"
+    );
+  }
+
+  const recent = truncateDiff(
+    getRecentCommitsDiff(hoursAgo),
+    maxLinesPerSection
+  );
+  if (recent) {
+    sections.push(
+      `## Recent Commits (last ${hoursAgo} hours)\n\`\`\`diff\n` +
+        recent +
+        "\n```"
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+// =============================================================================
+// Helpers - parent session context
+// =============================================================================
+
+// Environment variables used to pass parent session info to archangels
+const AX_ARCHANGEL_PARENT_SESSION_ENV = "AX_ARCHANGEL_PARENT_SESSION";
+const AX_ARCHANGEL_PARENT_UUID_ENV = "AX_ARCHANGEL_PARENT_UUID";
+
+// Agents whose logs archangels can read for parent session context
+const PARENT_SESSION_TOOLS = ["claude", "codex"];
+
+/**
+ * The parent session's log: Claude JSONL, or a Codex rollout for Codex
+ * sessions (which have to be in tmux for findCodexLogPath to find it).
+ * @param {ParentSession} parent
+ * @returns {{logPath: string, format: LogFormat} | null}
+ */
+function findParentLog(parent) {
+  const tool = parent.session ? parseSessionName(parent.session)?.tool : null;
+  const logPath =
+    tool === "codex"
+      ? findCodexLogPath(/** @type {string} */ (parent.session))
+      : findClaudeLogPath(parent.uuid, parent.session);
+  if (!logPath || !existsSync(logPath)) return null;
+  return { logPath, format: tool === "codex" ? "codex" : "claude" };
+}
+
+/**
+ * Read a parent session log as Claude-shaped entries.
+ * @param {{logPath: string, format: LogFormat}} log
+ * @returns {any[]}
+ */
+function readParentLogEntries(log) {
+  const entries = readLogEntries(log.logPath);
+  return log.format === "codex" ? normalizeCodexRollout(entries) : entries;
+}
+
+/**
+ * Find the Claude or Codex session ax is being run from.
+ * @returns {ParentSession | null}
+ */
+function findCurrentAgentSession() {
+  // If we're inside a tmux session, check if it's an agent session
+  const current = tmuxCurrentSession();
+  if (current) {
+    const parsed = parseSessionName(current);
+    if (
+      parsed &&
+      PARENT_SESSION_TOOLS.includes(parsed.tool) &&
+      !parsed.archangelName &&
+      parsed.uuid
+    ) {
+      return { session: current, uuid: parsed.uuid };
+    }
+  }
+
+  // We might be running from an agent but not inside tmux (e.g., VSCode, Cursor)
+  // Find agent sessions in the same cwd and pick the most recently active one
+  const caller = findCallerAgent();
+  if (!caller) return null;
+
+  const cwd = process.cwd();
+  const sessions = tmuxListSessions();
+  const candidates = [];
+
+  for (const session of sessions) {
+    const parsed = parseSessionName(session);
+    if (!parsed || !PARENT_SESSION_TOOLS.includes(parsed.tool)) continue;
+    if (parsed.archangelName) continue;
+    if (!parsed.uuid) continue;
+
+    const sessionCwd = getTmuxSessionCwd(session);
+    if (sessionCwd !== cwd) continue;
+
+    // Check log file modification time
+    const log = findParentLog({ session, uuid: parsed.uuid });
+    if (log) {
+      try {
+        const stat = statSync(log.logPath);
+        candidates.push({ session, uuid: parsed.uuid, mtime: stat.mtimeMs });
+      } catch (err) {
+        debugError("findCurrentAgentSession:stat", err);
+      }
+    }
+  }
+
+  // Also check non-tmux Claude sessions by scanning the project's log directory
+  const projectPath = getClaudeProjectPath(cwd);
+  const claudeProjectDir = path.join(
+    CLAUDE_CONFIG_DIR,
+    "projects",
+    projectPath
+  );
+  if (existsSync(claudeProjectDir)) {
+    try {
+      const files = readdirSync(claudeProjectDir).filter((f) =>
+        f.endsWith(".jsonl")
+      );
+      for (const file of files) {
+        const uuid = file.replace(".jsonl", "");
+        // Skip if we already have this from tmux sessions
+        if (candidates.some((c) => c.uuid === uuid)) continue;
+
+        const logPath = path.join(claudeProjectDir, file);
+        try {
+          const stat = statSync(logPath);
+          // Only consider logs modified in the last hour (active sessions)
+          if (Date.now() - stat.mtimeMs < MAILBOX_MAX_AGE_MS) {
+            candidates.push({
+              session: null,
+              uuid,
+              mtime: stat.mtimeMs,
+              logPath,
+            });
+          }
+        } catch (err) {
+          debugError("findCurrentAgentSession:logStat", err);
+        }
+      }
+    } catch (err) {
+      debugError("findCurrentAgentSession:readdir", err);
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  // Return the most recently active session
+  candidates.sort((a, b) => b.mtime - a.mtime);
+  return { session: candidates[0].session, uuid: candidates[0].uuid };
+}
+
+/**
+ * @returns {ParentSession | null}
+ */
+function findParentSession() {
+  // First check if parent session was passed via environment (for archangels)
+  const envUuid = process.env[AX_ARCHANGEL_PARENT_UUID_ENV];
+  if (envUuid) {
+    // Session name is optional (may be null for non-tmux sessions)
+    const envSession = process.env[AX_ARCHANGEL_PARENT_SESSION_ENV] || null;
+    return { session: envSession, uuid: envUuid };
+  }
+
+  // Fallback to detecting current session (shouldn't be needed for archangels)
+  return findCurrentAgentSession();
+}
+
+/**
+ * @param {number} [maxEntries]
+ * @returns {string}
+ */
+function getParentSessionContext(maxEntries = 20) {
+  const parent = findParentSession();
+  if (!parent) return "";
+
+  const log = findParentLog(parent);
+  if (!log) return "";
+
+  try {
+    // Go back further to find meaningful entries (not just tool uses)
+    const recent = readParentLogEntries(log).slice(-maxEntries * 10);
+    /** @type {{type: string, text: string}[]} */
+    const entries = [];
+    /** @type {string | null} */
+    let planPath = null;
+
+    for (const entry of recent) {
+      try {
+        // Look for plan file path in the log content
+        if (!planPath) {
+          const planMatch = JSON.stringify(entry).match(
+            /\/Users\/[^"]+\/\.claude\/plans\/[^"]+\.md/
+          );
+          if (planMatch) planPath = planMatch[0];
+        }
+
+        if (entry.type === "user") {
+          const c = entry.message?.content;
+          // Only include user messages with actual text (not just tool results)
+          if (typeof c === "string" && c.length > 10) {
+            entries.push({ type: "user", text: c });
+          } else if (Array.isArray(c)) {
+            const text = c.find(
+              /** @param {{type: string, text?: string}} x */ (x) =>
+                x.type === "text"
+            )?.text;
+            if (text && text.length > 10) {
+              entries.push({ type: "user", text });
+            }
+          }
+        } else if (entry.type === "assistant") {
+          /** @type {{type: string, text?: string}[]} */
+          const parts = entry.message?.content || [];
+          const text = parts
+            .filter((p) => p.type === "text")
+            .map((p) => p.text || "")
+            .join("\n");
+          // Only include assistant responses with meaningful text
+          if (text && text.length > 20) {
+            entries.push({ type: "assistant", text });
+          }
+        }
+      } catch (err) {
+        debugError("getParentSessionContext:entry", err);
+      }
+    }
+
+    // Format recent conversation
+    const formatted = entries.slice(-maxEntries).map((e) => {
+      const preview = e.text.slice(0, 500).replace(/\n/g, " ");
+      return `**${e.type === "user" ? "User" : "Assistant"}**: ${preview}`;
+    });
+
+    let result = formatted.join("\n\n");
+
+    // If we found a plan file, include its contents
+    if (planPath && existsSync(planPath)) {
+      try {
+        const planContent = readFileSync(planPath, "utf-8").trim();
+        if (planContent) {
+          result += "\n\n## Current Plan\n\n" + planContent.slice(0, 2000);
+        }
+      } catch (err) {
+        debugError("getParentSessionContext:readPlan", err);
+      }
+    }
+
+    return result;
+  } catch (err) {
+    debugError("getParentSessionContext", err);
+    return "";
+  }
+}
+
+// =============================================================================
+// JSONL extraction for intent matching
+// =============================================================================
+
+// Tools that write files: Claude's, and Codex's (normalized per file)
+const EDIT_TOOL_NAMES = ["Write", "Edit", "apply_patch"];
+
+/**
+ * @param {{logPath: string, format: LogFormat} | null} log - Parent session log
+ * @param {string} filePath
+ * @returns {FileEditContext | null}
+ */
+function extractFileEditContext(log, filePath) {
+  if (!log) return null;
+
+  /** @type {any[]} */
+  const entries = readParentLogEntries(log).map((entry, idx) => ({
+    idx,
+    ...entry,
+  }));
+
+  // Find edit tool calls for this file (scan backwards, want most recent)
+  /** @type {any} */
+  let editEntry = null;
+  let editIdx = -1;
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.type !== "assistant") continue;
+
+    /** @type {any[]} */
+    const msgContent = entry.message?.content || [];
+    const toolCalls = msgContent.filter(
+      (/** @type {any} */ c) =>
+        (c.type === "tool_use" || c.type === "tool_call") &&
+        EDIT_TOOL_NAMES.includes(c.name)
+    );
+
+    for (const tc of toolCalls) {
+      const input = tc.input || tc.arguments || {};
+      if (
+        input.file_path === filePath ||
+        input.file_path?.endsWith("/" + filePath)
+      ) {
+        editEntry = { entry, toolCall: tc, content: msgContent };
+        editIdx = i;
+        break;
+      }
+    }
+    if (editEntry) break;
+  }
+
+  if (!editEntry) return null;
+
+  // Extract intent: text blocks from same assistant message
+  const intent = editEntry.content
+    .filter((/** @type {any} */ c) => c.type === "text")
+    .map((/** @type {any} */ c) => c.text)
+    .join("\n")
+    .trim();
+
+  // Look forward for Bash errors
+  /** @type {string[]} */
+  const subsequentErrors = [];
+  for (let i = editIdx + 1; i < entries.length && i < editIdx + 10; i++) {
+    const entry = entries[i];
+    // Check user messages for tool_result with errors
+    if (entry.type === "user") {
+      /** @type {any[]} */
+      const msgContent = entry.message?.content || [];
+      if (Array.isArray(msgContent)) {
+        for (const c of msgContent) {
+          if (c.type === "tool_result" && c.is_error) {
+            subsequentErrors.push(c.content?.slice(0, 500) || "error");
+          }
+        }
+      }
+    }
+  }
+
+  // Look backward for Read calls (what context did agent have?)
+  /** @type {string[]} */
+  const readsBefore = [];
+  for (let i = editIdx - 1; i >= 0 && i > editIdx - 20; i--) {
+    const entry = entries[i];
+    if (entry.type !== "assistant") continue;
+
+    /** @type {any[]} */
+    const msgContent = entry.message?.content || [];
+    const readCalls = msgContent.filter(
+      (/** @type {any} */ c) =>
+        (c.type === "tool_use" || c.type === "tool_call") && c.name === "Read"
+    );
+
+    for (const rc of readCalls) {
+      const input = rc.input || rc.arguments || {};
+      if (input.file_path) readsBefore.push(input.file_path);
+    }
+  }
+
+  // Count edit sequence (how many times was this file edited?)
+  let editSequence = 0;
+  for (const entry of entries) {
+    if (entry.type !== "assistant") continue;
+    /** @type {any[]} */
+    const msgContent = entry.message?.content || [];
+    const edits = msgContent.filter(
+      (/** @type {any} */ c) =>
+        (c.type === "tool_use" || c.type === "tool_call") &&
+        EDIT_TOOL_NAMES.includes(c.name)
+    );
+    for (const e of edits) {
+      const input = e.input || e.arguments || {};
+      if (
+        input.file_path === filePath ||
+        input.file_path?.endsWith("/" + filePath)
+      ) {
+        editSequence++;
+      }
+    }
+  }
+
+  return {
+    intent,
+    toolCall: {
+      name: editEntry.toolCall.name,
+      input: editEntry.toolCall.input || editEntry.toolCall.arguments,
+      id: editEntry.toolCall.id,
+    },
+    subsequentErrors,
+    readsBefore: [...new Set(readsBefore)].slice(0, 10),
+    editSequence,
+  };
+}
+
+// =============================================================================
+// Helpers - file watching
+// =============================================================================
+
+/**
+ * @param {string} pattern
+ * @returns {string}
+ */
+function getBaseDir(pattern) {
+  // Extract base directory from glob pattern
+  // e.g., "src/**/*.ts" -> "src"
+  // e.g., "**/*.ts" -> "."
+  const parts = pattern.split("/");
+  /** @type {string[]} */
+  const baseParts = [];
+  for (const part of parts) {
+    if (part.includes("*") || part.includes("?") || part.includes("[")) break;
+    baseParts.push(part);
+  }
+  return baseParts.length > 0 ? baseParts.join("/") : ".";
+}
+
+/**
+ * @param {string} filename
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesPattern(filename, pattern) {
+  return path.matchesGlob(filename, pattern);
+}
+
+// Default exclusions - always applied
+const DEFAULT_EXCLUDE_PATTERNS = [
+  "**/node_modules/**",
+  "**/.git/**",
+  "**/dist/**",
+  "**/build/**",
+  "**/.next/**",
+  "**/coverage/**",
+];
+
+/**
+ * Whether a project-relative path matches watch patterns (including
+ * "!" exclusions and the default exclusions).
+ * @param {string} file
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesWatchPatterns(file, patterns) {
+  const excludePatterns = [
+    ...DEFAULT_EXCLUDE_PATTERNS,
+    ...patterns.filter((p) => p.startsWith("!")).map((p) => p.slice(1)),
+  ];
+  if (excludePatterns.some((ex) => matchesPattern(file, ex))) return false;
+  return patterns
+    .filter((p) => !p.startsWith("!"))
+    .some((p) => matchesPattern(file, p));
+}
+
+/**
+ * @param {string[]} patterns
+ * @param {(filePath: string) => void} callback
+ * @returns {() => void}
+ */
+function watchForChanges(patterns, callback) {
+  // Separate include and exclude patterns
+  const includePatterns = patterns.filter((p) => !p.startsWith("!"));
+  const userExcludePatterns = patterns
+    .filter((p) => p.startsWith("!"))
+    .map((p) => p.slice(1));
+  const excludePatterns = [...DEFAULT_EXCLUDE_PATTERNS, ...userExcludePatterns];
+
+  /** @type {import('node:fs').FSWatcher[]} */
+  const watchers = [];
+  /** @type {Set<string>} */
+  const watchedDirs = new Set();
+
+  for (const pattern of includePatterns) {
+    const dir = getBaseDir(pattern);
+    if (watchedDirs.has(dir)) continue;
+    if (!existsSync(dir)) continue;
+
+    watchedDirs.add(dir);
+
+    try {
+      const watcher = watch(
+        dir,
+        { recursive: true },
+        (_eventType, filename) => {
+          if (!filename) return;
+          const fullPath = path.join(dir, filename);
+
+          // Check exclusions first
+          for (const ex of excludePatterns) {
+            if (matchesPattern(fullPath, ex) || matchesPattern(filename, ex)) {
+              return; // Excluded
+            }
+          }
+
+          // Check if this file matches any include pattern
+          for (const p of includePatterns) {
+            if (matchesPattern(fullPath, p) || matchesPattern(filename, p)) {
+              callback(fullPath);
+              break;
+            }
+          }
+        }
+      );
+      watchers.push(watcher);
+    } catch (err) {
+      console.error(
+        `Warning: Failed to watch ${dir}: ${
+          err instanceof Error ? err.message : err
+        }`
+      );
+    }
+  }
+
+  return () => {
+    for (const w of watchers) w.close();
+  };
+}
+
+// =============================================================================
+// State
+// =============================================================================
+
+const State = {
+  NO_SESSION: "no_session",
+  STARTING: "starting",
+  UPDATE_PROMPT: "update_prompt",
+  READY: "ready",
+  THINKING: "thinking",
+  CONFIRMING: "confirming",
+  RATE_LIMITED: "rate_limited",
+  FEEDBACK_MODAL: "feedback_modal",
+};
+
+/**
+ * Check if the prompt symbol appears with bold styling in the last lines.
+ * Used to distinguish actual prompts from text that happens to contain the symbol.
+ * @param {string} session - tmux session name
+ * @param {string} promptSymbol - The prompt symbol to look for
+ * @param {string} [screen] - Plain capture this check is for; reuses the last answer if the monitor saw no output since
+ * @returns {boolean}
+ */
+function hasStyledPrompt(session, promptSymbol, screen) {
+  const monitor = tmuxMonitors.get(session);
+  const version = monitor?.child ? monitor.version : null;
+  const cached = styledPromptCache;
+  if (
+    version !== null &&
+    cached?.session === session &&
+    cached.version === version &&
+    cached.promptSymbol === promptSymbol &&
+    cached.screen === screen
+  ) {
+    debug("state", "styled prompt unchanged since last check");
+    return cached.result;
+  }
+  const result = checkStyledPrompt(session, promptSymbol);
+  if (version !== null && screen !== undefined) {
+    styledPromptCache = { session, version, promptSymbol, screen, result };
+  }
+  return result;
+}
+
+/** @type {{session: string, version: number, promptSymbol: string, screen: string, result: boolean} | null} */
+let styledPromptCache = null;
+
+/**
+ * @param {string} session
+ * @param {string} promptSymbol
+ * @returns {boolean}
+ */
+function checkStyledPrompt(session, promptSymbol) {
+  const styledScreen = tmuxCapture(session, 0, true); // withEscapes=true
+
+  // If styled capture fails, fall back to allowing READY to avoid deadlock
+  if (!styledScreen) {
+    debug("state", "styled capture failed, falling back to unstyled check");
+    return true;
+  }
+
+  // Trim to match detectState behavior (removes trailing blank lines)
+  const lines = parseStyledScreenLines(styledScreen.trim());
+  const lastLines = lines.slice(-8);
+
+  for (const line of lastLines) {
+    for (const span of line.spans) {
+      if (span.text.includes(promptSymbol) && span.style?.bold) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Pure function to detect agent state from screen content.
+ * @param {string} screen - The screen content to analyze
+ * @param {Object} config - Agent configuration for pattern matching
+ * @param {string} config.promptSymbol - Symbol indicating ready state
+ * @param {string[]} [config.spinners] - Spinner characters indicating thinking
+ * @param {RegExp} [config.rateLimitPattern] - Pattern for rate limit detection
+ * @param {(string | RegExp | ((lines: string) => boolean))[]} [config.thinkingPatterns] - Text patterns indicating thinking
+ * @param {(string | RegExp)[]} [config.activeWorkPatterns] - Patterns indicating active work (beats ready)
+ * @param {(string | ((lines: string) => boolean))[]} [config.confirmPatterns] - Patterns for confirmation dialogs
+ * @param {{screen: string[], lastLines: string[]} | null} [config.updatePromptPatterns] - Patterns for update prompts
+ * @param {string} [config.session] - tmux session for styled prompt verification
+ * @param {boolean} [config.requireStyledPrompt] - If true, require prompt to be bold (Codex)
+ * @returns {string} The detected state
+ */
+function detectState(screen, config) {
+  if (!screen) {
+    debug("state", "no screen -> STARTING");
+    return State.STARTING;
+  }
+
+  const lines = screen.trim().split("\n");
+  const lastLines = lines.slice(-8).join("\n");
+  // Larger range for confirmation detection (catches dialogs that scrolled slightly)
+  const recentLines = lines.slice(-15).join("\n");
+
+  // Rate limited - check recent lines (not full screen to avoid matching historical output)
+  if (config.rateLimitPattern && config.rateLimitPattern.test(recentLines)) {
+    debug("state", "rateLimitPattern matched -> RATE_LIMITED");
+    return State.RATE_LIMITED;
+  }
+
+  // Feedback modal - Claude CLI's "How is Claude doing this session?" prompt
+  // Match the numbered options pattern (flexible on whitespace)
+  if (
+    /1:\s*Bad/i.test(recentLines) &&
+    /2:\s*Fine/i.test(recentLines) &&
+    /3:\s*Good/i.test(recentLines) &&
+    /0:\s*Dismiss/i.test(recentLines)
+  ) {
+    debug("state", "feedback modal detected -> FEEDBACK_MODAL");
+    return State.FEEDBACK_MODAL;
+  }
+
+  // Confirming - check before THINKING because "Running…" in tool output matches thinking patterns
+  const confirmPatterns = config.confirmPatterns || [];
+  for (const pattern of confirmPatterns) {
+    if (typeof pattern === "function") {
+      // Functions check lastLines first (most specific), then recentLines
+      if (pattern(lastLines)) {
+        debug(
+          "state",
+          "confirmPattern function matched lastLines -> CONFIRMING"
+        );
+        return State.CONFIRMING;
+      }
+      if (pattern(recentLines)) {
+        debug(
+          "state",
+          "confirmPattern function matched recentLines -> CONFIRMING"
+        );
+        return State.CONFIRMING;
+      }
+    } else {
+      // String patterns check recentLines (bounded range)
+      if (recentLines.includes(pattern)) {
+        debug("state", `confirmPattern "${pattern}" matched -> CONFIRMING`);
+        return State.CONFIRMING;
+      }
+    }
+  }
+
+  // Check for active work patterns first (agent shows prompt even while working)
+  const activeWorkPatterns = config.activeWorkPatterns || [];
+  for (const p of activeWorkPatterns) {
+    const matched =
+      p instanceof RegExp ? p.test(lastLines) : lastLines.includes(p);
+    if (matched) {
+      debug("state", `activeWorkPattern "${p}" matched -> THINKING`);
+      return State.THINKING;
+    }
+  }
+
+  // Ready - check BEFORE thinking to avoid false positives from timing messages like "✻ Worked for 45s"
+  // If the prompt symbol is visible, the agent is ready regardless of spinner characters in timing messages
+  if (lastLines.includes(config.promptSymbol)) {
+    // If styled prompt check is enabled, verify prompt has expected styling
+    // This prevents false positives from output containing the prompt symbol
+    if (config.requireStyledPrompt && config.session) {
+      if (hasStyledPrompt(config.session, config.promptSymbol, screen)) {
+        debug(
+          "state",
+          `promptSymbol "${config.promptSymbol}" found with bold styling -> READY`
+        );
+        return State.READY;
+      }
+      debug(
+        "state",
+        `promptSymbol "${config.promptSymbol}" found but not bold, continuing checks`
+      );
+    } else {
+      debug("state", `promptSymbol "${config.promptSymbol}" found -> READY`);
+      return State.READY;
+    }
+  }
+
+  // Thinking - spinners (check last lines only)
+  const spinners = config.spinners || [];
+  for (const s of spinners) {
+    if (lastLines.includes(s)) {
+      debug("state", `spinner "${s}" matched -> THINKING`);
+      return State.THINKING;
+    }
+  }
+  // Thinking - text patterns (last lines) - supports strings, regexes, and functions
+  const thinkingPatterns = config.thinkingPatterns || [];
+  for (const p of thinkingPatterns) {
+    let matched = false;
+    if (typeof p === "function") matched = p(lastLines);
+    else if (p instanceof RegExp) matched = p.test(lastLines);
+    else matched = lastLines.includes(p);
+    if (matched) {
+      debug("state", `thinkingPattern "${p}" matched -> THINKING`);
+      return State.THINKING;
+    }
+  }
+
+  // Update prompt
+  if (config.updatePromptPatterns) {
+    const { screen: sp, lastLines: lp } = config.updatePromptPatterns;
+    if (
+      sp &&
+      sp.some((p) => screen.includes(p)) &&
+      lp &&
+      lp.some((p) => lastLines.includes(p))
+    ) {
+      debug("state", "updatePromptPatterns matched -> UPDATE_PROMPT");
+      return State.UPDATE_PROMPT;
+    }
+  }
+
+  debug("state", "no patterns matched -> STARTING");
+  debug("state", `lastLines:\n${lastLines}`);
+  debug("state", `recentLines:\n${recentLines}`);
+  return State.STARTING;
+}
+
+// =============================================================================
+// Agent base class
+// =============================================================================
+
+/**
+ * @typedef {string | ((lines: string) => boolean)} ConfirmPattern
+ */
+
+/**
+ * @typedef {Object} UpdatePromptPatterns
+ * @property {string[]} screen
+ * @property {string[]} lastLines
+ */
+
+/**
+ * @typedef {Object} AgentConfigInput
+ * @property {string} name
+ * @property {string} displayName
+ * @property {string} startCommand
+ * @property {string} yoloCommand
+ * @property {string} promptSymbol
+ * @property {string[]} [spinners]
+ * @property {RegExp} [rateLimitPattern]
+ * @property {(string | RegExp | ((lines: string) => boolean))[]} [thinkingPatterns]
+ * @property {(string | RegExp)[]} [activeWorkPatterns]
+ * @property {ConfirmPattern[]} [confirmPatterns]
+ * @property {UpdatePromptPatterns | null} [updatePromptPatterns]
+ * @property {string[]} [responseMarkers]
+ * @property {string[]} [chromePatterns]
+ * @property {Record<string, string> | null} [reviewOptions]
+ * @property {string | null} [compactCommand] - Slash command that summarizes the conversation (null: none)
+ * @property {string} envVar
+ * @property {string} [approveKey]
+ * @property {string} [rejectKey]
+ * @property {string} [safeAllowedTools]
+ * @property {string | null} [sessionIdFlag]
+ * @property {((sessionName: string) => string | null) | null} [logPathFinder]
+ * @property {LogFormat} [logFormat] - Format of the files logPathFinder returns (default: codex)
+ * @property {boolean} [requireStyledPrompt] - If true, require prompt to be bold for READY detection
+ * @property {boolean} [submitAnswers] - If true, approve/reject keys are followed by Enter (line-based y/n prompts)
+ * @property {((sessionName: string, index: number) => string | null) | null} [responseReader] - Reads responses from a non-JSONL transcript
+ * @property {((sessionName: string) => string) | null} [sessionArgs] - Extra arguments tying the process to its session
+ * @property {((sessionName: string) => void) | null} [prepareSession] - Run before the session starts, e.g. to create what sessionArgs names
+ */
+
+class Agent {
+  /**
+   * @param {AgentConfigInput} config
+   */
+  constructor(config) {
+    /** @type {string} */
+    this.name = config.name;
+    /** @type {string} */
+    this.displayName = config.displayName;
+    /** @type {string} */
+    this.startCommand = config.startCommand;
+    /** @type {string} */
+    this.yoloCommand = config.yoloCommand;
+    /** @type {string} */
+    this.promptSymbol = config.promptSymbol;
+    /** @type {string[]} */
+    this.spinners = config.spinners || [];
+    /** @type {RegExp | undefined} */
+    this.rateLimitPattern = config.rateLimitPattern;
+    /** @type {(string | RegExp | ((lines: string) => boolean))[]} */
+    this.thinkingPatterns = config.thinkingPatterns || [];
+    /** @type {(string | RegExp)[]} */
+    this.activeWorkPatterns = config.activeWorkPatterns || [];
+    /** @type {ConfirmPattern[]} */
+    this.confirmPatterns = config.confirmPatterns || [];
+    /** @type {UpdatePromptPatterns | null} */
+    this.updatePromptPatterns = config.updatePromptPatterns || null;
+    /** @type {string[]} */
+    this.responseMarkers = config.responseMarkers || [];
+    /** @type {string[]} */
+    this.chromePatterns = config.chromePatterns || [];
+    /** @type {Record<string, string> | null | undefined} */
+    this.reviewOptions = config.reviewOptions ?? null;
+    /** @type {string | null} */
+    this.compactCommand = config.compactCommand ?? null;
+    /** @type {string} */
+    this.envVar = config.envVar;
+    /** @type {string} */
+    this.approveKey = config.approveKey || "y";
+    /** @type {string} */
+    this.rejectKey = config.rejectKey || "n";
+    /** @type {string | undefined} */
+    this.safeAllowedTools = config.safeAllowedTools;
+    /** @type {string | null} */
+    this.sessionIdFlag = config.sessionIdFlag || null;
+    /** @type {((sessionName: string) => string | null) | null} */
+    this.logPathFinder = config.logPathFinder || null;
+    /** @type {LogFormat} */
+    this.logFormat = config.logFormat || "codex";
+    /** @type {boolean} */
+    this.requireStyledPrompt = config.requireStyledPrompt || false;
+    /** @type {boolean} */
+    this.submitAnswers = config.submitAnswers || false;
+    /** @type {((sessionName: string, index: number) => string | null) | null} */
+    this.responseReader = config.responseReader || null;
+    /** @type {((sessionName: string) => string) | null} */
+    this.sessionArgs = config.sessionArgs || null;
+    /** @type {((sessionName: string) => void) | null} */
+    this.prepareSession = config.prepareSession || null;
+    /** @type {boolean} */
+    this.usesTmux = true;
+  }
+
+  /**
+   * Start a session (or reuse a running one with the same name).
+   * @param {{sessionName?: string | null, yolo?: boolean, allowedTools?: string | null}} [options]
+   * @returns {Promise<AgentSession>}
+   */
+  async createSession({
+    sessionName = null,
+    yolo = false,
+    allowedTools = null,
+  } = {}) {
+    const name = await cmdStart(this, sessionName, { yolo, allowedTools });
+    return new TmuxSession(this, name);
+  }
+
+  /**
+   * Attach to a running session.
+   * @param {string | null | undefined} sessionName
+   * @returns {Promise<AgentSession | null>} null if the session isn't running
+   */
+  async openSession(sessionName) {
+    if (!sessionName || !tmuxHasSession(sessionName)) return null;
+    return new TmuxSession(this, sessionName);
+  }
+
+  /**
+   * The executable startCommand runs, which for custom tools needn't match
+   * the tool's name. Leading VAR=value assignments are skipped.
+   * @returns {string}
+   */
+  getBinary() {
+    const words = this.startCommand.trim().split(/\s+/);
+    return words.find((w) => !/^\w+=/.test(w)) ?? words[0];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isInstalled() {
+    const result = spawnSync("which", [this.getBinary()], { encoding: "utf-8" });
+    return result.status === 0;
+  }
+
+  /**
+   * @param {boolean} [yolo]
+   * @param {string | null} [sessionName]
+   * @param {string | null} [customAllowedTools]
+   * @param {string | null} [model]
+   * @returns {string}
+   */
+  getCommand(
+    yolo,
+    sessionName = null,
+    customAllowedTools = null,
+    model = null
+  ) {
+    let base;
+    if (yolo) {
+      base = this.yoloCommand;
+      debug("command", `mode=yolo`);
+    } else if (customAllowedTools) {
+      // Custom permissions from --auto-approve flag
+      // Escape for shell: backslashes first, then double quotes
+      const escaped = customAllowedTools
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"');
+      base = `${this.startCommand} --allowedTools "${escaped}"`;
+      debug("command", `mode=custom, allowedTools=${customAllowedTools}`);
+    } else if (this.safeAllowedTools) {
+      // Default: auto-approve safe read-only operations
+      base = `${this.startCommand} --allowedTools "${this.safeAllowedTools}"`;
+      debug("command", `mode=safe, allowedTools=${this.safeAllowedTools}`);
+    } else {
+      base = this.startCommand;
+      debug("command", `mode=default`);
+    }
+    if (model) {
+      // Escape for shell, as for allowedTools
+      const escaped = model.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+      base += ` --model "${escaped}"`;
+      debug("command", `model=${model}`);
+    }
+    if (this.sessionArgs && sessionName) {
+      base += ` ${this.sessionArgs(sessionName)}`;
+    }
+    // Some agents support session ID flags for deterministic session tracking
+    if (this.sessionIdFlag && sessionName) {
+      const parsed = parseSessionName(sessionName);
+      if (parsed?.uuid) {
+        const cmd = `${base} ${this.sessionIdFlag} ${parsed.uuid}`;
+        debug("command", `full: ${cmd}`);
+        return cmd;
+      }
+    }
+    debug("command", `full: ${base}`);
+    return base;
+  }
+
+  /**
+   * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
+   * @returns {string | null}
+   */
+  getDefaultSession({ allowedTools = null, yolo = false } = {}) {
+    // Check env var for explicit session
+    if (this.envVar && process.env[this.envVar]) {
+      return process.env[this.envVar] ?? null;
+    }
+
+    const cwd = process.cwd();
+    // Match sessions: {tool}-(partner-)?{uuid}[-p{hash}|-yolo]?
+    const childPattern = new RegExp(
+      `^${this.name}-(partner-)?${UUID_PATTERN}(-p${PERM_HASH_PATTERN}|-yolo)?$`,
+      "i"
+    );
+    const requestedHash = computePermissionHash(allowedTools);
+
+    /**
+     * Find a matching session by walking up the directory tree.
+     * Checks exact cwd first, then parent directories up to git root or home.
+     * @param {string[]} sessions
+     * @returns {string | null}
+     */
+    const findSessionInCwdOrParent = (sessions) => {
+      const matchingSessions = sessions.filter((s) => {
+        if (!childPattern.test(s)) return false;
+
+        const perms = getSessionPermissions(s);
+
+        // If yolo requested, only match yolo sessions
+        if (yolo) {
+          return perms.mode === "yolo";
+        }
+
+        // If custom permissions requested, match yolo (superset) or same hash
+        if (requestedHash) {
+          return perms.mode === "yolo" || perms.hash === requestedHash;
+        }
+
+        // If no special permissions, match safe sessions only
+        return perms.mode === "safe";
+      });
+      if (matchingSessions.length === 0) return null;
+
+      // Cache session cwds to avoid repeated tmux calls
+      const sessionCwds = new Map(
+        matchingSessions.map((s) => [s, getTmuxSessionCwd(s)])
+      );
+
+      let searchDir = cwd;
+      const homeDir = os.homedir();
+
+      while (searchDir !== homeDir && searchDir !== "/") {
+        const existing = matchingSessions.find(
+          (s) => sessionCwds.get(s) === searchDir
+        );
+        if (existing) return existing;
+
+        // Stop at git root (don't leak across projects)
+        if (existsSync(path.join(searchDir, ".git"))) break;
+
+        searchDir = path.dirname(searchDir);
+      }
+
+      return null;
+    };
+
+    // If inside tmux, look for existing agent session in cwd or parent
+    const current = tmuxCurrentSession();
+    if (current) {
+      const sessions = tmuxListSessions();
+      const existing = findSessionInCwdOrParent(sessions);
+      if (existing) return existing;
+      // No existing session in this cwd or parent - will generate new one in cmdStart
+      return null;
+    }
+
+    // Walk up to find claude/codex ancestor and reuse its session
+    const caller = findCallerAgent();
+    if (caller) {
+      const sessions = tmuxListSessions();
+      const existing = findSessionInCwdOrParent(sessions);
+      if (existing) return existing;
+    }
+
+    // No existing session found
+    return null;
+  }
+
+  /**
+   * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
+   * @returns {string}
+   */
+  generateSession(options = {}) {
+    return generateSessionName(this.name, options);
+  }
+
+  /**
+   * Find the log file path for a session.
+   * @param {string} sessionName
+   * @returns {string | null}
+   */
+  findLogPath(sessionName) {
+    if (this.logPathFinder) {
+      return this.logPathFinder(sessionName);
+    }
+    return null;
+  }
+
+  /**
+   * Create a terminal stream for reading agent output.
+   * Returns JsonlTerminalStream for agents with log file support,
+   * otherwise falls back to ScreenTerminalStream.
+   * @param {string} sessionName
+   * @param {{skipExisting?: boolean}} [opts] - Options
+   * @returns {TerminalStream}
+   */
+  createStream(sessionName, opts = {}) {
+    // Prefer JSONL stream if agent has log path finder
+    if (this.logPathFinder) {
+      return new JsonlTerminalStream(
+        () => this.findLogPath(sessionName),
+        this.logFormat,
+        opts
+      );
+    }
+    // Fall back to screen capture
+    return new ScreenTerminalStream(sessionName);
+  }
+
+  /**
+   * Create a styled terminal stream with ANSI color support.
+   * Only uses screen capture (JSONL doesn't have style info).
+   * @param {string} sessionName
+   * @param {number} [scrollback]
+   * @returns {StyledScreenTerminalStream}
+   */
+  createStyledStream(sessionName, scrollback = 0) {
+    return new StyledScreenTerminalStream(sessionName, scrollback);
+  }
+
+  /**
+   * @param {string} screen
+   * @param {string} [session] - Optional session for styled prompt verification
+   * @returns {string}
+   */
+  getState(screen, session) {
+    return detectState(screen, {
+      promptSymbol: this.promptSymbol,
+      spinners: this.spinners,
+      rateLimitPattern: this.rateLimitPattern,
+      thinkingPatterns: this.thinkingPatterns,
+      activeWorkPatterns: this.activeWorkPatterns,
+      confirmPatterns: this.confirmPatterns,
+      updatePromptPatterns: this.updatePromptPatterns,
+      session,
+      requireStyledPrompt: this.requireStyledPrompt,
+    });
+  }
+
+  /**
+   * When the agent says its limit lifts: a time of day as shown ("3:45 PM"),
+   * or an ISO time, which relative ones ("try again in 2 hours") become.
+   * @param {string} screen
+   * @param {Date} [now]
+   * @returns {string}
+   */
+  parseRetryTime(screen, now = new Date()) {
+    const clock = screen.match(/try again at ([0-9]{1,2}:[0-9]{2}\s*[AP]M)/i);
+    if (clock) return clock[1];
+    const iso = screen.match(
+      /(?:try again|retry|resets?) (?:at|after) (\d{4}-\d{2}-\d{2}T[0-9:.]+(?:Z|[+-]\d{2}:?\d{2})?)/i
+    );
+    if (iso) return iso[1];
+    const relative = screen.match(
+      /(?:try again|retry|resets?) (?:in|after) ([0-9][0-9a-z., ]*)/i
+    );
+    const delayMs = relative ? parseDurationMs(relative[1]) : null;
+    if (delayMs !== null) {
+      return new Date(now.getTime() + delayMs).toISOString();
+    }
+    return "unknown";
+  }
+
+  /**
+   * @param {string} screen
+   * @returns {string}
+   */
+  parseAction(screen) {
+    /** @param {string} s */
+    // eslint-disable-next-line no-control-regex
+    const clean = (s) => s.replace(/\x1b\[[0-9;]*m/g, "").trim();
+    const lines = screen.split("\n").map(clean);
+
+    for (const line of lines) {
+      if (line.startsWith("$") || line.startsWith(">")) return line;
+      if (/^(run|execute|create|delete|modify|write)/i.test(line)) return line;
+    }
+
+    return (
+      lines
+        .filter((l) => l && !l.match(/^[╭╮╰╯│─]+$/))
+        .slice(0, 2)
+        .join(" | ") || "action"
+    );
+  }
+
+  /**
+   * @param {string} line
+   * @returns {boolean}
+   */
+  isChromeLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return true;
+    // Box drawing characters only
+    if (/^[╭╮╰╯│─┌┐└┘├┤┬┴┼\s]+$/.test(line)) return true;
+    // Horizontal separators
+    if (/^─{3,}$/.test(trimmed)) return true;
+    // Status bar indicators (shortcuts help, connection status)
+    if (/^\s*[?⧉◯●]\s/.test(line)) return true;
+    // Logo/branding characters (block drawing)
+    if (/[▐▛▜▌▝▘█▀▄]/.test(trimmed) && trimmed.length < 50) return true;
+    // Version strings, model info
+    if (
+      /^(Claude Code|OpenAI Codex|Opus|gpt-|model:|directory:|cwd:)/i.test(
+        trimmed
+      )
+    )
+      return true;
+    // Path-only lines (working directory display)
+    if (/^~\/[^\s]*$/.test(trimmed)) return true;
+    // Explicit chrome patterns from agent config
+    if (this.chromePatterns.some((p) => trimmed.includes(p))) return true;
+    return false;
+  }
+
+  /**
+   * @param {string} screen
+   * @returns {string[]}
+   */
+  extractResponses(screen) {
+    // eslint-disable-next-line no-control-regex
+    const clean = screen.replace(/\x1b\[[0-9;]*m/g, "").replace(/\r/g, "");
+    const lines = clean.split("\n");
+    /** @type {string[]} */
+    const responses = [];
+    /** @type {string[]} */
+    let current = [];
+    let inResponse = false;
+
+    for (const line of lines) {
+      // Skip chrome lines
+      if (this.isChromeLine(line)) continue;
+
+      // User prompt marks end of previous response
+      if (line.startsWith(this.promptSymbol)) {
+        if (current.length) {
+          responses.push(current.join("\n").trim());
+          current = [];
+        }
+        inResponse = false;
+        continue;
+      }
+
+      // Response markers
+      const isMarker = this.responseMarkers.some((m) => line.startsWith(m));
+      if (isMarker) {
+        if (!inResponse && current.length) {
+          responses.push(current.join("\n").trim());
+          current = [];
+        }
+        inResponse = true;
+        current.push(line);
+      } else if (inResponse && (line.startsWith("  ") || line.trim() === "")) {
+        current.push(line);
+      } else if (inResponse && line.trim()) {
+        current.push(line);
+      }
+    }
+    if (current.length) responses.push(current.join("\n").trim());
+
+    const filtered = responses.filter((r) => r.length > 0);
+
+    // Fallback: extract after last prompt
+    if (filtered.length === 0) {
+      const lastPromptIdx = lines.findLastIndex((/** @type {string} */ l) =>
+        l.startsWith(this.promptSymbol)
+      );
+      if (lastPromptIdx >= 0 && lastPromptIdx < lines.length - 1) {
+        const afterPrompt = lines
+          .slice(lastPromptIdx + 1)
+          .filter((/** @type {string} */ l) => !this.isChromeLine(l))
+          .join("\n")
+          .trim();
+        if (afterPrompt) return [afterPrompt];
+      }
+
+      // Second fallback: if the last prompt is empty (just ❯), look BEFORE it
+      // This handles the case where Claude finished and shows a new empty prompt
+      if (lastPromptIdx >= 0) {
+        const lastPromptLine = lines[lastPromptIdx];
+        const isEmptyPrompt =
+          lastPromptLine.trim() === this.promptSymbol ||
+          lastPromptLine.match(/^❯\s*$/);
+        if (isEmptyPrompt) {
+          // Find the previous prompt (user's input) and extract content between
+          // Note: [Pasted text is Claude's truncated output indicator, NOT a prompt
+          const prevPromptIdx = lines
+            .slice(0, lastPromptIdx)
+            .findLastIndex((/** @type {string} */ l) =>
+              l.startsWith(this.promptSymbol)
+            );
+          if (prevPromptIdx >= 0) {
+            const betweenPrompts = lines
+              .slice(prevPromptIdx + 1, lastPromptIdx)
+              .filter((/** @type {string} */ l) => !this.isChromeLine(l))
+              .join("\n")
+              .trim();
+            if (betweenPrompts) return [betweenPrompts];
+          }
+        }
+      }
+    }
+
+    return filtered;
+  }
+
+  /**
+   * @param {string} response
+   * @returns {string}
+   */
+  cleanResponse(response) {
+    return (
+      response
+        // Remove tool call lines (Search, Read, Grep, etc.)
+        .replace(
+          /^[⏺•]\s*(Search|Read|Grep|Glob|Write|Edit|Bash)\([^)]*\).*$/gm,
+          ""
+        )
+        // Remove tool result lines
+        .replace(/^⎿\s+.*$/gm, "")
+        // Remove "Sautéed for Xs" timing lines
+        .replace(/^✻\s+Sautéed for.*$/gm, "")
+        // Remove expand hints
+        .replace(/\(ctrl\+o to expand\)/g, "")
+        // Clean up multiple blank lines
+        .replace(/\n{3,}/g, "\n\n")
+        // Original cleanup
+        .replace(/^[•⏺-]\s*/, "")
+        .replace(/^\*\*(.+)\*\*/, "$1")
+        .replace(/\n  /g, "\n")
+        .replace(/─+\s*$/, "")
+        .trim()
+    );
+  }
+
+  /**
+   * Get assistant response text, preferring JSONL log over screen scraping.
+   * @param {string} session - tmux session name
+   * @param {string} screen - captured screen content (fallback)
+   * @param {number} [index=0] - 0 = last response, -1 = second-to-last, etc.
+   * @returns {string | null}
+   */
+  getResponse(session, screen, index = 0) {
+    // Agents with their own transcript format (e.g. Aider's chat history)
+    const transcriptText = this.responseReader?.(session, index);
+    if (transcriptText) return transcriptText;
+
+    // Try JSONL first (clean, no screen artifacts)
+    const logPath = this.findLogPath(session);
+    const jsonlText = logPath ? getAssistantText(logPath, index) : null;
+    if (jsonlText) return jsonlText;
+
+    // Fallback to screen scraping
+    const responses = this.extractResponses(screen);
+    const i = responses.length - 1 + index;
+    const response = responses[i];
+    return response ? this.cleanResponse(response) : null;
+  }
+
+  /**
+   * Answer a confirmation prompt.
+   * @param {string} session
+   * @param {boolean} approve
+   */
+  sendAnswer(session, approve) {
+    tmuxSend(session, approve ? this.approveKey : this.rejectKey);
+    if (this.submitAnswers) tmuxSend(session, "Enter");
+  }
+
+  /**
+   * @param {string} session
+   */
+  async handleUpdatePrompt(session) {
+    // Default: skip update (send "2" then Enter)
+    tmuxSend(session, "2");
+    await sleep(300);
+    tmuxSend(session, "Enter");
+    await sleep(500);
+  }
+}
+
+// =============================================================================
+// CodexAgent
+// =============================================================================
+
+const CodexAgent = new Agent({
+  name: "codex",
+  displayName: "Codex",
+  startCommand: "codex --sandbox read-only",
+  yoloCommand: "codex --dangerously-bypass-approvals-and-sandbox",
+  promptSymbol: "›",
+  spinners: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
+  rateLimitPattern: /■.*(?:usage limit|rate limit|try again at)/i,
+  thinkingPatterns: ["Thinking…", "Thinking..."],
+  confirmPatterns: [
+    (lines) => lines.includes("[y]") && lines.includes("[n]"),
+    "Run command?",
+    (lines) => lines.includes("Allow") && lines.includes("Deny"),
+  ],
+  updatePromptPatterns: {
+    screen: ["Update available"],
+    lastLines: ["Skip"],
+  },
+  activeWorkPatterns: ["esc to interrupt"],
+  responseMarkers: ["•", "- ", "**"],
+  chromePatterns: ["context left", "for shortcuts"],
+  reviewOptions: { branch: "1", uncommitted: "2", commit: "3", custom: "4" },
+  compactCommand: "/compact",
+  envVar: "AX_SESSION",
+  logPathFinder: findCodexLogPath,
+  requireStyledPrompt: true, // Codex prompt is bold, use this to avoid false positives
+});
+
+// =============================================================================
+// ClaudeAgent
+// =============================================================================
+
+const ClaudeAgent = new Agent({
+  name: "claude",
+  displayName: "Claude",
+  startCommand: "claude",
+  yoloCommand: "claude --dangerously-skip-permissions",
+  promptSymbol: "❯",
+  // Claude Code spinners: ·✢✳✶✻✽ (from cli.js source)
+  spinners: ["·", "✢", "✳", "✶", "✻", "✽"],
+  rateLimitPattern: /rate.?limit/i,
+  // Claude uses whimsical verbs like "Wibbling…", "Dancing…", etc. Match any capitalized -ing word + ellipsis (… or ...)
+  thinkingPatterns: ["Thinking", /[A-Z][a-z]+ing(…|\.\.\.)/],
+  activeWorkPatterns: ["esc to interrupt"],
+  confirmPatterns: [
+    "Do you want to make this edit",
+    "Do you want to run this command",
+    "Do you want to proceed",
+    // Active menu: numbered options with Yes/No/Allow/Deny
+    (lines) => /\d+\.\s*(Yes|No|Allow|Deny)/i.test(lines),
+  ],
+  updatePromptPatterns: null,
+  responseMarkers: ["⏺", "•", "- ", "**"],
+  chromePatterns: [
+    "↵ send",
+    "Esc to cancel",
+    "shortcuts",
+    "for more options",
+    "docs.anthropic.com",
+    "⏵⏵",
+    "bypass permissions",
+    "shift+Tab to cycle",
+  ],
+  reviewOptions: null,
+  compactCommand: "/compact",
+  safeAllowedTools: "Bash(git:*) Read Glob Grep", // Default: auto-approve read-only tools
+  envVar: "AX_SESSION",
+  approveKey: "1",
+  rejectKey: "Escape",
+  sessionIdFlag: "--session-id",
+  logFormat: "claude",
+  logPathFinder: (sessionName) => {
+    const parsed = parseSessionName(sessionName);
+    const uuid = parsed?.uuid;
+    if (uuid) return findClaudeLogPath(uuid, sessionName);
+    return null;
+  },
+});
+
+// =============================================================================
+// AiderAgent
+// =============================================================================
+
+const AIDER_HISTORY_FILE = ".aider.chat.history.md";
+// Sessions ax starts get their own history, so one session's responses are
+// never read from another's in the same project
+const AIDER_SESSION_HISTORY_DIR = path.join(
+  os.tmpdir(),
+  `ax-aider-${os.userInfo().uid}`
+);
+
+/**
+ * Aider's y/n questions end with the default answer, e.g.
+ * "Run shell command? (Y)es/(N)o/(D)on't ask again [Yes]:". Only the last
+ * line counts: answered questions stay on screen with the answer appended.
+ * @param {string} lines
+ * @returns {boolean}
+ */
+function isAiderQuestion(lines) {
+  const lastLine = lines.trimEnd().split("\n").pop() || "";
+  return /\(Y\)es\/\(N\)o.*\[(?:Yes|No)\]:\s*$/.test(lastLine);
+}
 
-  /** @type {import('node:fs').FSWatcher[]} */
-  const watchers = [];
-  /** @type {Set<string>} */
-  const watchedDirs = new Set();
+/**
+ * Extract assistant responses from Aider's markdown chat history.
+ * User messages are "#### " lines, tool output and notices are "> " lines,
+ * and everything else after a user message is the assistant's reply.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function parseAiderChatHistory(content) {
+  /** @type {string[]} */
+  const responses = [];
+  /** @type {string[] | null} */
+  let current = null;
+
+  const flush = () => {
+    const text = current?.join("\n").trim();
+    if (text) responses.push(text);
+    current = null;
+  };
 
-  for (const pattern of includePatterns) {
-    const dir = getBaseDir(pattern);
-    if (watchedDirs.has(dir)) continue;
-    if (!existsSync(dir)) continue;
+  for (const line of content.replace(/\r\n/g, "\n").split("\n")) {
+    if (line.startsWith("# aider chat started at")) {
+      flush();
+      continue;
+    }
+    if (line.startsWith("#### ")) {
+      flush();
+      current = [];
+      continue;
+    }
+    if (current === null) continue;
+    if (line.startsWith("> ") || line === ">") continue;
+    current.push(line);
+  }
+  flush();
 
-    watchedDirs.add(dir);
+  return responses;
+}
 
-    try {
-      const watcher = watch(
-        dir,
-        { recursive: true },
-        (_eventType, filename) => {
-          if (!filename) return;
-          const fullPath = path.join(dir, filename);
+/**
+ * @param {string} sessionName
+ * @returns {string}
+ */
+function getAiderSessionHistoryPath(sessionName) {
+  return path.join(AIDER_SESSION_HISTORY_DIR, `${sessionName}.chat.history.md`);
+}
 
-          // Check exclusions first
-          for (const ex of excludePatterns) {
-            if (matchesPattern(fullPath, ex) || matchesPattern(filename, ex)) {
-              return; // Excluded
-            }
-          }
+/**
+ * @param {string} sessionName
+ * @returns {string}
+ */
+function getAiderSessionArgs(sessionName) {
+  return `--chat-history-file "${getAiderSessionHistoryPath(sessionName)}"`;
+}
 
-          // Check if this file matches any include pattern
-          for (const p of includePatterns) {
-            if (matchesPattern(fullPath, p) || matchesPattern(filename, p)) {
-              callback(fullPath);
-              break;
-            }
-          }
-        }
-      );
-      watchers.push(watcher);
-    } catch (err) {
-      console.error(
-        `Warning: Failed to watch ${dir}: ${
-          err instanceof Error ? err.message : err
-        }`
-      );
+/**
+ * Sessions ax started read their own history file. Others fall back to the
+ * default, which Aider writes to the git root (or cwd outside a repo) and
+ * sessions in the same project share.
+ * @param {string} sessionName
+ * @returns {string | null}
+ */
+function findAiderHistoryPath(sessionName) {
+  const own = getAiderSessionHistoryPath(sessionName);
+  if (existsSync(own)) return own;
+  // Named by ax, so the file just hasn't been written yet
+  if (parseSessionName(sessionName)?.uuid) return null;
+
+  let dir = getTmuxSessionCwd(sessionName) || process.cwd();
+  while (true) {
+    const candidate = path.join(dir, AIDER_HISTORY_FILE);
+    if (existsSync(candidate)) return candidate;
+    if (existsSync(path.join(dir, ".git")) || dir === path.dirname(dir)) {
+      return null;
     }
+    dir = path.dirname(dir);
   }
+}
 
-  return () => {
-    for (const w of watchers) w.close();
-  };
+/**
+ * @param {string} sessionName
+ * @param {number} [index] - 0 = last response, -1 = second-to-last, etc.
+ * @returns {string | null}
+ */
+function readAiderResponse(sessionName, index = 0) {
+  const historyPath = findAiderHistoryPath(sessionName);
+  if (!historyPath) return null;
+  try {
+    const responses = parseAiderChatHistory(readFileSync(historyPath, "utf-8"));
+    return responses[responses.length - 1 + index] ?? null;
+  } catch (err) {
+    debugError("readAiderResponse", err);
+    return null;
+  }
 }
 
+const AiderAgent = new Agent({
+  name: "aider",
+  displayName: "Aider",
+  startCommand: "aider --no-check-update",
+  yoloCommand: "aider --no-check-update --yes-always",
+  // Also matches mode prompts like "ask>" and "architect>" (trailing space is trimmed from captures)
+  promptSymbol: ">",
+  spinners: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
+  rateLimitPattern: /RateLimitError|has rate limited you/i,
+  activeWorkPatterns: ["Waiting for", "Updating repo map", "Scanning repo"],
+  confirmPatterns: [isAiderQuestion],
+  updatePromptPatterns: null,
+  responseMarkers: [],
+  chromePatterns: [
+    "Aider v",
+    "Main model:",
+    "Weak model:",
+    "Git repo:",
+    "Repo-map:",
+    "Use /help",
+    "Tokens:",
+  ],
+  reviewOptions: null,
+  compactCommand: null,
+  envVar: "AX_SESSION",
+  approveKey: "y",
+  rejectKey: "n",
+  submitAnswers: true,
+  responseReader: readAiderResponse,
+  sessionArgs: getAiderSessionArgs,
+  prepareSession: () =>
+    mkdirSync(AIDER_SESSION_HISTORY_DIR, { recursive: true }),
+});
+
 // =============================================================================
-// State
+// GeminiAgent
 // =============================================================================
 
-const State = {
-  NO_SESSION: "no_session",
-  STARTING: "starting",
-  UPDATE_PROMPT: "update_prompt",
-  READY: "ready",
-  THINKING: "thinking",
-  CONFIRMING: "confirming",
-  RATE_LIMITED: "rate_limited",
-  FEEDBACK_MODAL: "feedback_modal",
-};
+const GeminiAgent = new Agent({
+  name: "gemini",
+  displayName: "Gemini",
+  startCommand: "gemini",
+  yoloCommand: "gemini --yolo",
+  // The input box renders as "│ > ..."; the space keeps "->" and ">=" in output from matching
+  promptSymbol: "> ",
+  spinners: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
+  rateLimitPattern: /quota exceeded|RESOURCE_EXHAUSTED|rate.?limit/i,
+  activeWorkPatterns: ["esc to cancel"],
+  confirmPatterns: [
+    "Allow execution",
+    "Apply this change?",
+    "Do you want to proceed?",
+    (lines) => /\d\.\s*Yes, allow (once|always)/.test(lines),
+  ],
+  updatePromptPatterns: null,
+  responseMarkers: ["✦"],
+  chromePatterns: [
+    "Type your message",
+    "context left",
+    "no sandbox",
+    "Using:",
+    "YOLO mode",
+    "accepting edits",
+    "Tips for getting started",
+  ],
+  reviewOptions: null,
+  compactCommand: "/compress",
+  envVar: "AX_SESSION",
+  approveKey: "1",
+  rejectKey: "Escape",
+  logFormat: "gemini",
+  logPathFinder: findGeminiLogPath,
+});
+
+// =============================================================================
+// Agent sessions - what commands interact with
+// =============================================================================
 
 /**
- * Check if the prompt symbol appears with bold styling in the last lines.
- * Used to distinguish actual prompts from text that happens to contain the symbol.
- * @param {string} session - tmux session name
- * @param {string} promptSymbol - The prompt symbol to look for
- * @returns {boolean}
- */
-function hasStyledPrompt(session, promptSymbol) {
-  const styledScreen = tmuxCapture(session, 0, true); // withEscapes=true
+ * Bridge a callback-driven producer into an async iterator.
+ * @template T
+ * @param {(push: (item: T) => void) => Promise<unknown>} produce - Resolves once nothing more will be pushed
+ * @returns {AsyncGenerator<T>}
+ */
+async function* iterateProduced(produce) {
+  /** @type {T[]} */
+  const queue = [];
+  /** @type {(() => void) | null} */
+  let wake = null;
+  let finished = false;
+
+  const done = produce((item) => {
+    queue.push(item);
+    wake?.();
+  }).finally(() => {
+    finished = true;
+    wake?.();
+  });
+  // Errors are re-thrown below; don't report them as unhandled if the consumer stops early
+  done.catch(() => {});
 
-  // If styled capture fails, fall back to allowing READY to avoid deadlock
-  if (!styledScreen) {
-    debug("state", "styled capture failed, falling back to unstyled check");
-    return true;
+  while (true) {
+    const next = queue.shift();
+    if (next !== undefined) {
+      yield next;
+      continue;
+    }
+    if (finished) break;
+    await new Promise((r) => (wake = () => r(undefined)));
+    wake = null;
   }
+  await done;
+}
 
-  // Trim to match detectState behavior (removes trailing blank lines)
-  const lines = parseStyledScreenLines(styledScreen.trim());
-  const lastLines = lines.slice(-8);
-
-  for (const line of lastLines) {
-    for (const span of line.spans) {
-      if (span.text.includes(promptSymbol) && span.style?.bold) {
-        return true;
-      }
-    }
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @param {string} [session]
+ * @returns {Promise<T>}
+ */
+async function withTimeout(promise, timeoutMs, session) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(session)), timeoutMs);
+  });
+  try {
+    return /** @type {T} */ (await Promise.race([promise, timeout]));
+  } finally {
+    clearTimeout(timer);
   }
-  return false;
 }
 
 /**
- * Pure function to detect agent state from screen content.
- * @param {string} screen - The screen content to analyze
- * @param {Object} config - Agent configuration for pattern matching
- * @param {string} config.promptSymbol - Symbol indicating ready state
- * @param {string[]} [config.spinners] - Spinner characters indicating thinking
- * @param {RegExp} [config.rateLimitPattern] - Pattern for rate limit detection
- * @param {(string | RegExp | ((lines: string) => boolean))[]} [config.thinkingPatterns] - Text patterns indicating thinking
- * @param {(string | RegExp)[]} [config.activeWorkPatterns] - Patterns indicating active work (beats ready)
- * @param {(string | ((lines: string) => boolean))[]} [config.confirmPatterns] - Patterns for confirmation dialogs
- * @param {{screen: string[], lastLines: string[]} | null} [config.updatePromptPatterns] - Patterns for update prompts
- * @param {string} [config.session] - tmux session for styled prompt verification
- * @param {boolean} [config.requireStyledPrompt] - If true, require prompt to be bold (Codex)
- * @returns {string} The detected state
+ * A running agent conversation. Commands talk to sessions through this
+ * interface so the same flows work for tmux-driven CLIs and SDK-backed agents.
+ * Implementations: TmuxSession (Claude, Codex), PiSession (Pi SDK)
  */
-function detectState(screen, config) {
-  if (!screen) {
-    debug("state", "no screen -> STARTING");
-    return State.STARTING;
+class AgentSession {
+  /**
+   * @param {Agent} agent
+   */
+  constructor(agent) {
+    this.agent = agent;
   }
 
-  const lines = screen.trim().split("\n");
-  const lastLines = lines.slice(-8).join("\n");
-  // Larger range for confirmation detection (catches dialogs that scrolled slightly)
-  const recentLines = lines.slice(-15).join("\n");
+  /** @returns {string} */
+  get id() {
+    throw new Error("not implemented");
+  }
 
-  // Rate limited - check recent lines (not full screen to avoid matching historical output)
-  if (config.rateLimitPattern && config.rateLimitPattern.test(recentLines)) {
-    debug("state", "rateLimitPattern matched -> RATE_LIMITED");
-    return State.RATE_LIMITED;
+  /**
+   * Whether the session skips confirmations on its own.
+   * @returns {boolean}
+   */
+  get isYolo() {
+    return false;
   }
 
-  // Feedback modal - Claude CLI's "How is Claude doing this session?" prompt
-  // Match the numbered options pattern (flexible on whitespace)
-  if (
-    /1:\s*Bad/i.test(recentLines) &&
-    /2:\s*Fine/i.test(recentLines) &&
-    /3:\s*Good/i.test(recentLines) &&
-    /0:\s*Dismiss/i.test(recentLines)
-  ) {
-    debug("state", "feedback modal detected -> FEEDBACK_MODAL");
-    return State.FEEDBACK_MODAL;
+  /** @returns {string} */
+  get state() {
+    return this.snapshot().state;
   }
 
-  // Confirming - check before THINKING because "Running…" in tool output matches thinking patterns
-  const confirmPatterns = config.confirmPatterns || [];
-  for (const pattern of confirmPatterns) {
-    if (typeof pattern === "function") {
-      // Functions check lastLines first (most specific), then recentLines
-      if (pattern(lastLines)) {
-        debug(
-          "state",
-          "confirmPattern function matched lastLines -> CONFIRMING"
-        );
-        return State.CONFIRMING;
-      }
-      if (pattern(recentLines)) {
-        debug(
-          "state",
-          "confirmPattern function matched recentLines -> CONFIRMING"
-        );
-        return State.CONFIRMING;
-      }
-    } else {
-      // String patterns check recentLines (bounded range)
-      if (recentLines.includes(pattern)) {
-        debug("state", `confirmPattern "${pattern}" matched -> CONFIRMING`);
-        return State.CONFIRMING;
-      }
-    }
+  /**
+   * Current state plus the screen it was detected from.
+   * @param {number} [_scrollback]
+   * @returns {{state: string, screen: string}}
+   */
+  snapshot(_scrollback = 0) {
+    throw new Error("not implemented");
   }
 
-  // Check for active work patterns first (agent shows prompt even while working)
-  const activeWorkPatterns = config.activeWorkPatterns || [];
-  for (const p of activeWorkPatterns) {
-    const matched =
-      p instanceof RegExp ? p.test(lastLines) : lastLines.includes(p);
-    if (matched) {
-      debug("state", `activeWorkPattern "${p}" matched -> THINKING`);
-      return State.THINKING;
-    }
+  /**
+   * Submit a prompt without waiting for the response.
+   * @param {string} _text
+   * @returns {Promise<void>}
+   */
+  async send(_text) {
+    throw new Error("not implemented");
   }
 
-  // Ready - check BEFORE thinking to avoid false positives from timing messages like "✻ Worked for 45s"
-  // If the prompt symbol is visible, the agent is ready regardless of spinner characters in timing messages
-  if (lastLines.includes(config.promptSymbol)) {
-    // If styled prompt check is enabled, verify prompt has expected styling
-    // This prevents false positives from output containing the prompt symbol
-    if (config.requireStyledPrompt && config.session) {
-      if (hasStyledPrompt(config.session, config.promptSymbol)) {
-        debug(
-          "state",
-          `promptSymbol "${config.promptSymbol}" found with bold styling -> READY`
-        );
-        return State.READY;
-      }
-      debug(
-        "state",
-        `promptSymbol "${config.promptSymbol}" found but not bold, continuing checks`
-      );
-    } else {
-      debug("state", `promptSymbol "${config.promptSymbol}" found -> READY`);
-      return State.READY;
-    }
+  /** @returns {Promise<void>} */
+  async clearInput() {}
+
+  /**
+   * Wait until the session is ready, confirming or rate limited.
+   * @param {number} [_timeoutMs]
+   * @returns {Promise<{state: string, screen: string}>}
+   */
+  async waitUntilReady(_timeoutMs) {
+    throw new Error("not implemented");
+  }
+
+  /**
+   * Wait for the response to the last prompt.
+   * @param {number} [_timeoutMs]
+   * @param {{stream?: boolean, autoApprove?: boolean}} [_options] - stream prints output to the console
+   * @returns {Promise<{state: string, screen: string}>}
+   */
+  async waitForResponse(_timeoutMs, _options) {
+    throw new Error("not implemented");
+  }
+
+  /**
+   * Yield output chunks for the last prompt as they arrive.
+   * @param {number} [_timeoutMs]
+   * @returns {AsyncGenerator<LogSegment>}
+   */
+  stream(_timeoutMs) {
+    throw new Error("not implemented");
   }
 
-  // Thinking - spinners (check last lines only)
-  const spinners = config.spinners || [];
-  for (const s of spinners) {
-    if (lastLines.includes(s)) {
-      debug("state", `spinner "${s}" matched -> THINKING`);
-      return State.THINKING;
-    }
+  /** @returns {Promise<void>} */
+  async approve() {
+    throw new Error("not implemented");
   }
-  // Thinking - text patterns (last lines) - supports strings, regexes, and functions
-  const thinkingPatterns = config.thinkingPatterns || [];
-  for (const p of thinkingPatterns) {
-    let matched = false;
-    if (typeof p === "function") matched = p(lastLines);
-    else if (p instanceof RegExp) matched = p.test(lastLines);
-    else matched = lastLines.includes(p);
-    if (matched) {
-      debug("state", `thinkingPattern "${p}" matched -> THINKING`);
-      return State.THINKING;
-    }
+
+  /** @returns {Promise<void>} */
+  async reject() {
+    throw new Error("not implemented");
   }
 
-  // Update prompt
-  if (config.updatePromptPatterns) {
-    const { screen: sp, lastLines: lp } = config.updatePromptPatterns;
-    if (
-      sp &&
-      sp.some((p) => screen.includes(p)) &&
-      lp &&
-      lp.some((p) => lastLines.includes(p))
-    ) {
-      debug("state", "updatePromptPatterns matched -> UPDATE_PROMPT");
-      return State.UPDATE_PROMPT;
-    }
+  /**
+   * Start a fresh conversation (/new).
+   * @param {number} [_timeoutMs]
+   * @returns {Promise<void>}
+   */
+  async newConversation(_timeoutMs) {
+    throw new Error("not implemented");
   }
 
-  debug("state", "no patterns matched -> STARTING");
-  debug("state", `lastLines:\n${lastLines}`);
-  debug("state", `recentLines:\n${recentLines}`);
-  return State.STARTING;
-}
+  /**
+   * @param {number} [_index] - 0 = last response, -1 = second-to-last, etc.
+   * @param {string} [_screen] - Screen to fall back on when scraping
+   * @returns {string | null}
+   */
+  getResponse(_index, _screen) {
+    throw new Error("not implemented");
+  }
 
-// =============================================================================
-// Agent base class
-// =============================================================================
+  /** @returns {Promise<void>} */
+  async destroy() {}
+}
 
 /**
- * @typedef {string | ((lines: string) => boolean)} ConfirmPattern
+ * Session backed by a tmux pane running the agent's CLI.
+ * Thin wrapper: each method delegates to the existing tmux helpers.
  */
+class TmuxSession extends AgentSession {
+  /**
+   * @param {Agent} agent
+   * @param {string} sessionName
+   */
+  constructor(agent, sessionName) {
+    super(agent);
+    this.sessionName = sessionName;
+  }
 
-/**
- * @typedef {Object} UpdatePromptPatterns
- * @property {string[]} screen
- * @property {string[]} lastLines
- */
+  get id() {
+    return this.sessionName;
+  }
 
-/**
- * @typedef {Object} AgentConfigInput
- * @property {string} name
- * @property {string} displayName
- * @property {string} startCommand
- * @property {string} yoloCommand
- * @property {string} promptSymbol
- * @property {string[]} [spinners]
- * @property {RegExp} [rateLimitPattern]
- * @property {(string | RegExp | ((lines: string) => boolean))[]} [thinkingPatterns]
- * @property {(string | RegExp)[]} [activeWorkPatterns]
- * @property {ConfirmPattern[]} [confirmPatterns]
- * @property {UpdatePromptPatterns | null} [updatePromptPatterns]
- * @property {string[]} [responseMarkers]
- * @property {string[]} [chromePatterns]
- * @property {Record<string, string> | null} [reviewOptions]
- * @property {string} envVar
- * @property {string} [approveKey]
- * @property {string} [rejectKey]
- * @property {string} [safeAllowedTools]
- * @property {string | null} [sessionIdFlag]
- * @property {((sessionName: string) => string | null) | null} [logPathFinder]
- * @property {boolean} [requireStyledPrompt] - If true, require prompt to be bold for READY detection
- */
+  get isYolo() {
+    return isYoloSession(this.sessionName);
+  }
 
-class Agent {
   /**
-   * @param {AgentConfigInput} config
+   * @param {number} [scrollback]
+   * @returns {{state: string, screen: string}}
    */
-  constructor(config) {
-    /** @type {string} */
-    this.name = config.name;
-    /** @type {string} */
-    this.displayName = config.displayName;
-    /** @type {string} */
-    this.startCommand = config.startCommand;
-    /** @type {string} */
-    this.yoloCommand = config.yoloCommand;
-    /** @type {string} */
-    this.promptSymbol = config.promptSymbol;
-    /** @type {string[]} */
-    this.spinners = config.spinners || [];
-    /** @type {RegExp | undefined} */
-    this.rateLimitPattern = config.rateLimitPattern;
-    /** @type {(string | RegExp | ((lines: string) => boolean))[]} */
-    this.thinkingPatterns = config.thinkingPatterns || [];
-    /** @type {(string | RegExp)[]} */
-    this.activeWorkPatterns = config.activeWorkPatterns || [];
-    /** @type {ConfirmPattern[]} */
-    this.confirmPatterns = config.confirmPatterns || [];
-    /** @type {UpdatePromptPatterns | null} */
-    this.updatePromptPatterns = config.updatePromptPatterns || null;
-    /** @type {string[]} */
-    this.responseMarkers = config.responseMarkers || [];
-    /** @type {string[]} */
-    this.chromePatterns = config.chromePatterns || [];
-    /** @type {Record<string, string> | null | undefined} */
-    this.reviewOptions = config.reviewOptions ?? null;
-    /** @type {string} */
-    this.envVar = config.envVar;
-    /** @type {string} */
-    this.approveKey = config.approveKey || "y";
-    /** @type {string} */
-    this.rejectKey = config.rejectKey || "n";
-    /** @type {string | undefined} */
-    this.safeAllowedTools = config.safeAllowedTools;
-    /** @type {string | null} */
-    this.sessionIdFlag = config.sessionIdFlag || null;
-    /** @type {((sessionName: string) => string | null) | null} */
-    this.logPathFinder = config.logPathFinder || null;
-    /** @type {boolean} */
-    this.requireStyledPrompt = config.requireStyledPrompt || false;
+  snapshot(scrollback = 0) {
+    const screen = tmuxCapture(this.sessionName, scrollback);
+    return { state: this.agent.getState(screen, this.sessionName), screen };
   }
 
   /**
-   * @param {boolean} [yolo]
-   * @param {string | null} [sessionName]
-   * @param {string | null} [customAllowedTools]
-   * @returns {string}
+   * @param {string} text
    */
-  getCommand(yolo, sessionName = null, customAllowedTools = null) {
-    let base;
-    if (yolo) {
-      base = this.yoloCommand;
-      debug("command", `mode=yolo`);
-    } else if (customAllowedTools) {
-      // Custom permissions from --auto-approve flag
-      // Escape for shell: backslashes first, then double quotes
-      const escaped = customAllowedTools
-        .replace(/\\/g, "\\\\")
-        .replace(/"/g, '\\"');
-      base = `${this.startCommand} --allowedTools "${escaped}"`;
-      debug("command", `mode=custom, allowedTools=${customAllowedTools}`);
-    } else if (this.safeAllowedTools) {
-      // Default: auto-approve safe read-only operations
-      base = `${this.startCommand} --allowedTools "${this.safeAllowedTools}"`;
-      debug("command", `mode=safe, allowedTools=${this.safeAllowedTools}`);
-    } else {
-      base = this.startCommand;
-      debug("command", `mode=default`);
-    }
-    // Some agents support session ID flags for deterministic session tracking
-    if (this.sessionIdFlag && sessionName) {
-      const parsed = parseSessionName(sessionName);
-      if (parsed?.uuid) {
-        const cmd = `${base} ${this.sessionIdFlag} ${parsed.uuid}`;
-        debug("command", `full: ${cmd}`);
-        return cmd;
-      }
-    }
-    debug("command", `full: ${base}`);
-    return base;
+  async send(text) {
+    await tmuxSendText(this.sessionName, text);
+  }
+
+  async clearInput() {
+    tmuxSend(this.sessionName, "C-u");
+    await sleep(50);
   }
 
   /**
-   * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
-   * @returns {string | null}
+   * @param {number} [timeoutMs]
    */
-  getDefaultSession({ allowedTools = null, yolo = false } = {}) {
-    // Check env var for explicit session
-    if (this.envVar && process.env[this.envVar]) {
-      return process.env[this.envVar] ?? null;
-    }
+  async waitUntilReady(timeoutMs) {
+    return waitUntilReady(this.agent, this.sessionName, timeoutMs);
+  }
 
-    const cwd = process.cwd();
-    // Match sessions: {tool}-(partner-)?{uuid}[-p{hash}|-yolo]?
-    const childPattern = new RegExp(
-      `^${this.name}-(partner-)?${UUID_PATTERN}(-p${PERM_HASH_PATTERN}|-yolo)?$`,
-      "i"
-    );
-    const requestedHash = computePermissionHash(allowedTools);
+  /**
+   * @param {number} [timeoutMs]
+   * @param {{stream?: boolean, autoApprove?: boolean}} [options]
+   */
+  async waitForResponse(
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    { stream = false, autoApprove = false } = {}
+  ) {
+    const waitFn = stream ? streamResponse : waitForResponse;
+    return autoApprove
+      ? autoApproveLoop(this.agent, this.sessionName, timeoutMs, waitFn)
+      : waitFn(this.agent, this.sessionName, timeoutMs);
+  }
 
-    /**
-     * Find a matching session by walking up the directory tree.
-     * Checks exact cwd first, then parent directories up to git root or home.
-     * @param {string[]} sessions
-     * @returns {string | null}
-     */
-    const findSessionInCwdOrParent = (sessions) => {
-      const matchingSessions = sessions.filter((s) => {
-        if (!childPattern.test(s)) return false;
+  /**
+   * @param {number} [timeoutMs]
+   * @returns {AsyncGenerator<LogSegment>}
+   */
+  async *stream(timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const terminalStream = this.agent.createStream(this.sessionName, {
+      skipExisting: true,
+    });
+    yield* iterateProduced((push) => {
+      const readLines = async () => {
+        for (const line of await terminalStream.readNext()) {
+          if (line.raw) push({ type: line.lineType || "text", content: line.raw });
+        }
+      };
+      return pollForResponse(this.agent, this.sessionName, timeoutMs, {
+        onPoll: () => readLines(),
+        onReady: () => readLines(),
+      });
+    });
+  }
 
-        const perms = getSessionPermissions(s);
+  async approve() {
+    this.agent.sendAnswer(this.sessionName, true);
+  }
 
-        // If yolo requested, only match yolo sessions
-        if (yolo) {
-          return perms.mode === "yolo";
-        }
+  async reject() {
+    this.agent.sendAnswer(this.sessionName, false);
+  }
 
-        // If custom permissions requested, match yolo (superset) or same hash
-        if (requestedHash) {
-          return perms.mode === "yolo" || perms.hash === requestedHash;
-        }
+  /**
+   * @param {number} [timeoutMs]
+   */
+  async newConversation(timeoutMs = STARTUP_TIMEOUT_MS) {
+    tmuxSendLiteral(this.sessionName, "/new");
+    await sleep(50);
+    tmuxSend(this.sessionName, "Enter");
+    await waitUntilReady(this.agent, this.sessionName, timeoutMs);
+  }
 
-        // If no special permissions, match safe sessions only
-        return perms.mode === "safe";
-      });
-      if (matchingSessions.length === 0) return null;
+  /**
+   * @param {number} [index]
+   * @param {string} [screen]
+   */
+  getResponse(index = 0, screen = tmuxCapture(this.sessionName, 500)) {
+    return this.agent.getResponse(this.sessionName, screen, index);
+  }
 
-      // Cache session cwds to avoid repeated tmux calls
-      const sessionCwds = new Map(
-        matchingSessions.map((s) => [s, getTmuxSessionCwd(s)])
-      );
+  async destroy() {
+    tmuxKill(this.sessionName);
+  }
+}
 
-      let searchDir = cwd;
-      const homeDir = os.homedir();
+// =============================================================================
+// PiAgent - in-process agent via @mariozechner/pi-coding-agent
+// =============================================================================
 
-      while (searchDir !== homeDir && searchDir !== "/") {
-        const existing = matchingSessions.find(
-          (s) => sessionCwds.get(s) === searchDir
-        );
-        if (existing) return existing;
+// Optional peer dependency, loaded lazily. AX_PI_MODULE points at an alternative (e.g. a fake in tests)
+const PI_SDK_MODULE =
+  process.env.AX_PI_MODULE || "@mariozechner/pi-coding-agent";
 
-        // Stop at git root (don't leak across projects)
-        if (existsSync(path.join(searchDir, ".git"))) break;
+/**
+ * @typedef {{type: string, toolName?: string, args?: ToolInput, assistantMessageEvent?: {type: string, delta?: string}}} PiEvent
+ */
+
+/**
+ * The subset of the Pi SDK's AgentSession that ax drives.
+ * @typedef {Object} PiSdkSession
+ * @property {(text: string) => Promise<void>} prompt
+ * @property {(listener: (event: PiEvent) => void) => () => void} subscribe
+ * @property {boolean} isStreaming
+ * @property {Array<{role: string, content: unknown}>} messages
+ * @property {() => Promise<unknown>} newSession
+ * @property {string} [sessionId]
+ */
+
+/**
+ * Output of the prompt in flight: chunks are buffered until stream() reads them.
+ * @typedef {Object} PiOutput
+ * @property {LogSegment[]} buffer
+ * @property {((chunk: LogSegment) => void) | null} push
+ * @property {Promise<void>} done
+ */
+
+/**
+ * Convert a Pi SDK event into an output chunk.
+ * @param {PiEvent} event
+ * @returns {LogSegment | null}
+ */
+function parsePiEvent(event) {
+  if (
+    event.type === "message_update" &&
+    event.assistantMessageEvent?.type === "text_delta"
+  ) {
+    const delta = event.assistantMessageEvent.delta;
+    return delta ? { type: "text", content: delta } : null;
+  }
+  if (event.type === "tool_execution_start") {
+    const name = event.toolName || "tool";
+    const args = event.args || {};
+    const summary = args.command
+      ? truncate(args.command, 50)
+      : (args.file_path || args.path || args.pattern || "").split("/").pop();
+    return { type: "tool", content: `> ${name}(${summary || ""})` };
+  }
+  return null;
+}
 
-        searchDir = path.dirname(searchDir);
-      }
+/**
+ * Session backed by an in-process Pi SDK AgentSession.
+ * Pi has no confirmation flow, so sessions never enter CONFIRMING.
+ */
+class PiSession extends AgentSession {
+  /**
+   * @param {Agent} agent
+   * @param {PiSdkSession} pi
+   * @param {string} cwd
+   */
+  constructor(agent, pi, cwd) {
+    super(agent);
+    this.pi = pi;
+    this.cwd = cwd;
+    this.sessionId = `pi-partner-${pi.sessionId || randomUUID()}`;
+    /** @type {Promise<void> | null} */
+    this.pending = null;
+    /** @type {PiOutput | null} */
+    this.output = null;
+    /** @type {unknown} */
+    this.error = null;
+  }
 
-      return null;
-    };
+  get id() {
+    return this.sessionId;
+  }
 
-    // If inside tmux, look for existing agent session in cwd or parent
-    const current = tmuxCurrentSession();
-    if (current) {
-      const sessions = tmuxListSessions();
-      const existing = findSessionInCwdOrParent(sessions);
-      if (existing) return existing;
-      // No existing session in this cwd or parent - will generate new one in cmdStart
-      return null;
-    }
+  get isYolo() {
+    return true;
+  }
 
-    // Walk up to find claude/codex ancestor and reuse its session
-    const caller = findCallerAgent();
-    if (caller) {
-      const sessions = tmuxListSessions();
-      const existing = findSessionInCwdOrParent(sessions);
-      if (existing) return existing;
-    }
+  snapshot() {
+    const busy = this.pending !== null || this.pi.isStreaming;
+    return { state: busy ? State.THINKING : State.READY, screen: "" };
+  }
 
-    // No existing session found
-    return null;
+  /**
+   * @param {string} text
+   */
+  async send(text) {
+    this.error = null;
+    // Subscribed before prompting, so the first events aren't missed; they
+    // wait in the buffer until stream() is iterated
+    /** @type {PiOutput} */
+    const output = { buffer: [], push: null, done: Promise.resolve() };
+    const unsubscribe = this.pi.subscribe((event) => {
+      const chunk = parsePiEvent(event);
+      if (!chunk) return;
+      if (output.push) output.push(chunk);
+      else output.buffer.push(chunk);
+    });
+    this.pending = this.pi
+      .prompt(text)
+      .catch((err) => {
+        this.error = err;
+      })
+      .finally(() => {
+        unsubscribe();
+        this.pending = null;
+      });
+    output.done = this.pending;
+    this.output = output;
   }
 
   /**
-   * @param {{allowedTools?: string | null, yolo?: boolean}} [options]
-   * @returns {string}
+   * @param {number} [timeoutMs]
    */
-  generateSession(options = {}) {
-    return generateSessionName(this.name, options);
+  async waitUntilReady(timeoutMs = DEFAULT_TIMEOUT_MS) {
+    if (this.pending) await withTimeout(this.pending, timeoutMs, this.id);
+    return this.snapshot();
   }
 
   /**
-   * Find the log file path for a session.
-   * @param {string} sessionName
-   * @returns {string | null}
+   * @param {number} [timeoutMs]
+   * @param {{stream?: boolean, autoApprove?: boolean}} [options]
    */
-  findLogPath(sessionName) {
-    if (this.logPathFinder) {
-      return this.logPathFinder(sessionName);
+  async waitForResponse(timeoutMs = DEFAULT_TIMEOUT_MS, { stream = false } = {}) {
+    const done = stream ? this.printStream() : this.pending;
+    if (done) await withTimeout(done, timeoutMs, this.id);
+
+    if (this.error) {
+      const message =
+        this.error instanceof Error ? this.error.message : String(this.error);
+      if (/rate.?limit|429/i.test(message)) {
+        return { state: State.RATE_LIMITED, screen: message };
+      }
+      throw this.error;
     }
-    return null;
+    return this.snapshot();
+  }
+
+  async printStream() {
+    let midLine = false;
+    for await (const chunk of this.stream()) {
+      if (chunk.type === "text") {
+        process.stdout.write(chunk.content);
+        midLine = !chunk.content.endsWith("\n");
+        continue;
+      }
+      if (midLine) process.stdout.write("\n");
+      midLine = false;
+      console.log(styleText("dim", chunk.content));
+    }
+    if (midLine) process.stdout.write("\n");
   }
 
   /**
-   * Create a terminal stream for reading agent output.
-   * Returns JsonlTerminalStream for agents with log file support,
-   * otherwise falls back to ScreenTerminalStream.
-   * @param {string} sessionName
-   * @param {{skipExisting?: boolean}} [opts] - Options
-   * @returns {TerminalStream}
+   * @returns {AsyncGenerator<LogSegment>}
    */
-  createStream(sessionName, opts = {}) {
-    // Prefer JSONL stream if agent has log path finder
-    if (this.logPathFinder) {
-      /** @type {'claude' | 'codex'} */
-      const format = this.name === "claude" ? "claude" : "codex";
-      return new JsonlTerminalStream(
-        () => this.findLogPath(sessionName),
-        format,
-        opts
-      );
-    }
-    // Fall back to screen capture
-    return new ScreenTerminalStream(sessionName);
+  async *stream() {
+    const output = this.output;
+    if (!output) return;
+    this.output = null;
+    yield* iterateProduced((push) => {
+      for (const chunk of output.buffer.splice(0)) push(chunk);
+      output.push = push;
+      return output.done;
+    });
+  }
+
+  async approve() {
+    debug("pi", "approve: Pi has no confirmation flow");
+  }
+
+  async reject() {
+    debug("pi", "reject: Pi has no confirmation flow");
+  }
+
+  async newConversation() {
+    await this.pi.newSession();
   }
 
   /**
-   * Create a styled terminal stream with ANSI color support.
-   * Only uses screen capture (JSONL doesn't have style info).
-   * @param {string} sessionName
-   * @param {number} [scrollback]
-   * @returns {StyledScreenTerminalStream}
+   * @param {number} [index]
    */
-  createStyledStream(sessionName, scrollback = 0) {
-    return new StyledScreenTerminalStream(sessionName, scrollback);
+  getResponse(index = 0) {
+    const texts = this.pi.messages
+      .filter((m) => m.role === "assistant")
+      .map((m) => (extractTextContent(m.content) || "").trim())
+      .filter(Boolean);
+    return texts[texts.length - 1 + index] ?? null;
   }
+}
 
+class PiSdkAgent extends Agent {
   /**
-   * @param {string} screen
-   * @param {string} [session] - Optional session for styled prompt verification
-   * @returns {string}
+   * @param {{loadSdk?: () => Promise<any>}} [options] - loadSdk lets tests swap in a fake module
    */
-  getState(screen, session) {
-    return detectState(screen, {
-      promptSymbol: this.promptSymbol,
-      spinners: this.spinners,
-      rateLimitPattern: this.rateLimitPattern,
-      thinkingPatterns: this.thinkingPatterns,
-      activeWorkPatterns: this.activeWorkPatterns,
-      confirmPatterns: this.confirmPatterns,
-      updatePromptPatterns: this.updatePromptPatterns,
-      session,
-      requireStyledPrompt: this.requireStyledPrompt,
+  constructor({ loadSdk = () => import(PI_SDK_MODULE) } = {}) {
+    super({
+      name: "pi",
+      displayName: "Pi",
+      startCommand: "pi",
+      yoloCommand: "pi",
+      promptSymbol: ">",
+      envVar: "AX_SESSION",
+      compactCommand: "/compact",
     });
+    this.usesTmux = false;
+    this.loadSdk = loadSdk;
+    /** @type {any} */
+    this.sdk = null;
   }
 
   /**
-   * @param {string} screen
-   * @returns {string}
+   * @returns {Promise<any>}
    */
-  parseRetryTime(screen) {
-    const match = screen.match(/try again at ([0-9]{1,2}:[0-9]{2}\s*[AP]M)/i);
-    return match ? match[1] : "unknown";
+  async getSdk() {
+    if (!this.sdk) {
+      try {
+        this.sdk = await this.loadSdk();
+      } catch (err) {
+        debugError("PiSdkAgent.getSdk", err);
+        throw new Error(
+          `Pi SDK not installed. Run: npm install ${PI_SDK_MODULE}`
+        );
+      }
+    }
+    return this.sdk;
   }
 
   /**
-   * @param {string} screen
-   * @returns {string}
+   * Start a fresh Pi conversation for the current directory.
+   * @returns {Promise<AgentSession>}
    */
-  parseAction(screen) {
-    /** @param {string} s */
-    // eslint-disable-next-line no-control-regex
-    const clean = (s) => s.replace(/\x1b\[[0-9;]*m/g, "").trim();
-    const lines = screen.split("\n").map(clean);
+  async createSession() {
+    const sdk = await this.getSdk();
+    const cwd = process.cwd();
+    const { session } = await sdk.createAgentSession({
+      cwd,
+      sessionManager: sdk.SessionManager.create(cwd),
+    });
+    return new PiSession(this, session, cwd);
+  }
 
-    for (const line of lines) {
-      if (line.startsWith("$") || line.startsWith(">")) return line;
-      if (/^(run|execute|create|delete|modify|write)/i.test(line)) return line;
+  /**
+   * Reopen a Pi conversation of the current directory by the name ax gave
+   * it (`pi-partner-<id>`), or a unique prefix of its id.
+   * @param {string | null | undefined} sessionName
+   * @returns {Promise<AgentSession | null>}
+   */
+  async openSession(sessionName) {
+    if (!sessionName) return null;
+    const id = sessionName.replace(/^pi-partner-/, "");
+    const sdk = await this.getSdk();
+    const cwd = process.cwd();
+    /** @type {{id: string, path: string}[]} */
+    const sessions = await sdk.SessionManager.list(cwd);
+    const exact = sessions.find((info) => info.id === id);
+    const matches = exact
+      ? [exact]
+      : sessions.filter((info) => info.id.startsWith(id));
+    if (matches.length !== 1) return null;
+
+    const { session } = await sdk.createAgentSession({
+      cwd,
+      sessionManager: sdk.SessionManager.open(matches[0].path),
+    });
+    return new PiSession(this, session, cwd);
+  }
+
+  getDefaultSession() {
+    return null;
+  }
+}
+
+const PiAgent = new PiSdkAgent();
+
+// =============================================================================
+// Agent registry - built-in agents plus custom tools from .ai/tools/*.json
+// =============================================================================
+
+/** @type {Record<string, Agent>} */
+const BUILTIN_AGENTS = {
+  claude: ClaudeAgent,
+  codex: CodexAgent,
+  aider: AiderAgent,
+  gemini: GeminiAgent,
+  pi: PiAgent,
+};
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const TOOL_STRING_FIELDS = [
+  "displayName",
+  "startCommand",
+  "yoloCommand",
+  "promptSymbol",
+  "envVar",
+  "approveKey",
+  "rejectKey",
+  "safeAllowedTools",
+  "sessionIdFlag",
+  "compactCommand",
+  "rateLimitPattern",
+];
+const TOOL_BOOLEAN_FIELDS = ["submitAnswers"];
+const TOOL_LIST_FIELDS = [
+  "spinners",
+  "thinkingPatterns",
+  "activeWorkPatterns",
+  "confirmPatterns",
+  "responseMarkers",
+  "chromePatterns",
+];
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Patterns written as "/source/flags" become RegExps; anything else is a
+ * literal substring.
+ * @param {string} value
+ * @returns {string | RegExp}
+ */
+function parsePatternString(value) {
+  const match = value.match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2]) : value;
+}
+
+/**
+ * Parse a custom tool definition (.ai/tools/<name>.json) into agent config.
+ * @param {string} filename
+ * @param {string} content
+ * @returns {AgentConfigInput | {error: string}}
+ */
+function parseToolDefinition(filename, content) {
+  const name = filename.replace(/\.json$/, "");
+  if (!TOOL_NAME_PATTERN.test(name)) {
+    return {
+      error: `Invalid tool name '${name}'. Use lowercase letters, digits and underscores`,
+    };
+  }
+  if (Object.hasOwn(BUILTIN_AGENTS, name)) {
+    return { error: `'${name}' is a built-in tool and can't be redefined` };
+  }
+
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (err) {
+    return {
+      error: `Invalid JSON: ${err instanceof Error ? err.message : err}`,
+    };
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: `Tool definition must be a JSON object` };
+  }
+  const def = /** @type {Record<string, unknown>} */ (raw);
+
+  const knownFields = [
+    ...TOOL_STRING_FIELDS,
+    ...TOOL_BOOLEAN_FIELDS,
+    ...TOOL_LIST_FIELDS,
+    "updatePromptPatterns",
+  ];
+  for (const field of Object.keys(def)) {
+    if (!knownFields.includes(field)) {
+      return {
+        error: `Unknown field '${field}'. Valid fields: ${knownFields.join(
+          ", "
+        )}`,
+      };
+    }
+  }
+  for (const field of TOOL_STRING_FIELDS) {
+    if (field in def && typeof def[field] !== "string") {
+      return { error: `'${field}' must be a string` };
+    }
+  }
+  for (const field of TOOL_BOOLEAN_FIELDS) {
+    if (field in def && typeof def[field] !== "boolean") {
+      return { error: `'${field}' must be true or false` };
+    }
+  }
+  for (const field of TOOL_LIST_FIELDS) {
+    const value = def[field];
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) || value.some((v) => typeof v !== "string"))
+    ) {
+      return { error: `'${field}' must be an array of strings` };
     }
+  }
+  if (!def.startCommand) return { error: `Missing 'startCommand'` };
+  if (!def.promptSymbol) return { error: `Missing 'promptSymbol'` };
 
-    return (
-      lines
-        .filter((l) => l && !l.match(/^[╭╮╰╯│─]+$/))
-        .slice(0, 2)
-        .join(" | ") || "action"
+  const str = /** @param {string} field */ (field) =>
+    /** @type {string | undefined} */ (def[field]);
+  const list = /** @param {string} field */ (field) =>
+    /** @type {string[] | undefined} */ (def[field]);
+
+  /** @type {UpdatePromptPatterns | null} */
+  let updatePromptPatterns = null;
+  if (def.updatePromptPatterns !== undefined) {
+    const upp = /** @type {Record<string, unknown>} */ (
+      def.updatePromptPatterns
     );
+    const isStringList = /** @param {unknown} v */ (v) =>
+      Array.isArray(v) && v.every((x) => typeof x === "string");
+    if (!upp || !isStringList(upp.screen) || !isStringList(upp.lastLines)) {
+      return {
+        error: `'updatePromptPatterns' must be {"screen": [...], "lastLines": [...]}`,
+      };
+    }
+    updatePromptPatterns = /** @type {UpdatePromptPatterns} */ (upp);
   }
 
-  /**
-   * @param {string} line
-   * @returns {boolean}
-   */
-  isChromeLine(line) {
-    const trimmed = line.trim();
-    if (!trimmed) return true;
-    // Box drawing characters only
-    if (/^[╭╮╰╯│─┌┐└┘├┤┬┴┼\s]+$/.test(line)) return true;
-    // Horizontal separators
-    if (/^─{3,}$/.test(trimmed)) return true;
-    // Status bar indicators (shortcuts help, connection status)
-    if (/^\s*[?⧉◯●]\s/.test(line)) return true;
-    // Logo/branding characters (block drawing)
-    if (/[▐▛▜▌▝▘█▀▄]/.test(trimmed) && trimmed.length < 50) return true;
-    // Version strings, model info
-    if (
-      /^(Claude Code|OpenAI Codex|Opus|gpt-|model:|directory:|cwd:)/i.test(
-        trimmed
-      )
-    )
-      return true;
-    // Path-only lines (working directory display)
-    if (/^~\/[^\s]*$/.test(trimmed)) return true;
-    // Explicit chrome patterns from agent config
-    if (this.chromePatterns.some((p) => trimmed.includes(p))) return true;
-    return false;
+  try {
+    const rateLimit = parsePatternString(str("rateLimitPattern") || "");
+    return {
+      name,
+      displayName: str("displayName") || name,
+      startCommand: /** @type {string} */ (str("startCommand")),
+      yoloCommand:
+        str("yoloCommand") || /** @type {string} */ (str("startCommand")),
+      promptSymbol: /** @type {string} */ (str("promptSymbol")),
+      spinners: list("spinners"),
+      rateLimitPattern:
+        rateLimit instanceof RegExp
+          ? rateLimit
+          : rateLimit
+            ? new RegExp(escapeRegExp(rateLimit))
+            : undefined,
+      thinkingPatterns: list("thinkingPatterns")?.map(parsePatternString),
+      activeWorkPatterns: list("activeWorkPatterns")?.map(parsePatternString),
+      confirmPatterns: list("confirmPatterns")?.map((p) => {
+        const pattern = parsePatternString(p);
+        return pattern instanceof RegExp
+          ? (/** @type {string} */ lines) => pattern.test(lines)
+          : pattern;
+      }),
+      updatePromptPatterns,
+      responseMarkers: list("responseMarkers"),
+      chromePatterns: list("chromePatterns"),
+      envVar: str("envVar") || "AX_SESSION",
+      approveKey: str("approveKey"),
+      rejectKey: str("rejectKey"),
+      safeAllowedTools: str("safeAllowedTools"),
+      sessionIdFlag: str("sessionIdFlag") || null,
+      compactCommand: str("compactCommand") || null,
+      submitAnswers: def.submitAnswers === true,
+    };
+  } catch (err) {
+    return {
+      error: `Invalid pattern: ${err instanceof Error ? err.message : err}`,
+    };
+  }
+}
+
+/**
+ * @returns {Record<string, Agent>}
+ */
+function loadToolDefinitions() {
+  if (!existsSync(TOOLS_DIR)) return {};
+
+  const files = readdirSync(TOOLS_DIR).filter((f) => f.endsWith(".json"));
+  /** @type {Record<string, Agent>} */
+  const agents = {};
+
+  for (const file of files) {
+    try {
+      const content = readFileSync(path.join(TOOLS_DIR, file), "utf-8");
+      const config = parseToolDefinition(file, content);
+      if ("error" in config) {
+        console.error(`ERROR: ${file}: ${config.error}`);
+        continue;
+      }
+      agents[config.name] = new Agent(config);
+    } catch (err) {
+      console.error(
+        `ERROR: Failed to read ${file}: ${
+          err instanceof Error ? err.message : err
+        }`
+      );
+    }
+  }
+
+  return agents;
+}
+
+/** @type {Record<string, Agent> | null} */
+let agentRegistry = null;
+
+/**
+ * @returns {Record<string, Agent>}
+ */
+function getAgentRegistry() {
+  if (!agentRegistry) {
+    agentRegistry = { ...BUILTIN_AGENTS, ...loadToolDefinitions() };
+  }
+  return agentRegistry;
+}
+
+/**
+ * @param {string | null | undefined} name
+ * @returns {Agent | null}
+ */
+function getAgent(name) {
+  const registry = getAgentRegistry();
+  const key = name?.toLowerCase() ?? "";
+  return Object.hasOwn(registry, key) ? registry[key] : null;
+}
+
+/**
+ * @returns {string[]}
+ */
+function getToolNames() {
+  return Object.keys(getAgentRegistry());
+}
+
+// =============================================================================
+// Public API - driving sessions from Node (import { openSession } from "ax-agents")
+// =============================================================================
+
+/**
+ * @typedef {Object} OpenSessionOptions
+ * @property {string | Agent} [tool] - "claude", "codex" or "pi" (default: codex)
+ * @property {string | null} [session] - Session to attach to; started if it isn't running
+ * @property {boolean} [fresh] - Always start a new session instead of attaching
+ * @property {boolean} [yolo] - Skip confirmations (auto-approves sessions not started with --yolo)
+ * @property {string | null} [allowedTools] - Tools to pre-approve (Claude only)
+ * @property {number} [timeoutMs] - Default timeout for waits
+ */
+
+/**
+ * Throw the typed error for a session that stopped short of a response.
+ * @param {Agent} agent
+ * @param {string} session
+ * @param {{state: string, screen: string}} result
+ */
+function assertResponded(agent, session, { state, screen }) {
+  if (state === State.RATE_LIMITED) {
+    throw new RateLimitedError(session, agent.parseRetryTime(screen), screen);
+  }
+  if (state === State.CONFIRMING) {
+    throw new ConfirmationRequiredError(
+      session,
+      extractPendingToolFromScreen(screen),
+      screen
+    );
   }
+}
 
+/**
+ * Handle on an agent session. Methods throw (TimeoutError, RateLimitedError,
+ * ConfirmationRequiredError) rather than exiting, so scripts can recover.
+ */
+class AxSession {
   /**
-   * @param {string} screen
-   * @returns {string[]}
+   * @param {Agent} agent
+   * @param {Omit<OpenSessionOptions, "tool">} [options]
    */
-  extractResponses(screen) {
-    // eslint-disable-next-line no-control-regex
-    const clean = screen.replace(/\x1b\[[0-9;]*m/g, "").replace(/\r/g, "");
-    const lines = clean.split("\n");
-    /** @type {string[]} */
-    const responses = [];
-    /** @type {string[]} */
-    let current = [];
-    let inResponse = false;
-
-    for (const line of lines) {
-      // Skip chrome lines
-      if (this.isChromeLine(line)) continue;
-
-      // User prompt marks end of previous response
-      if (line.startsWith(this.promptSymbol)) {
-        if (current.length) {
-          responses.push(current.join("\n").trim());
-          current = [];
-        }
-        inResponse = false;
-        continue;
-      }
+  constructor(
+    agent,
+    {
+      session = null,
+      fresh = false,
+      yolo = false,
+      allowedTools = null,
+      timeoutMs = DEFAULT_TIMEOUT_MS,
+    } = {}
+  ) {
+    this.agent = agent;
+    this.sessionName = session;
+    this.fresh = fresh;
+    this.yolo = yolo;
+    this.allowedTools = allowedTools;
+    this.timeoutMs = timeoutMs;
+    /** @type {AgentSession | null} */
+    this.session = null;
+    // Attached to an already running session (may hold stale input)
+    this.reused = false;
+    this.needsReset = false;
+  }
 
-      // Response markers
-      const isMarker = this.responseMarkers.some((m) => line.startsWith(m));
-      if (isMarker) {
-        if (!inResponse && current.length) {
-          responses.push(current.join("\n").trim());
-          current = [];
-        }
-        inResponse = true;
-        current.push(line);
-      } else if (inResponse && (line.startsWith("  ") || line.trim() === "")) {
-        current.push(line);
-      } else if (inResponse && line.trim()) {
-        current.push(line);
-      }
-    }
-    if (current.length) responses.push(current.join("\n").trim());
+  /** @returns {string | null} */
+  get id() {
+    return this.session?.id ?? this.sessionName;
+  }
 
-    const filtered = responses.filter((r) => r.length > 0);
+  /** @returns {string | null} */
+  get state() {
+    return this.session?.state ?? null;
+  }
 
-    // Fallback: extract after last prompt
-    if (filtered.length === 0) {
-      const lastPromptIdx = lines.findLastIndex((/** @type {string} */ l) =>
-        l.startsWith(this.promptSymbol)
-      );
-      if (lastPromptIdx >= 0 && lastPromptIdx < lines.length - 1) {
-        const afterPrompt = lines
-          .slice(lastPromptIdx + 1)
-          .filter((/** @type {string} */ l) => !this.isChromeLine(l))
-          .join("\n")
-          .trim();
-        if (afterPrompt) return [afterPrompt];
-      }
+  /**
+   * Attach to the session, starting it if it isn't running.
+   * @returns {Promise<AgentSession>}
+   */
+  async start() {
+    if (this.session) return this.session;
 
-      // Second fallback: if the last prompt is empty (just ❯), look BEFORE it
-      // This handles the case where Claude finished and shows a new empty prompt
-      if (lastPromptIdx >= 0) {
-        const lastPromptLine = lines[lastPromptIdx];
-        const isEmptyPrompt =
-          lastPromptLine.trim() === this.promptSymbol ||
-          lastPromptLine.match(/^❯\s*$/);
-        if (isEmptyPrompt) {
-          // Find the previous prompt (user's input) and extract content between
-          // Note: [Pasted text is Claude's truncated output indicator, NOT a prompt
-          const prevPromptIdx = lines
-            .slice(0, lastPromptIdx)
-            .findLastIndex((/** @type {string} */ l) =>
-              l.startsWith(this.promptSymbol)
-            );
-          if (prevPromptIdx >= 0) {
-            const betweenPrompts = lines
-              .slice(prevPromptIdx + 1, lastPromptIdx)
-              .filter((/** @type {string} */ l) => !this.isChromeLine(l))
-              .join("\n")
-              .trim();
-            if (betweenPrompts) return [betweenPrompts];
-          }
-        }
-      }
+    const existing = this.fresh
+      ? null
+      : await this.agent.openSession(this.sessionName);
+    if (existing) {
+      this.session = existing;
+      this.reused = true;
+      this.needsReset = true;
+      return existing;
     }
 
-    return filtered;
+    this.session = await this.agent.createSession({
+      sessionName: this.sessionName,
+      yolo: this.yolo,
+      allowedTools: this.allowedTools,
+    });
+    return this.session;
   }
 
   /**
-   * @param {string} response
-   * @returns {string}
+   * Attach to a running session without starting one.
+   * @returns {Promise<AgentSession>}
    */
-  cleanResponse(response) {
-    return (
-      response
-        // Remove tool call lines (Search, Read, Grep, etc.)
-        .replace(
-          /^[⏺•]\s*(Search|Read|Grep|Glob|Write|Edit|Bash)\([^)]*\).*$/gm,
-          ""
-        )
-        // Remove tool result lines
-        .replace(/^⎿\s+.*$/gm, "")
-        // Remove "Sautéed for Xs" timing lines
-        .replace(/^✻\s+Sautéed for.*$/gm, "")
-        // Remove expand hints
-        .replace(/\(ctrl\+o to expand\)/g, "")
-        // Clean up multiple blank lines
-        .replace(/\n{3,}/g, "\n\n")
-        // Original cleanup
-        .replace(/^[•⏺-]\s*/, "")
-        .replace(/^\*\*(.+)\*\*/, "$1")
-        .replace(/\n  /g, "\n")
-        .replace(/─+\s*$/, "")
-        .trim()
-    );
+  async attach() {
+    if (this.session) return this.session;
+    const existing = await this.agent.openSession(this.sessionName);
+    if (!existing) throw new Error("no session");
+    this.session = existing;
+    this.reused = true;
+    return existing;
   }
 
   /**
-   * Get assistant response text, preferring JSONL log over screen scraping.
-   * @param {string} session - tmux session name
-   * @param {string} screen - captured screen content (fallback)
-   * @param {number} [index=0] - 0 = last response, -1 = second-to-last, etc.
-   * @returns {string | null}
+   * Send a prompt without waiting for the response.
+   * @param {string} text
    */
-  getResponse(session, screen, index = 0) {
-    // Try JSONL first (clean, no screen artifacts)
-    const logPath = this.findLogPath(session);
-    const jsonlText = logPath ? getAssistantText(logPath, index) : null;
-    if (jsonlText) return jsonlText;
+  async send(text) {
+    const session = await this.start();
+    if (this.needsReset) {
+      await session.waitUntilReady(this.timeoutMs);
+      await session.clearInput();
+      this.needsReset = false;
+    }
+    await session.send(text);
+  }
 
-    // Fallback to screen scraping
-    const responses = this.extractResponses(screen);
-    const i = responses.length - 1 + index;
-    const response = responses[i];
-    return response ? this.cleanResponse(response) : null;
+  /**
+   * Send a prompt and wait for the response.
+   * @param {string} text
+   * @param {{timeoutMs?: number, print?: boolean}} [options] - print streams output to the console
+   * @returns {Promise<string>}
+   */
+  async prompt(text, { timeoutMs = this.timeoutMs, print = false } = {}) {
+    await this.send(text);
+    const session = /** @type {AgentSession} */ (this.session);
+    const result = await session.waitForResponse(timeoutMs, {
+      stream: print,
+      autoApprove: this.yolo && !session.isYolo,
+    });
+    assertResponded(this.agent, session.id, result);
+    return session.getResponse(0, result.screen) || "";
   }
 
   /**
-   * @param {string} session
+   * Send a prompt and yield output chunks as they arrive.
+   * @param {string} text
+   * @param {{timeoutMs?: number}} [options]
+   * @returns {AsyncGenerator<LogSegment>}
    */
-  async handleUpdatePrompt(session) {
-    // Default: skip update (send "2" then Enter)
-    tmuxSend(session, "2");
-    await sleep(300);
-    tmuxSend(session, "Enter");
-    await sleep(500);
+  async *stream(text, { timeoutMs = this.timeoutMs } = {}) {
+    await this.send(text);
+    const session = /** @type {AgentSession} */ (this.session);
+    while (true) {
+      yield* session.stream(timeoutMs);
+      const snapshot = session.snapshot();
+      if (
+        snapshot.state === State.CONFIRMING &&
+        this.yolo &&
+        !session.isYolo
+      ) {
+        await session.approve();
+        await sleep(APPROVE_DELAY_MS);
+        continue;
+      }
+      assertResponded(this.agent, session.id, snapshot);
+      return;
+    }
   }
-}
 
-// =============================================================================
-// CodexAgent
-// =============================================================================
+  /**
+   * Approve the pending action.
+   * @param {{wait?: boolean, timeoutMs?: number}} [options] - wait returns the response that follows
+   * @returns {Promise<string | null>}
+   */
+  async approve(options) {
+    return this.answer("approve", options);
+  }
 
-const CodexAgent = new Agent({
-  name: "codex",
-  displayName: "Codex",
-  startCommand: "codex --sandbox read-only",
-  yoloCommand: "codex --dangerously-bypass-approvals-and-sandbox",
-  promptSymbol: "›",
-  spinners: ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"],
-  rateLimitPattern: /■.*(?:usage limit|rate limit|try again at)/i,
-  thinkingPatterns: ["Thinking…", "Thinking..."],
-  confirmPatterns: [
-    (lines) => lines.includes("[y]") && lines.includes("[n]"),
-    "Run command?",
-    (lines) => lines.includes("Allow") && lines.includes("Deny"),
-  ],
-  updatePromptPatterns: {
-    screen: ["Update available"],
-    lastLines: ["Skip"],
-  },
-  activeWorkPatterns: ["esc to interrupt"],
-  responseMarkers: ["•", "- ", "**"],
-  chromePatterns: ["context left", "for shortcuts"],
-  reviewOptions: { branch: "1", uncommitted: "2", commit: "3", custom: "4" },
-  envVar: "AX_SESSION",
-  logPathFinder: findCodexLogPath,
-  requireStyledPrompt: true, // Codex prompt is bold, use this to avoid false positives
-});
+  /**
+   * Reject the pending action.
+   * @param {{wait?: boolean, timeoutMs?: number}} [options] - wait returns the response that follows
+   * @returns {Promise<string | null>}
+   */
+  async reject(options) {
+    return this.answer("reject", options);
+  }
 
-// =============================================================================
-// ClaudeAgent
-// =============================================================================
+  /**
+   * @param {"approve" | "reject"} decision
+   * @param {{wait?: boolean, timeoutMs?: number}} [options]
+   * @returns {Promise<string | null>}
+   */
+  async answer(decision, { wait = false, timeoutMs = this.timeoutMs } = {}) {
+    const session = await this.attach();
+    const state = session.state;
+    if (state !== State.CONFIRMING) {
+      throw new Error(`nothing to ${decision} (${state})`);
+    }
+    await session[decision]();
+    if (!wait) return null;
 
-const ClaudeAgent = new Agent({
-  name: "claude",
-  displayName: "Claude",
-  startCommand: "claude",
-  yoloCommand: "claude --dangerously-skip-permissions",
-  promptSymbol: "❯",
-  // Claude Code spinners: ·✢✳✶✻✽ (from cli.js source)
-  spinners: ["·", "✢", "✳", "✶", "✻", "✽"],
-  rateLimitPattern: /rate.?limit/i,
-  // Claude uses whimsical verbs like "Wibbling…", "Dancing…", etc. Match any capitalized -ing word + ellipsis (… or ...)
-  thinkingPatterns: ["Thinking", /[A-Z][a-z]+ing(…|\.\.\.)/],
-  activeWorkPatterns: ["esc to interrupt"],
-  confirmPatterns: [
-    "Do you want to make this edit",
-    "Do you want to run this command",
-    "Do you want to proceed",
-    // Active menu: numbered options with Yes/No/Allow/Deny
-    (lines) => /\d+\.\s*(Yes|No|Allow|Deny)/i.test(lines),
-  ],
-  updatePromptPatterns: null,
-  responseMarkers: ["⏺", "•", "- ", "**"],
-  chromePatterns: [
-    "↵ send",
-    "Esc to cancel",
-    "shortcuts",
-    "for more options",
-    "docs.anthropic.com",
-    "⏵⏵",
-    "bypass permissions",
-    "shift+Tab to cycle",
-  ],
-  reviewOptions: null,
-  safeAllowedTools: "Bash(git:*) Read Glob Grep", // Default: auto-approve read-only tools
-  envVar: "AX_SESSION",
-  approveKey: "1",
-  rejectKey: "Escape",
-  sessionIdFlag: "--session-id",
-  logPathFinder: (sessionName) => {
-    const parsed = parseSessionName(sessionName);
-    const uuid = parsed?.uuid;
-    if (uuid) return findClaudeLogPath(uuid, sessionName);
-    return null;
-  },
-});
+    const result = await session.waitForResponse(timeoutMs);
+    assertResponded(this.agent, session.id, result);
+    return session.getResponse(0, result.screen);
+  }
+
+  /**
+   * @param {number} [index] - 0 = last response, -1 = second-to-last, etc.
+   * @returns {Promise<string | null>}
+   */
+  async getResponse(index = 0) {
+    const session = await this.attach();
+    return session.getResponse(index);
+  }
+
+  /**
+   * Start a fresh conversation in the same session.
+   * @param {number} [timeoutMs]
+   */
+  async newConversation(timeoutMs = this.timeoutMs) {
+    const session = await this.start();
+    await session.newConversation(timeoutMs);
+  }
+
+  async destroy() {
+    await this.session?.destroy();
+    this.session = null;
+  }
+}
+
+/**
+ * Open a handle on an agent session. Nothing is started until the first
+ * call that needs a running session (or an explicit start()).
+ * @param {OpenSessionOptions} [options]
+ * @returns {AxSession}
+ */
+function openSession({ tool = "codex", ...options } = {}) {
+  const agent = typeof tool === "string" ? getAgent(tool) : tool;
+  if (!agent) throw new Error(`unknown tool '${tool}'`);
+  return new AxSession(agent, options);
+}
 
 // =============================================================================
 // Commands
 // =============================================================================
 
+/**
+ * Print a command's --json result. Keys are a stable interface for scripts.
+ * @param {unknown} value
+ */
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Report a CLI error and exit 1: `ERROR: ...` lines, or `{error, matches}`
+ * when the command line asked for --json, so scripts get one schema.
+ * @param {string} message
+ * @param {{matches?: string[], hint?: string}} [details] - Matches of an ambiguous name; a hint (text only)
+ * @returns {never}
+ */
+function exitWithError(message, { matches, hint } = {}) {
+  if (parseCliArgs(process.argv.slice(2)).flags.json) {
+    printJson(matches ? { error: message, matches } : { error: message });
+    process.exit(1);
+  }
+  console.log(`ERROR: ${message}${matches ? ". Matches:" : ""}`);
+  for (const m of matches ?? []) console.log(`  ${m}`);
+  if (hint) console.log(hint);
+  process.exit(1);
+}
+
+/**
+ * The data behind the CLI's exit codes: state, plus the retry time or the
+ * pending action when the session is blocked.
+ * @param {Agent} agent
+ * @param {string} session
+ * @param {{state: string | null, screen: string}} snapshot
+ * @returns {Record<string, unknown>}
+ */
+function describeSessionState(agent, session, { state, screen }) {
+  /** @type {Record<string, unknown>} */
+  const result = { session, state };
+  if (state === State.RATE_LIMITED) {
+    result.retryTime = agent.parseRetryTime(screen);
+  }
+  if (state === State.CONFIRMING) {
+    result.pendingTool = extractPendingToolFromScreen(screen);
+  }
+  return result;
+}
+
 /**
  * Wait until agent reaches a terminal state (ready, confirming, or rate limited).
  * Returns immediately if already in a terminal state.
@@ -4057,7 +9133,7 @@ async function waitUntilReady(agent, session, timeoutMs = DEFAULT_TIMEOUT_MS) {
   }
 
   while (Date.now() - start < timeoutMs) {
-    await sleep(POLL_MS);
+    await waitForPaneActivity(session);
     const screen = tmuxCapture(session);
     const state = agent.getState(screen, session);
 
@@ -4165,7 +9241,7 @@ async function pollForResponse(agent, session, timeoutMs, hooks = {}) {
       sawThinking = true;
     }
 
-    await sleep(POLL_MS);
+    await waitForPaneActivity(session);
   }
   throw new TimeoutError(session);
 }
@@ -4279,7 +9355,7 @@ async function autoApproveLoop(agent, session, timeoutMs, waitFn) {
 
     if (state === State.CONFIRMING) {
       debug("autoApprove", `auto-approving confirmation`);
-      tmuxSend(session, agent.approveKey);
+      agent.sendAnswer(session, true);
       await sleep(APPROVE_DELAY_MS);
       continue;
     }
@@ -4317,14 +9393,15 @@ async function cmdStart(
   }
 
   // Check agent CLI is installed before trying to start
-  const cliCheck = spawnSync("which", [agent.name], { encoding: "utf-8" });
-  if (cliCheck.status !== 0) {
-    console.error(`ERROR: ${agent.name} CLI is not installed or not in PATH`);
-    process.exit(1);
+  if (!agent.isInstalled()) {
+    throw new Error(
+      `${agent.name} CLI (${agent.getBinary()}) is not installed or not in PATH`
+    );
   }
 
   const command = agent.getCommand(yolo, session, allowedTools);
   debug("session", `creating tmux session: ${session}`);
+  agent.prepareSession?.(session);
   tmuxNewSession(session, command);
 
   const start = Date.now();
@@ -4344,107 +9421,136 @@ async function cmdStart(
     }
 
     if (state === State.CONFIRMING) {
-      tmuxSend(session, agent.approveKey);
+      agent.sendAnswer(session, true);
       await sleep(APPROVE_DELAY_MS);
       continue;
     }
 
     if (state === State.READY) return session;
 
-    await sleep(POLL_MS);
+    await waitForPaneActivity(session);
   }
 
-  console.log("ERROR: timeout");
-  process.exit(1);
+  throw new TimeoutError(session);
 }
 
 // =============================================================================
 // Command: agents
 // =============================================================================
 
-function cmdAgents() {
+/**
+ * @typedef {Object} AgentListing
+ * @property {string} session
+ * @property {string} tool
+ * @property {string} state
+ * @property {boolean} isDefault - The session commands target for this tool
+ * @property {string | null} archangel - Archangel name, for archangel sessions
+ * @property {string} mode - Permissions mode (yolo, custom, safe)
+ * @property {string | null} plan - Plan slug (Claude only)
+ * @property {string | null} branch - Git branch of the session (Claude only)
+ */
+
+/**
+ * @returns {AgentListing[]}
+ */
+function listAgents() {
   const allSessions = tmuxListSessions();
 
-  // Filter to agent sessions (claude-uuid or codex-uuid format)
+  // Filter to agent sessions ({tool}-uuid format)
   const agentSessions = allSessions.filter((s) => parseSessionName(s));
 
-  if (agentSessions.length === 0) {
-    console.log("No agents running");
-    // Still check for orphans
-    const orphans = findOrphanedProcesses();
-    if (orphans.length > 0) {
-      console.log(`\nOrphaned (${orphans.length}):`);
-      for (const { pid, command } of orphans) {
-        console.log(`  PID ${pid}: ${command}`);
-      }
-      console.log(`\n  Run 'ax kill --orphans' to clean up`);
-    }
-    return;
-  }
-
-  // Get default session for each agent type
-  const claudeDefault = ClaudeAgent.getDefaultSession();
-  const codexDefault = CodexAgent.getDefaultSession();
+  // Default session for each agent type, looked up once per tool
+  /** @type {Map<string, string | null>} */
+  const defaults = new Map();
 
   // Get info for each agent
-  const agents = agentSessions.map((session) => {
+  return agentSessions.map((session) => {
     const parsed = /** @type {ParsedSession} */ (parseSessionName(session));
-    const agent = parsed.tool === "claude" ? ClaudeAgent : CodexAgent;
+    const agent = getAgent(parsed.tool) ?? CodexAgent;
+    if (!defaults.has(parsed.tool)) {
+      defaults.set(parsed.tool, agent.getDefaultSession());
+    }
     const screen = tmuxCapture(session);
     const state = agent.getState(screen, session);
-    const type = parsed.archangelName ? "archangel" : "-";
-    const isDefault =
-      (parsed.tool === "claude" && session === claudeDefault) ||
-      (parsed.tool === "codex" && session === codexDefault);
     const perms = getSessionPermissions(session);
 
-    // Get session metadata (Claude only)
+    // Get session metadata (Claude and Codex)
     const meta = getSessionMeta(session);
 
     return {
       session,
       tool: parsed.tool,
       state: state || "unknown",
-      target: isDefault ? "*" : "",
-      type,
+      isDefault: session === defaults.get(parsed.tool),
+      archangel: parsed.archangelName || null,
       mode: perms.mode,
-      plan: meta?.slug || "-",
-      branch: meta?.gitBranch || "-",
+      plan: meta?.slug || null,
+      branch: meta?.gitBranch || null,
     };
   });
+}
 
-  // Print sessions table
-  const maxSession = Math.max(7, ...agents.map((a) => a.session.length));
-  const maxTool = Math.max(4, ...agents.map((a) => a.tool.length));
-  const maxState = Math.max(5, ...agents.map((a) => a.state.length));
-  const maxTarget = Math.max(6, ...agents.map((a) => a.target.length));
-  const maxType = Math.max(4, ...agents.map((a) => a.type.length));
-  const maxMode = Math.max(4, ...agents.map((a) => a.mode.length));
-  const maxPlan = Math.max(4, ...agents.map((a) => a.plan.length));
+/**
+ * @param {{json?: boolean}} [options]
+ */
+function cmdAgents({ json = false } = {}) {
+  const listings = listAgents();
+  const orphans = findOrphanedProcesses();
+
+  if (json) {
+    printJson({
+      agents: listings,
+      orphans: orphans.map(({ pid, command }) => ({
+        pid: Number(pid),
+        command,
+      })),
+    });
+    return;
+  }
+
+  if (listings.length === 0) {
+    console.log("No agents running");
+  } else {
+    const agents = listings.map((a) => ({
+      ...a,
+      target: a.isDefault ? "*" : "",
+      type: a.archangel ? "archangel" : "-",
+      plan: a.plan || "-",
+      branch: a.branch || "-",
+    }));
+
+    // Print sessions table
+    const maxSession = Math.max(7, ...agents.map((a) => a.session.length));
+    const maxTool = Math.max(4, ...agents.map((a) => a.tool.length));
+    const maxState = Math.max(5, ...agents.map((a) => a.state.length));
+    const maxTarget = Math.max(6, ...agents.map((a) => a.target.length));
+    const maxType = Math.max(4, ...agents.map((a) => a.type.length));
+    const maxMode = Math.max(4, ...agents.map((a) => a.mode.length));
+    const maxPlan = Math.max(4, ...agents.map((a) => a.plan.length));
 
-  console.log(
-    `${"SESSION".padEnd(maxSession)}  ${"TOOL".padEnd(
-      maxTool
-    )}  ${"STATE".padEnd(maxState)}  ${"TARGET".padEnd(
-      maxTarget
-    )}  ${"TYPE".padEnd(maxType)}  ${"MODE".padEnd(maxMode)}  ${"PLAN".padEnd(
-      maxPlan
-    )}  BRANCH`
-  );
-  for (const a of agents) {
     console.log(
-      `${a.session.padEnd(maxSession)}  ${a.tool.padEnd(
+      `${"SESSION".padEnd(maxSession)}  ${"TOOL".padEnd(
         maxTool
-      )}  ${a.state.padEnd(maxState)}  ${a.target.padEnd(
+      )}  ${"STATE".padEnd(maxState)}  ${"TARGET".padEnd(
         maxTarget
-      )}  ${a.type.padEnd(maxType)}  ${a.mode.padEnd(maxMode)}  ${a.plan.padEnd(
-        maxPlan
-      )}  ${a.branch}`
+      )}  ${"TYPE".padEnd(maxType)}  ${"MODE".padEnd(
+        maxMode
+      )}  ${"PLAN".padEnd(maxPlan)}  BRANCH`
     );
+    for (const a of agents) {
+      console.log(
+        `${a.session.padEnd(maxSession)}  ${a.tool.padEnd(
+          maxTool
+        )}  ${a.state.padEnd(maxState)}  ${a.target.padEnd(
+          maxTarget
+        )}  ${a.type.padEnd(maxType)}  ${a.mode.padEnd(
+          maxMode
+        )}  ${a.plan.padEnd(maxPlan)}  ${a.branch}`
+      );
+    }
   }
 
   // Print orphaned processes if any
-  const orphans = findOrphanedProcesses();
   if (orphans.length > 0) {
     console.log(`\nOrphaned (${orphans.length}):`);
     for (const { pid, command } of orphans) {
@@ -4454,6 +9560,234 @@ function cmdAgents() {
   }
 }
 
+// =============================================================================
+// Command: archangels (dashboard)
+// =============================================================================
+
+/**
+ * @typedef {Object} ArchangelListing
+ * @property {string} name
+ * @property {string} status - running, paused, quiet, starting, backoff, rate_limited, failed, stopped or disabled
+ * @property {'accumulate' | 'drop' | null} pauseMode - What happens to changes while paused or quiet
+ * @property {string} trigger - The trigger, or the cron schedule
+ * @property {string | null} session
+ * @property {string | null} parentSession
+ * @property {string | null} lastTriggerAt
+ * @property {number} pendingChanges
+ * @property {number} observations
+ * @property {number} repeats
+ * @property {number | null} averageResponseMs
+ * @property {number | null} contextTokens - At the last trigger
+ * @property {number} contextBudget
+ * @property {number} compactions
+ * @property {{message: string, at: string} | null} lastError
+ * @property {string | null} nextStartAt - When a supervisor restart is due
+ */
+
+/**
+ * @param {ArchangelConfig} config
+ * @param {{session: string | null, state: ArchangelState | null, supervisor: SupervisorState | null, supervised: boolean, pause?: ReturnType<typeof getArchangelPause>}} observed
+ * @returns {ArchangelListing}
+ */
+function summarizeArchangel(
+  config,
+  { session, state, supervisor, supervised, pause = null }
+) {
+  let status = "stopped";
+  if (session && pause) {
+    status = pause.reason === "quiet hours" ? "quiet" : "paused";
+  } else if (session) status = "running";
+  else if (supervised && supervisor) {
+    // Supervisor says running but the session isn't up yet
+    status = supervisor.status === "running" ? "starting" : supervisor.status;
+  } else if (supervisor?.status === "failed") status = "failed";
+  else if (!config.enabled) status = "disabled";
+
+  return {
+    name: config.name,
+    status,
+    pauseMode: session && pause ? pause.mode : null,
+    trigger: config.schedule ? `schedule ${config.schedule}` : config.trigger,
+    session,
+    parentSession: state?.parentSession ?? null,
+    lastTriggerAt: state?.lastTriggerAt ?? null,
+    // Only meaningful while the process that counted them is alive
+    pendingChanges: session ? (state?.pendingChanges ?? 0) : 0,
+    observations: state?.observations ?? 0,
+    repeats: state?.repeats ?? 0,
+    averageResponseMs: state?.responses
+      ? Math.round(state.totalResponseMs / state.responses)
+      : null,
+    contextTokens: state?.contextTokens ?? null,
+    contextBudget: config.contextBudget,
+    compactions: state?.compactions ?? 0,
+    lastError: state?.lastError ?? supervisorError(supervisor),
+    nextStartAt: supervised ? (supervisor?.nextStartAt ?? null) : null,
+  };
+}
+
+/**
+ * A crash the supervisor saw, for archangels that died before recording one.
+ * @param {SupervisorState | null} supervisor
+ * @returns {{message: string, at: string} | null}
+ */
+function supervisorError(supervisor) {
+  const exit = supervisor?.lastExit;
+  if (!exit || exit.code === 0) return null;
+  return {
+    message: exit.signal
+      ? `Exited on ${exit.signal}`
+      : `Exited with code ${exit.code}`,
+    at: exit.at,
+  };
+}
+
+/**
+ * Short elapsed time: 45s, 12m, 3h, 2d.
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+/**
+ * @returns {ArchangelListing[]}
+ */
+function listArchangels() {
+  return loadAgentConfigs().map((config) => {
+    const supervisor = readSupervisorState(config.name);
+    return summarizeArchangel(config, {
+      session:
+        findArchangelSession(getArchangelSessionPattern(config)) ?? null,
+      state: readArchangelState(config.name),
+      supervisor,
+      supervised: isSupervisorAlive(supervisor),
+      pause: getArchangelPause(config),
+    });
+  });
+}
+
+/**
+ * @param {{json?: boolean}} [options]
+ */
+function cmdArchangels({ json = false } = {}) {
+  const listings = listArchangels();
+
+  if (json) {
+    printJson({ archangels: listings });
+    return;
+  }
+
+  if (listings.length === 0) {
+    console.log(`No archangels found in ${AGENTS_DIR}/`);
+    return;
+  }
+
+  const now = Date.now();
+  const rows = listings.map((a) => ({
+    name: a.name,
+    status: a.nextStartAt
+      ? `${a.status} (${formatElapsed(Date.parse(a.nextStartAt) - now)})`
+      : a.pauseMode === "drop"
+      ? `${a.status} (dropping)`
+      : a.status,
+    trigger: a.trigger,
+    last: a.lastTriggerAt
+      ? `${formatElapsed(now - Date.parse(a.lastTriggerAt))} ago`
+      : "-",
+    pending: String(a.pendingChanges),
+    observations: a.repeats
+      ? `${a.observations} (+${a.repeats})`
+      : String(a.observations),
+    response:
+      a.averageResponseMs !== null ? formatElapsed(a.averageResponseMs) : "-",
+    context:
+      a.contextTokens !== null
+        ? `${Math.round(a.contextTokens / 1000)}k/${Math.round(
+            a.contextBudget / 1000
+          )}k`
+        : "-",
+    parent: a.parentSession || "-",
+  }));
+
+  /** @type {[keyof (typeof rows)[number], string][]} */
+  const columns = [
+    ["name", "NAME"],
+    ["status", "STATUS"],
+    ["trigger", "TRIGGER"],
+    ["last", "LAST TRIGGER"],
+    ["pending", "PENDING"],
+    ["observations", "OBS"],
+    ["response", "AVG RESPONSE"],
+    ["context", "CONTEXT"],
+    ["parent", "PARENT"],
+  ];
+  const widths = columns.map(([key, title]) =>
+    Math.max(title.length, ...rows.map((r) => r[key].length))
+  );
+  const formatRow = (/** @type {string[]} */ cells) =>
+    cells
+      .map((c, i) => (i === cells.length - 1 ? c : c.padEnd(widths[i])))
+      .join("  ");
+
+  console.log(formatRow(columns.map(([, title]) => title)));
+  for (const row of rows) {
+    console.log(formatRow(columns.map(([key]) => row[key])));
+  }
+
+  const errors = listings.filter((a) => a.lastError);
+  if (errors.length > 0) {
+    console.log("\nLast errors:");
+    for (const a of errors) {
+      const error = /** @type {{message: string, at: string}} */ (a.lastError);
+      const ago = formatElapsed(now - Date.parse(error.at));
+      console.log(`  ${a.name} (${ago} ago): ${error.message}`);
+    }
+  }
+}
+
+// =============================================================================
+// Command: templates
+// =============================================================================
+
+/**
+ * @param {{json?: boolean}} [options]
+ */
+function cmdTemplates({ json = false } = {}) {
+  const templates = loadArchangelTemplates();
+
+  if (json) {
+    printJson({
+      templates: templates.map(({ kind, description, source, error }) => ({
+        kind,
+        description,
+        source,
+        ...(error ? { error } : {}),
+      })),
+    });
+    return;
+  }
+
+  const maxKind = Math.max(4, ...templates.map((t) => t.kind.length));
+  console.log(`${"KIND".padEnd(maxKind)}  ${"SOURCE".padEnd(8)}  DESCRIPTION`);
+  for (const t of templates) {
+    const description = t.error ? `(invalid: ${t.error})` : t.description || "-";
+    console.log(
+      `${t.kind.padEnd(maxKind)}  ${t.source.padEnd(8)}  ${description}`
+    );
+  }
+  console.log(
+    `\nUse: ax summon <name> --template=<kind>. Add your own in ${TEMPLATES_DIR}/`
+  );
+}
+
 // =============================================================================
 // Command: summon/recall
 // =============================================================================
@@ -4489,10 +9823,20 @@ function startArchangel(config, parentSession = null) {
     env[AX_ARCHANGEL_PARENT_UUID_ENV] = parentSession.uuid;
   }
 
-  const child = spawn("node", [process.argv[1], "archangel", config.name], {
+  // Archangels with a cwd watch and review from there
+  const cwd = config.cwd
+    ? path.resolve(PROJECT_ROOT, config.cwd)
+    : process.cwd();
+  if (!existsSync(cwd)) {
+    console.log(`ERROR: ${config.name}: cwd '${config.cwd}' does not exist`);
+    return;
+  }
+
+  // The supervisor runs the archangel and restarts it if it exits
+  const child = spawn("node", [process.argv[1], "supervise", config.name], {
     detached: true,
     stdio: "ignore",
-    cwd: process.cwd(),
+    cwd,
     env,
   });
   child.unref();
@@ -4507,26 +9851,282 @@ function startArchangel(config, parentSession = null) {
 }
 
 /**
- * @param {string} pattern
- * @param {number} [timeoutMs]
- * @returns {Promise<string | undefined>}
+ * @param {string} pattern
+ * @param {number} [timeoutMs]
+ * @returns {Promise<string | undefined>}
+ */
+async function waitForArchangelSession(
+  pattern,
+  timeoutMs = ARCHANGEL_STARTUP_TIMEOUT_MS
+) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const session = findArchangelSession(pattern);
+    if (session) return session;
+    await sleep(200);
+  }
+  return undefined;
+}
+
+// =============================================================================
+// Command: supervise (keeps one archangel running, restarting it with backoff)
+// =============================================================================
+
+/**
+ * Run `ax archangel <name>` as a child and restart it whenever it exits on its
+ * own: after the agent's retry time when rate limited, otherwise with
+ * exponential backoff until it crashes SUPERVISOR_MAX_CRASHES times in a row.
+ * State is persisted for the other commands to read.
+ * @param {string | undefined} name
+ */
+async function cmdSupervise(name) {
+  if (!name) {
+    console.error("Usage: ./ax.js supervise <name>");
+    process.exit(1);
+  }
+  const existing = readSupervisorState(name);
+  if (existing && existing.pid !== process.pid && isSupervisorAlive(existing)) {
+    console.error(
+      `[supervisor:${name}] Already supervised (pid ${existing.pid}), exiting`
+    );
+    process.exit(1);
+  }
+
+  /** @type {SupervisorState} */
+  const state = {
+    name,
+    pid: process.pid,
+    childPid: null,
+    status: "running",
+    restarts: 0,
+    crashes: 0,
+    lastExit: null,
+    retryTime: null,
+    nextStartAt: null,
+    updatedAt: new Date().toISOString(),
+  };
+  /** @param {Partial<SupervisorState>} changes */
+  const save = (changes) => {
+    Object.assign(state, changes, { updatedAt: new Date().toISOString() });
+    writeSupervisorState(state);
+  };
+
+  /** @type {import("node:child_process").ChildProcess | null} */
+  let child = null;
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let restartTimer = undefined;
+  let stopping = false;
+  // Consecutive rate limits without a retry time
+  let rateLimits = 0;
+
+  function start() {
+    restartTimer = undefined;
+    const config = loadAgentConfigs().find((c) => c.name === name);
+    if (!config) {
+      console.error(`[supervisor:${name}] Config not found, giving up`);
+      save({ status: "failed", childPid: null, nextStartAt: null });
+      process.exit(1);
+    }
+
+    // A rate-limited or crashed archangel leaves its session behind
+    const pattern = getArchangelSessionPattern(config);
+    for (const session of tmuxListSessions()) {
+      if (session.startsWith(`${pattern}-`)) tmuxKill(session);
+    }
+
+    const startedAt = Date.now();
+    /** @type {string | null} */
+    let retryTime = null;
+    const proc = spawn(
+      "node",
+      [process.argv[1], "archangel", /** @type {string} */ (name)],
+      {
+        stdio: ["ignore", "ignore", "pipe"],
+        cwd: process.cwd(),
+        env: process.env,
+      }
+    );
+    child = proc;
+    if (proc.stderr) {
+      createInterface({ input: proc.stderr }).on("line", (line) => {
+        const match = line.match(/Rate limited until (.+) - stopping/);
+        if (match) retryTime = match[1];
+      });
+    }
+    save({
+      status: "running",
+      childPid: proc.pid ?? null,
+      retryTime: null,
+      nextStartAt: null,
+    });
+
+    proc.on("exit", (code, signal) => {
+      child = null;
+      if (stopping) return;
+
+      const lastExit = { code, signal, at: new Date().toISOString() };
+      /** @type {number} */
+      let delayMs;
+      if (code === 2) {
+        // Rate limited: wait out the limit, without counting it as a crash
+        // When the agent didn't say when, back off as for crashes
+        const retryMs = retryTime ? getRetryDelayMs(retryTime) : null;
+        rateLimits = retryMs === null ? rateLimits + 1 : 0;
+        delayMs =
+          retryMs === null
+            ? getSupervisorBackoffMs(rateLimits)
+            : retryMs + SUPERVISOR_RETRY_SLACK_MS;
+        save({ status: "rate_limited", childPid: null, lastExit, retryTime });
+      } else {
+        rateLimits = 0;
+        const stable = Date.now() - startedAt >= SUPERVISOR_STABLE_RUN_MS;
+        const crashes = stable ? 1 : state.crashes + 1;
+        if (crashes >= SUPERVISOR_MAX_CRASHES) {
+          console.error(
+            `[supervisor:${name}] Crashed ${crashes} times in a row, giving up`
+          );
+          save({ status: "failed", childPid: null, lastExit, crashes });
+          process.exit(1);
+        }
+        delayMs = getSupervisorBackoffMs(crashes);
+        save({ status: "backoff", childPid: null, lastExit, crashes });
+      }
+
+      console.log(
+        `[supervisor:${name}] Archangel exited (${
+          signal || `code ${code}`
+        }), restarting in ${Math.round(delayMs / 1000)}s`
+      );
+      save({
+        restarts: state.restarts + 1,
+        nextStartAt: new Date(Date.now() + delayMs).toISOString(),
+      });
+      restartTimer = setTimeout(start, Math.min(delayMs, 2 ** 31 - 1));
+    });
+  }
+
+  /** @param {NodeJS.Signals} signal */
+  function stop(signal) {
+    console.log(`[supervisor:${name}] Received ${signal}, shutting down`);
+    stopping = true;
+    clearTimeout(restartTimer);
+    const finish = () => {
+      save({ status: "stopped", childPid: null, nextStartAt: null });
+      process.exit(0);
+    };
+    if (!child) return finish();
+    // The archangel tears down its own session on SIGTERM
+    child.on("exit", finish);
+    child.kill("SIGTERM");
+  }
+
+  for (const signal of /** @type {NodeJS.Signals[]} */ ([
+    "SIGTERM",
+    "SIGINT",
+  ])) {
+    process.on(signal, () => stop(signal));
+  }
+
+  start();
+
+  // Keep the process alive
+  await new Promise(() => {});
+}
+
+// =============================================================================
+// Command: archangel (runs as the archangel process itself)
+// =============================================================================
+
+/**
+ * Wait for a freshly started archangel session to be ready for prompts,
+ * getting past update prompts and the bypass permissions dialog.
+ * @param {Agent} agent
+ * @param {string} sessionName
+ * @param {(message: string) => void} log
+ * @returns {Promise<boolean>} False if it wasn't ready in time
+ */
+async function waitForArchangelReady(agent, sessionName, log) {
+  const start = Date.now();
+  while (Date.now() - start < ARCHANGEL_STARTUP_TIMEOUT_MS) {
+    const screen = tmuxCapture(sessionName);
+    const state = agent.getState(screen, sessionName);
+
+    if (state === State.UPDATE_PROMPT) {
+      await agent.handleUpdatePrompt(sessionName);
+      continue;
+    }
+
+    // Handle bypass permissions confirmation dialog (Claude Code shows this for --dangerously-skip-permissions)
+    if (
+      screen.includes("Bypass Permissions mode") &&
+      screen.includes("Yes, I accept")
+    ) {
+      log("Accepting bypass permissions dialog");
+      tmuxSend(sessionName, "2"); // Select "Yes, I accept"
+      await sleep(300);
+      tmuxSend(sessionName, "Enter");
+      await sleep(500);
+      continue;
+    }
+
+    if (state === State.READY) {
+      log(`Started session: ${sessionName}`);
+      return true;
+    }
+
+    await waitForPaneActivity(sessionName);
+  }
+  return false;
+}
+
+/**
+ * Run the agent's compact command in an archangel session and wait for it.
+ * Callers check `agent.compactCommand` first.
+ * @param {Agent} agent
+ * @param {string} sessionName
+ * @returns {Promise<{state: string, screen: string}>}
  */
-async function waitForArchangelSession(
-  pattern,
-  timeoutMs = ARCHANGEL_STARTUP_TIMEOUT_MS
-) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    const session = findArchangelSession(pattern);
-    if (session) return session;
-    await sleep(200);
-  }
-  return undefined;
+async function compactArchangelSession(agent, sessionName) {
+  tmuxSendLiteral(sessionName, /** @type {string} */ (agent.compactCommand));
+  await sleep(200);
+  tmuxSend(sessionName, "Enter");
+  await sleep(100);
+  return waitForResponse(agent, sessionName, ARCHANGEL_RESPONSE_TIMEOUT_MS);
 }
 
-// =============================================================================
-// Command: archangel (runs as the archangel process itself)
-// =============================================================================
+/**
+ * What an archangel is told on its first trigger, and again after its
+ * conversation has been compacted.
+ * @param {ArchangelConfig} config
+ * @param {string} basePrompt - The config's focus
+ * @returns {string}
+ */
+function getArchangelIntro(config, basePrompt) {
+  return `You are the archangel of ${config.name}${
+    config.description ? ` (${config.description})` : ""
+  }.\n\n${ARCHANGEL_PREAMBLE}\n\n## Focus\n\n${basePrompt}\n\n---`;
+}
+
+/**
+ * A commit as a trigger section, or null if it touches no watched files.
+ * @param {string} commit
+ * @param {string[]} watch
+ * @returns {{files: string[], section: string} | null}
+ */
+function getCommitReview(commit, watch) {
+  const files = getCommitFiles(commit).filter((f) =>
+    matchesWatchPatterns(f, watch)
+  );
+  if (files.length === 0) return null;
+  const diff = truncateDiff(
+    getCommitDiff(commit),
+    ARCHANGEL_GIT_CONTEXT_MAX_LINES
+  );
+  return {
+    files,
+    section: `## Commit ${commit.slice(0, 7)}\n\n\`\`\`diff\n${diff}\n\`\`\``,
+  };
+}
 
 /**
  * @param {string | undefined} agentName
@@ -4551,54 +10151,71 @@ async function cmdArchangel(agentName) {
   }
   const config = configResult;
 
-  const agent = config.tool === "claude" ? ClaudeAgent : CodexAgent;
+  const agent = getAgent(config.tool) ?? CodexAgent;
   const sessionName = generateArchangelSessionName(config);
 
   // Check agent CLI is installed before trying to start
-  const cliCheck = spawnSync("which", [agent.name], { encoding: "utf-8" });
-  if (cliCheck.status !== 0) {
+  if (!agent.isInstalled()) {
     console.error(
-      `[archangel:${agentName}] ERROR: ${agent.name} CLI is not installed or not in PATH`
+      `[archangel:${agentName}] ERROR: ${agent.name} CLI (${agent.getBinary()}) is not installed or not in PATH`
     );
     process.exit(1);
   }
 
   // Start the agent session with safe defaults (auto-approve read-only operations)
-  const command = agent.getCommand(false, sessionName);
+  const command = agent.getCommand(
+    config.yolo,
+    sessionName,
+    config.allowedTools,
+    config.model
+  );
+  agent.prepareSession?.(sessionName);
   tmuxNewSession(sessionName, command);
+  await waitForArchangelReady(agent, sessionName, (message) =>
+    console.log(`[archangel:${agentName}] ${message}`)
+  );
 
-  // Wait for agent to be ready
-  const start = Date.now();
-  while (Date.now() - start < ARCHANGEL_STARTUP_TIMEOUT_MS) {
-    const screen = tmuxCapture(sessionName);
-    const state = agent.getState(screen, sessionName);
-
-    if (state === State.UPDATE_PROMPT) {
-      await agent.handleUpdatePrompt(sessionName);
-      continue;
-    }
-
-    // Handle bypass permissions confirmation dialog (Claude Code shows this for --dangerously-skip-permissions)
-    if (
-      screen.includes("Bypass Permissions mode") &&
-      screen.includes("Yes, I accept")
-    ) {
-      console.log(
-        `[archangel:${agentName}] Accepting bypass permissions dialog`
-      );
-      tmuxSend(sessionName, "2"); // Select "Yes, I accept"
-      await sleep(300);
-      tmuxSend(sessionName, "Enter");
-      await sleep(500);
-      continue;
-    }
+  // Dashboard state for `ax archangels`
+  const previousState = readArchangelState(agentName);
+  /** @type {ArchangelState} */
+  const archangelState = {
+    name: agentName,
+    pid: process.pid,
+    session: sessionName,
+    startedAt: new Date().toISOString(),
+    parentSession: process.env[AX_ARCHANGEL_PARENT_SESSION_ENV] || null,
+    lastTriggerAt: previousState?.lastTriggerAt ?? null,
+    pendingChanges: 0,
+    observations: previousState?.observations ?? 0,
+    repeats: previousState?.repeats ?? 0,
+    responses: previousState?.responses ?? 0,
+    totalResponseMs: previousState?.totalResponseMs ?? 0,
+    compactions: previousState?.compactions ?? 0,
+    contextTokens: null,
+    lastError: previousState?.lastError ?? null,
+    updatedAt: new Date().toISOString(),
+  };
 
-    if (state === State.READY) {
-      console.log(`[archangel:${agentName}] Started session: ${sessionName}`);
-      break;
+  /**
+   * @param {Partial<ArchangelState>} [changes]
+   */
+  function saveState(changes = {}) {
+    Object.assign(archangelState, changes, {
+      pendingChanges: countPendingChanges(),
+      updatedAt: new Date().toISOString(),
+    });
+    try {
+      writeArchangelState(archangelState);
+    } catch (err) {
+      debugError("saveState", err);
     }
+  }
 
-    await sleep(POLL_MS);
+  /**
+   * @param {string} message
+   */
+  function saveError(message) {
+    saveState({ lastError: { message, at: new Date().toISOString() } });
   }
 
   // Load the base prompt from config
@@ -4606,9 +10223,22 @@ async function cmdArchangel(agentName) {
   const promptMatch = normalized.match(/^---[\s\S]*?---\n([\s\S]*)$/);
   const basePrompt = promptMatch ? promptMatch[1].trim() : "Review for issues.";
 
-  // File watching state
+  // Pending work for the configured trigger
   /** @type {Set<string>} */
   let changedFiles = new Set();
+  // File contents as of the last review that included them (null: absent).
+  // Files not seen yet are compared with HEAD.
+  /** @type {Map<string, string | null>} */
+  const snapshots = new Map();
+  /** @type {string[]} */
+  let pendingCommits = [];
+  let stagedChanged = false;
+  let scheduledRunDue = false;
+  // State at the last scheduled run, to skip runs when nothing has changed
+  /** @type {string | null} */
+  let lastRunSignature = null;
+  /** @type {string | null} */
+  let lastRunCommit = null;
   /** @type {ReturnType<typeof setTimeout> | undefined} */
   let debounceTimer = undefined;
   /** @type {ReturnType<typeof setTimeout> | undefined} */
@@ -4622,130 +10252,406 @@ async function cmdArchangel(agentName) {
   /** @type {string | null} */
   let lastTodosHash = null;
   let isFirstTrigger = true;
+  // Running estimate of the conversation's size, for when neither the
+  // session log nor the status line says
+  let estimatedContextTokens = 0;
 
-  async function processChanges() {
-    clearTimeout(debounceTimer);
-    clearTimeout(maxWaitTimer);
-    debounceTimer = undefined;
-    maxWaitTimer = undefined;
+  // Observations resolved since this process started (a restart starts a
+  // fresh session, which has no memory of older ones)
+  const startedAt = new Date().toISOString();
+  /** @type {Set<string>} */
+  const reportedResolutions = new Set();
 
-    if (changedFiles.size === 0 || isProcessing) return;
-    isProcessing = true;
+  /**
+   * @returns {string | null}
+   */
+  function takeResolvedObservations() {
+    const resolved = readMailbox({
+      maxAge: Infinity,
+      limit: Infinity,
+      status: ["resolved"],
+    }).filter(
+      (e) =>
+        e.payload?.agent === agentName &&
+        !reportedResolutions.has(e.id) &&
+        (e.statusAt ?? "") >= startedAt
+    );
+    if (resolved.length === 0) return null;
+    for (const e of resolved) reportedResolutions.add(e.id);
+    return resolved
+      .map((e) => {
+        const note = e.statusNote ? `\n  Note: ${e.statusNote}` : "";
+        return `- [${e.id}] ${truncate(
+          (e.payload.message || "").replace(/\s+/g, " "),
+          200
+        )}${note}`;
+      })
+      .join("\n");
+  }
+
+  function countPendingChanges() {
+    if (config.schedule) return scheduledRunDue ? 1 : 0;
+    if (config.trigger === "commit") return pendingCommits.length;
+    if (config.trigger === "staged") return stagedChanged ? 1 : 0;
+    return changedFiles.size;
+  }
+
+  // Paused with mode "drop": forget the changes as they come in, advancing
+  // snapshots so the next review doesn't show them either
+  function dropPendingChanges() {
+    for (const file of changedFiles) {
+      const content = readSnapshot(file);
+      if (content === undefined) snapshots.delete(file);
+      else snapshots.set(file, content);
+    }
+    changedFiles = new Set();
+    pendingCommits = [];
+    stagedChanged = false;
+    scheduledRunDue = false;
+  }
+
+  function hasPendingChanges() {
+    return countPendingChanges() > 0;
+  }
+
+  /**
+   * Take the pending commits as diffs, skipping any that touch no watched files.
+   * @returns {{files: string[], section: string} | null}
+   */
+  function takeCommitChanges() {
+    const commits = pendingCommits;
+    pendingCommits = [];
 
+    /** @type {string[]} */
+    const files = [];
+    const sections = [];
+    for (const commit of commits) {
+      const review = getCommitReview(commit, config.watch);
+      if (!review) continue;
+      for (const f of review.files) if (!files.includes(f)) files.push(f);
+      sections.push(review.section);
+    }
+    if (sections.length === 0) return null;
+
+    const noun = sections.length === 1 ? "this commit" : "these commits";
+    return {
+      files,
+      section: `${sections.join("\n\n")}\n\nReview ${noun}.`,
+    };
+  }
+
+  /**
+   * Take the current index as a diff, if it stages any watched files.
+   * @returns {{files: string[], section: string} | null}
+   */
+  function takeStagedChanges() {
+    stagedChanged = false;
+    const files = getStagedFiles().filter(
+      (f) => matchesWatchPatterns(f, config.watch) && !isManagedAgentsMd(f)
+    );
+    if (files.length === 0) return null;
+
+    const diff = truncateDiff(getStagedDiff(), ARCHANGEL_GIT_CONTEXT_MAX_LINES);
+    return {
+      files,
+      section: `## Staged Changes (about to be committed)\n\n\`\`\`diff\n${diff}\n\`\`\`\n\nReview these staged changes.`,
+    };
+  }
+
+  /**
+   * Take a scheduled run: the current git state and what changed since the
+   * last scheduled run, or null if nothing has.
+   * @returns {{files: string[], section: string} | null}
+   */
+  function takeScheduledChanges() {
+    scheduledRunDue = false;
+    const signature = getWorkingTreeSignature();
+    if (signature && signature === lastRunSignature) {
+      console.log(
+        `[archangel:${agentName}] Nothing changed since the last scheduled run, skipping`
+      );
+      return null;
+    }
+    const previousCommit = lastRunCommit;
+    lastRunSignature = signature;
+    lastRunCommit = getHeadCommit();
+
+    const head = lastRunCommit || "HEAD";
+    const files = getFilesChangedSince(previousCommit || head).filter(
+      (f) => matchesWatchPatterns(f, config.watch) && !isManagedAgentsMd(f)
+    );
+
+    let section = `## Scheduled Review (${config.schedule})
+
+Branch ${getCurrentBranch()} at ${getCurrentCommit()}.`;
+    const log = previousCommit ? getCommitLogSince(previousCommit) : "";
+    if (log) {
+      section += "\n\n## Commits Since Last Run\n\n" + log;
+    }
+    if (files.length > 0) {
+      section +=
+        "\n\n## Files Changed" +
+        (previousCommit ? " Since Last Run" : "") +
+        "\n  - " +
+        files.slice(0, 10).join("\n  - ");
+    }
+    const gitContext = buildGitContext(
+      ARCHANGEL_GIT_CONTEXT_HOURS,
+      ARCHANGEL_GIT_CONTEXT_MAX_LINES
+    );
+    if (gitContext) {
+      section += "\n\n## Git Context\n\n" + gitContext;
+    }
+    section += "\n\nReview the current state of the code in your area.";
+    return { files, section };
+  }
+
+  /**
+   * Take the edited files, described with the parent session's intent where
+   * its log has it, and the recent git context.
+   * @param {{logPath: string, format: LogFormat} | null} log - Parent session log
+   * @returns {{files: string[], section: string}}
+   */
+  function takeFileChanges(log) {
     const files = [...changedFiles];
     changedFiles = new Set(); // atomic swap to avoid losing changes during processing
 
-    try {
-      // Get parent session log path for JSONL extraction
-      const parent = findParentSession();
-      const logPath = parent
-        ? findClaudeLogPath(parent.uuid, parent.session)
-        : null;
+    // Build file-specific context from JSONL
+    const fileContexts = [];
+    for (const file of files.slice(0, 5)) {
+      // Limit to 5 files
+      const ctx = extractFileEditContext(log, file);
+      if (ctx) {
+        fileContexts.push({ file, ...ctx });
+      }
+    }
 
-      // Get orientation context (plan and todos) from parent session
-      const meta = parent?.session ? getSessionMeta(parent.session) : null;
-      const planContent = meta?.slug ? readPlanFile(meta.slug) : null;
-      const todosContent = meta?.todos?.length ? formatTodos(meta.todos) : null;
+    let section = "";
+    if (fileContexts.length > 0) {
+      section += "## Recent Edits (from parent session)\n";
 
-      // Check if plan/todos have changed since last trigger
-      const planHash = quickHash(planContent);
-      const todosHash = quickHash(todosContent);
-      const includePlan = planHash !== lastPlanHash;
-      const includeTodos = todosHash !== lastTodosHash;
+      for (const ctx of fileContexts) {
+        section += `\n### ${ctx.file}\n`;
+        section += `**Intent:** ${ctx.intent.slice(0, 500)}\n`;
+        section += `**Action:** ${ctx.toolCall.name}\n`;
 
-      // Update tracking for next trigger
-      lastPlanHash = planHash;
-      lastTodosHash = todosHash;
+        // Codex edits carry their patch; Claude's are in the git diff below
+        if (ctx.toolCall.input?.patch) {
+          section += `**Patch:**\n\`\`\`diff\n${truncateDiff(
+            ctx.toolCall.input.patch,
+            50
+          )}\n\`\`\`\n`;
+        }
 
-      // Build file-specific context from JSONL
-      const fileContexts = [];
-      for (const file of files.slice(0, 5)) {
-        // Limit to 5 files
-        const ctx = extractFileEditContext(logPath, file);
-        if (ctx) {
-          fileContexts.push({ file, ...ctx });
+        if (ctx.editSequence > 1) {
+          section += `**Note:** This is edit #${ctx.editSequence} to this file (refinement)\n`;
         }
-      }
 
-      // Build the prompt
-      // First trigger: include intro, guidelines, and focus (archangel has memory)
-      let prompt = isFirstTrigger
-        ? `You are the archangel of ${agentName}.\n\n${ARCHANGEL_PREAMBLE}\n\n## Focus\n\n${basePrompt}\n\n---`
-        : "";
+        if (ctx.subsequentErrors.length > 0) {
+          section += `**Errors after:** ${ctx.subsequentErrors[0].slice(
+            0,
+            200
+          )}\n`;
+        }
 
-      // Add orientation context (plan and todos) only if changed since last trigger
-      if (includePlan && planContent) {
-        prompt += (prompt ? "\n\n" : "") + "## Current Plan\n\n" + planContent;
-      }
-      if (includeTodos && todosContent) {
-        prompt +=
-          (prompt ? "\n\n" : "") + "## Current Todos\n\n" + todosContent;
+        if (ctx.readsBefore.length > 0) {
+          const reads = ctx.readsBefore
+            .map((f) => f.split("/").pop())
+            .join(", ");
+          section += `**Files read before:** ${reads}\n`;
+        }
       }
 
-      if (fileContexts.length > 0) {
-        prompt += "\n\n## Recent Edits (from parent session)\n";
+      section += "\n\n";
+    } else {
+      // Fallback: no JSONL context available, use conversation context
+      const parentContext = getParentSessionContext(
+        ARCHANGEL_PARENT_CONTEXT_ENTRIES
+      );
+      if (parentContext) {
+        section +=
+          "## Main Session Context\n\nThe user is currently working on:\n\n" +
+          parentContext +
+          "\n\n";
+      }
+    }
 
-        for (const ctx of fileContexts) {
-          prompt += `\n### ${ctx.file}\n`;
-          prompt += `**Intent:** ${ctx.intent.slice(0, 500)}\n`;
-          prompt += `**Action:** ${ctx.toolCall.name}\n`;
+    section += "## Files Changed\n  - " + files.slice(0, 10).join("\n  - ");
 
-          if (ctx.editSequence > 1) {
-            prompt += `**Note:** This is edit #${ctx.editSequence} to this file (refinement)\n`;
-          }
+    // Exactly what changed in these files since they were last reviewed
+    const hunks = takeSnapshotDiffs(files);
+    if (hunks) {
+      section +=
+        "\n\n## Changes Since Your Last Review\n```diff\n" + hunks + "\n```";
+    } else {
+      const gitContext = buildGitContext(
+        ARCHANGEL_GIT_CONTEXT_HOURS,
+        ARCHANGEL_GIT_CONTEXT_MAX_LINES
+      );
+      if (gitContext) {
+        section += "\n\n## Git Context\n\n" + gitContext;
+      }
+    }
 
-          if (ctx.subsequentErrors.length > 0) {
-            prompt += `**Errors after:** ${ctx.subsequentErrors[0].slice(
-              0,
-              200
-            )}\n`;
-          }
+    section += "\n\nReview these changes.";
+    return { files, section };
+  }
 
-          if (ctx.readsBefore.length > 0) {
-            const reads = ctx.readsBefore
-              .map((f) => f.split("/").pop())
-              .join(", ");
-            prompt += `**Files read before:** ${reads}\n`;
-          }
+  /**
+   * Diff each file against its snapshot, then move the snapshot forward.
+   * Stops at ARCHANGEL_GIT_CONTEXT_MAX_LINES in all; files past that keep
+   * their snapshot, so their changes show up the next time they're touched.
+   * @param {string[]} files
+   * @returns {string}
+   */
+  function takeSnapshotDiffs(files) {
+    const diffs = [];
+    let lineCount = 0;
+    for (const [i, file] of files.entries()) {
+      const remaining = ARCHANGEL_GIT_CONTEXT_MAX_LINES - lineCount;
+      if (remaining <= 0) {
+        const omitted = files.slice(i);
+        diffs.push(
+          `\n... (${omitted.length} more file(s) not diffed: ${omitted.join(
+            ", "
+          )})`
+        );
+        break;
+      }
+      const after = readSnapshot(file);
+      if (after === undefined) {
+        snapshots.delete(file);
+        continue;
+      }
+      const before = snapshots.has(file)
+        ? /** @type {string | null} */ (snapshots.get(file))
+        : getFileAtHead(file);
+      try {
+        const diff = diffSnapshots(file, before, after);
+        if (diff) {
+          const hunk = truncateDiff(
+            diff,
+            Math.min(ARCHANGEL_HUNK_MAX_LINES, remaining)
+          );
+          diffs.push(hunk);
+          lineCount += hunk.split("\n").length;
         }
+      } catch (err) {
+        debugError("takeSnapshotDiffs", err);
+      }
+      snapshots.set(file, after);
+    }
+    return diffs.join("\n");
+  }
 
-        prompt +=
-          "\n\n## Files Changed\n  - " + files.slice(0, 10).join("\n  - ");
+  /**
+   * Write an observation, unless it repeats an earlier one: repeats of open
+   * observations are merged into them, repeats of dismissed ones dropped.
+   * @param {string} response - Starting with a severity tag
+   * @param {string[]} files
+   */
+  function recordObservation(response, files) {
+    const { severity, message } = parseObservationSeverity(response);
+    // Resolved observations don't count: raising one again means it's back
+    const earlier = readMailbox({
+      maxAge: OBSERVATION_DEDUPE_WINDOW_MS,
+      limit: Infinity,
+      status: ["new", "acked", "dismissed"],
+    }).filter(
+      (e) => e.type === "observation" && e.payload?.agent === agentName
+    );
+    const { repeats, fresh } = partitionObservation({ message, files }, earlier);
 
-        const gitContext = buildGitContext(
-          ARCHANGEL_GIT_CONTEXT_HOURS,
-          ARCHANGEL_GIT_CONTEXT_MAX_LINES
+    for (const duplicate of repeats) {
+      if (duplicate.status === "dismissed") {
+        console.log(
+          `[archangel:${agentName}] Dropped repeat of dismissed observation ${duplicate.id}`
         );
-        if (gitContext) {
-          prompt += "\n\n## Git Context\n\n" + gitContext;
-        }
+        continue;
+      }
+      writeMailboxRepeat(duplicate.id, getCurrentCommit());
+      saveState({ repeats: archangelState.repeats + 1 });
+      console.log(
+        `[archangel:${agentName}] Merged repeat into observation ${
+          duplicate.id
+        } (seen ${(duplicate.occurrences ?? 1) + 1} times)`
+      );
+    }
+    if (fresh) {
+      writeToMailbox({
+        agent: /** @type {string} */ (agentName),
+        session: sessionName,
+        branch: getCurrentBranch(),
+        commit: getCurrentCommit(),
+        files,
+        message: fresh,
+        severity,
+      });
+      saveState({ observations: archangelState.observations + 1 });
+      console.log(
+        `[archangel:${agentName}] Wrote ${severity} observation for ${files.length} file(s)`
+      );
+    }
+  }
 
-        prompt += "\n\nReview these changes.";
-      } else {
-        // Fallback: no JSONL context available, use conversation + git context
-        const parentContext = getParentSessionContext(
-          ARCHANGEL_PARENT_CONTEXT_ENTRIES
-        );
-        const gitContext = buildGitContext(
-          ARCHANGEL_GIT_CONTEXT_HOURS,
-          ARCHANGEL_GIT_CONTEXT_MAX_LINES
-        );
+  /**
+   * Compact the archangel's session. The summary keeps the gist but not the
+   * instructions, so the next prompt starts over like the first.
+   * @param {number} contextTokens
+   * @returns {Promise<{state: string, screen: string}>}
+   */
+  async function compactSession(contextTokens) {
+    console.log(
+      `[archangel:${agentName}] Context at ~${contextTokens} tokens (budget ${config.contextBudget}), compacting`
+    );
+    const result = await compactArchangelSession(agent, sessionName);
 
-        if (parentContext) {
-          prompt +=
-            "\n\n## Main Session Context\n\nThe user is currently working on:\n\n" +
-            parentContext;
-        }
+    isFirstTrigger = true;
+    lastPlanHash = null;
+    lastTodosHash = null;
+    estimatedContextTokens = 0;
+    saveState({ compactions: archangelState.compactions + 1 });
+    return result;
+  }
 
-        prompt +=
-          "\n\n## Files Changed\n  - " + files.slice(0, 10).join("\n  - ");
+  async function processChanges() {
+    clearTimeout(debounceTimer);
+    clearTimeout(maxWaitTimer);
+    debounceTimer = undefined;
+    maxWaitTimer = undefined;
 
-        if (gitContext) {
-          prompt += "\n\n## Git Context\n\n" + gitContext;
-        }
+    if (!hasPendingChanges() || isProcessing) return;
+    // Paused since the change was noted; resume picks it up again
+    if (getArchangelPause(config)) return;
+    isProcessing = true;
 
-        prompt += "\n\nReview these changes.";
+    try {
+      // The parent session's log (Claude or Codex) for edit context
+      const parent = findParentSession();
+      const log = parent ? findParentLog(parent) : null;
+
+      const change = config.schedule
+        ? takeScheduledChanges()
+        : config.trigger === "commit"
+          ? takeCommitChanges()
+          : config.trigger === "staged"
+          ? takeStagedChanges()
+          : takeFileChanges(log);
+      if (!change) {
+        isProcessing = false;
+        saveState();
+        return;
       }
+      const { files } = change;
+      saveState({
+        lastTriggerAt: new Date().toISOString(),
+        parentSession: parent?.session ?? archangelState.parentSession,
+      });
+
+      // Get orientation context (plan and todos) from parent session
+      const meta = parent?.session ? getSessionMeta(parent.session) : null;
+      const planContent = meta?.slug ? readPlanFile(meta.slug) : null;
+      const todosContent = meta?.todos?.length ? formatTodos(meta.todos) : null;
 
       // Check session still exists
       if (!tmuxHasSession(sessionName)) {
@@ -4753,23 +10659,80 @@ async function cmdArchangel(agentName) {
         process.exit(0);
       }
 
-      // Wait for ready
-      const screen = tmuxCapture(sessionName);
-      const state = agent.getState(screen, sessionName);
+      // Wait for ready
+      let screen = tmuxCapture(sessionName);
+      let state = agent.getState(screen, sessionName);
+
+      // Context budget: compact before this trigger would take the
+      // conversation over it
+      const contextTokens =
+        getContextUsage(agent, sessionName, screen) ?? estimatedContextTokens;
+      const incomingTokens =
+        estimateTokens(change.section) +
+        estimateTokens(planContent) +
+        estimateTokens(todosContent);
+      saveState({ contextTokens });
+      if (
+        state === State.READY &&
+        agent.compactCommand &&
+        !isFirstTrigger &&
+        contextTokens + incomingTokens > config.contextBudget
+      ) {
+        ({ state, screen } = await compactSession(contextTokens));
+      }
+
+      if (state === State.RATE_LIMITED) {
+        const retryTime = agent.parseRetryTime(screen);
+        saveError(`Rate limited until ${retryTime}`);
+        console.error(
+          `[archangel:${agentName}] Rate limited until ${retryTime} - stopping`
+        );
+        process.exit(2);
+      }
+
+      if (state !== State.READY) {
+        console.log(
+          `[archangel:${agentName}] Agent not ready (${state}), skipping`
+        );
+        isProcessing = false;
+        return;
+      }
+
+      // Check if plan/todos have changed since last trigger
+      const planHash = quickHash(planContent);
+      const todosHash = quickHash(todosContent);
+      const includePlan = planHash !== lastPlanHash;
+      const includeTodos = todosHash !== lastTodosHash;
+
+      // Update tracking for next trigger
+      lastPlanHash = planHash;
+      lastTodosHash = todosHash;
+
+      // Build the prompt
+      // First trigger (or first after compaction): include intro, guidelines,
+      // and focus (archangel has memory)
+      let prompt = isFirstTrigger ? getArchangelIntro(config, basePrompt) : "";
 
-      if (state === State.RATE_LIMITED) {
-        console.error(`[archangel:${agentName}] Rate limited - stopping`);
-        process.exit(2);
+      // Add orientation context (plan and todos) only if changed since last trigger
+      if (includePlan && planContent) {
+        prompt += (prompt ? "\n\n" : "") + "## Current Plan\n\n" + planContent;
+      }
+      if (includeTodos && todosContent) {
+        prompt +=
+          (prompt ? "\n\n" : "") + "## Current Todos\n\n" + todosContent;
       }
 
-      if (state !== State.READY) {
-        console.log(
-          `[archangel:${agentName}] Agent not ready (${state}), skipping`
-        );
-        isProcessing = false;
-        return;
+      // Feedback on earlier observations, so the archangel doesn't re-raise them
+      const resolved = takeResolvedObservations();
+      if (resolved) {
+        prompt +=
+          (prompt ? "\n\n" : "") +
+          "## Resolved Since Your Last Review\n\n" +
+          resolved;
       }
 
+      prompt += "\n\n" + change.section;
+
       // Send prompt
       tmuxSendLiteral(sessionName, prompt);
       await sleep(200); // Allow time for large prompts to be processed
@@ -4778,43 +10741,45 @@ async function cmdArchangel(agentName) {
       isFirstTrigger = false;
 
       // Wait for response
+      const sentAt = Date.now();
       const { state: endState, screen: afterScreen } = await waitForResponse(
         agent,
         sessionName,
         ARCHANGEL_RESPONSE_TIMEOUT_MS
       );
+      saveState({
+        responses: archangelState.responses + 1,
+        totalResponseMs: archangelState.totalResponseMs + (Date.now() - sentAt),
+      });
 
       if (endState === State.RATE_LIMITED) {
-        console.error(`[archangel:${agentName}] Rate limited - stopping`);
+        const retryTime = agent.parseRetryTime(afterScreen);
+        saveError(`Rate limited until ${retryTime}`);
+        console.error(
+          `[archangel:${agentName}] Rate limited until ${retryTime} - stopping`
+        );
         process.exit(2);
       }
 
       const cleanedResponse = agent.getResponse(sessionName, afterScreen) || "";
+      estimatedContextTokens +=
+        estimateTokens(prompt) + estimateTokens(cleanedResponse);
 
       const isSkippable =
         !cleanedResponse || cleanedResponse.trim() === "EMPTY_RESPONSE";
 
-      if (!isSkippable) {
-        writeToMailbox({
-          agent: /** @type {string} */ (agentName),
-          session: sessionName,
-          branch: getCurrentBranch(),
-          commit: getCurrentCommit(),
-          files,
-          message: cleanedResponse,
-        });
-        console.log(
-          `[archangel:${agentName}] Wrote observation for ${files.length} file(s)`
-        );
-      }
+      if (!isSkippable) recordObservation(cleanedResponse, files);
     } catch (err) {
       console.error(
         `[archangel:${agentName}] Error:`,
         err instanceof Error ? err.message : err
       );
+      saveError(err instanceof Error ? err.message : String(err));
     }
 
     isProcessing = false;
+    // Changes that arrived while we were busy
+    if (hasPendingChanges()) noteChange();
   }
 
   function scheduleProcessChanges() {
@@ -4826,9 +10791,21 @@ async function cmdArchangel(agentName) {
     });
   }
 
-  // Set up file watching
-  const stopWatching = watchForChanges(config.watch, (filePath) => {
-    changedFiles.add(filePath);
+  function noteChange() {
+    const pause = getArchangelPause(config);
+    if (pause) {
+      if (pause.mode === "drop") dropPendingChanges();
+      saveState();
+      return;
+    }
+    saveState();
+
+    // Commits are finished work, and scheduled runs are already timed:
+    // both run straight away
+    if (config.schedule || config.trigger === "commit") {
+      setImmediate(scheduleProcessChanges);
+      return;
+    }
 
     // Debounce: reset timer on each change
     clearTimeout(debounceTimer);
@@ -4838,7 +10815,51 @@ async function cmdArchangel(agentName) {
     if (!maxWaitTimer) {
       maxWaitTimer = setTimeout(scheduleProcessChanges, intervalMs * 5);
     }
-  });
+  }
+
+  // Set up watching for the configured trigger
+  /** @type {() => void} */
+  let stopWatching;
+  if (config.schedule) {
+    const cron = parseCron(config.schedule);
+    if ("error" in cron) {
+      console.error(`[archangel:${agentName}] ${cron.error}`);
+      process.exit(1);
+    }
+    stopWatching = runOnSchedule(cron, () => {
+      scheduledRunDue = true;
+      noteChange();
+    });
+  } else if (config.trigger === "commit") {
+    stopWatching = pollGitState(getHeadCommit, (previous, current) => {
+      if (!current) return;
+      for (const commit of getNewCommits(previous, current)) {
+        if (!pendingCommits.includes(commit)) pendingCommits.push(commit);
+      }
+      noteChange();
+    });
+  } else if (config.trigger === "staged") {
+    stopWatching = pollGitState(getStagedSignature, () => {
+      stagedChanged = true;
+      noteChange();
+    });
+  } else {
+    stopWatching = watchForChanges(config.watch, (filePath) => {
+      if (isManagedAgentsMd(filePath)) return;
+      changedFiles.add(filePath);
+      noteChange();
+    });
+  }
+
+  // Changes queued while paused are reviewed once the pause ends: `ax resume`
+  // signals us, and quiet hours ending is caught by the session check
+  function reviewQueuedChanges() {
+    if (isProcessing || debounceTimer || maxWaitTimer) return;
+    if (!hasPendingChanges() || getArchangelPause(config)) return;
+    noteChange();
+  }
+
+  process.on("SIGUSR2", reviewQueuedChanges);
 
   // Check if session still exists periodically
   const sessionCheck = setInterval(() => {
@@ -4848,6 +10869,7 @@ async function cmdArchangel(agentName) {
       clearInterval(sessionCheck);
       process.exit(0);
     }
+    reviewQueuedChanges();
   }, ARCHANGEL_HEALTH_CHECK_MS);
 
   // Handle graceful shutdown
@@ -4873,44 +10895,515 @@ async function cmdArchangel(agentName) {
     }, 500);
   });
 
-  console.log(`[archangel:${agentName}] Watching: ${config.watch.join(", ")}`);
+  const watching = config.schedule
+    ? `Scheduled (${config.schedule}) for`
+    : {
+        files: "Watching",
+        commit: "Watching commits to",
+        staged: "Watching staged changes to",
+      }[config.trigger];
+  console.log(
+    `[archangel:${agentName}] ${watching}: ${config.watch.join(", ")}`
+  );
+  saveState();
 
   // Keep the process alive
   await new Promise(() => {});
 }
 
+// =============================================================================
+// Command: archangel replay (tries an archangel on past commits)
+// =============================================================================
+
+/**
+ * @typedef {Object} ArchangelReplay
+ * @property {string} archangel
+ * @property {string} range
+ * @property {number} commits - In the range, watched or not
+ * @property {{commit: string, subject: string, files: string[], observation: string | null}[]} reviewed
+ * @property {MailboxEntry[]} observations - As they would have been written
+ * @property {string | null} error - Why the replay stopped early
+ */
+
+/**
+ * @param {ArchangelReplay} replay
+ * @returns {string} Markdown
+ */
+function formatReplayReport(replay) {
+  const repeats = replay.observations.reduce(
+    (n, e) => n + (e.occurrences ?? 1) - 1,
+    0
+  );
+  const lines = [
+    `# Replay: ${replay.archangel} (${replay.range})`,
+    "",
+    `${replay.commits} commit(s), ${replay.reviewed.length} reviewed, ${
+      replay.observations.length
+    } observation(s)${repeats ? ` (+${repeats} repeats merged)` : ""}`,
+  ];
+  if (replay.error) lines.push("", `Stopped early: ${replay.error}`);
+
+  for (const entry of replay.observations) {
+    const { payload } = entry;
+    const subject = replay.reviewed.find((r) => r.commit === payload.commit)
+      ?.subject;
+    const seen = entry.occurrences ? ` · seen ${entry.occurrences}×` : "";
+    lines.push(
+      "",
+      `## ${payload.commit.slice(0, 7)}${subject ? ` ${subject}` : ""} · ${
+        payload.severity ?? DEFAULT_OBSERVATION_SEVERITY
+      }${seen}`,
+      "",
+      `**Files**: ${payload.files.join(", ")}`,
+      "",
+      payload.message ?? ""
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Run an archangel over the commits in a range, one trigger per commit, in a
+ * throwaway session. Observations are collected and deduplicated as they
+ * would be live, but never written to the mailbox.
+ * @param {string | undefined} name
+ * @param {{range?: string, limit?: number, json?: boolean}} [options]
+ */
+async function cmdArchangelReplay(name, { range, limit, json = false } = {}) {
+  if (!name || !range) {
+    exitWithError("usage: ax archangel replay <name> --range=A..B");
+  }
+  if (!range.includes("..") || range.startsWith("-")) {
+    exitWithError(`--range must be a commit range like main..HEAD`);
+  }
+
+  const config = loadAgentConfigs().find((c) => c.name === name);
+  if (!config) {
+    exitWithError(`archangel '${name}' not found in ${AGENTS_DIR}/`);
+  }
+
+  // Review from where the archangel would, so watch patterns and paths match
+  if (config.cwd) {
+    const cwd = path.resolve(PROJECT_ROOT, config.cwd);
+    if (!existsSync(cwd)) {
+      exitWithError(`${config.name}: cwd '${config.cwd}' does not exist`);
+    }
+    process.chdir(cwd);
+  }
+
+  const rangeCommits = getRangeCommits(range);
+  if (!rangeCommits) {
+    exitWithError(`git can't resolve range '${range}'`);
+  }
+  const commits = rangeCommits
+    .map((c) => ({ ...c, review: getCommitReview(c.commit, config.watch) }))
+    .filter((c) => c.review)
+    .slice(0, limit);
+
+  /** @type {ArchangelReplay} */
+  const replay = {
+    archangel: config.name,
+    range,
+    commits: rangeCommits.length,
+    reviewed: [],
+    observations: [],
+    error: null,
+  };
+
+  const agent = getAgent(config.tool) ?? CodexAgent;
+  if (commits.length > 0 && !agent.isInstalled()) {
+    exitWithError(
+      `${agent.name} CLI (${agent.getBinary()}) is not installed or not in PATH`
+    );
+  }
+
+  // Progress goes to stderr, keeping stdout for the report
+  const log = (/** @type {string} */ message) =>
+    console.error(`[replay:${config.name}] ${message}`);
+  // Named like an archangel's (so it's never a target for `ax send`), but
+  // not matching this archangel's pattern, so `ax summon` ignores it
+  const sessionName = `${config.tool}-archangel-replay-${
+    config.name
+  }-${randomUUID()}`;
+
+  if (commits.length > 0) {
+    agent.prepareSession?.(sessionName);
+    tmuxNewSession(
+      sessionName,
+      agent.getCommand(
+        config.yolo,
+        sessionName,
+        config.allowedTools,
+        config.model
+      )
+    );
+    process.on("SIGINT", () => {
+      tmuxKill(sessionName);
+      process.exit(130);
+    });
+
+    try {
+      if (!(await waitForArchangelReady(agent, sessionName, log))) {
+        throw new Error("session didn't become ready");
+      }
+
+      let isFirstTrigger = true;
+      let estimatedContextTokens = 0;
+      for (const [i, { commit, subject, review }] of commits.entries()) {
+        const { files, section } = /** @type {{files: string[], section: string}} */ (
+          review
+        );
+        log(`${i + 1}/${commits.length} ${commit.slice(0, 7)} ${subject}`);
+
+        let screen = tmuxCapture(sessionName);
+        const contextTokens =
+          getContextUsage(agent, sessionName, screen) ??
+          estimatedContextTokens;
+        if (
+          agent.compactCommand &&
+          !isFirstTrigger &&
+          contextTokens + estimateTokens(section) > config.contextBudget
+        ) {
+          log(`Context at ~${contextTokens} tokens, compacting`);
+          ({ screen } = await compactArchangelSession(agent, sessionName));
+          isFirstTrigger = true;
+          estimatedContextTokens = 0;
+        }
+
+        const state = agent.getState(screen, sessionName);
+        if (state === State.RATE_LIMITED) {
+          throw new Error(`rate limited until ${agent.parseRetryTime(screen)}`);
+        }
+
+        const prompt =
+          (isFirstTrigger
+            ? getArchangelIntro(config, config.prompt || "Review for issues.") +
+              "\n\n"
+            : "") + `${section}\n\nReview this commit.`;
+        tmuxSendLiteral(sessionName, prompt);
+        await sleep(200); // Allow time for large prompts to be processed
+        tmuxSend(sessionName, "Enter");
+        await sleep(100);
+        isFirstTrigger = false;
+
+        const { state: endState, screen: afterScreen } = await waitForResponse(
+          agent,
+          sessionName,
+          ARCHANGEL_RESPONSE_TIMEOUT_MS
+        );
+        if (endState === State.RATE_LIMITED) {
+          throw new Error(
+            `rate limited until ${agent.parseRetryTime(afterScreen)}`
+          );
+        }
+        const response = agent.getResponse(sessionName, afterScreen) || "";
+        estimatedContextTokens +=
+          estimateTokens(prompt) + estimateTokens(response);
+
+        /** @type {string | null} */
+        let observation = null;
+        if (response && response.trim() !== "EMPTY_RESPONSE") {
+          const { severity, message } = parseObservationSeverity(response);
+          const { repeats, fresh } = partitionObservation(
+            { message, files },
+            replay.observations
+          );
+          for (const duplicate of repeats) {
+            duplicate.occurrences = (duplicate.occurrences ?? 1) + 1;
+            observation = duplicate.id;
+          }
+          if (fresh) {
+            observation = String(replay.observations.length + 1);
+            replay.observations.push({
+              id: observation,
+              timestamp: new Date().toISOString(),
+              type: "observation",
+              payload: {
+                agent: config.name,
+                session: sessionName,
+                branch: range,
+                commit,
+                files,
+                message: fresh,
+                severity,
+              },
+              status: "new",
+            });
+          }
+        }
+        replay.reviewed.push({ commit, subject, files, observation });
+      }
+    } catch (err) {
+      replay.error = err instanceof Error ? err.message : String(err);
+      log(`Stopped: ${replay.error}`);
+    } finally {
+      tmuxKill(sessionName);
+    }
+  }
+
+  if (json) {
+    printJson(replay);
+  } else {
+    console.log(formatReplayReport(replay));
+  }
+  if (replay.error) process.exit(1);
+}
+
+// =============================================================================
+// Command: pty-daemon (owns a session's pseudo-terminal for AX_BACKEND=pty)
+// =============================================================================
+
+/**
+ * Run the session's command under script(1), mirror its output into a
+ * ScreenBuffer and feed it queued input until the agent exits or we're killed.
+ * @param {string | undefined} session
+ * @param {string | undefined} settingsJson - PtySettings, from ptyNewSession
+ */
+async function cmdPtyDaemon(session, settingsJson) {
+  if (!session || !settingsJson) {
+    console.error("Usage: ./ax.js pty-daemon <session> <settings>");
+    process.exit(1);
+  }
+  /** @type {PtySettings} */
+  let meta;
+  try {
+    meta = JSON.parse(settingsJson);
+  } catch {
+    console.error(`[pty:${session}] Invalid settings: ${settingsJson}`);
+    process.exit(1);
+  }
+
+  // stty because script(1) copies the pty size from stdin, which isn't a terminal here
+  const shellCommand = `stty rows ${meta.rows} cols ${meta.cols} 2>/dev/null; exec ${meta.command}`;
+  const scriptArgs =
+    process.platform === "darwin"
+      ? ["-q", "/dev/null", "sh", "-c", shellCommand]
+      : ["-qfec", shellCommand, "/dev/null"];
+  const child = spawn("script", scriptArgs, {
+    cwd: meta.cwd,
+    env: { ...process.env, TERM: "xterm-256color", AX_PTY_SESSION: session },
+    stdio: ["pipe", "pipe", "ignore"],
+  });
+  child.stdin.on("error", (err) => debugError("pty-daemon:stdin", err));
+  ptyWriteMeta(session, { ...meta, pid: process.pid, childPid: child.pid });
+
+  const screen = new ScreenBuffer(meta.cols, meta.rows, {
+    onReply: (data) => child.stdin.write(data),
+  });
+
+  // Follow the session directory if it's renamed; false once it's been removed
+  let name = session;
+  const locate = () => {
+    if (existsSync(ptySessionDir(name))) return true;
+    const renamed = existsSync(PTY_DIR)
+      ? readdirSync(PTY_DIR).find((s) => ptyReadMeta(s)?.pid === process.pid)
+      : undefined;
+    if (renamed) name = renamed;
+    return Boolean(renamed);
+  };
+
+  let exiting = false;
+  /** @param {number} code */
+  const shutdown = (code) => {
+    if (exiting) return;
+    exiting = true;
+    clearInterval(inputPoll);
+    // Closing the pty hangs up the agent, as tmux kill-session does
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGKILL");
+    }
+    if (locate()) rmSync(ptySessionDir(name), { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  // Scrolled-off lines never change, so they're appended to the history
+  // files once rather than re-rendered on every flush. The files are
+  // rewritten when the history is cleared, the alternate screen (which has
+  // none) comes or goes, or they've grown to twice the limit.
+  let historyScrolled = 0;
+  let historyClears = 0;
+  let historyHidden = false;
+  let historyLines = 0;
+  /** @param {string} dir */
+  const flushHistory = (dir) => {
+    const hidden = Boolean(screen.primary);
+    const added = Math.min(
+      screen.scrolled - historyScrolled,
+      screen.history.length
+    );
+    const rewrite =
+      screen.clears !== historyClears ||
+      hidden !== historyHidden ||
+      historyLines + added > 2 * PTY_HISTORY_LIMIT;
+    if (!rewrite && added === 0) return;
+    const lines = rewrite
+      ? hidden
+        ? []
+        : screen.history
+      : screen.history.slice(-added);
+    for (const withEscapes of [false, true]) {
+      const file = path.join(dir, withEscapes ? "history.ansi" : "history");
+      const text = lines
+        .map((line) => `${renderScreenLine(line, withEscapes)}\n`)
+        .join("");
+      if (rewrite) {
+        writeFileSync(`${file}.tmp`, text);
+        renameSync(`${file}.tmp`, file);
+      } else {
+        appendFileSync(file, text);
+      }
+    }
+    historyScrolled = screen.scrolled;
+    historyClears = screen.clears;
+    historyHidden = hidden;
+    historyLines = rewrite ? lines.length : historyLines + lines.length;
+  };
+
+  /** @type {NodeJS.Timeout | null} */
+  let flushTimer = null;
+  const flush = () => {
+    flushTimer = null;
+    if (!locate()) return shutdown(0);
+    const dir = ptySessionDir(name);
+    try {
+      // History first, so a capture (which reads the screen first) can't miss
+      // a line that scrolled off in between
+      flushHistory(dir);
+      for (const withEscapes of [false, true]) {
+        const file = path.join(dir, withEscapes ? "screen.ansi" : "screen");
+        writeFileSync(`${file}.tmp`, screen.render({ withEscapes }));
+        renameSync(`${file}.tmp`, file);
+      }
+    } catch (err) {
+      debugError("pty-daemon:flush", err);
+    }
+  };
+
+  child.stdout.setEncoding("utf-8");
+  child.stdout.on("data", (/** @type {string} */ chunk) => {
+    screen.write(chunk);
+    flushTimer ??= setTimeout(flush, PTY_FLUSH_MS);
+  });
+
+  /** @param {object[]} entries - PtyInput lines from the input file */
+  const feed = (entries) => {
+    for (const input of /** @type {PtyInput[]} */ (entries)) {
+      if ("keys" in input) {
+        child.stdin.write(encodePtyKey(input.keys, screen.appCursor));
+      } else if ("text" in input) {
+        child.stdin.write(input.text);
+      } else if ("paste" in input) {
+        // Like tmux paste-buffer: newlines become carriage returns unless the app asked for bracketed paste
+        child.stdin.write(
+          screen.bracketedPaste
+            ? `\x1b[200~${input.paste}\x1b[201~`
+            : input.paste.replace(/\n/g, "\r")
+        );
+      }
+    }
+  };
+
+  // Once the input file grows large it's moved aside for new input to start
+  // afresh. The old one is read once more on the next poll, in case a client
+  // opened it just before the move, and then removed.
+  let offset = 0;
+  let rotatedOffset = -1;
+  const inputPoll = setInterval(() => {
+    if (!locate()) return shutdown(0);
+    const dir = ptySessionDir(name);
+    if (rotatedOffset >= 0) {
+      const rotated = path.join(dir, "input.old");
+      feed(tailJsonl(rotated, rotatedOffset).entries);
+      rmSync(rotated, { force: true });
+      rotatedOffset = -1;
+    }
+    const file = path.join(dir, "input");
+    const tail = tailJsonl(file, offset);
+    offset = tail.newOffset;
+    feed(tail.entries);
+    if (offset >= PTY_INPUT_ROTATE_BYTES) {
+      try {
+        renameSync(file, path.join(dir, "input.old"));
+        rotatedOffset = offset;
+        offset = 0;
+      } catch (err) {
+        debugError("pty-daemon:rotate", err);
+      }
+    }
+  }, PTY_INPUT_POLL_MS);
+
+  child.on("error", (err) => {
+    debugError("pty-daemon", err);
+    shutdown(1);
+  });
+  child.on("exit", (code) => shutdown(code ?? 0));
+
+  for (const signal of /** @type {NodeJS.Signals[]} */ ([
+    "SIGTERM",
+    "SIGINT",
+    "SIGHUP",
+  ])) {
+    process.on(signal, () => shutdown(0));
+  }
+}
+
 /**
  * @param {string | null} [name]
+ * @param {{template?: string | null}} [options] - Template for a new archangel
  */
-async function cmdSummon(name = null) {
+async function cmdSummon(name = null, { template: kind = null } = {}) {
   const configs = loadAgentConfigs();
 
+  if (kind && !name) {
+    exitWithError(
+      "--template needs a name: ax summon <name> --template=<kind>"
+    );
+  }
+
   // If name provided but doesn't exist, create it
   if (name) {
     const exists = configs.some((c) => c.name === name);
+    if (exists && kind) {
+      exitWithError(
+        `archangel '${name}' already exists. --template only applies when creating one`
+      );
+    }
     if (!exists) {
       if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
-        console.log(
-          "ERROR: Name must contain only letters, numbers, dashes, and underscores"
+        exitWithError(
+          "Name must contain only letters, numbers, dashes, and underscores"
+        );
+      }
+      if (name === ARCHANGEL_RESERVED_NAME) {
+        exitWithError(
+          `'${name}' is reserved for \`ax archangel replay\`. Pick another name`
         );
-        process.exit(1);
       }
 
       if (!existsSync(AGENTS_DIR)) {
         mkdirSync(AGENTS_DIR, { recursive: true });
       }
 
-      const agentPath = path.join(AGENTS_DIR, `${name}.md`);
-      const template = `---
-tool: claude
-watch: ["**/*.{ts,tsx,js,jsx,mjs,mts}"]
-interval: 30
----
+      const templates = loadArchangelTemplates();
+      const template = templates.find(
+        (t) => t.kind === (kind || DEFAULT_ARCHANGEL_TEMPLATE)
+      );
+      if (!template) {
+        exitWithError(
+          `unknown template '${kind}'. Available: ${templates
+            .map((t) => t.kind)
+            .join(", ")}`
+        );
+      }
+      if (template.error) {
+        exitWithError(
+          `template '${template.kind}' is invalid: ${template.error}`
+        );
+      }
 
-Review changed files for bugs, type errors, and edge cases.
-`;
-      writeFileSync(agentPath, template);
-      console.log(`Created: ${agentPath}`);
+      const agentPath = path.join(AGENTS_DIR, `${name}.md`);
+      writeFileSync(agentPath, template.content);
+      console.log(`Created: ${agentPath} (from ${template.kind} template)`);
       console.log(`Edit the file to customize, then run: ax summon ${name}`);
       return;
     }
@@ -4921,11 +11414,19 @@ Review changed files for bugs, type errors, and edge cases.
     return;
   }
 
-  const targetConfigs = name ? configs.filter((c) => c.name === name) : configs;
+  // Summoning everything skips disabled archangels; naming one starts it anyway
+  const targetConfigs = name
+    ? configs.filter((c) => c.name === name)
+    : configs.filter((c) => c.enabled);
+  if (!name) {
+    for (const config of configs.filter((c) => !c.enabled)) {
+      console.log(`Disabled: ${config.name} (enabled: false)`);
+    }
+  }
 
   ensureMailboxHookScript();
 
-  const parentSession = findCurrentClaudeSession();
+  const parentSession = findCurrentAgentSession();
   if (parentSession) {
     console.log(
       `Parent session: ${parentSession.session || "(non-tmux)"} [${
@@ -4937,11 +11438,19 @@ Review changed files for bugs, type errors, and edge cases.
   for (const config of targetConfigs) {
     const sessionPattern = getArchangelSessionPattern(config);
     const existing = findArchangelSession(sessionPattern);
+    const supervisor = readSupervisorState(config.name);
 
-    if (!existing) {
-      startArchangel(config, parentSession);
-    } else {
+    if (existing) {
       console.log(`Already running: ${config.name} (${existing})`);
+    } else if (supervisor && isSupervisorAlive(supervisor)) {
+      // Between restarts: the supervisor will bring it back
+      console.log(
+        `Already supervised: ${config.name} (${supervisor.status}${
+          supervisor.nextStartAt ? `, restarting at ${supervisor.nextStartAt}` : ""
+        })`
+      );
+    } else {
+      startArchangel(config, parentSession);
     }
   }
 
@@ -4952,37 +11461,105 @@ Review changed files for bugs, type errors, and edge cases.
  * @param {string | null} [name]
  */
 async function cmdRecall(name = null) {
+  for (const config of findTargetConfigs(name)) {
+    // Stop the supervisor first so it doesn't restart what we recall
+    const supervisor = readSupervisorState(config.name);
+    const supervised = isSupervisorAlive(supervisor);
+    if (supervisor && supervised) {
+      try {
+        process.kill(supervisor.pid, "SIGTERM");
+      } catch (err) {
+        debugError("cmdRecall", err);
+      }
+    }
+
+    const sessionPattern = getArchangelSessionPattern(config);
+    const existing = findArchangelSession(sessionPattern);
+
+    if (existing) {
+      tmuxSend(existing, "C-c");
+      await sleep(300);
+      tmuxKill(existing);
+      console.log(`Recalled: ${config.name} (${existing})`);
+    } else if (supervised) {
+      console.log(`Recalled: ${config.name} (${supervisor?.status})`);
+    } else {
+      console.log(`Not running: ${config.name}`);
+    }
+  }
+}
+
+/**
+ * @param {string | null} name
+ * @returns {ArchangelConfig[]}
+ */
+function findTargetConfigs(name) {
   const configs = loadAgentConfigs();
 
   if (configs.length === 0) {
     console.log(`No archangels found in ${AGENTS_DIR}/`);
-    return;
+    return [];
   }
 
   const targetConfigs = name ? configs.filter((c) => c.name === name) : configs;
 
   if (name && targetConfigs.length === 0) {
-    console.log(`ERROR: archangel '${name}' not found in ${AGENTS_DIR}/`);
-    process.exit(1);
+    exitWithError(`archangel '${name}' not found in ${AGENTS_DIR}/`);
   }
+  return targetConfigs;
+}
 
-  for (const config of targetConfigs) {
-    const sessionPattern = getArchangelSessionPattern(config);
-    const existing = findArchangelSession(sessionPattern);
+/**
+ * Stop reviewing without killing the session, so the archangel keeps its
+ * conversation memory. Changes are queued for `ax resume` unless `drop`.
+ * @param {string | null} [name]
+ * @param {{drop?: boolean}} [options]
+ */
+function cmdPause(name = null, { drop = false } = {}) {
+  for (const config of findTargetConfigs(name)) {
+    const mode = drop ? "drop" : "accumulate";
+    writeArchangelPause(config.name, { mode, at: new Date().toISOString() });
+    console.log(
+      `Paused: ${config.name} (${
+        drop ? "dropping changes" : "accumulating changes"
+      })`
+    );
+  }
+}
 
-    if (existing) {
-      tmuxSend(existing, "C-c");
-      await sleep(300);
-      tmuxKill(existing);
-      console.log(`Recalled: ${config.name} (${existing})`);
+/**
+ * @param {string | null} [name]
+ */
+function cmdResume(name = null) {
+  for (const config of findTargetConfigs(name)) {
+    if (!readArchangelPause(config.name)) {
+      console.log(`Not paused: ${config.name}`);
+      continue;
+    }
+    writeArchangelPause(config.name, null);
+
+    // Wake the archangel so queued changes don't wait for its next check.
+    // Only while its session is up: a stale pid could be anything by now.
+    const state = readArchangelState(config.name);
+    const session = findArchangelSession(getArchangelSessionPattern(config));
+    if (state?.pid && session && state.session === session) {
+      try {
+        process.kill(state.pid, "SIGUSR2");
+      } catch (err) {
+        debugError("cmdResume", err);
+      }
+    }
+
+    if (config.quietHours && isInQuietHours(config.quietHours, new Date())) {
+      console.log(`Resumed: ${config.name} (still in quiet hours)`);
     } else {
-      console.log(`Not running: ${config.name}`);
+      console.log(`Resumed: ${config.name}`);
     }
   }
 }
 
 // Version of the hook script template - bump when making changes
-const HOOK_SCRIPT_VERSION = "5";
+const HOOK_SCRIPT_VERSION = "8";
 
 function ensureMailboxHookScript() {
   const hooksDir = HOOKS_DIR;
@@ -5058,22 +11635,58 @@ try {
 } catch (err) {
   if (DEBUG) console.error("[hook] readLastSeen:", err.message);
 }
-const lastSeen = lastSeenMap[sessionHash] || 0;
+// Delivered entry ids per session (older hook versions stored a timestamp)
+const seen = lastSeenMap[sessionHash];
+const seenBefore = typeof seen === "number" ? seen : seen?.since || 0;
+const seenIds = new Set(seen?.ids || []);
+
+// Which hook events deliver each severity: critical interrupts, warn waits
+// for the next prompt, info stays in ax mailbox
+const SEVERITY_EVENTS = {
+  critical: ["UserPromptSubmit", "PreToolUse", "Stop"],
+  warn: ["UserPromptSubmit"],
+  info: [],
+};
+const event = hookEvent || "UserPromptSubmit";
 
 const now = Date.now();
 const lines = readFileSync(MAILBOX, "utf-8").trim().split("\\n").filter(Boolean);
 const relevant = [];
+const recentIds = new Set();
+
+// Dismissed and resolved observations are never injected (again)
+const closed = new Set();
+for (const line of lines) {
+  try {
+    const entry = JSON.parse(line);
+    if (entry.type !== "status") continue;
+    const { id, status } = entry.payload;
+    if (status === "dismissed" || status === "resolved") closed.add(id);
+    else closed.delete(id);
+  } catch {
+    // Reported below
+  }
+}
 
 for (const line of lines) {
   try {
     const entry = JSON.parse(line);
+    // Repeats of an observation aren't news
+    if (entry.type === "status" || entry.type === "repeat") continue;
+    // Entries from before ids existed: same id as ax.js derives
+    const id = entry.id || createHash("md5").update(line).digest("hex").slice(0, 8);
+    if (closed.has(id)) continue;
     const ts = new Date(entry.timestamp).getTime();
     const age = now - ts;
-    if (age < MAX_AGE_MS && ts > lastSeen) {
-      const session = entry.payload.session || "";
-      const sessionPrefix = session.replace(/-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "");
-      relevant.push({ agent: entry.payload.agent, sessionPrefix, message: entry.payload.message });
-    }
+    if (age >= MAX_AGE_MS) continue;
+    recentIds.add(id);
+    if (ts <= seenBefore || seenIds.has(id)) continue;
+    // Entries without a severity predate severities (or are RFP proposals)
+    const severity = entry.payload.severity || "warn";
+    if (!(SEVERITY_EVENTS[severity] || SEVERITY_EVENTS.warn).includes(event)) continue;
+    const session = entry.payload.session || "";
+    const sessionPrefix = session.replace(/-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "");
+    relevant.push({ id, severity, agent: entry.payload.agent, sessionPrefix, message: entry.payload.message });
   } catch (err) {
     if (DEBUG) console.error("[hook] parseLine:", err.message);
   }
@@ -5086,15 +11699,16 @@ if (relevant.length > 0) {
   messageLines.push("");
   messageLines.push("Background agents watching your files found:");
   messageLines.push("");
-  for (const { agent, sessionPrefix, message } of relevant) {
+  for (const { id, severity, agent, sessionPrefix, message } of relevant) {
     if (sessionPrefix) sessionPrefixes.add(sessionPrefix);
-    messageLines.push("**[" + agent + "]**");
+    messageLines.push("**[" + agent + "]** (" + id + ", " + severity + ")");
     messageLines.push("");
     messageLines.push(message);
     messageLines.push("");
   }
   const sessionList = [...sessionPrefixes].map(s => "\\\`./ax.js log " + s + "\\\`").join(" or ");
   messageLines.push("> For more context: \\\`./ax.js mailbox\\\`" + (sessionList ? " or " + sessionList : ""));
+  messageLines.push("> Once handled: \\\`./ax.js mailbox resolve <id> [note]\\\` (or \\\`dismiss <id>\\\` if it doesn't apply)");
 
   const formattedMessage = messageLines.join("\\n");
 
@@ -5116,9 +11730,14 @@ if (relevant.length > 0) {
 
   // Update last-seen and prune entries older than 24 hours
   const PRUNE_AGE_MS = 24 * 60 * 60 * 1000;
-  lastSeenMap[sessionHash] = now;
+  // Only entries still recent enough to deliver need remembering
+  const ids = [...seenIds].filter((id) => recentIds.has(id));
+  for (const { id } of relevant) ids.push(id);
+  lastSeenMap[sessionHash] = { at: now, since: seenBefore, ids };
   for (const key of Object.keys(lastSeenMap)) {
-    if (now - lastSeenMap[key] > PRUNE_AGE_MS) delete lastSeenMap[key];
+    const value = lastSeenMap[key];
+    const at = typeof value === "number" ? value : value.at;
+    if (now - at > PRUNE_AGE_MS) delete lastSeenMap[key];
   }
   writeFileSync(LAST_SEEN_FILE, JSON.stringify(lastSeenMap));
 }
@@ -5245,11 +11864,10 @@ function cmdKill(
   // If specific session provided, kill just that one
   if (session) {
     if (!tmuxHasSession(session)) {
-      console.log(
-        "ERROR: session not found. Run 'ax agents' to list sessions."
-      );
-      process.exit(1);
+      exitWithError("session not found. Run 'ax agents' to list sessions.");
     }
+    // Supervised archangels would otherwise be restarted
+    stopArchangelSupervisor(session);
     tmuxKill(session);
     console.log(`Killed: ${session}`);
     return;
@@ -5282,6 +11900,7 @@ function cmdKill(
   }
 
   for (const s of sessionsToKill) {
+    stopArchangelSupervisor(s);
     tmuxKill(s);
     console.log(`Killed: ${s}`);
   }
@@ -5293,15 +11912,19 @@ function cmdKill(
  */
 function cmdAttach(session) {
   if (!session) {
-    console.log("ERROR: no session specified. Run 'agents' to list sessions.");
-    process.exit(1);
+    exitWithError("no session specified. Run 'agents' to list sessions.");
   }
 
   // Resolve partial session name
   const resolved = resolveSessionName(session);
   if (!resolved || !tmuxHasSession(resolved)) {
-    console.log("ERROR: session not found. Run 'ax agents' to list sessions.");
-    process.exit(1);
+    exitWithError("session not found. Run 'ax agents' to list sessions.");
+  }
+
+  if (PTY_BACKEND) {
+    exitWithError(
+      "attach needs tmux. With AX_BACKEND=pty, use 'ax debug' or 'ax log --follow'."
+    );
   }
 
   // Hand over to tmux attach
@@ -5320,33 +11943,29 @@ function cmdLog(
   { tail = 50, reasoning = false, follow = false } = {}
 ) {
   if (!sessionName) {
-    console.log("ERROR: no session specified. Run 'agents' to list sessions.");
-    process.exit(1);
+    exitWithError("no session specified. Run 'agents' to list sessions.");
   }
 
   // Resolve partial session name
   const resolved = resolveSessionName(sessionName);
   if (!resolved) {
-    console.log("ERROR: session not found. Run 'ax agents' to list sessions.");
-    process.exit(1);
+    exitWithError("session not found. Run 'ax agents' to list sessions.");
   }
   const parsed = parseSessionName(resolved);
   if (!parsed) {
-    console.log("ERROR: invalid session name");
-    process.exit(1);
+    exitWithError("invalid session name");
   }
 
-  const agent = parsed.tool === "claude" ? ClaudeAgent : CodexAgent;
+  const agent = getAgent(parsed.tool) ?? CodexAgent;
   const logPath = agent.findLogPath(resolved);
   if (!logPath || !existsSync(logPath)) {
-    console.log("ERROR: log file not found");
-    process.exit(1);
+    exitWithError("log file not found");
   }
 
   const displayName = resolved;
 
   // Print initial content
-  let lastLineCount = 0;
+  let lastEntryCount = 0;
   /** @type {string | null} */
   let lastTimestamp = null;
 
@@ -5354,32 +11973,21 @@ function cmdLog(
    * @param {boolean} [isInitial]
    */
   function printLog(isInitial = false) {
-    const content = readFileSync(/** @type {string} */ (logPath), "utf-8");
-    const lines = content.trim().split("\n").filter(Boolean);
+    const allEntries = readLogEntries(/** @type {string} */ (logPath));
 
     // Handle log rotation: if file was truncated, reset our position
-    if (lines.length < lastLineCount) {
-      lastLineCount = 0;
+    if (allEntries.length < lastEntryCount) {
+      lastEntryCount = 0;
     }
 
-    // For initial print, take last N. For follow, take only new lines.
+    // For initial print, take last N. For follow, take only new entries.
     const startIdx = isInitial
-      ? Math.max(0, lines.length - tail)
-      : lastLineCount;
-    const newLines = lines.slice(startIdx);
-    lastLineCount = lines.length;
+      ? Math.max(0, allEntries.length - tail)
+      : lastEntryCount;
+    const entries = allEntries.slice(startIdx);
+    lastEntryCount = allEntries.length;
 
-    if (newLines.length === 0) return;
-
-    const entries = newLines
-      .map((line) => {
-        try {
-          return JSON.parse(line);
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean);
+    if (entries.length === 0) return;
 
     const output = [];
     if (isInitial) {
@@ -5568,11 +12176,22 @@ function truncate(str, maxLen) {
 }
 
 /**
- * @param {{limit?: number, branch?: string | null, all?: boolean}} [options]
+ * @param {{limit?: number, branch?: string | null, all?: boolean, json?: boolean, status?: string[] | null}} [options]
  */
-function cmdMailbox({ limit = 20, branch = null, all = false } = {}) {
+function cmdMailbox({
+  limit = 20,
+  branch = null,
+  all = false,
+  json = false,
+  status = MAILBOX_DEFAULT_STATUSES,
+} = {}) {
   const maxAge = all ? Infinity : MAILBOX_MAX_AGE_MS;
-  const entries = readMailbox({ maxAge, branch, limit });
+  const entries = readMailbox({ maxAge, branch, limit, status });
+
+  if (json) {
+    printJson({ entries });
+    return;
+  }
 
   if (entries.length === 0) {
     console.log(
@@ -5595,7 +12214,17 @@ function cmdMailbox({ limit = 20, branch = null, all = false } = {}) {
     });
     const p = entry.payload || {};
 
-    console.log(`### [${p.agent || "unknown"}] ${dateStr} ${timeStr}\n`);
+    const statusStr = entry.status === "new" ? "" : ` (${entry.status})`;
+    const severityStr = p.severity ? ` · ${p.severity}` : "";
+    const seenStr =
+      (entry.occurrences ?? 1) > 1 ? ` · seen ${entry.occurrences}×` : "";
+    console.log(
+      `### [${p.agent || "unknown"}] ${dateStr} ${timeStr} · ${entry.id}${severityStr}${statusStr}${seenStr}\n`
+    );
+
+    if (entry.statusNote) {
+      console.log(`**Note**: ${entry.statusNote}\n`);
+    }
 
     if (p.branch || p.commit) {
       console.log(`**Branch**: ${p.branch || "?"} @ ${p.commit || "?"}\n`);
@@ -5621,6 +12250,25 @@ function cmdMailbox({ limit = 20, branch = null, all = false } = {}) {
   }
 }
 
+/**
+ * @param {string} action - ack, dismiss or resolve
+ * @param {string | undefined} input - Entry id or unique prefix
+ * @param {string | null} [note]
+ */
+function cmdMailboxStatus(action, input, note = null) {
+  const status = MAILBOX_STATUS_ACTIONS[action];
+  if (!input) {
+    exitWithError(`missing mailbox id. Usage: ./ax.js mailbox ${action} <id>`);
+  }
+  const match = matchMailboxEntry(input);
+  if ("error" in match) {
+    exitWithError(match.error, { matches: match.matches });
+  }
+  writeMailboxStatus(match.entry.id, status, note);
+  syncAgentsMd();
+  console.log(`${match.entry.id}: ${status}`);
+}
+
 /**
  * @param {string} rfpId
  * @param {string} archangel
@@ -5653,17 +12301,13 @@ function getProposalFromMailbox(rfpId, archangel) {
 }
 
 /**
- * @param {string} prompt
- * @param {{archangels?: string, fresh?: boolean, noWait?: boolean}} [options]
+ * @param {string | undefined} archangels - Comma-separated names (default: all)
+ * @returns {{configs: ArchangelConfig[]} | {error: string}}
  */
-async function cmdRfp(
-  prompt,
-  { archangels, fresh = false, noWait = false } = {}
-) {
+function selectRfpArchangels(archangels) {
   const configs = loadAgentConfigs();
   if (configs.length === 0) {
-    console.log(`No archangels found in ${AGENTS_DIR}/`);
-    process.exit(1);
+    return { error: `no archangels found in ${AGENTS_DIR}/` };
   }
 
   const requested = archangels
@@ -5671,28 +12315,40 @@ async function cmdRfp(
         .split(",")
         .map((s) => s.trim())
         .filter(Boolean)
-    : configs.map((c) => c.name);
+    : configs.filter((c) => c.enabled).map((c) => c.name);
 
   if (requested.length === 0) {
-    console.log("ERROR: no archangels specified");
-    process.exit(1);
+    return { error: "no archangels specified" };
   }
 
   const missing = requested.filter(
     (name) => !configs.some((c) => c.name === name)
   );
   if (missing.length > 0) {
-    console.log(`ERROR: unknown archangel(s): ${missing.join(", ")}`);
-    process.exit(1);
+    return { error: `unknown archangel(s): ${missing.join(", ")}` };
   }
 
+  return {
+    configs: requested.map(
+      (name) =>
+        /** @type {ArchangelConfig} */ (configs.find((c) => c.name === name))
+    ),
+  };
+}
+
+/**
+ * Send an RFP to each archangel, starting any that aren't running.
+ * @param {string} prompt
+ * @param {ArchangelConfig[]} configs
+ * @param {{fresh?: boolean}} [options]
+ * @returns {Promise<string>} The RFP id
+ */
+async function sendRfp(prompt, configs, { fresh = false } = {}) {
   const parent = findParentSession();
   const rfpId = generateRfpId(parent);
 
-  for (const name of requested) {
-    const config = configs.find((c) => c.name === name);
-    if (!config) continue;
-
+  for (const config of configs) {
+    const name = config.name;
     const pattern = getArchangelSessionPattern(config);
     let session = findArchangelSession(pattern);
     if (!session) {
@@ -5730,7 +12386,101 @@ async function cmdRfp(
   }
 
   writeRfpRecord(rfpId, prompt);
-  const archangelList = requested.join(",");
+  return rfpId;
+}
+
+/**
+ * @typedef {{archangel: string, proposal: string} | {archangel: string, error: string}} RfpResult
+ */
+
+/**
+ * Yield each archangel's proposal for an RFP as it becomes available, waiting
+ * for archangels that are still working. Proposals are recorded in the mailbox.
+ * Archangels that answer EMPTY_RESPONSE yield nothing.
+ * @param {string} rfpId
+ * @param {ArchangelConfig[]} configs
+ * @param {number} timeoutMs
+ * @returns {AsyncGenerator<RfpResult>}
+ */
+async function* collectRfpProposals(rfpId, configs, timeoutMs) {
+  for (const config of configs) {
+    const name = config.name;
+    const pattern = getArchangelSessionPattern(config);
+    const session = findArchangelSession(pattern);
+    if (!session) {
+      yield { archangel: name, error: "session not found, skipping" };
+      continue;
+    }
+
+    const existing = getProposalFromMailbox(rfpId, name);
+    if (existing !== null) {
+      yield { archangel: name, proposal: existing };
+      continue;
+    }
+
+    const { agent } = resolveAgent({ sessionName: session });
+    let result;
+    try {
+      result = await waitUntilReady(agent, session, timeoutMs);
+    } catch (err) {
+      if (err instanceof TimeoutError) {
+        yield { archangel: name, error: "timed out" };
+      } else {
+        yield {
+          archangel: name,
+          error: `error: ${err instanceof Error ? err.message : err}`,
+        };
+      }
+      continue;
+    }
+
+    if (result.state === State.RATE_LIMITED) {
+      yield { archangel: name, error: "rate limited" };
+      continue;
+    }
+    if (result.state === State.CONFIRMING) {
+      yield { archangel: name, error: "awaiting confirmation" };
+      continue;
+    }
+
+    const response = agent.getResponse(session, result.screen) || "";
+    if (!response || response.trim() === "EMPTY_RESPONSE") {
+      continue;
+    }
+
+    writeToMailbox(
+      {
+        agent: name,
+        session,
+        branch: getCurrentBranch(),
+        commit: getCurrentCommit(),
+        files: [],
+        message: response,
+        rfpId,
+        archangel: name,
+      },
+      "proposal"
+    );
+    yield { archangel: name, proposal: response };
+  }
+}
+
+/**
+ * @param {string} prompt
+ * @param {{archangels?: string, fresh?: boolean, noWait?: boolean}} [options]
+ */
+async function cmdRfp(
+  prompt,
+  { archangels, fresh = false, noWait = false } = {}
+) {
+  const selected = selectRfpArchangels(archangels);
+  if ("error" in selected) {
+    exitWithError(selected.error);
+  }
+  const { configs } = selected;
+
+  const rfpId = await sendRfp(prompt, configs, { fresh });
+  const archangelList = configs.map((c) => c.name).join(",");
   const base = rfpId.split("-")[1];
   const shortId = `rfp-${base}`;
   console.log(`rfp: ${rfpId} (${archangelList})`);
@@ -5740,171 +12490,434 @@ async function cmdRfp(
     const taskPreview =
       firstLine.length > 60 ? firstLine.slice(0, 57) + "..." : firstLine;
 
-    let output = `Task: ${taskPreview}
+    let output = `Task: ${taskPreview}
+
+Add this to your task list, then continue with your work.`;
+
+    // Show TaskCreate example if caller is Claude
+    const caller = findCallerAgent();
+    if (caller?.agent === "claude") {
+      output += `
+
+e.g.
+  TaskCreate({ subject: "ax:${shortId} - ${taskPreview}" })
+`;
+    }
+
+    console.log(output);
+  }
+}
+
+/**
+ * @param {string} rfpId
+ * @param {{archangels?: string, timeoutMs?: number, json?: boolean}} [options]
+ */
+async function cmdRfpWait(
+  rfpId,
+  { archangels, timeoutMs = ARCHANGEL_RESPONSE_TIMEOUT_MS, json = false } = {}
+) {
+  const resolvedRfpId = resolveRfpId(rfpId);
+  const selected = selectRfpArchangels(archangels);
+  if ("error" in selected) {
+    exitWithError(selected.error);
+  }
+
+  let printedAny = false;
+  /** @type {RfpResult[]} */
+  const proposals = [];
+
+  for await (const result of collectRfpProposals(
+    resolvedRfpId,
+    selected.configs,
+    timeoutMs
+  )) {
+    if (json) {
+      proposals.push(result);
+      if ("proposal" in result) printedAny = true;
+      continue;
+    }
+    if ("error" in result) {
+      console.log(`[rfp] ${result.archangel} ${result.error}`);
+      continue;
+    }
+    if (printedAny) console.log("");
+    console.log(`[${result.archangel}]`);
+    console.log(result.proposal);
+    printedAny = true;
+  }
+
+  if (json) printJson({ rfpId: resolvedRfpId, proposals });
+  if (!printedAny) process.exit(1);
+}
+
+/**
+ * @param {Agent} agent
+ * @param {string | null | undefined} session
+ * @param {string} message
+ * @param {{noWait?: boolean, yolo?: boolean, allowedTools?: string | null, timeoutMs?: number, json?: boolean}} [options]
+ */
+async function cmdAsk(
+  agent,
+  session,
+  message,
+  {
+    noWait = false,
+    yolo = false,
+    allowedTools = null,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    json = false,
+  } = {}
+) {
+  // In-process agents stop when ax exits, so there is nothing to leave running
+  if (noWait && !agent.usesTmux) {
+    exitWithError(`--no-wait is not supported for ${agent.displayName}`);
+  }
+
+  const ax = new AxSession(agent, { session, yolo, allowedTools, timeoutMs });
+  const agentSession = await ax.start();
+
+  // Cannot use --yolo --no-wait on a safe session: we need to stay and auto-approve
+  if (yolo && noWait && ax.reused && !agentSession.isYolo) {
+    exitWithError(
+      "--yolo requires waiting on a session not started with --yolo",
+      {
+        hint: "Restart the session with --yolo, or allow waiting for auto-approval",
+      }
+    );
+  }
+
+  const activeSession = agentSession.id;
+  const { prompt, markDelivered } = withMailboxDelivery(
+    agent,
+    activeSession,
+    message
+  );
+
+  if (noWait) {
+    await ax.send(prompt);
+    markDelivered();
+    if (json) {
+      printJson({ session: activeSession, state: ax.state });
+      return;
+    }
+    const parsed = parseSessionName(activeSession);
+    const shortId = parsed?.uuid?.slice(0, 8) || activeSession;
+    // Truncate message for display (first line, max 60 chars)
+    const firstLine = message.split("\n")[0];
+    const taskPreview =
+      firstLine.length > 60 ? firstLine.slice(0, 57) + "..." : firstLine;
+
+    let output = `Sent to: ${shortId}
+Task: ${taskPreview}
+
+Add this to your task list, then continue with your work.`;
+
+    // Show TaskCreate example if caller is Claude
+    const caller = findCallerAgent();
+    if (caller?.agent === "claude") {
+      output += `
+
+e.g.
+  TaskCreate({ subject: "ax:${shortId} - ${taskPreview}" })
+`;
+    }
+
+    console.log(output);
+    return;
+  }
+
+  try {
+    const response = await ax.prompt(prompt, { print: !json });
+    markDelivered();
+    if (json) {
+      printJson({ session: activeSession, state: State.READY, response });
+    }
+  } catch (err) {
+    // Waiting on a confirmation means the agent is working on the prompt
+    if (err instanceof ConfirmationRequiredError) markDelivered();
+    if (err instanceof RateLimitedError) {
+      if (json) {
+        printJson({
+          session: activeSession,
+          state: State.RATE_LIMITED,
+          retryTime: err.retryTime,
+          response: null,
+        });
+      } else {
+        console.log(`RATE_LIMITED: ${err.retryTime}`);
+      }
+      process.exit(2);
+    }
+    if (err instanceof ConfirmationRequiredError) {
+      if (json) {
+        printJson({
+          session: activeSession,
+          state: State.CONFIRMING,
+          pendingTool: err.pendingTool,
+          response: null,
+        });
+      } else {
+        console.log(`CONFIRM: ${formatConfirmationOutput(err.screen, agent)}`);
+      }
+      process.exit(3);
+    }
+    throw err;
+  }
+}
+
+/**
+ * @param {Agent} agent
+ * @param {string} prompt
+ * @param {{name?: string, maxLoops?: number, loop?: boolean, reset?: boolean, session?: string | null, yolo?: boolean, timeoutMs?: number}} [options]
+ */
+async function cmdDo(agent, prompt, options = {}) {
+  const maxLoops = options.maxLoops || 10;
+  const name = options.name || "default";
+  const loop = options.loop || false;
+  const reset = options.reset || false;
+  const yolo = options.yolo ?? true;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  // Reset progress file if requested
+  if (reset) {
+    const progressPath = getDoProgressPath(name);
+    writeFileSync(progressPath, "");
+  }
+
+  // Use provided session or start a new one
+  const ax = new AxSession(agent, {
+    session: options.session,
+    fresh: !options.session,
+    yolo,
+    timeoutMs,
+  });
+  const session = (await ax.start()).id;
+
+  // Print session ID for targeting approvals when not in yolo mode
+  if (!yolo) {
+    const parsed = parseSessionName(session);
+    const shortId = parsed?.uuid?.slice(0, 8) || session;
+    console.error(`Session: ${shortId}`);
+  }
+
+  const iterations = loop ? maxLoops : 1;
 
-Add this to your task list, then continue with your work.`;
+  for (let i = 0; i < iterations; i++) {
+    // Fresh context (except first iteration)
+    if (i > 0) {
+      await ax.newConversation();
+    }
 
-    // Show TaskCreate example if caller is Claude
-    const caller = findCallerAgent();
-    if (caller?.agent === "claude") {
-      output += `
+    // Build prompt with preamble + progress context (and, for Codex, any
+    // observations from archangels it hasn't seen)
+    const { prompt: fullPrompt, markDelivered } = withMailboxDelivery(
+      agent,
+      session,
+      buildDoPrompt(prompt, name)
+    );
 
-e.g.
-  TaskCreate({ subject: "ax:${shortId} - ${taskPreview}" })
-`;
+    /** @type {string} */
+    let response;
+    try {
+      response = await ax.prompt(fullPrompt, { print: true });
+      markDelivered();
+    } catch (err) {
+      if (err instanceof ConfirmationRequiredError) markDelivered();
+      if (err instanceof RateLimitedError) {
+        console.log(`\nRate limited: ${err.retryTime}`);
+        process.exit(2);
+      }
+      if (err instanceof ConfirmationRequiredError) {
+        const parsed = parseSessionName(session);
+        const shortId = parsed?.uuid?.slice(0, 8) || session;
+        console.log(
+          `\nAwaiting confirmation: ${formatConfirmationOutput(err.screen, agent)}`
+        );
+        console.log(`Add --session=${shortId} if you have multiple sessions`);
+        console.log("Use 'ax approve --wait' or 'ax reject' to continue");
+        process.exit(3);
+      }
+      throw err;
     }
 
-    console.log(output);
+    // Check completion
+    if (response.includes("<promise>COMPLETE</promise>")) {
+      console.log(`\nCompleted after ${i + 1} iteration(s)`);
+      return;
+    }
+
+    // Single iteration mode (default): exit with code 5 to signal "more work"
+    if (!loop) {
+      console.log(
+        `\nIteration complete. Re-run to continue, or --reset to start over.`
+      );
+      process.exit(5);
+    }
+
+    console.log(`\n--- Iteration ${i + 1}/${maxLoops} complete ---`);
   }
+
+  console.log(`\nReached max iterations (${maxLoops}) without completion`);
+  process.exit(1);
 }
 
 /**
- * @param {string} rfpId
- * @param {{archangels?: string, timeoutMs?: number}} [options]
+ * @param {Agent} agent
+ * @param {string | null | undefined} session
+ * @param {{wait?: boolean, timeoutMs?: number}} [options]
  */
-async function cmdRfpWait(
-  rfpId,
-  { archangels, timeoutMs = ARCHANGEL_RESPONSE_TIMEOUT_MS } = {}
-) {
-  const resolvedRfpId = resolveRfpId(rfpId);
-  const configs = loadAgentConfigs();
-  if (configs.length === 0) {
-    console.log(`No archangels found in ${AGENTS_DIR}/`);
-    process.exit(1);
+async function cmdApprove(agent, session, { wait = false, timeoutMs } = {}) {
+  const agentSession = await agent.openSession(session);
+  if (!agentSession) {
+    exitWithError("no session");
   }
 
-  const requested = archangels
-    ? archangels
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean)
-    : configs.map((c) => c.name);
-
-  if (requested.length === 0) {
-    console.log("ERROR: no archangels specified");
-    process.exit(1);
+  const beforeState = agentSession.state;
+  if (beforeState !== State.CONFIRMING) {
+    console.log(`Already ${beforeState}`);
+    return;
   }
 
-  const missing = requested.filter(
-    (name) => !configs.some((c) => c.name === name)
-  );
-  if (missing.length > 0) {
-    console.log(`ERROR: unknown archangel(s): ${missing.join(", ")}`);
-    process.exit(1);
+  await agentSession.approve();
+
+  if (!wait) return;
+
+  const { state, screen } = await agentSession.waitForResponse(timeoutMs);
+
+  if (state === State.RATE_LIMITED) {
+    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
+    process.exit(2);
   }
 
-  let wroteAny = false;
-  let printedAny = false;
+  if (state === State.CONFIRMING) {
+    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
+    process.exit(3);
+  }
 
-  for (const name of requested) {
-    const config = configs.find((c) => c.name === name);
-    if (!config) continue;
+  const response = agentSession.getResponse(0, screen);
+  console.log(response || "");
+}
 
-    const pattern = getArchangelSessionPattern(config);
-    const session = findArchangelSession(pattern);
-    if (!session) {
-      console.log(`[rfp] ${name} session not found, skipping`);
-      continue;
-    }
+/**
+ * @param {Agent} agent
+ * @param {string | null | undefined} session
+ * @param {{wait?: boolean, timeoutMs?: number}} [options]
+ */
+async function cmdReject(agent, session, { wait = false, timeoutMs } = {}) {
+  const agentSession = await agent.openSession(session);
+  if (!agentSession) {
+    exitWithError("no session");
+  }
 
-    const existing = getProposalFromMailbox(resolvedRfpId, name);
-    if (existing !== null) {
-      if (printedAny) console.log("");
-      console.log(`[${name}]`);
-      console.log(existing);
-      wroteAny = true;
-      printedAny = true;
-      continue;
-    }
+  const beforeState = agentSession.state;
+  if (beforeState !== State.CONFIRMING) {
+    console.log(`Already ${beforeState}`);
+    return;
+  }
 
-    const { agent } = resolveAgent({ sessionName: session });
-    let result;
-    try {
-      result = await waitUntilReady(agent, session, timeoutMs);
-    } catch (err) {
-      if (err instanceof TimeoutError) {
-        console.log(`[rfp] ${name} timed out`);
-      } else {
-        console.log(
-          `[rfp] ${name} error: ${err instanceof Error ? err.message : err}`
-        );
-      }
-      continue;
-    }
+  await agentSession.reject();
 
-    if (result.state === State.RATE_LIMITED) {
-      console.log(`[rfp] ${name} rate limited`);
-      continue;
-    }
-    if (result.state === State.CONFIRMING) {
-      console.log(`[rfp] ${name} awaiting confirmation`);
-      continue;
-    }
+  if (!wait) return;
 
-    const response = agent.getResponse(session, result.screen) || "";
-    if (!response || response.trim() === "EMPTY_RESPONSE") {
-      continue;
-    }
+  const { state, screen } = await agentSession.waitForResponse(timeoutMs);
 
-    writeToMailbox(
-      {
-        agent: name,
-        session,
-        branch: getCurrentBranch(),
-        commit: getCurrentCommit(),
-        files: [],
-        message: response,
-        rfpId: resolvedRfpId,
-        archangel: name,
-      },
-      "proposal"
-    );
-    if (printedAny) console.log("");
-    console.log(`[${name}]`);
-    console.log(response);
-    wroteAny = true;
-    printedAny = true;
+  if (state === State.RATE_LIMITED) {
+    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
+    process.exit(2);
   }
 
-  if (!wroteAny) process.exit(1);
+  const response = agentSession.getResponse(0, screen);
+  console.log(response || "");
 }
 
 /**
  * @param {Agent} agent
  * @param {string | null | undefined} session
- * @param {string} message
- * @param {{noWait?: boolean, yolo?: boolean, allowedTools?: string | null, timeoutMs?: number}} [options]
+ * @param {string | null | undefined} option
+ * @param {string | null | undefined} customInstructions
+ * @param {{wait?: boolean, yolo?: boolean, fresh?: boolean, timeoutMs?: number}} [options]
  */
-async function cmdAsk(
+async function cmdReview(
   agent,
   session,
-  message,
+  option,
+  customInstructions,
   {
-    noWait = false,
+    wait = true,
     yolo = false,
-    allowedTools = null,
-    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fresh = false,
+    timeoutMs = REVIEW_TIMEOUT_MS,
   } = {}
 ) {
+  const validOptions = ["uncommitted", "custom", "branch", "commit"];
+  if (option && !validOptions.includes(option)) {
+    console.error(`Unknown review option: ${option}`);
+    console.error(`Valid options: ${validOptions.join(", ")}`);
+    process.exit(1);
+  }
+
   const sessionExists = session != null && tmuxHasSession(session);
+
+  // Reset conversation if --fresh and session exists
+  if (fresh && sessionExists) {
+    tmuxSendLiteral(/** @type {string} */ (session), "/new");
+    await sleep(50);
+    tmuxSend(/** @type {string} */ (session), "Enter");
+    await waitUntilReady(
+      agent,
+      /** @type {string} */ (session),
+      STARTUP_TIMEOUT_MS
+    );
+  }
+
+  // Claude: use prompt-based review (no /review command)
+  if (!agent.reviewOptions) {
+    /** @type {Record<string, string>} */
+    const reviewPrompts = {
+      uncommitted: "Review uncommitted changes.",
+      branch: customInstructions
+        ? `Review changes on the current branch compared to ${customInstructions}.`
+        : "Review changes on the current branch compared to main.",
+      commit: customInstructions
+        ? `Review commit ${customInstructions}.`
+        : "Review the most recent commit.",
+      custom: customInstructions || "Review the code.",
+    };
+    const prompt =
+      (option && reviewPrompts[option]) || reviewPrompts.uncommitted;
+    debug("review", `Claude path: noWait=${!wait}, timeoutMs=${timeoutMs}`);
+    return cmdAsk(agent, session, prompt, { noWait: !wait, yolo, timeoutMs });
+  }
+
+  // AX_REVIEW_MODE=exec: bypass /review command, send instructions directly
+  if (
+    process.env.AX_REVIEW_MODE === "exec" &&
+    option === "custom" &&
+    customInstructions
+  ) {
+    return cmdAsk(agent, session, customInstructions, {
+      noWait: !wait,
+      yolo,
+      timeoutMs,
+    });
+  }
   const nativeYolo =
     sessionExists && isYoloSession(/** @type {string} */ (session));
 
-  // Cannot use --yolo --no-wait on a safe session: we need to stay and auto-approve
-  if (yolo && noWait && sessionExists && !nativeYolo) {
-    console.log(
-      "ERROR: --yolo requires waiting on a session not started with --yolo"
-    );
-    console.log(
-      "Restart the session with --yolo, or allow waiting for auto-approval"
+  // Cannot use --yolo without --wait on a safe session: we need to stay and auto-approve
+  if (yolo && !wait && sessionExists && !nativeYolo) {
+    exitWithError(
+      "--yolo requires waiting on a session not started with --yolo",
+      {
+        hint: "Restart the session with --yolo, or allow waiting for auto-approval",
+      }
     );
-    process.exit(1);
   }
 
   /** @type {string} */
   const activeSession = sessionExists
     ? /** @type {string} */ (session)
-    : await cmdStart(agent, session, { yolo, allowedTools });
+    : await cmdStart(agent, session, { yolo });
 
   if (sessionExists) {
     await waitUntilReady(agent, activeSession, timeoutMs);
@@ -5912,36 +12925,81 @@ async function cmdAsk(
     await sleep(50);
   }
 
-  await tmuxSendText(activeSession, message);
-
-  if (noWait) {
-    const parsed = parseSessionName(activeSession);
-    const shortId = parsed?.uuid?.slice(0, 8) || activeSession;
-    // Truncate message for display (first line, max 60 chars)
-    const firstLine = message.split("\n")[0];
-    const taskPreview =
-      firstLine.length > 60 ? firstLine.slice(0, 57) + "..." : firstLine;
-
-    let output = `Sent to: ${shortId}
-Task: ${taskPreview}
+  debug("review", `Codex path: sending /review command`);
+  tmuxSendLiteral(activeSession, "/review");
+  await sleep(50);
+  tmuxSend(activeSession, "Enter");
 
-Add this to your task list, then continue with your work.`;
+  debug("review", `waiting for review menu`);
+  await waitFor(
+    activeSession,
+    (s) => s.includes("Select a review preset") || s.includes("review")
+  );
 
-    // Show TaskCreate example if caller is Claude
-    const caller = findCallerAgent();
-    if (caller?.agent === "claude") {
-      output += `
+  if (option) {
+    const key = agent.reviewOptions[option] || option;
+    debug("review", `selecting option=${option} (key=${key})`);
+    tmuxSend(activeSession, key);
 
-e.g.
-  TaskCreate({ subject: "ax:${shortId} - ${taskPreview}" })
-`;
+    if (option === "custom" && customInstructions) {
+      debug("review", `waiting for custom instructions prompt`);
+      await waitFor(
+        activeSession,
+        (s) => s.includes("custom") || s.includes("instructions")
+      );
+      tmuxSendLiteral(activeSession, customInstructions);
+      await sleep(50);
+      tmuxSend(activeSession, "Enter");
+    } else if (option === "branch") {
+      debug("review", `waiting for branch picker`);
+      await waitFor(
+        activeSession,
+        (s) => !s.includes("Select a review preset")
+      );
+      await sleep(200);
+      if (customInstructions) {
+        debug("review", `typing branch filter: ${customInstructions}`);
+        tmuxSendLiteral(activeSession, customInstructions);
+        await sleep(100);
+      }
+      tmuxSend(activeSession, "Enter");
+    } else if (option === "commit") {
+      debug("review", `waiting for commit picker`);
+      await waitFor(
+        activeSession,
+        (s) => !s.includes("Select a review preset")
+      );
+      await sleep(200);
+      if (customInstructions) {
+        // Codex commit picker shows messages, not hashes - resolve ref to message
+        let searchTerm = customInstructions;
+        const gitResult = spawnSync(
+          "git",
+          ["log", "--format=%s", "-n", "1", customInstructions],
+          {
+            encoding: "utf-8",
+          }
+        );
+        if (gitResult.status === 0 && gitResult.stdout.trim()) {
+          // Use first few words of commit message for search
+          searchTerm = gitResult.stdout.trim().slice(0, 40);
+          debug(
+            "review",
+            `resolved commit ${customInstructions} -> "${searchTerm}"`
+          );
+        }
+        debug("review", `typing commit filter: ${searchTerm}`);
+        tmuxSendLiteral(activeSession, searchTerm);
+        await sleep(100);
+      }
+      tmuxSend(activeSession, "Enter");
     }
-
-    console.log(output);
-    return;
   }
 
-  const useAutoApprove = yolo && !nativeYolo;
+  if (!wait) return;
+
+  // Reviews should always auto-approve (unless session is already yolo)
+  const useAutoApprove = !nativeYolo;
 
   const { state, screen } = useAutoApprove
     ? await autoApproveLoop(agent, activeSession, timeoutMs, streamResponse)
@@ -5960,159 +13018,217 @@ e.g.
 
 /**
  * @param {Agent} agent
- * @param {string} prompt
- * @param {{name?: string, maxLoops?: number, loop?: boolean, reset?: boolean, session?: string | null, yolo?: boolean, timeoutMs?: number}} [options]
+ * @param {string | null | undefined} session
+ * @param {number} [index]
+ * @param {{wait?: boolean, stale?: boolean, timeoutMs?: number, json?: boolean}} [options]
  */
-async function cmdDo(agent, prompt, options = {}) {
-  const maxLoops = options.maxLoops || 10;
-  const name = options.name || "default";
-  const loop = options.loop || false;
-  const reset = options.reset || false;
-  const yolo = options.yolo ?? true;
-  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
-
-  // Reset progress file if requested
-  if (reset) {
-    const progressPath = getDoProgressPath(name);
-    writeFileSync(progressPath, "");
+async function cmdOutput(
+  agent,
+  session,
+  index = 0,
+  { wait = false, stale = false, timeoutMs, json = false } = {}
+) {
+  const agentSession = await agent.openSession(session);
+  if (!agentSession) {
+    if (json) printJson({ session: session ?? null, state: State.NO_SESSION });
+    else console.log("ERROR: no session");
+    process.exit(1);
   }
 
-  // Use provided session or start a new one
-  const sessionExists = options.session && tmuxHasSession(options.session);
-  const session = options.session
-    ? await cmdStart(agent, options.session, { yolo })
-    : await cmdStart(agent, null, { yolo });
+  const snapshot = wait
+    ? await agentSession.waitUntilReady(timeoutMs)
+    : agentSession.snapshot(500);
+  const { state, screen } = snapshot;
+  const result = describeSessionState(agent, agentSession.id, snapshot);
 
-  // If reusing existing session, wait for ready and clear stale input
-  if (sessionExists) {
-    await waitUntilReady(agent, session, timeoutMs);
-    tmuxSend(session, "C-u");
-    await sleep(50);
+  if (state === State.RATE_LIMITED) {
+    if (json) printJson({ ...result, response: null });
+    else console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
+    process.exit(2);
   }
 
-  // Print session ID for targeting approvals when not in yolo mode
-  if (!yolo) {
-    const parsed = parseSessionName(session);
-    const shortId = parsed?.uuid?.slice(0, 8) || session;
-    console.error(`Session: ${shortId}`);
+  if (state === State.CONFIRMING) {
+    if (json) printJson({ ...result, response: null });
+    else console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
+    process.exit(3);
   }
 
-  const iterations = loop ? maxLoops : 1;
-
-  for (let i = 0; i < iterations; i++) {
-    // Fresh context (except first iteration)
-    if (i > 0) {
-      tmuxSendLiteral(session, "/new");
-      tmuxSend(session, "Enter");
-      await waitUntilReady(agent, session, timeoutMs);
+  if (state === State.THINKING) {
+    if (!stale) {
+      if (json) {
+        printJson({ ...result, response: null });
+      } else {
+        console.log(
+          "THINKING: Use --wait to block, or --stale for old response."
+        );
+      }
+      process.exit(1);
     }
+    // --stale: fall through to show previous response
+  }
 
-    // Build prompt with preamble + progress context
-    const fullPrompt = buildDoPrompt(prompt, name);
-
-    // Send prompt and submit
-    await tmuxSendText(session, fullPrompt);
+  const output = agentSession.getResponse(index, screen);
+  if (json) {
+    printJson({ ...result, response: output || null });
+  } else if (output) {
+    console.log(output);
+  } else {
+    console.log("READY_NO_CONTENT");
+  }
+}
 
-    const { state, screen } = yolo
-      ? await autoApproveLoop(agent, session, timeoutMs, streamResponse)
-      : await streamResponse(agent, session, timeoutMs);
+/**
+ * @param {Agent} agent
+ * @param {string | null | undefined} session
+ * @param {{json?: boolean}} [options]
+ */
+async function cmdStatus(agent, session, { json = false } = {}) {
+  const agentSession = await agent.openSession(session);
+  if (!agentSession) {
+    if (json) printJson({ session: session ?? null, state: State.NO_SESSION });
+    else console.log("NO_SESSION");
+    process.exit(1);
+  }
 
-    if (state === State.RATE_LIMITED) {
-      console.log(`\nRate limited: ${agent.parseRetryTime(screen)}`);
-      process.exit(2);
-    }
+  const snapshot = agentSession.snapshot();
+  const { state, screen } = snapshot;
 
-    if (state === State.CONFIRMING) {
-      const parsed = parseSessionName(session);
-      const shortId = parsed?.uuid?.slice(0, 8) || session;
-      console.log(
-        `\nAwaiting confirmation: ${formatConfirmationOutput(screen, agent)}`
-      );
-      console.log(`Add --session=${shortId} if you have multiple sessions`);
-      console.log("Use 'ax approve --wait' or 'ax reject' to continue");
-      process.exit(3);
-    }
+  // Same exit codes either way
+  if (json) {
+    const meta = getSessionMeta(agentSession.id);
+    printJson({
+      ...describeSessionState(agent, agentSession.id, snapshot),
+      mode: agentSession.isYolo
+        ? "yolo"
+        : getSessionPermissions(agentSession.id).mode,
+      plan: meta?.slug || null,
+      branch: meta?.gitBranch || null,
+    });
+  }
 
-    const response = agent.getResponse(session, screen) || "";
+  if (state === State.RATE_LIMITED) {
+    if (!json) console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
+    process.exit(2);
+  }
 
-    // Check completion
-    if (response.includes("<promise>COMPLETE</promise>")) {
-      console.log(`\nCompleted after ${i + 1} iteration(s)`);
-      return;
-    }
+  if (state === State.CONFIRMING) {
+    if (!json)
+      console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
+    process.exit(3);
+  }
 
-    // Single iteration mode (default): exit with code 5 to signal "more work"
-    if (!loop) {
-      console.log(
-        `\nIteration complete. Re-run to continue, or --reset to start over.`
-      );
-      process.exit(5);
-    }
+  if (state === State.THINKING) {
+    if (!json) console.log("THINKING");
+    process.exit(4);
+  }
 
-    console.log(`\n--- Iteration ${i + 1}/${maxLoops} complete ---`);
+  if (state === State.STARTING) {
+    if (!json) console.log("STARTING");
+    process.exit(6);
   }
 
-  console.log(`\nReached max iterations (${maxLoops}) without completion`);
-  process.exit(1);
+  // READY (or UPDATE_PROMPT which is transient)
+  if (!json) console.log("READY");
+  process.exit(0);
 }
 
 /**
  * @param {Agent} agent
  * @param {string | null | undefined} session
- * @param {{wait?: boolean, timeoutMs?: number}} [options]
+ * @param {{scrollback?: number}} [options]
  */
-async function cmdApprove(agent, session, { wait = false, timeoutMs } = {}) {
+function cmdDebug(agent, session, { scrollback = 0 } = {}) {
   if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
-  }
-
-  const before = tmuxCapture(session);
-  const beforeState = agent.getState(before, session);
-  if (beforeState !== State.CONFIRMING) {
-    console.log(`Already ${beforeState}`);
-    return;
+    exitWithError("no session");
   }
 
-  tmuxSend(session, agent.approveKey);
+  const screen = tmuxCapture(session, scrollback);
+  const state = agent.getState(screen, session);
 
-  if (!wait) return;
+  console.log(`=== Session: ${session} ===`);
+  console.log(`=== State: ${state} ===`);
+  console.log(`=== Screen ===`);
+  console.log(screen);
+}
+/**
+ * @param {string} input
+ * @returns {{type: 'literal' | 'key', value: string}[]}
+ */
+function parseKeySequence(input) {
+  // Parse a string like "1[Enter]" or "[Escape]hello[C-c]" into a sequence of actions
+  // [Enter], [Escape], [Up], [Down], [Tab], [C-c], etc. are special keys
+  // Everything else is literal text
+  /** @type {{type: 'literal' | 'key', value: string}[]} */
+  const parts = [];
+  let i = 0;
+  let literal = "";
 
-  const { state, screen } = await waitForResponse(agent, session, timeoutMs);
+  while (i < input.length) {
+    if (input[i] === "[") {
+      // Flush any accumulated literal text
+      if (literal) {
+        parts.push({ type: "literal", value: literal });
+        literal = "";
+      }
+      // Find the closing bracket
+      const end = input.indexOf("]", i);
+      if (end === -1) {
+        // No closing bracket, treat as literal
+        literal += input[i];
+        i++;
+      } else {
+        const key = input.slice(i + 1, end);
+        // Skip empty brackets, but allow any non-empty key (let tmux validate)
+        if (key) {
+          parts.push({ type: "key", value: key });
+        }
+        i = end + 1;
+      }
+    } else {
+      literal += input[i];
+      i++;
+    }
+  }
 
-  if (state === State.RATE_LIMITED) {
-    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
-    process.exit(2);
+  // Flush remaining literal text
+  if (literal) {
+    parts.push({ type: "literal", value: literal });
   }
 
-  if (state === State.CONFIRMING) {
-    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
-    process.exit(3);
+  return parts;
+}
+
+/**
+ * @param {string | null | undefined} session
+ * @param {string} input
+ */
+function cmdSend(session, input) {
+  if (!session || !tmuxHasSession(session)) {
+    exitWithError("no session");
   }
 
-  const response = agent.getResponse(session, screen);
-  console.log(response || "");
+  const parts = parseKeySequence(input);
+  for (const part of parts) {
+    if (part.type === "literal") {
+      tmuxSendLiteral(session, part.value);
+    } else {
+      tmuxSend(session, part.value);
+    }
+  }
 }
 
 /**
  * @param {Agent} agent
  * @param {string | null | undefined} session
+ * @param {string | number} n
  * @param {{wait?: boolean, timeoutMs?: number}} [options]
  */
-async function cmdReject(agent, session, { wait = false, timeoutMs } = {}) {
+async function cmdSelect(agent, session, n, { wait = false, timeoutMs } = {}) {
   if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
-  }
-
-  const before = tmuxCapture(session);
-  const beforeState = agent.getState(before, session);
-  if (beforeState !== State.CONFIRMING) {
-    console.log(`Already ${beforeState}`);
-    return;
+    exitWithError("no session");
   }
 
-  tmuxSend(session, agent.rejectKey);
+  tmuxSend(session, n.toString());
 
   if (!wait) return;
 
@@ -6123,407 +13239,756 @@ async function cmdReject(agent, session, { wait = false, timeoutMs } = {}) {
     process.exit(2);
   }
 
+  if (state === State.CONFIRMING) {
+    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
+    process.exit(3);
+  }
+
   const response = agent.getResponse(session, screen);
   console.log(response || "");
 }
 
+// =============================================================================
+// Command: mcp (Model Context Protocol server over stdio)
+// =============================================================================
+
+// Newest first; a client asking for anything else is offered the newest
+const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
 /**
- * @param {Agent} agent
- * @param {string | null | undefined} session
- * @param {string | null | undefined} option
- * @param {string | null | undefined} customInstructions
- * @param {{wait?: boolean, yolo?: boolean, fresh?: boolean, timeoutMs?: number}} [options]
+ * @typedef {Object} McpTool
+ * @property {string} name
+ * @property {string} description
+ * @property {Record<string, unknown>} inputSchema - JSON Schema for the arguments
+ * @property {{readOnlyHint?: boolean}} [annotations] - readOnlyHint tools only inspect state
+ * @property {(args: Record<string, any>) => Promise<Record<string, unknown>>} call
  */
-async function cmdReview(
-  agent,
-  session,
-  option,
-  customInstructions,
-  {
-    wait = true,
-    yolo = false,
-    fresh = false,
-    timeoutMs = REVIEW_TIMEOUT_MS,
-  } = {}
-) {
-  const validOptions = ["uncommitted", "custom", "branch", "commit"];
-  if (option && !validOptions.includes(option)) {
-    console.error(`Unknown review option: ${option}`);
-    console.error(`Valid options: ${validOptions.join(", ")}`);
-    process.exit(1);
-  }
-
-  const sessionExists = session != null && tmuxHasSession(session);
 
-  // Reset conversation if --fresh and session exists
-  if (fresh && sessionExists) {
-    tmuxSendLiteral(/** @type {string} */ (session), "/new");
-    await sleep(50);
-    tmuxSend(/** @type {string} */ (session), "Enter");
-    await waitUntilReady(
-      agent,
-      /** @type {string} */ (session),
-      STARTUP_TIMEOUT_MS
-    );
-  }
+const MCP_TARGET_PROPERTIES = {
+  tool: {
+    type: "string",
+    description:
+      "Agent tool (claude, codex, ...). Inferred from the session name when omitted",
+  },
+  session: {
+    type: "string",
+    description:
+      "Session name, archangel name, or unique prefix (default: the tool's default session)",
+  },
+};
 
-  // Claude: use prompt-based review (no /review command)
-  if (!agent.reviewOptions) {
-    /** @type {Record<string, string>} */
-    const reviewPrompts = {
-      uncommitted: "Review uncommitted changes.",
-      branch: customInstructions
-        ? `Review changes on the current branch compared to ${customInstructions}.`
-        : "Review changes on the current branch compared to main.",
-      commit: customInstructions
-        ? `Review commit ${customInstructions}.`
-        : "Review the most recent commit.",
-      custom: customInstructions || "Review the code.",
-    };
-    const prompt =
-      (option && reviewPrompts[option]) || reviewPrompts.uncommitted;
-    debug("review", `Claude path: noWait=${!wait}, timeoutMs=${timeoutMs}`);
-    return cmdAsk(agent, session, prompt, { noWait: !wait, yolo, timeoutMs });
-  }
+const MCP_TIMEOUT_PROPERTY = {
+  type: "number",
+  description: `Seconds to wait (default ${DEFAULT_TIMEOUT_MS / 1000})`,
+};
 
-  // AX_REVIEW_MODE=exec: bypass /review command, send instructions directly
-  if (
-    process.env.AX_REVIEW_MODE === "exec" &&
-    option === "custom" &&
-    customInstructions
-  ) {
-    return cmdAsk(agent, session, customInstructions, {
-      noWait: !wait,
-      yolo,
-      timeoutMs,
-    });
+/**
+ * @param {number | undefined} seconds
+ * @param {number} [fallbackMs]
+ * @returns {number}
+ */
+function mcpTimeoutMs(seconds, fallbackMs = DEFAULT_TIMEOUT_MS) {
+  if (seconds === undefined) return fallbackMs;
+  if (typeof seconds !== "number" || !(seconds > 0)) {
+    throw new Error("invalid timeout");
   }
-  const nativeYolo =
-    sessionExists && isYoloSession(/** @type {string} */ (session));
+  return seconds * 1000;
+}
 
-  // Cannot use --yolo without --wait on a safe session: we need to stay and auto-approve
-  if (yolo && !wait && sessionExists && !nativeYolo) {
-    console.log(
-      "ERROR: --yolo requires waiting on a session not started with --yolo"
-    );
-    console.log(
-      "Restart the session with --yolo, or allow waiting for auto-approval"
-    );
-    process.exit(1);
+/**
+ * Resolve the agent and session a tool call targets, the same way the CLI
+ * resolves --tool and --session.
+ * @param {{tool?: string, session?: string, yolo?: boolean}} args
+ * @returns {{agent: Agent, session: string | null}}
+ */
+function resolveMcpTarget({ tool, session, yolo = false }) {
+  let sessionName = null;
+  if (session) {
+    const match = matchSessionName(session);
+    if ("error" in match) {
+      throw new Error(`${match.error}: ${match.matches.join(", ")}`);
+    }
+    sessionName = match.session;
   }
+  const { agent, error } = resolveAgent({ toolFlag: tool, sessionName });
+  if (error) throw new Error(error);
+  return {
+    agent,
+    session: sessionName ?? agent.getDefaultSession({ yolo }),
+  };
+}
 
-  /** @type {string} */
-  const activeSession = sessionExists
-    ? /** @type {string} */ (session)
-    : await cmdStart(agent, session, { yolo });
 
-  if (sessionExists) {
-    await waitUntilReady(agent, activeSession, timeoutMs);
-    tmuxSend(activeSession, "C-u"); // Clear any stale input
-    await sleep(50);
+/**
+ * Validate ask arguments and open a handle on the session they target.
+ * @param {Record<string, any>} args
+ * @returns {{agent: Agent, ax: AxSession}}
+ */
+function prepareAsk({ message, yolo = false, timeout, ...target }) {
+  if (typeof message !== "string" || !message) {
+    throw new Error("missing message");
   }
+  const { agent, session } = resolveMcpTarget({ ...target, yolo });
+  const ax = new AxSession(agent, {
+    session,
+    yolo,
+    timeoutMs: mcpTimeoutMs(timeout),
+  });
+  return { agent, ax };
+}
 
-  debug("review", `Codex path: sending /review command`);
-  tmuxSendLiteral(activeSession, "/review");
-  await sleep(50);
-  tmuxSend(activeSession, "Enter");
+/**
+ * @param {"approve" | "reject"} decision
+ * @returns {McpTool}
+ */
+function mcpAnswerTool(decision) {
+  return {
+    name: decision,
+    description: `${decision === "approve" ? "Approve" : "Reject"} the action a session is waiting on. With wait, returns the response that follows.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...MCP_TARGET_PROPERTIES,
+        wait: { type: "boolean", description: "Wait for the response" },
+        timeout: MCP_TIMEOUT_PROPERTY,
+      },
+    },
+    async call({ wait = false, timeout, ...target }) {
+      const { agent, session } = resolveMcpTarget(target);
+      const ax = new AxSession(agent, {
+        session,
+        timeoutMs: mcpTimeoutMs(timeout),
+      });
+      const response = await ax[decision]({ wait });
+      if (wait) return { session: ax.id, state: State.READY, response };
+      return { session: ax.id, state: ax.state };
+    },
+  };
+}
 
-  debug("review", `waiting for review menu`);
-  await waitFor(
-    activeSession,
-    (s) => s.includes("Select a review preset") || s.includes("review")
-  );
+/** @type {McpTool[]} */
+const MCP_TOOLS = [
+  {
+    name: "ask",
+    description:
+      "Send a message to an agent session (started if needed) and return its response. A blocked session returns its state (rate_limited with retryTime, or confirming with pendingTool) instead.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        message: { type: "string", description: "Message to send" },
+        ...MCP_TARGET_PROPERTIES,
+        yolo: {
+          type: "boolean",
+          description: "Skip confirmations (auto-approve while waiting)",
+        },
+        noWait: {
+          type: "boolean",
+          description: "Return once sent instead of waiting for the response",
+        },
+        timeout: MCP_TIMEOUT_PROPERTY,
+      },
+      required: ["message"],
+    },
+    async call({ noWait = false, ...args }) {
+      const { agent, ax } = prepareAsk(args);
+      // In-process agents belong to this server, so there is nothing to leave running
+      if (noWait && !agent.usesTmux) {
+        throw new Error(`noWait is not supported for ${agent.displayName}`);
+      }
 
-  if (option) {
-    const key = agent.reviewOptions[option] || option;
-    debug("review", `selecting option=${option} (key=${key})`);
-    tmuxSend(activeSession, key);
+      const agentSession = await ax.start();
+      if (noWait) {
+        if (ax.yolo && ax.reused && !agentSession.isYolo) {
+          throw new Error(
+            "yolo requires waiting on a session not started with yolo"
+          );
+        }
+        await ax.send(args.message);
+        return { session: ax.id, state: ax.state };
+      }
 
-    if (option === "custom" && customInstructions) {
-      debug("review", `waiting for custom instructions prompt`);
-      await waitFor(
-        activeSession,
-        (s) => s.includes("custom") || s.includes("instructions")
-      );
-      tmuxSendLiteral(activeSession, customInstructions);
-      await sleep(50);
-      tmuxSend(activeSession, "Enter");
-    } else if (option === "branch") {
-      debug("review", `waiting for branch picker`);
-      await waitFor(
-        activeSession,
-        (s) => !s.includes("Select a review preset")
+      const response = await ax.prompt(args.message);
+      return { session: ax.id, state: State.READY, response };
+    },
+  },
+  {
+    name: "status",
+    annotations: { readOnlyHint: true },
+    description:
+      "Get a session's state: ready, thinking, starting, confirming (with pendingTool), rate_limited (with retryTime) or no_session.",
+    inputSchema: { type: "object", properties: { ...MCP_TARGET_PROPERTIES } },
+    async call(target) {
+      const { agent, session } = resolveMcpTarget(target);
+      const agentSession = await agent.openSession(session);
+      if (!agentSession) return { session, state: State.NO_SESSION };
+      return describeSessionState(
+        agent,
+        agentSession.id,
+        agentSession.snapshot()
       );
-      await sleep(200);
-      if (customInstructions) {
-        debug("review", `typing branch filter: ${customInstructions}`);
-        tmuxSendLiteral(activeSession, customInstructions);
-        await sleep(100);
+    },
+  },
+  {
+    name: "output",
+    annotations: { readOnlyHint: true },
+    description:
+      "Get a session's last response (or an earlier one with a negative index). A session that is still thinking returns no response unless wait or stale is set.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...MCP_TARGET_PROPERTIES,
+        index: {
+          type: "integer",
+          maximum: 0,
+          description: "0 = last response, -1 = the one before, etc.",
+        },
+        wait: {
+          type: "boolean",
+          description: "Wait for the session to finish thinking",
+        },
+        stale: {
+          type: "boolean",
+          description: "Return the previous response while thinking",
+        },
+        timeout: MCP_TIMEOUT_PROPERTY,
+      },
+    },
+    async call({ index = 0, wait = false, stale = false, timeout, ...target }) {
+      const { agent, session } = resolveMcpTarget(target);
+      const agentSession = await agent.openSession(session);
+      if (!agentSession) throw new Error("no session");
+
+      const snapshot = wait
+        ? await agentSession.waitUntilReady(mcpTimeoutMs(timeout))
+        : agentSession.snapshot(500);
+      const result = describeSessionState(agent, agentSession.id, snapshot);
+      if (snapshot.state === State.THINKING && !stale) return result;
+      if (
+        snapshot.state === State.RATE_LIMITED ||
+        snapshot.state === State.CONFIRMING
+      ) {
+        return result;
       }
-      tmuxSend(activeSession, "Enter");
-    } else if (option === "commit") {
-      debug("review", `waiting for commit picker`);
-      await waitFor(
-        activeSession,
-        (s) => !s.includes("Select a review preset")
-      );
-      await sleep(200);
-      if (customInstructions) {
-        // Codex commit picker shows messages, not hashes - resolve ref to message
-        let searchTerm = customInstructions;
-        const gitResult = spawnSync(
-          "git",
-          ["log", "--format=%s", "-n", "1", customInstructions],
-          {
-            encoding: "utf-8",
-          }
-        );
-        if (gitResult.status === 0 && gitResult.stdout.trim()) {
-          // Use first few words of commit message for search
-          searchTerm = gitResult.stdout.trim().slice(0, 40);
-          debug(
-            "review",
-            `resolved commit ${customInstructions} -> "${searchTerm}"`
-          );
+      result.response = agentSession.getResponse(index, snapshot.screen);
+      return result;
+    },
+  },
+  mcpAnswerTool("approve"),
+  mcpAnswerTool("reject"),
+  {
+    name: "agents",
+    annotations: { readOnlyHint: true },
+    description:
+      "List running agent sessions with their tool, state, archangel name, permission mode, plan and branch. isDefault marks the session each tool targets by default.",
+    inputSchema: { type: "object", properties: {} },
+    async call() {
+      return { agents: listAgents() };
+    },
+  },
+  {
+    name: "mailbox",
+    annotations: { readOnlyHint: true },
+    description:
+      "Read recent archangel observations and RFP proposals from the mailbox.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, description: "Default 20" },
+        branch: { type: "string", description: "Only this git branch" },
+        all: {
+          type: "boolean",
+          description: "Include entries older than the default max age",
+        },
+        status: {
+          type: "array",
+          items: { type: "string", enum: OBSERVATION_STATUSES },
+          description: "Only entries with these statuses (default: all)",
+        },
+      },
+    },
+    async call({ limit = 20, branch = null, all = false, status = null }) {
+      const maxAge = all ? Infinity : MAILBOX_MAX_AGE_MS;
+      return { entries: readMailbox({ maxAge, branch, limit, status }) };
+    },
+  },
+  {
+    name: "rfp",
+    description:
+      "Request proposals from archangels. With prompt, sends a new RFP (and waits for proposals if wait is set). With rfpId, collects the proposals for an earlier RFP.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        prompt: { type: "string", description: "What to propose" },
+        rfpId: {
+          type: "string",
+          description: "Collect proposals for this RFP (or a unique prefix)",
+        },
+        archangels: {
+          type: "string",
+          description: "Comma-separated archangel names (default: all)",
+        },
+        fresh: {
+          type: "boolean",
+          description: "Start a new conversation in each archangel first",
+        },
+        wait: {
+          type: "boolean",
+          description: "Wait for proposals after sending",
+        },
+        timeout: {
+          type: "number",
+          description: `Seconds to wait per archangel (default ${ARCHANGEL_RESPONSE_TIMEOUT_MS / 1000})`,
+        },
+      },
+    },
+    async call({ prompt, rfpId, archangels, fresh = false, wait, timeout }) {
+      if (!prompt && !rfpId) throw new Error("missing prompt or rfpId");
+      const selected = selectRfpArchangels(archangels);
+      if ("error" in selected) throw new Error(selected.error);
+      const { configs } = selected;
+
+      let id;
+      if (rfpId) {
+        const match = matchRfpId(rfpId);
+        if ("error" in match) {
+          throw new Error(`${match.error}: ${match.matches.join(", ")}`);
         }
-        debug("review", `typing commit filter: ${searchTerm}`);
-        tmuxSendLiteral(activeSession, searchTerm);
-        await sleep(100);
+        id = match.rfpId;
+      } else {
+        id = await sendRfp(prompt, configs, { fresh });
       }
-      tmuxSend(activeSession, "Enter");
-    }
-  }
-
-  if (!wait) return;
 
-  // Reviews should always auto-approve (unless session is already yolo)
-  const useAutoApprove = !nativeYolo;
-
-  const { state, screen } = useAutoApprove
-    ? await autoApproveLoop(agent, activeSession, timeoutMs, streamResponse)
-    : await streamResponse(agent, activeSession, timeoutMs);
+      const result = { rfpId: id, archangels: configs.map((c) => c.name) };
+      if (!rfpId && !wait) return result;
 
-  if (state === State.RATE_LIMITED) {
-    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
-    process.exit(2);
-  }
+      /** @type {RfpResult[]} */
+      const proposals = [];
+      const timeoutMs = mcpTimeoutMs(timeout, ARCHANGEL_RESPONSE_TIMEOUT_MS);
+      for await (const proposal of collectRfpProposals(id, configs, timeoutMs)) {
+        proposals.push(proposal);
+      }
+      return { ...result, proposals };
+    },
+  },
+];
 
-  if (state === State.CONFIRMING) {
-    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
-    process.exit(3);
-  }
+/**
+ * Tool definitions as clients see them (without the implementations).
+ * @param {McpTool[]} [tools]
+ */
+function listMcpTools(tools = MCP_TOOLS) {
+  return tools.map(({ name, description, inputSchema, annotations }) => ({
+    name,
+    description,
+    inputSchema,
+    ...(annotations && { annotations }),
+  }));
 }
 
 /**
- * @param {Agent} agent
- * @param {string | null | undefined} session
- * @param {number} [index]
- * @param {{wait?: boolean, stale?: boolean, timeoutMs?: number}} [options]
+ * A tool call that stopped short of a response. Blocked sessions are results
+ * (the caller is expected to act on the state); anything else is an error.
+ * @param {unknown} err
+ * @returns {{result: Record<string, unknown>, isError: boolean}}
  */
-async function cmdOutput(
-  agent,
-  session,
-  index = 0,
-  { wait = false, stale = false, timeoutMs } = {}
-) {
-  if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
+function mcpErrorResult(err) {
+  if (err instanceof RateLimitedError) {
+    return {
+      result: {
+        session: err.session,
+        state: State.RATE_LIMITED,
+        retryTime: err.retryTime,
+      },
+      isError: false,
+    };
   }
-
-  let screen;
-  if (wait) {
-    const result = await waitUntilReady(agent, session, timeoutMs);
-    screen = result.screen;
-  } else {
-    screen = tmuxCapture(session, 500);
+  if (err instanceof ConfirmationRequiredError) {
+    return {
+      result: {
+        session: err.session,
+        state: State.CONFIRMING,
+        pendingTool: err.pendingTool,
+      },
+      isError: false,
+    };
   }
-
-  const state = agent.getState(screen, session);
-
-  if (state === State.RATE_LIMITED) {
-    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
-    process.exit(2);
+  if (err instanceof TimeoutError) {
+    return {
+      result: { session: err.session, state: State.THINKING, error: "timeout" },
+      isError: true,
+    };
   }
+  const message = err instanceof Error ? err.message : String(err);
+  return { result: { error: message }, isError: true };
+}
 
-  if (state === State.CONFIRMING) {
-    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
-    process.exit(3);
-  }
+/**
+ * @typedef {Object} JsonRpcMessage
+ * @property {string} [jsonrpc]
+ * @property {string | number | null} [id]
+ * @property {string} [method]
+ * @property {any} [params]
+ */
 
-  if (state === State.THINKING) {
-    if (!stale) {
-      console.log(
-        "THINKING: Use --wait to block, or --stale for old response."
-      );
-      process.exit(1);
-    }
-    // --stale: fall through to show previous response
+/**
+ * Handle one JSON-RPC message from an MCP client.
+ * @param {unknown} message - Any parsed JSON line
+ * @param {McpTool[]} [tools]
+ * @returns {Promise<Record<string, unknown> | null>} The response, or null for notifications
+ */
+async function handleMcpMessage(message, tools = MCP_TOOLS) {
+  // Valid JSON but not a request: null, 5, [], ...
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return {
+      jsonrpc: "2.0",
+      id: null,
+      error: { code: -32600, message: "Invalid Request" },
+    };
   }
+  const { id, method, params } = /** @type {JsonRpcMessage} */ (message);
+  /**
+   * @param {number} code
+   * @param {string} text
+   */
+  const fail = (code, text) => ({
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: { code, message: text },
+  });
 
-  const output = agent.getResponse(session, screen, index);
-  if (output) {
-    console.log(output);
+  if (typeof method !== "string") return fail(-32600, "Invalid Request");
+  // Notifications (initialized, cancelled, ...) need no reply
+  if (id === undefined) return null;
+
+  /** @type {Record<string, unknown>} */
+  let result;
+  if (method === "initialize") {
+    const requested = params?.protocolVersion;
+    result = {
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: "ax", version: VERSION },
+    };
+  } else if (method === "ping") {
+    result = {};
+  } else if (method === "tools/list") {
+    result = { tools: listMcpTools(tools) };
+  } else if (method === "tools/call") {
+    const tool = tools.find((t) => t.name === params?.name);
+    if (!tool) return fail(-32602, `Unknown tool: ${params?.name}`);
+
+    let structured;
+    let isError = false;
+    try {
+      structured = await tool.call(params.arguments ?? {});
+    } catch (err) {
+      debugError("mcp", err);
+      ({ result: structured, isError } = mcpErrorResult(err));
+    }
+    result = {
+      content: [{ type: "text", text: JSON.stringify(structured, null, 2) }],
+      structuredContent: structured,
+      isError,
+    };
   } else {
-    console.log("READY_NO_CONTENT");
+    return fail(-32601, `Method not found: ${method}`);
   }
+
+  return { jsonrpc: "2.0", id, result };
 }
 
-/**
- * @param {Agent} agent
- * @param {string | null | undefined} session
- */
-function cmdStatus(agent, session) {
-  if (!session || !tmuxHasSession(session)) {
-    console.log("NO_SESSION");
-    process.exit(1);
+async function cmdMcp() {
+  // stdout carries the protocol: route everything else (progress lines,
+  // archangel startup messages) to stderr
+  const stdout = process.stdout;
+  const writeMessage = stdout.write.bind(stdout);
+  stdout.write = /** @type {typeof stdout.write} */ (
+    process.stderr.write.bind(process.stderr)
+  );
+  /** @param {unknown} response */
+  const reply = (response) => writeMessage(JSON.stringify(response) + "\n");
+
+  const lines = createInterface({ input: process.stdin, crlfDelay: Infinity });
+  /** @type {Set<Promise<void>>} */
+  const pending = new Set();
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    /** @type {unknown} */
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      reply({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: -32700, message: "Parse error" },
+      });
+      continue;
+    }
+    // Calls like ask can take minutes; keep answering status checks meanwhile
+    const handled = handleMcpMessage(message)
+      .then((response) => {
+        if (response) reply(response);
+      })
+      // One bad message must never end the server
+      .catch((err) => {
+        debugError("mcp", err);
+        const id = /** @type {JsonRpcMessage | null} */ (message)?.id;
+        reply({
+          jsonrpc: "2.0",
+          id: typeof id === "string" || typeof id === "number" ? id : null,
+          error: { code: -32603, message: "Internal error" },
+        });
+      });
+    pending.add(handled);
+    handled.finally(() => pending.delete(handled));
   }
+  await Promise.all(pending);
+  process.exit(0);
+}
 
-  const screen = tmuxCapture(session);
-  const state = agent.getState(screen, session);
+// =============================================================================
+// Command: serve (local HTTP API, streaming over Server-Sent Events)
+// =============================================================================
 
-  if (state === State.RATE_LIMITED) {
-    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
-    process.exit(2);
-  }
+// The API runs the same tools as `ax mcp`: GET /<tool>?args for read-only
+// tools, POST /<tool> with a JSON body for the rest. POST /ask with
+// `Accept: text/event-stream`, and GET /stream, send `chunk` events as output
+// arrives, then a `result` (or `error`) event shaped like the JSON response.
 
-  if (state === State.CONFIRMING) {
-    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
-    process.exit(3);
-  }
+const DEFAULT_SERVE_PORT = 7373;
 
-  if (state === State.THINKING) {
-    console.log("THINKING");
-    process.exit(4);
-  }
+// Rejecting other Host headers keeps web pages from reaching the API via DNS rebinding
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
 
-  if (state === State.STARTING) {
-    console.log("STARTING");
-    process.exit(6);
+/**
+ * Query-string values arrive as strings; convert them using the tool's schema.
+ * @param {URLSearchParams} params
+ * @param {Record<string, any>} inputSchema
+ * @returns {Record<string, unknown>}
+ */
+function parseQueryArgs(params, inputSchema) {
+  /** @type {Record<string, unknown>} */
+  const args = {};
+  for (const [key, value] of params) {
+    const type = inputSchema.properties?.[key]?.type;
+    if (type === "boolean") {
+      args[key] = value === "" || value === "1" || value === "true";
+    } else if (type === "number" || type === "integer") {
+      args[key] = Number(value);
+    } else {
+      args[key] = value;
+    }
   }
-
-  // READY (or UPDATE_PROMPT which is transient)
-  console.log("READY");
-  process.exit(0);
+  return args;
 }
 
 /**
- * @param {Agent} agent
- * @param {string | null | undefined} session
- * @param {{scrollback?: number}} [options]
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<Record<string, unknown>>}
  */
-function cmdDebug(agent, session, { scrollback = 0 } = {}) {
-  if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
+async function readJsonBody(req) {
+  let data = "";
+  for await (const chunk of req) data += chunk;
+  if (!data.trim()) return {};
+  const body = JSON.parse(data);
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new Error("body must be a JSON object");
   }
+  return body;
+}
 
-  const screen = tmuxCapture(session, scrollback);
-  const state = agent.getState(screen, session);
+/**
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body) + "\n");
+}
 
-  console.log(`=== Session: ${session} ===`);
-  console.log(`=== State: ${state} ===`);
-  console.log(`=== Screen ===`);
-  console.log(screen);
+/**
+ * @param {import("node:http").ServerResponse} res
+ * @param {unknown} err
+ */
+function sendToolError(res, err) {
+  const { result, isError } = mcpErrorResult(err);
+  const status = !isError ? 200 : err instanceof TimeoutError ? 504 : 400;
+  sendJson(res, status, result);
 }
+
 /**
- * @param {string} input
- * @returns {{type: 'literal' | 'key', value: string}[]}
+ * Send output chunks as Server-Sent Events, then the final result.
+ * @param {import("node:http").ServerResponse} res
+ * @param {AsyncGenerator<LogSegment>} chunks
+ * @param {() => Promise<Record<string, unknown>>} finish - Result once the chunks run out
  */
-function parseKeySequence(input) {
-  // Parse a string like "1[Enter]" or "[Escape]hello[C-c]" into a sequence of actions
-  // [Enter], [Escape], [Up], [Down], [Tab], [C-c], etc. are special keys
-  // Everything else is literal text
-  /** @type {{type: 'literal' | 'key', value: string}[]} */
-  const parts = [];
-  let i = 0;
-  let literal = "";
+async function sendEventStream(res, chunks, finish) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  /**
+   * @param {string} event
+   * @param {unknown} data
+   */
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-  while (i < input.length) {
-    if (input[i] === "[") {
-      // Flush any accumulated literal text
-      if (literal) {
-        parts.push({ type: "literal", value: literal });
-        literal = "";
-      }
-      // Find the closing bracket
-      const end = input.indexOf("]", i);
-      if (end === -1) {
-        // No closing bracket, treat as literal
-        literal += input[i];
-        i++;
-      } else {
-        const key = input.slice(i + 1, end);
-        // Skip empty brackets, but allow any non-empty key (let tmux validate)
-        if (key) {
-          parts.push({ type: "key", value: key });
-        }
-        i = end + 1;
-      }
-    } else {
-      literal += input[i];
-      i++;
+  try {
+    for await (const chunk of chunks) {
+      // Client went away; the agent carries on without us
+      if (res.destroyed) return;
+      send("chunk", chunk);
     }
+    send("result", await finish());
+  } catch (err) {
+    debugError("serve", err);
+    const { result, isError } = mcpErrorResult(err);
+    send(isError ? "error" : "result", result);
   }
+  res.end();
+}
 
-  // Flush remaining literal text
-  if (literal) {
-    parts.push({ type: "literal", value: literal });
-  }
-
-  return parts;
+/**
+ * @param {Record<string, any>} args - tool, session and timeout
+ * @returns {Promise<{agent: Agent, agentSession: AgentSession, timeoutMs: number}>}
+ */
+async function openStreamTarget({ timeout, ...target }) {
+  const { agent, session } = resolveMcpTarget(target);
+  const timeoutMs = mcpTimeoutMs(timeout);
+  const agentSession = await agent.openSession(session);
+  if (!agentSession) throw new Error("no session");
+  return { agent, agentSession, timeoutMs };
 }
 
 /**
- * @param {string | null | undefined} session
- * @param {string} input
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:http").ServerResponse} res
  */
-function cmdSend(session, input) {
-  if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
+async function handleApiRequest(req, res) {
+  const host = (req.headers.host || "").replace(/:\d+$/, "");
+  if (!LOCAL_HOSTS.includes(host)) {
+    return sendJson(res, 403, { error: `host not allowed: ${host}` });
   }
 
-  const parts = parseKeySequence(input);
-  for (const part of parts) {
-    if (part.type === "literal") {
-      tmuxSendLiteral(session, part.value);
-    } else {
-      tmuxSend(session, part.value);
+  const url = new URL(req.url || "/", "http://localhost");
+  const name = url.pathname.replace(/^\/+|\/+$/g, "");
+  debug("serve", `${req.method} ${url.pathname}`);
+
+  if (name === "") {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, { error: "method not allowed" });
     }
+    return sendJson(res, 200, { tools: listMcpTools() });
   }
-}
 
-/**
- * @param {Agent} agent
- * @param {string | null | undefined} session
- * @param {string | number} n
- * @param {{wait?: boolean, timeoutMs?: number}} [options]
- */
-async function cmdSelect(agent, session, n, { wait = false, timeoutMs } = {}) {
-  if (!session || !tmuxHasSession(session)) {
-    console.log("ERROR: no session");
-    process.exit(1);
+  if (name === "stream") {
+    if (req.method !== "GET") {
+      return sendJson(res, 405, { error: "method not allowed" });
+    }
+    let opened;
+    try {
+      opened = await openStreamTarget(
+        parseQueryArgs(url.searchParams, {
+          properties: {
+            ...MCP_TARGET_PROPERTIES,
+            timeout: MCP_TIMEOUT_PROPERTY,
+          },
+        })
+      );
+    } catch (err) {
+      return sendToolError(res, err);
+    }
+    const { agent, agentSession, timeoutMs } = opened;
+    return sendEventStream(res, agentSession.stream(timeoutMs), async () => {
+      const snapshot = agentSession.snapshot();
+      const result = describeSessionState(agent, agentSession.id, snapshot);
+      if (snapshot.state === State.READY) {
+        result.response = agentSession.getResponse(0, snapshot.screen);
+      }
+      return result;
+    });
   }
 
-  tmuxSend(session, n.toString());
-
-  if (!wait) return;
+  const tool = MCP_TOOLS.find((t) => t.name === name);
+  if (!tool) return sendJson(res, 404, { error: `not found: /${name}` });
 
-  const { state, screen } = await waitForResponse(agent, session, timeoutMs);
+  /** @type {Record<string, any>} */
+  let args;
+  if (req.method === "GET") {
+    if (!tool.annotations?.readOnlyHint) {
+      return sendJson(res, 405, { error: `use POST for /${name}` });
+    }
+    args = parseQueryArgs(url.searchParams, tool.inputSchema);
+  } else if (req.method === "POST") {
+    // Browsers can't send JSON cross-origin without a preflight we never answer
+    if (!/^application\/json\b/.test(req.headers["content-type"] || "")) {
+      return sendJson(res, 415, { error: "expected application/json" });
+    }
+    try {
+      args = await readJsonBody(req);
+    } catch (err) {
+      return sendToolError(res, err);
+    }
+  } else {
+    return sendJson(res, 405, { error: "method not allowed" });
+  }
 
-  if (state === State.RATE_LIMITED) {
-    console.log(`RATE_LIMITED: ${agent.parseRetryTime(screen)}`);
-    process.exit(2);
+  if (name === "ask" && /text\/event-stream/.test(req.headers.accept || "")) {
+    let prepared;
+    try {
+      prepared = prepareAsk(args);
+    } catch (err) {
+      return sendToolError(res, err);
+    }
+    const { ax } = prepared;
+    return sendEventStream(res, ax.stream(args.message), async () => ({
+      session: ax.id,
+      state: State.READY,
+      response: await ax.getResponse(),
+    }));
   }
 
-  if (state === State.CONFIRMING) {
-    console.log(`CONFIRM: ${formatConfirmationOutput(screen, agent)}`);
-    process.exit(3);
+  try {
+    sendJson(res, 200, await tool.call(args));
+  } catch (err) {
+    debugError("serve", err);
+    sendToolError(res, err);
   }
+}
 
-  const response = agent.getResponse(session, screen);
-  console.log(response || "");
+/**
+ * @returns {import("node:http").Server}
+ */
+function createApiServer() {
+  return createServer((req, res) => {
+    handleApiRequest(req, res).catch((err) => {
+      debugError("serve", err);
+      if (!res.headersSent) sendJson(res, 500, { error: String(err) });
+      else res.end();
+    });
+  });
+}
+
+/**
+ * @param {number} [port]
+ */
+function cmdServe(port = DEFAULT_SERVE_PORT) {
+  const server = createApiServer();
+  server.on("error", (err) => {
+    exitWithError(err.message);
+  });
+  server.listen(port, "127.0.0.1", () => {
+    const address = /** @type {import("node:net").AddressInfo} */ (
+      server.address()
+    );
+    console.log(`Listening on http://127.0.0.1:${address.port}`);
+  });
 }
 
 // =============================================================================
@@ -6534,9 +13999,12 @@ async function cmdSelect(agent, session, n, { wait = false, timeoutMs } = {}) {
  * Resolve the agent to use based on (in priority order):
  * 1. Explicit --tool flag
  * 2. Session name (e.g., "claude-archangel-..." → ClaudeAgent)
- * 3. CLI invocation name (axclaude, axcodex)
- * 4. AX_DEFAULT_TOOL environment variable
- * 5. Default to CodexAgent
+ * 3. CLI invocation name (axclaude, axcodex, ax<tool>)
+ * 4. Calling agent (when run from within claude/codex)
+ * 5. AX_DEFAULT_TOOL environment variable
+ * 6. Default to CodexAgent
+ *
+ * Tools are the built-in agents plus any defined in .ai/tools/<name>.json
  *
  * @param {{toolFlag?: string, sessionName?: string | null}} options
  * @returns {{agent: Agent, error?: string}}
@@ -6544,34 +14012,32 @@ async function cmdSelect(agent, session, n, { wait = false, timeoutMs } = {}) {
 function resolveAgent({ toolFlag, sessionName } = {}) {
   // 1. Explicit --tool flag takes highest priority
   if (toolFlag) {
-    if (toolFlag === "claude") return { agent: ClaudeAgent };
-    if (toolFlag === "codex") return { agent: CodexAgent };
+    const agent = getAgent(toolFlag);
+    if (agent) return { agent };
     return { agent: CodexAgent, error: `unknown tool '${toolFlag}'` };
   }
 
   // 2. Infer from session name (e.g., "claude-archangel-..." or "codex-partner-...")
   if (sessionName) {
-    const parsed = parseSessionName(sessionName);
-    if (parsed?.tool === "claude") return { agent: ClaudeAgent };
-    if (parsed?.tool === "codex") return { agent: CodexAgent };
+    const agent = getAgent(parseSessionName(sessionName)?.tool);
+    if (agent) return { agent };
   }
 
-  // 3. CLI invocation name
+  // 3. CLI invocation name (axclaude, axcodex, ax<tool>, or the bare tool name)
   const invoked = path.basename(process.argv[1], ".js");
-  if (invoked === "axclaude" || invoked === "claude")
-    return { agent: ClaudeAgent };
-  if (invoked === "axcodex" || invoked === "codex")
-    return { agent: CodexAgent };
+  const invokedAgent = getAgent(invoked.replace(/^ax/, ""));
+  if (invokedAgent) return { agent: invokedAgent };
 
   // 4. Infer from parent process (running from within claude/codex)
   const caller = findCallerAgent();
-  if (caller?.agent === "claude") return { agent: ClaudeAgent };
-  if (caller?.agent === "codex") return { agent: CodexAgent };
+  const callerAgent = getAgent(caller?.agent);
+  if (callerAgent) return { agent: callerAgent };
 
   // 5. AX_DEFAULT_TOOL environment variable
   const defaultTool = process.env.AX_DEFAULT_TOOL;
-  if (defaultTool === "claude") return { agent: ClaudeAgent };
-  if (defaultTool === "codex" || !defaultTool) return { agent: CodexAgent };
+  if (!defaultTool) return { agent: CodexAgent };
+  const defaultAgent = getAgent(defaultTool);
+  if (defaultAgent) return { agent: defaultAgent };
 
   console.error(
     `WARNING: invalid AX_DEFAULT_TOOL="${defaultTool}", using codex`
@@ -6606,9 +14072,21 @@ Sessions:
   kill                      Kill sessions (--all, --session=NAME, --orphans [--force])
 
 Archangels:
+  archangels                Status of each archangel (triggers, queue, errors)
   summon [name]             Summon archangels (all, or by name)
+                            New names are created from --template=KIND
+  templates                 List archangel templates (built-in and .ai/templates)
   recall [name]             Recall archangels (all, or by name)
-  mailbox                   Archangel notes (filters: --branch=git, --all)
+  pause [name]              Stop reviewing but keep the session (all, or by
+                            name). Changes queue up, or --drop them
+  resume [name]             Resume paused archangels, reviewing queued changes
+  archangel replay <name> --range=A..B
+                            Try an archangel on past commits, one trigger each,
+                            and report what it would say (--limit=N, --json)
+  mailbox                   Archangel notes (filters: --branch=git, --all,
+                            --status=new,acked,dismissed,resolved|all)
+  mailbox ack|dismiss|resolve <id> [note]
+                            Mark an observation (dismissed: never injected again)
   rfp <prompt>              Request proposals (--archangels=a,b)
   rfp wait <id>             Wait for proposals (--archangels=a,b)
 
@@ -6621,19 +14099,26 @@ Recovery/State:
   select N                  Select menu option N
   send KEYS                 Send key sequence (e.g. "1[Enter]", "[Escape]")
   log [SESSION]             View conversation log (--tail=N, --follow, --reasoning)
+  mcp                       Serve these commands as MCP tools over stdio
+  serve                     Serve them as a local HTTP API (--port=N, default ${DEFAULT_SERVE_PORT})
 
 Flags:
-  --tool=NAME               Select agent (aliases: axclaude, axcodex)
+  --tool=NAME               Select agent: claude, codex, aider, gemini, pi, or .ai/tools/NAME.json
   --session=ID              name | archangel | uuid-prefix | self
   --fresh                   Reset conversation before review
   --yolo                    Skip all confirmations (dangerous)
   --auto-approve=TOOLS      Auto-approve specific tools (e.g. 'Bash("cargo *")')
   --wait                    Wait for response (default for messages; required for approve/reject)
   --no-wait                 Fire-and-forget: send message, print session ID, exit immediately
+  --json                    Print JSON (status, agents, output, mailbox, rfp wait, messages)
   --timeout=N               Set timeout in seconds (default: ${
     DEFAULT_TIMEOUT_MS / 1000
   }, reviews: ${REVIEW_TIMEOUT_MS / 1000})
 
+Environment:
+  AX_BACKEND=pty            Run agents under an ax-owned pseudo-terminal instead of tmux
+  AX_TMUX_MONITOR=0         Poll screens every AX_POLL_MS instead of waiting for tmux output
+
 Examples:
   ${name} "explain this codebase"
   ${name} "review the error handling"                   # Auto custom review (${
@@ -6658,27 +14143,14 @@ Note: Reviews and complex tasks may take several minutes.
 }
 
 async function main() {
-  // Check tmux is installed
-  const tmuxCheck = spawnSync("tmux", ["-V"], { encoding: "utf-8" });
-  if (tmuxCheck.error || tmuxCheck.status !== 0) {
-    console.error("ERROR: tmux is not installed or not in PATH");
-    console.error(
-      "Install with: brew install tmux (macOS) or apt install tmux (Linux)"
-    );
-    process.exit(1);
-  }
-
   const args = process.argv.slice(2);
   const cliName = path.basename(process.argv[1], ".js");
 
   // Parse all flags and positionals in one place
   const { flags, positionals } = parseCliArgs(args);
 
-  // Support `ax codex "prompt"` and `ax claude "prompt"` as shorthand for --tool
-  if (
-    (positionals[0] === "codex" || positionals[0] === "claude") &&
-    !flags.tool
-  ) {
+  // Support `ax codex "prompt"`, `ax claude "prompt"`, etc. as shorthand for --tool
+  if (Object.hasOwn(BUILTIN_AGENTS, positionals[0] ?? "") && !flags.tool) {
     const tool = positionals.shift();
     flags.tool = tool;
     console.error(
@@ -6699,6 +14171,11 @@ async function main() {
     process.exit(0);
   }
 
+  // Internal: spawned by ptyNewSession, before any agent/session resolution
+  if (positionals[0] === "pty-daemon") {
+    return cmdPtyDaemon(positionals[1], positionals[2]);
+  }
+
   // Extract flags into local variables for convenience
   const {
     wait,
@@ -6712,6 +14189,7 @@ async function main() {
     force,
     stale,
     autoApprove,
+    json,
   } = flags;
 
   // Session resolution (must happen before agent resolution so we can infer tool from session name)
@@ -6720,8 +14198,7 @@ async function main() {
     if (flags.session === "self") {
       const current = tmuxCurrentSession();
       if (!current) {
-        console.log("ERROR: --session=self requires running inside tmux");
-        process.exit(1);
+        exitWithError("--session=self requires running inside tmux");
       }
       session = current;
     } else {
@@ -6736,16 +14213,24 @@ async function main() {
     sessionName: session,
   });
   if (agentError) {
-    console.log(`ERROR: ${agentError}`);
-    process.exit(1);
+    exitWithError(agentError);
+  }
+
+  // Check tmux is installed (in-process agents like Pi and the pty backend don't need it)
+  if (agent.usesTmux && !PTY_BACKEND) {
+    const tmuxCheck = spawnSync("tmux", ["-V"], { encoding: "utf-8" });
+    if (tmuxCheck.error || tmuxCheck.status !== 0) {
+      exitWithError("tmux is not installed or not in PATH", {
+        hint: "Install with: brew install tmux (macOS) or apt install tmux (Linux)",
+      });
+    }
   }
 
   // Validate --auto-approve is only used with Claude (Codex doesn't support --allowedTools)
   if (autoApprove && agent.name === "codex") {
-    console.log(
-      "ERROR: --auto-approve is not supported by Codex. Use --yolo instead."
+    exitWithError(
+      "--auto-approve is not supported by Codex. Use --yolo instead."
     );
-    process.exit(1);
   }
 
   // If no explicit session, use agent's default (with permission filtering)
@@ -6757,8 +14242,7 @@ async function main() {
   let timeoutMs = DEFAULT_TIMEOUT_MS;
   if (flags.timeout !== undefined) {
     if (isNaN(flags.timeout) || flags.timeout <= 0) {
-      console.log("ERROR: invalid timeout");
-      process.exit(1);
+      exitWithError("invalid timeout");
     }
     timeoutMs = flags.timeout * 1000;
   }
@@ -6776,7 +14260,7 @@ async function main() {
   const cmd = positionals[0];
 
   // Dispatch commands
-  if (cmd === "agents" || cmd === "list") return cmdAgents();
+  if (cmd === "agents" || cmd === "list") return cmdAgents({ json });
   if (cmd === "target") {
     const defaultSession = agent.getDefaultSession({
       allowedTools: autoApprove,
@@ -6790,9 +14274,23 @@ async function main() {
     }
     return;
   }
-  if (cmd === "summon") return cmdSummon(positionals[1]);
+  if (cmd === "archangels") return cmdArchangels({ json });
+  if (cmd === "templates") return cmdTemplates({ json });
+  if (cmd === "summon") {
+    return cmdSummon(positionals[1], { template: flags.template ?? null });
+  }
   if (cmd === "recall") return cmdRecall(positionals[1]);
+  if (cmd === "pause") return cmdPause(positionals[1], { drop: flags.drop });
+  if (cmd === "resume") return cmdResume(positionals[1]);
+  if (cmd === "archangel" && positionals[1] === "replay") {
+    return cmdArchangelReplay(positionals[2], {
+      range: flags.range,
+      limit: flags.limit,
+      json,
+    });
+  }
   if (cmd === "archangel") return cmdArchangel(positionals[1]);
+  if (cmd === "supervise") return cmdSupervise(positionals[1]);
   if (cmd === "kill") return cmdKill(session, { all, orphans, force });
   if (cmd === "attach") {
     const attachSession = positionals[1]
@@ -6806,21 +14304,57 @@ async function main() {
       : session;
     return cmdLog(logSession, { tail, reasoning, follow });
   }
-  if (cmd === "mailbox") return cmdMailbox({ limit, branch, all });
+  if (cmd === "mailbox") {
+    const action = positionals[1];
+    if (action && action in MAILBOX_STATUS_ACTIONS) {
+      return cmdMailboxStatus(
+        action,
+        positionals[2],
+        positionals.slice(3).join(" ") || null
+      );
+    }
+    if (action) {
+      exitWithError(`unknown mailbox command '${action}'`);
+    }
+    let status = MAILBOX_DEFAULT_STATUSES;
+    if (flags.status) {
+      status =
+        flags.status === "all"
+          ? OBSERVATION_STATUSES
+          : flags.status.split(",").map((s) => s.trim());
+      const invalid = status.find((s) => !OBSERVATION_STATUSES.includes(s));
+      if (invalid) {
+        exitWithError(
+          `invalid status '${invalid}' (expected ${OBSERVATION_STATUSES.join(", ")} or all)`
+        );
+      }
+    }
+    return cmdMailbox({ limit, branch, all, json, status });
+  }
+  if (cmd === "mcp") return cmdMcp();
+  if (cmd === "serve") {
+    const port = flags.port ?? DEFAULT_SERVE_PORT;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      exitWithError("invalid port");
+    }
+    return cmdServe(port);
+  }
   if (cmd === "rfp") {
     if (positionals[1] === "wait") {
       const rfpId = positionals[2];
       if (!rfpId) {
-        console.log("ERROR: missing rfp id");
-        process.exit(1);
+        exitWithError("missing rfp id");
       }
-      return cmdRfpWait(rfpId, { archangels: flags.archangels, timeoutMs });
+      return cmdRfpWait(rfpId, {
+        archangels: flags.archangels,
+        timeoutMs,
+        json,
+      });
     }
     const rawPrompt = positionals.slice(1).join(" ");
     const prompt = await readStdinIfNeeded(rawPrompt);
     if (!prompt) {
-      console.log("ERROR: missing prompt for rfp");
-      process.exit(1);
+      exitWithError("missing prompt for rfp");
     }
     return cmdRfp(prompt, { archangels: flags.archangels, fresh, noWait });
   }
@@ -6828,8 +14362,7 @@ async function main() {
     const rawPrompt = positionals.slice(1).join(" ");
     const prompt = await readStdinIfNeeded(rawPrompt);
     if (!prompt) {
-      console.log("ERROR: no prompt provided");
-      process.exit(1);
+      exitWithError("no prompt provided");
     }
     return cmdDo(agent, prompt, {
       name: flags.name || "default",
@@ -6856,7 +14389,7 @@ async function main() {
       }
     );
   }
-  if (cmd === "status") return cmdStatus(agent, session);
+  if (cmd === "status") return cmdStatus(agent, session, { json });
   if (cmd === "debug") {
     const debugSession = positionals[1]
       ? resolveSessionName(positionals[1])
@@ -6866,12 +14399,19 @@ async function main() {
   if (cmd === "output") {
     const indexArg = positionals[1];
     const index = indexArg?.startsWith("-") ? parseInt(indexArg, 10) : 0;
-    return cmdOutput(agent, session, index, { wait, stale, timeoutMs });
+    return cmdOutput(agent, session, index, { wait, stale, timeoutMs, json });
   }
   if (cmd === "send" && positionals.length > 1)
     return cmdSend(session, positionals.slice(1).join(" "));
-  if (cmd === "compact")
-    return cmdAsk(agent, session, "/compact", { noWait: true, timeoutMs });
+  if (cmd === "compact") {
+    if (!agent.compactCommand) {
+      exitWithError(`${agent.displayName} has no compact command`);
+    }
+    return cmdAsk(agent, session, agent.compactCommand, {
+      noWait: true,
+      timeoutMs,
+    });
+  }
   if (cmd === "reset") {
     // Send /new and wait for completion
     await cmdAsk(agent, session, "/new", { timeoutMs });
@@ -6918,6 +14458,7 @@ async function main() {
     yolo,
     allowedTools: autoApprove,
     timeoutMs,
+    json,
   });
 }
 
@@ -6934,24 +14475,54 @@ const isDirectRun =
   })();
 if (isDirectRun) {
   main().catch((err) => {
-    console.log(`ERROR: ${err.message}`);
-    if (err instanceof TimeoutError && err.session) {
-      console.log(
-        `Hint: Use 'ax debug --session=${err.session}' to see current screen state`
-      );
-    }
-    process.exit(1);
+    exitWithError(err instanceof Error ? err.message : String(err), {
+      hint:
+        err instanceof TimeoutError && err.session
+          ? `Hint: Use 'ax debug --session=${err.session}' to see current screen state`
+          : undefined,
+    });
   });
 }
 
-// Exports for testing (pure functions only)
+// Public API (see README), plus pure functions exported for testing
 export {
+  openSession,
+  AxSession,
+  TimeoutError,
+  RateLimitedError,
+  ConfirmationRequiredError,
   parseSessionName,
   parseAgentConfig,
+  parseToolDefinition,
   parseKeySequence,
   parseCliArgs,
   getClaudeProjectPath,
   matchesPattern,
+  matchesWatchPatterns,
+  parseFrontmatter,
+  parseCron,
+  nextCronTime,
+  parseQuietHours,
+  formatReplayReport,
+  getUndeliveredEntries,
+  formatMailboxDelivery,
+  renderAgentsMdSection,
+  isInQuietHours,
+  parseMailbox,
+  gcMailboxLines,
+  diffSnapshots,
+  parseObservationSeverity,
+  findDuplicateObservation,
+  partitionObservation,
+  getObservationSimilarity,
+  getSupervisorBackoffMs,
+  getRetryDelayMs,
+  summarizeArchangel,
+  formatElapsed,
+  BUILTIN_ARCHANGEL_TEMPLATES,
+  renderBuiltinTemplate,
+  getLogContextUsage,
+  parseContextLeftPercent,
   getBaseDir,
   truncate,
   truncateDiff,
@@ -6975,6 +14546,27 @@ export {
   ScreenTerminalStream,
   StyledScreenTerminalStream,
   FakeTerminalStream,
+  Agent,
   CodexAgent,
   ClaudeAgent,
+  AiderAgent,
+  parseAiderChatHistory,
+  GeminiAgent,
+  parseGeminiSession,
+  normalizeCodexRollout,
+  splitCodexPatch,
+  TmuxMonitor,
+  // MCP server and HTTP API
+  handleMcpMessage,
+  MCP_TOOLS,
+  createApiServer,
+  // PTY backend
+  ScreenBuffer,
+  encodePtyKey,
+  // Agent sessions
+  AgentSession,
+  TmuxSession,
+  PiSession,
+  PiSdkAgent,
+  parsePiEvent,
 };
@@ -1,11 +1,42 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
+import http from "node:http";
+import { spawnSync } from "node:child_process";
+import { lstatSync, mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import {
   parseSessionName,
   parseAgentConfig,
+  parseToolDefinition,
   parseKeySequence,
   getClaudeProjectPath,
   matchesPattern,
+  matchesWatchPatterns,
+  parseFrontmatter,
+  parseCron,
+  nextCronTime,
+  parseQuietHours,
+  isInQuietHours,
+  formatReplayReport,
+  getUndeliveredEntries,
+  formatMailboxDelivery,
+  renderAgentsMdSection,
+  parseMailbox,
+  gcMailboxLines,
+  diffSnapshots,
+  parseObservationSeverity,
+  findDuplicateObservation,
+  partitionObservation,
+  getObservationSimilarity,
+  getSupervisorBackoffMs,
+  getRetryDelayMs,
+  summarizeArchangel,
+  formatElapsed,
+  BUILTIN_ARCHANGEL_TEMPLATES,
+  renderBuiltinTemplate,
+  getLogContextUsage,
+  parseContextLeftPercent,
   getBaseDir,
   truncate,
   truncateDiff,
@@ -28,8 +59,27 @@ import {
   ScreenTerminalStream,
   StyledScreenTerminalStream,
   FakeTerminalStream,
+  Agent,
   CodexAgent,
   ClaudeAgent,
+  AiderAgent,
+  parseAiderChatHistory,
+  GeminiAgent,
+  parseGeminiSession,
+  normalizeCodexRollout,
+  splitCodexPatch,
+  TmuxMonitor,
+  ScreenBuffer,
+  encodePtyKey,
+  PiSdkAgent,
+  parsePiEvent,
+  openSession,
+  RateLimitedError,
+  ConfirmationRequiredError,
+  TimeoutError,
+  handleMcpMessage,
+  MCP_TOOLS,
+  createApiServer,
 } from "./ax.js";
 
 // Helper to convert LogSegment[] to string for test comparisons
@@ -90,6 +140,12 @@ describe("parseCliArgs", () => {
       assert.strictEqual(result2.flags.version, true);
     });
 
+    it("parses --json", () => {
+      const result = parseCliArgs(["--json", "status"]);
+      assert.strictEqual(result.flags.json, true);
+      assert.strictEqual(parseCliArgs(["status"]).flags.json, false);
+    });
+
     it("parses --help and -h", () => {
       const result1 = parseCliArgs(["--help"]);
       assert.strictEqual(result1.flags.help, true);
@@ -115,6 +171,11 @@ describe("parseCliArgs", () => {
       assert.strictEqual(result.flags.timeout, 30);
     });
 
+    it("parses --port=value as number", () => {
+      const result = parseCliArgs(["--port=8080", "serve"]);
+      assert.strictEqual(result.flags.port, 8080);
+    });
+
     it("parses --tail=value as number", () => {
       const result = parseCliArgs(["--tail=50", "log"]);
       assert.strictEqual(result.flags.tail, 50);
@@ -125,10 +186,31 @@ describe("parseCliArgs", () => {
       assert.strictEqual(result.flags.limit, 10);
     });
 
+    it("parses --template=value", () => {
+      const result = parseCliArgs(["summon", "sec", "--template=security"]);
+      assert.strictEqual(result.flags.template, "security");
+    });
+
+    it("parses --range=value", () => {
+      const result = parseCliArgs(["archangel", "replay", "bugs", "--range=main..HEAD"]);
+      assert.deepStrictEqual(result.positionals, ["archangel", "replay", "bugs"]);
+      assert.strictEqual(result.flags.range, "main..HEAD");
+    });
+
+    it("parses --drop", () => {
+      assert.strictEqual(parseCliArgs(["pause", "sec", "--drop"]).flags.drop, true);
+      assert.strictEqual(parseCliArgs(["pause", "sec"]).flags.drop, false);
+    });
+
     it("parses --branch=value", () => {
       const result = parseCliArgs(["--branch=feature/foo", "mailbox"]);
       assert.strictEqual(result.flags.branch, "feature/foo");
     });
+
+    it("parses --status=value", () => {
+      const result = parseCliArgs(["--status=new,acked", "mailbox"]);
+      assert.strictEqual(result.flags.status, "new,acked");
+    });
   });
 
   describe("positionals", () => {
@@ -215,6 +297,14 @@ describe("parseSessionName", () => {
     assert.deepStrictEqual(result, { tool: "codex" });
   });
 
+  it("parses pi partner session", () => {
+    const result = parseSessionName("pi-partner-12345678-1234-1234-1234-123456789abc");
+    assert.deepStrictEqual(result, {
+      tool: "pi",
+      uuid: "12345678-1234-1234-1234-123456789abc",
+    });
+  });
+
   it("returns null for invalid session", () => {
     assert.strictEqual(parseSessionName("invalid"), null);
     assert.strictEqual(parseSessionName("random-string"), null);
@@ -247,6 +337,15 @@ Check for issues`;
     assert.strictEqual(result.tool, "codex");
   });
 
+  it("rejects the name reserved for replay", () => {
+    const content = `---
+watch: ["*.js"]
+---
+Check for issues`;
+    const result = parseAgentConfig("replay.md", content);
+    assert.match(result.error, /reserved/);
+  });
+
   it("returns error for missing frontmatter", () => {
     const content = `No frontmatter here`;
     const result = parseAgentConfig("bad.md", content);
@@ -306,6 +405,153 @@ Prompt`;
     assert.ok(result.error.includes("Empty watch array"));
   });
 
+  it("returns error for unknown tool", () => {
+    const content = `---
+tool: nope
+---
+Prompt`;
+    const result = parseAgentConfig("test.md", content);
+    assert.ok("error" in result);
+    assert.ok(result.error.includes("Invalid tool 'nope'"));
+    assert.ok(result.error.includes("claude, codex"));
+  });
+
+  it("rejects in-process tools that can't run in tmux", () => {
+    const content = `---
+tool: pi
+---
+Prompt`;
+    const result = parseAgentConfig("test.md", content);
+    assert.ok("error" in result);
+  });
+
+  it("defaults trigger to files", () => {
+    const result = parseAgentConfig("test.md", `---\nwatch: ["*.js"]\n---\nPrompt`);
+    assert.strictEqual(result.trigger, "files");
+  });
+
+  it("parses commit and staged triggers", () => {
+    for (const trigger of ["commit", "staged"]) {
+      const result = parseAgentConfig("test.md", `---\ntrigger: ${trigger}\n---\nPrompt`);
+      assert.strictEqual(result.trigger, trigger);
+    }
+  });
+
+  it("returns error for unknown trigger", () => {
+    const result = parseAgentConfig("test.md", `---\ntrigger: push\n---\nPrompt`);
+    assert.ok("error" in result);
+    assert.ok(result.error.includes("Invalid trigger 'push'"));
+    assert.ok(result.error.includes("files, commit, staged"));
+  });
+
+  it("parses a quoted schedule", () => {
+    const result = parseAgentConfig("test.md", `---\nschedule: "0 9 * * 1-5"\n---\nPrompt`);
+    assert.strictEqual(result.schedule, "0 9 * * 1-5");
+  });
+
+  it("defaults schedule to null", () => {
+    const result = parseAgentConfig("test.md", `---\ntool: claude\n---\nPrompt`);
+    assert.strictEqual(result.schedule, null);
+  });
+
+  it("returns error for invalid schedule", () => {
+    const result = parseAgentConfig("test.md", `---\nschedule: "0 25 * * *"\n---\nPrompt`);
+    assert.ok("error" in result);
+    assert.ok(result.error.includes("Invalid hour '25'"));
+  });
+
+  it("returns error when both trigger and schedule are set", () => {
+    const result = parseAgentConfig("test.md", `---\ntrigger: commit\nschedule: "@daily"\n---\nPrompt`);
+    assert.ok("error" in result);
+    assert.ok(result.error.includes("either 'trigger' or 'schedule'"));
+  });
+
+  it("parses block watch lists", () => {
+    const content = `---
+watch:
+  - "src/**/*.ts"
+  - "!src/generated/**"
+---
+Prompt`;
+    const result = parseAgentConfig("test.md", content);
+    assert.deepStrictEqual(result.watch, ["src/**/*.ts", "!src/generated/**"]);
+  });
+
+  it("parses model, allowedTools, cwd, description and enabled", () => {
+    const content = `---
+tool: claude
+model: sonnet
+allowedTools: [Read, "Bash(git log:*)"]
+cwd: packages/api
+description: Watches the API for breaking changes # shown to the agent
+enabled: false
+---
+Prompt`;
+    const result = parseAgentConfig("test.md", content);
+    assert.strictEqual(result.model, "sonnet");
+    assert.strictEqual(result.allowedTools, "Read Bash(git log:*)");
+    assert.strictEqual(result.yolo, false);
+    assert.strictEqual(result.cwd, "packages/api");
+    assert.strictEqual(result.description, "Watches the API for breaking changes");
+    assert.strictEqual(result.enabled, false);
+  });
+
+  it("defaults the new fields", () => {
+    const result = parseAgentConfig("test.md", `---\ntool: claude\n---\nPrompt`);
+    assert.strictEqual(result.model, null);
+    assert.strictEqual(result.allowedTools, null);
+    assert.strictEqual(result.yolo, false);
+    assert.strictEqual(result.cwd, null);
+    assert.strictEqual(result.enabled, true);
+  });
+
+  it("reports errors with line numbers", () => {
+    const content = `---
+tool: claude
+yolo: sometimes
+---
+Prompt`;
+    const result = parseAgentConfig("test.md", content);
+    assert.strictEqual(result.error, "Line 3: 'yolo' must be true or false");
+  });
+
+  it("rejects cwd outside the project", () => {
+    for (const cwd of ["/tmp", "../other"]) {
+      const result = parseAgentConfig("test.md", `---\ncwd: ${cwd}\n---\nPrompt`);
+      assert.ok(result.error.includes(`Invalid cwd '${cwd}'`));
+    }
+  });
+
+  it("parses contextBudget in tokens or thousands", () => {
+    assert.strictEqual(parseAgentConfig("test.md", `---\ncontextBudget: 150000\n---\nPrompt`).contextBudget, 150000);
+    assert.strictEqual(parseAgentConfig("test.md", `---\ncontextBudget: 80k\n---\nPrompt`).contextBudget, 80000);
+    assert.strictEqual(parseAgentConfig("test.md", `---\ntool: claude\n---\nPrompt`).contextBudget, 100000);
+  });
+
+  it("rejects invalid or tiny contextBudget", () => {
+    assert.ok(parseAgentConfig("test.md", `---\ncontextBudget: lots\n---\nPrompt`).error.includes("Invalid contextBudget 'lots'"));
+    assert.ok(parseAgentConfig("test.md", `---\ncontextBudget: 500\n---\nPrompt`).error.includes("at least 10000 tokens"));
+  });
+
+  it("parses quiet_hours as a string or a list", () => {
+    assert.deepStrictEqual(parseAgentConfig("test.md", `---\nquiet_hours: "22:00-07:00"\n---\nPrompt`).quietHours, [
+      { days: [0, 1, 2, 3, 4, 5, 6], start: 22 * 60, end: 7 * 60 },
+    ]);
+    const config = parseAgentConfig("test.md", `---\nquiet_hours:\n  - "Mon-Fri 12:00-13:00"\n  - Sat,Sun\n---\nPrompt`);
+    assert.strictEqual(config.quietHours.length, 2);
+    assert.strictEqual(parseAgentConfig("test.md", `---\ntool: claude\n---\nPrompt`).quietHours, null);
+  });
+
+  it("rejects invalid quiet_hours", () => {
+    assert.ok(parseAgentConfig("test.md", `---\nquiet_hours: nights\n---\nPrompt`).error.includes("Invalid day 'nights'"));
+    assert.ok(parseAgentConfig("test.md", `---\nquiet_hours: "25:00-07:00"\n---\nPrompt`).error.includes("Invalid time"));
+  });
+
+  it("rejects yolo together with allowedTools", () => {
+    const result = parseAgentConfig("test.md", `---\nyolo: true\nallowedTools: Read\n---\nPrompt`);
+    assert.ok(result.error.includes("either 'yolo' or 'allowedTools'"));
+  });
+
   it("accepts exclusion patterns with ! prefix", () => {
     const content = `---
 watch: ["**/*.ts", "!vendor/**"]
@@ -317,6 +563,97 @@ Prompt`;
   });
 });
 
+describe("parseToolDefinition", () => {
+  const minimal = JSON.stringify({ startCommand: "mytool", promptSymbol: "> " });
+
+  it("builds agent config with defaults", () => {
+    const config = parseToolDefinition("mytool.json", minimal);
+    assert.strictEqual(config.name, "mytool");
+    assert.strictEqual(config.displayName, "mytool");
+    assert.strictEqual(config.yoloCommand, "mytool");
+    assert.strictEqual(config.envVar, "AX_SESSION");
+  });
+
+  it("converts /regex/ strings to patterns", () => {
+    const config = parseToolDefinition(
+      "mytool.json",
+      JSON.stringify({
+        startCommand: "mytool",
+        promptSymbol: "> ",
+        thinkingPatterns: ["Working", "/\\d+s elapsed/"],
+        confirmPatterns: ["/allow .+\\?/i"],
+        rateLimitPattern: "quota (exceeded)",
+      }),
+    );
+    assert.strictEqual(config.thinkingPatterns[0], "Working");
+    assert.ok(config.thinkingPatterns[1].test("12s elapsed"));
+    assert.strictEqual(config.confirmPatterns[0]("Allow write to a.txt?"), true);
+    assert.ok(config.rateLimitPattern.test("quota (exceeded)"));
+    assert.ok(!config.rateLimitPattern.test("quota exceeded"));
+  });
+
+  it("checks for the binary startCommand runs, not the tool's name", () => {
+    const config = parseToolDefinition(
+      "mytool.json",
+      JSON.stringify({ startCommand: "MY_TOOL_MODE=chat node --no-warnings my-tool.js", promptSymbol: "> " }),
+    );
+    const agent = new Agent(config);
+    assert.strictEqual(agent.name, "mytool");
+    assert.strictEqual(agent.getBinary(), "node");
+    assert.strictEqual(agent.isInstalled(), true);
+    assert.strictEqual(CodexAgent.getBinary(), "codex");
+  });
+
+  it("only compacts tools that say how", () => {
+    assert.strictEqual(new Agent(parseToolDefinition("mytool.json", minimal)).compactCommand, null);
+    const def = { startCommand: "x", promptSymbol: ">", compactCommand: "/summarize" };
+    assert.strictEqual(new Agent(parseToolDefinition("mytool.json", JSON.stringify(def))).compactCommand, "/summarize");
+    assert.strictEqual(ClaudeAgent.compactCommand, "/compact");
+    assert.strictEqual(CodexAgent.compactCommand, "/compact");
+    assert.strictEqual(GeminiAgent.compactCommand, "/compress");
+    assert.strictEqual(AiderAgent.compactCommand, null);
+  });
+
+  it("returns error for missing required fields", () => {
+    const result = parseToolDefinition("mytool.json", JSON.stringify({ promptSymbol: ">" }));
+    assert.ok(result.error.includes("startCommand"));
+  });
+
+  it("returns error for unknown fields", () => {
+    const result = parseToolDefinition(
+      "mytool.json",
+      JSON.stringify({ startCommand: "x", promptSymbol: ">", spinner: ["*"] }),
+    );
+    assert.ok(result.error.includes("Unknown field 'spinner'"));
+  });
+
+  it("returns error for wrongly typed fields", () => {
+    const result = parseToolDefinition(
+      "mytool.json",
+      JSON.stringify({ startCommand: "x", promptSymbol: ">", spinners: "*" }),
+    );
+    assert.ok(result.error.includes("'spinners' must be an array"));
+  });
+
+  it("returns error for invalid JSON and regexes", () => {
+    assert.ok(parseToolDefinition("mytool.json", "{").error.includes("Invalid JSON"));
+    const badRegex = JSON.stringify({ startCommand: "x", promptSymbol: ">", thinkingPatterns: ["/(/"] });
+    assert.ok(parseToolDefinition("mytool.json", badRegex).error.includes("Invalid pattern"));
+  });
+
+  it("validates boolean fields", () => {
+    const def = { startCommand: "x", promptSymbol: ">", submitAnswers: true };
+    assert.strictEqual(parseToolDefinition("mytool.json", JSON.stringify(def)).submitAnswers, true);
+    const bad = { ...def, submitAnswers: "yes" };
+    assert.ok(parseToolDefinition("mytool.json", JSON.stringify(bad)).error.includes("true or false"));
+  });
+
+  it("rejects built-in and malformed names", () => {
+    assert.ok(parseToolDefinition("claude.json", minimal).error.includes("built-in"));
+    assert.ok(parseToolDefinition("My-Tool.json", minimal).error.includes("Invalid tool name"));
+  });
+});
+
 describe("parseKeySequence", () => {
   it("parses Enter key", () => {
     const result = parseKeySequence("[Enter]");
@@ -344,40 +681,751 @@ describe("parseKeySequence", () => {
     ]);
   });
 
-  it("parses number followed by Enter", () => {
-    const result = parseKeySequence("1[Enter]");
-    assert.deepStrictEqual(result, [
-      { type: "literal", value: "1" },
-      { type: "key", value: "Enter" },
-    ]);
+  it("parses number followed by Enter", () => {
+    const result = parseKeySequence("1[Enter]");
+    assert.deepStrictEqual(result, [
+      { type: "literal", value: "1" },
+      { type: "key", value: "Enter" },
+    ]);
+  });
+});
+
+describe("getClaudeProjectPath", () => {
+  it("converts absolute path to relative with dash separators", () => {
+    const result = getClaudeProjectPath("/Users/test/projects/myapp");
+    assert.strictEqual(result, "-Users-test-projects-myapp");
+  });
+});
+
+describe("matchesPattern", () => {
+  it("matches exact filename", () => {
+    assert.ok(matchesPattern("test.js", "test.js"));
+  });
+
+  it("matches wildcard extension", () => {
+    assert.ok(matchesPattern("test.js", "*.js"));
+    assert.ok(matchesPattern("foo.ts", "*.ts"));
+  });
+
+  it("matches double star glob", () => {
+    assert.ok(matchesPattern("src/components/Button.tsx", "src/**/*.tsx"));
+    assert.ok(matchesPattern("src/deep/nested/file.tsx", "src/**/*.tsx"));
+  });
+
+  it("rejects non-matching patterns", () => {
+    assert.ok(!matchesPattern("test.ts", "*.js"));
+    assert.ok(!matchesPattern("other/file.tsx", "src/**/*.tsx"));
+  });
+});
+
+describe("matchesWatchPatterns", () => {
+  it("matches include patterns", () => {
+    assert.ok(matchesWatchPatterns("src/app.ts", ["src/**/*.ts"]));
+    assert.ok(!matchesWatchPatterns("lib/app.ts", ["src/**/*.ts"]));
+  });
+
+  it("applies ! exclusions and the default exclusions", () => {
+    assert.ok(!matchesWatchPatterns("vendor/x.ts", ["**/*.ts", "!vendor/**"]));
+    assert.ok(!matchesWatchPatterns("pkg/node_modules/x.ts", ["**/*.ts"]));
+    assert.ok(matchesWatchPatterns("pkg/x.ts", ["**/*.ts", "!vendor/**"]));
+  });
+});
+
+// =============================================================================
+// Frontmatter - parseFrontmatter
+// =============================================================================
+
+describe("parseFrontmatter", () => {
+  it("parses scalars by type", () => {
+    const result = parseFrontmatter(`a: text\nb: 42\nc: true\nd: ~\ne: "quoted # not a comment"\nf: 'it''s'`);
+    assert.deepStrictEqual(result.values, {
+      a: "text",
+      b: 42,
+      c: true,
+      d: null,
+      e: "quoted # not a comment",
+      f: "it's",
+    });
+    assert.deepStrictEqual(result.lines, { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6 });
+  });
+
+  it("parses double-quoted strings ending in an escaped backslash", () => {
+    const result = parseFrontmatter(`cwd: "C:\\\\"\ndescription: "say \\"hi\\"" # comment`);
+    assert.deepStrictEqual(result.values, { cwd: "C:\\", description: 'say "hi"' });
+    assert.ok(parseFrontmatter(`a: "x\\"`).error.startsWith("Line 1: Unterminated string"));
+  });
+
+  it("parses flow and block lists, skipping comments and blank lines", () => {
+    const result = parseFrontmatter(`# comment\nflow: [a, "b, c"]\nblock:\n  - x\n\n  - y # trailing\nempty: []`);
+    assert.deepStrictEqual(result.values, { flow: ["a", "b, c"], block: ["x", "y"], empty: [] });
+  });
+
+  it("parses literal and folded block scalars", () => {
+    const result = parseFrontmatter(`lit: |\n  one\n  two\nfold: >\n  one\n  two\n\n  three\nnext: 1`);
+    assert.strictEqual(result.values.lit, "one\ntwo");
+    assert.strictEqual(result.values.fold, "one two\nthree");
+    assert.strictEqual(result.values.next, 1);
+  });
+
+  it("reports the offending line", () => {
+    assert.strictEqual(parseFrontmatter(`a: 1\na: 2`, 2).error, "Line 3: Duplicate field 'a' (first set on line 2)");
+    assert.ok(parseFrontmatter(`a: "open`).error.startsWith("Line 1: Unterminated string"));
+    assert.ok(parseFrontmatter(`a: [x, y`).error.startsWith("Line 1: Unterminated list"));
+    assert.ok(parseFrontmatter(`a:\n  b: 1`).error.startsWith("Line 2: Expected a '- item' list"));
+    assert.ok(parseFrontmatter(`a: 1\n  b`).error.startsWith("Line 2: Unexpected indentation"));
+    assert.ok(parseFrontmatter(`just text`).error.startsWith("Line 1: Expected 'field: value'"));
+  });
+});
+
+// =============================================================================
+// Cron schedules
+// =============================================================================
+
+describe("parseCron", () => {
+  it("expands lists, ranges and steps", () => {
+    const cron = parseCron("*/15 9-11,14 * * 1-5");
+    assert.ok(!("error" in cron));
+    assert.deepStrictEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.hours], [9, 10, 11, 14]);
+    assert.deepStrictEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.strictEqual(cron.days.size, 31);
+  });
+
+  it("expands macros and treats weekday 7 as Sunday", () => {
+    const cron = parseCron("@weekly");
+    assert.ok(!("error" in cron));
+    assert.deepStrictEqual([...cron.weekdays], [0]);
+    const sunday = parseCron("0 0 * * 7");
+    assert.ok(!("error" in sunday));
+    assert.deepStrictEqual([...sunday.weekdays], [0]);
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.ok("error" in parseCron("* * * *"));
+    assert.ok("error" in parseCron("60 * * * *"));
+    assert.ok("error" in parseCron("* * 0 * *"));
+    assert.ok("error" in parseCron("*/0 * * * *"));
+    assert.ok("error" in parseCron("5-1 * * * *"));
+    assert.ok("error" in parseCron("mon * * * *"));
+  });
+});
+
+describe("nextCronTime", () => {
+  /** @param {string} expression */
+  const cron = (expression) => {
+    const result = parseCron(expression);
+    assert.ok(!("error" in result));
+    return result;
+  };
+
+  it("finds the next matching minute, strictly after the given time", () => {
+    const next = nextCronTime(cron("30 9 * * *"), new Date(2025, 0, 6, 9, 30, 10));
+    assert.deepStrictEqual(next, new Date(2025, 0, 7, 9, 30));
+  });
+
+  it("skips to matching weekdays", () => {
+    // Saturday 4 January 2025 -> Monday 6 January
+    const next = nextCronTime(cron("0 9 * * 1-5"), new Date(2025, 0, 4, 12, 0));
+    assert.deepStrictEqual(next, new Date(2025, 0, 6, 9, 0));
+  });
+
+  it("matches either day of month or weekday when both are restricted", () => {
+    // The 15th, or any Friday: Friday 10 January comes first
+    const next = nextCronTime(cron("0 0 15 * 5"), new Date(2025, 0, 6));
+    assert.deepStrictEqual(next, new Date(2025, 0, 10));
+  });
+
+  it("returns null for dates that never happen", () => {
+    assert.strictEqual(nextCronTime(cron("0 0 31 2 *"), new Date(2025, 0, 1)), null);
+  });
+});
+
+describe("parseQuietHours", () => {
+  it("parses times, days and day ranges", () => {
+    assert.deepStrictEqual(parseQuietHours(["Mon-Fri 12:00-13:30"]), [{ days: [1, 2, 3, 4, 5], start: 720, end: 810 }]);
+    assert.deepStrictEqual(parseQuietHours(["sat,sun"]), [{ days: [0, 6], start: 0, end: 1440 }]);
+    assert.deepStrictEqual(parseQuietHours(["Fri-Mon 9:00-17:00"]), [{ days: [0, 1, 5, 6], start: 540, end: 1020 }]);
+  });
+
+  it("rejects malformed entries", () => {
+    assert.ok("error" in parseQuietHours(["22:00"]));
+    assert.ok("error" in parseQuietHours(["Mon-Fri 22:00-07:60"]));
+    assert.ok("error" in parseQuietHours(["Someday 22:00-07:00"]));
+  });
+});
+
+describe("isInQuietHours", () => {
+  /** @param {string} entry */
+  const ranges = (entry) => {
+    const result = parseQuietHours([entry]);
+    assert.ok(!("error" in result));
+    return result;
+  };
+
+  it("matches times within a range on its days", () => {
+    // Monday 6 January 2025
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 12:00-13:00"), new Date(2025, 0, 6, 12, 30)), true);
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 12:00-13:00"), new Date(2025, 0, 6, 13, 0)), false);
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 12:00-13:00"), new Date(2025, 0, 4, 12, 30)), false);
+  });
+
+  it("wraps ranges past midnight into the next day", () => {
+    // Friday night quiet hours run into Saturday morning, but Sunday's don't start
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 22:00-07:00"), new Date(2025, 0, 10, 23, 0)), true);
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 22:00-07:00"), new Date(2025, 0, 11, 6, 59)), true);
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 22:00-07:00"), new Date(2025, 0, 5, 23, 0)), false);
+    assert.strictEqual(isInQuietHours(ranges("Mon-Fri 22:00-07:00"), new Date(2025, 0, 6, 6, 0)), false);
+  });
+});
+
+// =============================================================================
+// Archangel supervisor
+// =============================================================================
+
+describe("getSupervisorBackoffMs", () => {
+  it("doubles per consecutive crash up to the cap", () => {
+    assert.strictEqual(getSupervisorBackoffMs(1), 5000);
+    assert.strictEqual(getSupervisorBackoffMs(2), 10000);
+    assert.strictEqual(getSupervisorBackoffMs(3), 20000);
+    assert.strictEqual(getSupervisorBackoffMs(20), 300000);
+  });
+});
+
+describe("getRetryDelayMs", () => {
+  const now = new Date(2025, 0, 6, 14, 30);
+
+  it("returns the time until a later retry time today", () => {
+    assert.strictEqual(getRetryDelayMs("3:45 PM", now), 75 * 60 * 1000);
+    assert.strictEqual(getRetryDelayMs("3:45pm", now), 75 * 60 * 1000);
+  });
+
+  it("rolls over to tomorrow for times already past", () => {
+    assert.strictEqual(getRetryDelayMs("12:00 AM", now), 9.5 * 60 * 60 * 1000);
+    assert.strictEqual(getRetryDelayMs("2:30 PM", now), 24 * 60 * 60 * 1000);
+  });
+
+  it("accepts ISO times and durations", () => {
+    const at = new Date(now.getTime() + 90 * 60 * 1000).toISOString();
+    assert.strictEqual(getRetryDelayMs(at, now), 90 * 60 * 1000);
+    assert.strictEqual(getRetryDelayMs("2020-01-01T00:00:00Z", now), 0);
+    assert.strictEqual(getRetryDelayMs("in 2 hours", now), 2 * 60 * 60 * 1000);
+    assert.strictEqual(getRetryDelayMs("1h 30m", now), 90 * 60 * 1000);
+    assert.strictEqual(getRetryDelayMs("38.5s", now), 38500);
+  });
+
+  it("returns null for unparseable times", () => {
+    assert.strictEqual(getRetryDelayMs("unknown", now), null);
+    assert.strictEqual(getRetryDelayMs("15:45", now), null);
+  });
+});
+
+describe("parseRetryTime", () => {
+  const now = new Date(Date.UTC(2025, 0, 6, 14, 30));
+  /** @param {string} screen */
+  const parse = (screen) => ClaudeAgent.parseRetryTime(screen, now);
+
+  it("keeps times of day and ISO times as shown", () => {
+    assert.strictEqual(parse("Limit reached · try again at 3:45 PM"), "3:45 PM");
+    assert.strictEqual(parse("Quota resets at 2025-01-06T18:00:00Z."), "2025-01-06T18:00:00Z");
+  });
+
+  it("turns relative durations into ISO times", () => {
+    assert.strictEqual(parse("Usage limit hit. Try again in 3 days 2 hours 5 minutes."), "2025-01-09T16:35:00.000Z");
+    assert.strictEqual(parse("Please retry in 38.5s"), "2025-01-06T14:30:38.500Z");
+  });
+
+  it("returns unknown without a retry time", () => {
+    assert.strictEqual(parse("rate limit exceeded"), "unknown");
+  });
+});
+
+describe("summarizeArchangel", () => {
+  const config = {
+    name: "reviewer", tool: "claude", watch: ["**/*.js"], interval: 10, trigger: "files", schedule: null,
+    model: null, allowedTools: null, yolo: false, cwd: null, description: null, enabled: true, contextBudget: 100000, quietHours: null, prompt: "",
+  };
+  const state = {
+    name: "reviewer", pid: 123, session: "claude-archangel-reviewer-x", startedAt: "2025-01-06T10:00:00Z",
+    parentSession: "claude-partner-y", lastTriggerAt: "2025-01-06T11:00:00Z", pendingChanges: 3,
+    observations: 4, repeats: 2, responses: 4, totalResponseMs: 10000, compactions: 1, contextTokens: 42000, lastError: null, updatedAt: "2025-01-06T11:00:00Z",
+  };
+  const supervisor = {
+    name: "reviewer", pid: 99, childPid: null, status: "backoff", restarts: 2, crashes: 1,
+    lastExit: { code: 1, signal: null, at: "2025-01-06T11:05:00Z" }, retryTime: null,
+    nextStartAt: "2025-01-06T11:06:00Z", updatedAt: "2025-01-06T11:05:00Z",
+  };
+
+  it("reports a running archangel from its state", () => {
+    const listing = summarizeArchangel(config, { session: "claude-archangel-reviewer-x", state, supervisor: null, supervised: false });
+    assert.strictEqual(listing.status, "running");
+    assert.strictEqual(listing.pendingChanges, 3);
+    assert.strictEqual(listing.averageResponseMs, 2500);
+    assert.strictEqual(listing.parentSession, "claude-partner-y");
+    assert.strictEqual(listing.contextTokens, 42000);
+    assert.strictEqual(listing.contextBudget, 100000);
+  });
+
+  it("reports the supervisor's status between restarts", () => {
+    const listing = summarizeArchangel(config, { session: null, state, supervisor, supervised: true });
+    assert.strictEqual(listing.status, "backoff");
+    assert.strictEqual(listing.nextStartAt, "2025-01-06T11:06:00Z");
+    assert.strictEqual(listing.pendingChanges, 0);
+  });
+
+  it("falls back to the supervisor's last crash for errors", () => {
+    const listing = summarizeArchangel(config, { session: null, state: null, supervisor, supervised: false });
+    assert.strictEqual(listing.status, "stopped");
+    assert.deepStrictEqual(listing.lastError, { message: "Exited with code 1", at: "2025-01-06T11:05:00Z" });
+    assert.strictEqual(listing.averageResponseMs, null);
+  });
+
+  it("reports paused and quiet archangels while their session is up", () => {
+    const session = "claude-archangel-reviewer-x";
+    const paused = summarizeArchangel(config, { session, state, supervisor: null, supervised: false, pause: { mode: "drop", reason: "paused" } });
+    assert.strictEqual(paused.status, "paused");
+    assert.strictEqual(paused.pauseMode, "drop");
+    const quiet = summarizeArchangel(config, { session, state, supervisor: null, supervised: false, pause: { mode: "accumulate", reason: "quiet hours" } });
+    assert.strictEqual(quiet.status, "quiet");
+    const stopped = summarizeArchangel(config, { session: null, state, supervisor: null, supervised: false, pause: { mode: "drop", reason: "paused" } });
+    assert.strictEqual(stopped.status, "stopped");
+    assert.strictEqual(stopped.pauseMode, null);
+  });
+
+  it("marks stopped disabled archangels", () => {
+    const listing = summarizeArchangel({ ...config, enabled: false }, { session: null, state: null, supervisor: null, supervised: false });
+    assert.strictEqual(listing.status, "disabled");
+  });
+});
+
+describe("formatReplayReport", () => {
+  const observation = (id, commit, message, extra = {}) => ({
+    id, timestamp: "2025-01-06T10:00:00Z", type: "observation", status: "new",
+    payload: { agent: "bugs", session: "s", branch: "main..HEAD", commit, files: ["src/a.js"], message, severity: "critical" },
+    ...extra,
+  });
+
+  it("lists each observation under the commit that raised it", () => {
+    const report = formatReplayReport({
+      archangel: "bugs", range: "main..HEAD", commits: 3, error: null,
+      reviewed: [
+        { commit: "aaaaaaa111", subject: "Add parser", files: ["src/a.js"], observation: "1" },
+        { commit: "bbbbbbb222", subject: "Tweak parser", files: ["src/a.js"], observation: "1" },
+      ],
+      observations: [observation("1", "aaaaaaa111", "src/a.js:10 crashes on empty input", { occurrences: 2 })],
+    });
+    assert.ok(report.startsWith("# Replay: bugs (main..HEAD)"));
+    assert.ok(report.includes("3 commit(s), 2 reviewed, 1 observation(s) (+1 repeats merged)"));
+    assert.ok(report.includes("## aaaaaaa Add parser · critical · seen 2×"));
+    assert.ok(report.includes("src/a.js:10 crashes on empty input"));
+  });
+
+  it("says why a replay stopped early", () => {
+    const report = formatReplayReport({
+      archangel: "bugs", range: "main..HEAD", commits: 5, reviewed: [], observations: [], error: "rate limited until 3pm",
+    });
+    assert.ok(report.includes("Stopped early: rate limited until 3pm"));
+  });
+});
+
+describe("renderBuiltinTemplate", () => {
+  it("renders every built-in template as a valid archangel", () => {
+    for (const kind of Object.keys(BUILTIN_ARCHANGEL_TEMPLATES)) {
+      const template = BUILTIN_ARCHANGEL_TEMPLATES[kind];
+      const config = parseAgentConfig(`${kind}.md`, renderBuiltinTemplate(kind));
+      assert.ok(!("error" in config), `${kind}: ${config.error}`);
+      assert.deepStrictEqual(config.watch, template.watch);
+      assert.strictEqual(config.interval, template.interval);
+      assert.strictEqual(config.description, template.description);
+      assert.strictEqual(config.prompt, template.prompt);
+    }
+  });
+
+  it("includes the requested kinds", () => {
+    for (const kind of ["security", "performance", "test-coverage", "api-compat", "accessibility", "docs-drift"]) {
+      assert.ok(kind in BUILTIN_ARCHANGEL_TEMPLATES, kind);
+    }
+  });
+});
+
+describe("getLogContextUsage", () => {
+  it("sums prompt, cache and output tokens of Claude's latest reply", () => {
+    const entries = [
+      { type: "assistant", message: { usage: { input_tokens: 1, output_tokens: 1 } } },
+      { type: "user", message: { content: "hi" } },
+      {
+        type: "assistant",
+        message: { usage: { input_tokens: 10, cache_creation_input_tokens: 200, cache_read_input_tokens: 3000, output_tokens: 40 } },
+      },
+    ];
+    assert.deepStrictEqual(getLogContextUsage(entries, "claude"), { used: 3250, window: null });
+  });
+
+  it("reads Codex token_count events with the context window", () => {
+    const entries = [
+      {
+        type: "event_msg",
+        payload: {
+          type: "token_count",
+          info: { last_token_usage: { input_tokens: 5000, cached_input_tokens: 4000, output_tokens: 300 }, model_context_window: 272000 },
+        },
+      },
+    ];
+    assert.deepStrictEqual(getLogContextUsage(entries, "codex"), { used: 5300, window: 272000 });
+  });
+
+  it("returns null when the session was compacted since the last reply", () => {
+    const claude = [
+      { type: "assistant", message: { usage: { input_tokens: 90000, output_tokens: 10 } } },
+      { type: "system", subtype: "compact_boundary" },
+    ];
+    assert.strictEqual(getLogContextUsage(claude, "claude"), null);
+    const codex = [
+      { type: "event_msg", payload: { type: "token_count", info: { last_token_usage: { input_tokens: 9 } } } },
+      { type: "compacted", payload: { message: "summary" } },
+    ];
+    assert.strictEqual(getLogContextUsage(codex, "codex"), null);
+  });
+});
+
+describe("parseContextLeftPercent", () => {
+  it("reads Codex and Claude status lines", () => {
+    assert.strictEqual(parseContextLeftPercent("  42% context left · ? for shortcuts"), 42);
+    assert.strictEqual(parseContextLeftPercent("Context left until auto-compact: 12%"), 12);
+  });
+
+  it("returns null without a context figure", () => {
+    assert.strictEqual(parseContextLeftPercent("› Ready"), null);
+  });
+});
+
+describe("formatElapsed", () => {
+  it("picks the largest sensible unit", () => {
+    assert.strictEqual(formatElapsed(45000), "45s");
+    assert.strictEqual(formatElapsed(12 * 60000), "12m");
+    assert.strictEqual(formatElapsed(3 * 3600000), "3h");
+    assert.strictEqual(formatElapsed(3 * 86400000), "3d");
+  });
+});
+
+// =============================================================================
+// Mailbox
+// =============================================================================
+
+describe("parseMailbox", () => {
+  const now = Date.parse("2025-01-06T12:00:00Z");
+  const line = (obj) => JSON.stringify(obj);
+  const observation = (id, message, timestamp = "2025-01-06T11:00:00Z") =>
+    line({ id, timestamp, type: "observation", payload: { agent: "reviewer", message } });
+  const status = (id, s, note) =>
+    line({ timestamp: "2025-01-06T11:30:00Z", type: "status", payload: { id, status: s, ...(note ? { note } : {}) } });
+
+  it("defaults entries to new and keeps their ids", () => {
+    const entries = parseMailbox(observation("aaaa1111", "one"), { now });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].id, "aaaa1111");
+    assert.strictEqual(entries[0].status, "new");
+  });
+
+  it("derives a stable id for entries written before ids existed", () => {
+    const legacy = line({ timestamp: "2025-01-06T11:00:00Z", type: "observation", payload: { agent: "a" } });
+    const [first] = parseMailbox(legacy, { now });
+    const [second] = parseMailbox(legacy, { now });
+    assert.match(first.id, /^[0-9a-f]{8}$/);
+    assert.strictEqual(first.id, second.id);
+  });
+
+  it("folds the latest status update into its entry", () => {
+    const text = [
+      observation("aaaa1111", "one"),
+      status("aaaa1111", "acked"),
+      status("aaaa1111", "resolved", "fixed in abc123"),
+    ].join("\n");
+    const [entry] = parseMailbox(text, { now });
+    assert.strictEqual(entry.status, "resolved");
+    assert.strictEqual(entry.statusNote, "fixed in abc123");
+    assert.strictEqual(entry.statusAt, "2025-01-06T11:30:00Z");
+  });
+
+  it("filters by status without counting status lines as entries", () => {
+    const text = [
+      observation("aaaa1111", "one"),
+      observation("bbbb2222", "two"),
+      status("bbbb2222", "dismissed"),
+    ].join("\n");
+    const open = parseMailbox(text, { now, status: ["new", "acked"] });
+    assert.deepStrictEqual(open.map((e) => e.id), ["aaaa1111"]);
+    assert.strictEqual(parseMailbox(text, { now }).length, 2);
+  });
+
+  it("counts repeats and keeps repeated entries current", () => {
+    const repeat = line({ timestamp: "2025-01-06T11:50:00Z", type: "repeat", payload: { id: "aaaa1111", commit: "def" } });
+    const text = [observation("aaaa1111", "one", "2025-01-06T09:00:00Z"), repeat, repeat].join("\n");
+    const [entry] = parseMailbox(text, { now, maxAge: 60 * 60 * 1000 });
+    assert.strictEqual(entry.occurrences, 3);
+    assert.strictEqual(entry.repeatedAt, "2025-01-06T11:50:00Z");
+  });
+
+  it("applies the status filter before the limit", () => {
+    const text = [
+      observation("aaaa1111", "one"),
+      observation("bbbb2222", "two"),
+      status("bbbb2222", "dismissed"),
+    ].join("\n");
+    const entries = parseMailbox(text, { now, limit: 1, status: ["new"] });
+    assert.deepStrictEqual(entries.map((e) => e.id), ["aaaa1111"]);
+  });
+});
+
+describe("parseObservationSeverity", () => {
+  it("splits a leading severity tag off the message", () => {
+    assert.deepStrictEqual(parseObservationSeverity("[critical] Token is logged in plain text"), {
+      severity: "critical",
+      message: "Token is logged in plain text",
+    });
+    assert.deepStrictEqual(parseObservationSeverity("  [INFO]\nThe cache is rebuilt on every call"), {
+      severity: "info",
+      message: "The cache is rebuilt on every call",
+    });
+  });
+
+  it("accepts bold tags and [warning]", () => {
+    assert.deepStrictEqual(parseObservationSeverity("**[warning]**: Retry loop has no backoff"), {
+      severity: "warn",
+      message: "Retry loop has no backoff",
+    });
+  });
+
+  it("defaults untagged responses to warn", () => {
+    assert.deepStrictEqual(parseObservationSeverity("The [info] field is never read"), {
+      severity: "warn",
+      message: "The [info] field is never read",
+    });
+  });
+});
+
+describe("getObservationSimilarity", () => {
+  it("ignores case, markdown and numbers", () => {
+    assert.strictEqual(
+      getObservationSimilarity("**Missing** null check in `parseConfig` (line 42)", "missing NULL check in parseConfig, line 57"),
+      1,
+    );
+  });
+
+  it("scores unrelated observations low", () => {
+    const score = getObservationSimilarity("Missing null check in parseConfig", "The retry loop never backs off");
+    assert.ok(score < 0.2, `expected < 0.2, got ${score}`);
+  });
+});
+
+describe("findDuplicateObservation", () => {
+  /** @param {string} id @param {string} message @param {string[]} files */
+  const entry = (id, message, files) => ({
+    id,
+    timestamp: "2025-01-06T11:00:00Z",
+    type: "observation",
+    status: "new",
+    payload: { agent: "reviewer", session: "s", branch: "main", commit: "abc", files, message },
+  });
+
+  it("matches a rephrased observation about the same files", () => {
+    const earlier = [entry("aaaa1111", "parseConfig returns undefined when the config file is empty, so callers crash", ["src/config.js"])];
+    const dup = findDuplicateObservation(
+      { message: "When the config file is empty parseConfig returns undefined, and callers crash", files: ["src/config.js"] },
+      earlier,
+    );
+    assert.strictEqual(dup?.id, "aaaa1111");
+  });
+
+  it("ignores similar observations about other files", () => {
+    const earlier = [entry("aaaa1111", "parseConfig returns undefined when the config file is empty", ["src/config.js"])];
+    const dup = findDuplicateObservation(
+      { message: "parseConfig returns undefined when the config file is empty", files: ["src/other.js"] },
+      earlier,
+    );
+    assert.strictEqual(dup, null);
+  });
+
+  it("accepts looser wording when both point at the same line", () => {
+    const earlier = [entry("aaaa1111", "src/config.js:40 - the empty-file case returns undefined and callers crash on it", ["src/config.js"])];
+    const dup = findDuplicateObservation(
+      { message: "config.js:44 still returns undefined for an empty file, so callers crash", files: ["src/api.js"] },
+      earlier,
+    );
+    assert.strictEqual(dup?.id, "aaaa1111");
+  });
+
+  it("prefers the closest match", () => {
+    const earlier = [
+      entry("aaaa1111", "parseConfig returns undefined for empty files and the retry loop never backs off", ["a.js"]),
+      entry("bbbb2222", "parseConfig returns undefined for empty files", ["a.js"]),
+    ];
+    const dup = findDuplicateObservation({ message: "parseConfig returns undefined for empty files", files: ["a.js"] }, earlier);
+    assert.strictEqual(dup?.id, "bbbb2222");
+  });
+});
+
+describe("partitionObservation", () => {
+  const earlier = [
+    {
+      id: "abc",
+      timestamp: "2025-01-06T11:00:00Z",
+      type: "observation",
+      status: "new",
+      payload: {
+        agent: "reviewer",
+        files: ["src/db.js"],
+        message: "src/db.js:42 builds the SQL query by concatenating the user id, which allows SQL injection",
+      },
+    },
+  ];
+  const files = ["src/db.js"];
+
+  it("writes the new findings of a response that also repeats an old one", () => {
+    const message = [
+      "Two issues:",
+      "- src/db.js:43 still concatenates the user id into the SQL query (SQL injection)",
+      "- src/db.js:90 deleteUser ignores the returned row count, so deleting a missing user reports success",
+    ].join("\n");
+    const { repeats, fresh } = partitionObservation({ message, files }, earlier);
+    assert.deepStrictEqual(
+      repeats.map((e) => e.id),
+      ["abc"],
+    );
+    assert.strictEqual(
+      fresh,
+      "Two issues:\n- src/db.js:90 deleteUser ignores the returned row count, so deleting a missing user reports success",
+    );
+  });
+
+  it("splits paragraphs that point at different places", () => {
+    const message =
+      "src/db.js:42 concatenates the user id into the SQL query, allowing SQL injection.\n\n" +
+      "src/db.js:90 deleteUser never checks the row count.";
+    const { repeats, fresh } = partitionObservation({ message, files }, earlier);
+    assert.strictEqual(repeats.length, 1);
+    assert.strictEqual(fresh, "src/db.js:90 deleteUser never checks the row count.");
+  });
+
+  it("merges a response that only repeats", () => {
+    const message = "- src/db.js:42 the SQL query concatenates the user id (SQL injection)";
+    assert.deepStrictEqual(partitionObservation({ message, files }, earlier), { repeats: [earlier[0]], fresh: null });
+  });
+
+  it("keeps a wholly new response as it is", () => {
+    const message = "- src/db.js:90 deleteUser never checks the row count\n- src/db.js:120 the pool is never closed";
+    assert.deepStrictEqual(partitionObservation({ message, files }, earlier), { repeats: [], fresh: message });
+  });
+});
+
+describe("gcMailboxLines", () => {
+  const now = Date.parse("2025-01-06T12:00:00Z");
+  const day = 24 * 60 * 60 * 1000;
+  const line = (obj) => JSON.stringify(obj);
+  const observation = (id, timestamp) => line({ id, timestamp, type: "observation", payload: { agent: "a", message: id } });
+  const update = (type, id, timestamp) => line({ timestamp, type, payload: { id, ...(type === "status" ? { status: "dismissed" } : {}) } });
+
+  it("drops entries nothing has referred to within the cutoff", () => {
+    const text = [observation("old", "2025-01-04T12:00:00Z"), observation("new", "2025-01-06T11:00:00Z")].join("\n");
+    assert.deepStrictEqual(gcMailboxLines(text, day, now).map((l) => JSON.parse(l).id), ["new"]);
+  });
+
+  it("keeps old entries, with all their updates, while a recent update refers to them", () => {
+    const text = [
+      observation("repeated", "2025-01-04T12:00:00Z"),
+      observation("dismissed", "2025-01-04T12:00:00Z"),
+      update("repeat", "repeated", "2025-01-04T13:00:00Z"),
+      update("status", "dismissed", "2025-01-04T13:00:00Z"),
+      update("repeat", "repeated", "2025-01-06T10:00:00Z"),
+      update("repeat", "dismissed", "2025-01-06T10:00:00Z"),
+    ].join("\n");
+    assert.strictEqual(gcMailboxLines(text, day, now).length, 6);
+  });
+
+  it("drops updates whose entry is gone", () => {
+    const text = [update("status", "gone", "2025-01-06T11:00:00Z"), update("repeat", "gone", "2025-01-06T11:00:00Z")].join("\n");
+    assert.deepStrictEqual(gcMailboxLines(text, day, now), []);
+  });
+});
+
+describe("getUndeliveredEntries", () => {
+  const entry = (id, severity, extra = {}) => ({
+    id, timestamp: "2025-01-06T11:00:00Z", type: "observation", status: "new",
+    payload: { agent: "reviewer", session: "claude-archangel-reviewer-x", message: `about ${id}`, ...(severity ? { severity } : {}) },
+    ...extra,
+  });
+
+  it("returns open critical and warn entries not yet shown", () => {
+    const entries = [entry("a", "critical"), entry("b", "warn"), entry("c", "info"), entry("d", null), entry("e", "critical", { status: "dismissed" })];
+    assert.deepStrictEqual(getUndeliveredEntries(entries, undefined).map((e) => e.id), ["a", "b", "d"]);
+  });
+
+  it("skips entries in the session's seen ids or before its timestamp", () => {
+    const entries = [entry("a", "warn"), entry("b", "warn")];
+    assert.deepStrictEqual(getUndeliveredEntries(entries, { at: 0, since: 0, ids: ["a"] }).map((e) => e.id), ["b"]);
+    // Older hook versions stored a bare timestamp
+    assert.deepStrictEqual(getUndeliveredEntries(entries, Date.parse("2025-01-06T11:30:00Z")), []);
   });
 });
 
-describe("getClaudeProjectPath", () => {
-  it("converts absolute path to relative with dash separators", () => {
-    const result = getClaudeProjectPath("/Users/test/projects/myapp");
-    assert.strictEqual(result, "-Users-test-projects-myapp");
+describe("formatMailboxDelivery", () => {
+  it("formats entries like the mailbox hook", () => {
+    const message = formatMailboxDelivery([
+      {
+        id: "aaaa1111", timestamp: "2025-01-06T11:00:00Z", type: "observation", status: "new",
+        payload: { agent: "reviewer", session: "claude-archangel-reviewer-12345678-1234-1234-1234-123456789abc", branch: "main", commit: "abc", files: [], message: "Null check missing", severity: "critical" },
+      },
+    ]);
+    assert.ok(message.startsWith("## Background Agents"));
+    assert.ok(message.includes("**[reviewer]** (aaaa1111, critical)\n\nNull check missing"));
+    assert.ok(message.includes("`./ax.js log claude-archangel-reviewer`"));
+    assert.ok(message.includes("./ax.js mailbox resolve <id>"));
   });
 });
 
-describe("matchesPattern", () => {
-  it("matches exact filename", () => {
-    assert.ok(matchesPattern("test.js", "test.js"));
+describe("renderAgentsMdSection", () => {
+  const entries = [
+    {
+      id: "aaaa1111", timestamp: "2025-01-06T11:00:00Z", type: "observation", status: "new",
+      payload: { agent: "reviewer", session: "s", branch: "main", commit: "abc", files: [], message: "Null check\nmissing", severity: "warn" },
+    },
+  ];
+
+  it("appends the section after existing content", () => {
+    const result = renderAgentsMdSection("# Project\n\nUse pnpm.\n", entries);
+    assert.ok(result.startsWith("# Project\n\nUse pnpm.\n\n<!-- ax:mailbox:start -->"));
+    assert.ok(result.includes("- **[reviewer]** (aaaa1111, warn) Null check missing"));
+    assert.ok(result.endsWith("<!-- ax:mailbox:end -->\n"));
   });
 
-  it("matches wildcard extension", () => {
-    assert.ok(matchesPattern("test.js", "*.js"));
-    assert.ok(matchesPattern("foo.ts", "*.ts"));
+  it("replaces the section in place and keeps what follows", () => {
+    const first = renderAgentsMdSection("# Project\n", entries) + "\n## Later\n";
+    const second = renderAgentsMdSection(first, [{ ...entries[0], id: "bbbb2222" }]);
+    assert.ok(second.includes("(bbbb2222, warn)"));
+    assert.ok(!second.includes("aaaa1111"));
+    assert.ok(second.endsWith("<!-- ax:mailbox:end -->\n\n## Later\n"));
   });
 
-  it("matches double star glob", () => {
-    assert.ok(matchesPattern("src/components/Button.tsx", "src/**/*.tsx"));
-    assert.ok(matchesPattern("src/deep/nested/file.tsx", "src/**/*.tsx"));
+  it("removes the section when nothing is open, and leaves files without one alone", () => {
+    const withSection = renderAgentsMdSection("# Project\n", entries);
+    assert.strictEqual(renderAgentsMdSection(withSection, []), "# Project\n");
+    assert.strictEqual(renderAgentsMdSection("# Project\n", []), "# Project\n");
+    assert.strictEqual(renderAgentsMdSection("", []), "");
+  });
+});
+
+describe("diffSnapshots", () => {
+  it("returns the hunks between two snapshots under the file's name", () => {
+    const diff = diffSnapshots("src/a.js", "one\ntwo\nthree\n", "one\n2\nthree\n");
+    assert.strictEqual(diff, "--- a/src/a.js\n+++ b/src/a.js\n@@ -1,3 +1,3 @@\n one\n-two\n+2\n three");
   });
 
-  it("rejects non-matching patterns", () => {
-    assert.ok(!matchesPattern("test.ts", "*.js"));
-    assert.ok(!matchesPattern("other/file.tsx", "src/**/*.tsx"));
+  it("diffs created and deleted files against /dev/null", () => {
+    assert.ok(diffSnapshots("new.js", null, "hi\n").startsWith("--- /dev/null\n+++ b/new.js\n@@ -0,0 +1 @@\n+hi"));
+    assert.ok(diffSnapshots("old.js", "bye\n", null).startsWith("--- a/old.js\n+++ /dev/null\n"));
+  });
+
+  it("returns nothing for unchanged files", () => {
+    assert.strictEqual(diffSnapshots("a.js", "same\n", "same\n"), "");
   });
 });
 
@@ -742,6 +1790,291 @@ Do you want to proceed?
 // Permission utilities
 // =============================================================================
 
+describe("detectState (Aider)", () => {
+  it("detects ready at the input prompt", () => {
+    const screen = `Aider v0.86.1
+Main model: anthropic/claude-sonnet-4 with diff edit format
+Git repo: .git with 42 files
+Repo-map: using 4096 tokens, auto refresh
+───────────────────────────────────────────────
+> `;
+    assert.strictEqual(detectState(screen, AiderAgent), State.READY);
+  });
+
+  it("detects ready at mode prompts", () => {
+    const screen = `Sure, the tests live in test/.
+
+Tokens: 2.1k sent, 120 received. Cost: $0.01 message, $0.02 session.
+───────────────────────────────────────────────
+ax.js
+ask> `;
+    assert.strictEqual(detectState(screen, AiderAgent), State.READY);
+  });
+
+  it("detects thinking while waiting for the model", () => {
+    const screen = `> explain the retry logic
+
+⠹ Waiting for anthropic/claude-sonnet-4`;
+    assert.strictEqual(detectState(screen, AiderAgent), State.THINKING);
+  });
+
+  it("detects y/n confirmations", () => {
+    const screen = `npm test
+
+Run shell command? (Y)es/(N)o/(D)on't ask again [Yes]: `;
+    assert.strictEqual(detectState(screen, AiderAgent), State.CONFIRMING);
+  });
+
+  it("detects add-file confirmations", () => {
+    const screen = `src/retry.js
+Add file to the chat? (Y)es/(N)o/(A)ll/(S)kip all/(D)on't ask again [Yes]:`;
+    assert.strictEqual(detectState(screen, AiderAgent), State.CONFIRMING);
+  });
+
+  it("ignores questions that were already answered", () => {
+    const screen = `Run shell command? (Y)es/(N)o/(D)on't ask again [Yes]: y
+
+Running npm test
+5 passing
+───────────────────────────────────────────────
+> `;
+    assert.strictEqual(detectState(screen, AiderAgent), State.READY);
+  });
+
+  it("detects rate limits", () => {
+    const screen = `litellm.RateLimitError: AnthropicException - rate_limit_error
+The API provider has rate limited you. Try again later or check your quotas.
+Retrying in 2.0 seconds...`;
+    assert.strictEqual(detectState(screen, AiderAgent), State.RATE_LIMITED);
+  });
+});
+
+describe("parseAiderChatHistory", () => {
+  const history = `
+# aider chat started at 2025-01-10 09:00:00
+
+> /usr/local/bin/aider --no-check-update
+> Aider v0.86.1
+
+#### what does retry() do?
+
+It retries the request with exponential backoff.
+
+> Tokens: 2.1k sent, 120 received.
+
+#### make it cap at 5 attempts
+#### and log each retry
+
+I'll update \`retry()\`:
+
+src/retry.js
+\`\`\`
+<<<<<<< SEARCH
+=======
+>>>>>>> REPLACE
+\`\`\`
+
+> Applied edit to src/retry.js
+> Commit 1a2b3c4 feat: Cap retries at 5 attempts
+`;
+
+  it("extracts assistant replies in order", () => {
+    const responses = parseAiderChatHistory(history);
+    assert.strictEqual(responses.length, 2);
+    assert.strictEqual(responses[0], "It retries the request with exponential backoff.");
+    assert.ok(responses[1].startsWith("I'll update `retry()`:"));
+    assert.ok(!responses[1].includes("Applied edit"));
+  });
+
+  it("ignores session headers and turns without replies", () => {
+    const content = `# aider chat started at 2025-01-10 09:00:00
+
+#### hello
+
+> Tokens: 10 sent
+`;
+    assert.deepStrictEqual(parseAiderChatHistory(content), []);
+  });
+
+  it("reads each ax session's own history file", () => {
+    const session = "aider-partner-11111111-2222-3333-4444-555555555555";
+    const other = "aider-partner-66666666-7777-8888-9999-000000000000";
+    const historyPath = AiderAgent.getCommand(false, session).match(/--chat-history-file "(.+)"$/)[1];
+    assert.ok(historyPath.includes(session));
+    AiderAgent.prepareSession(session);
+    writeFileSync(historyPath, history);
+    try {
+      assert.strictEqual(AiderAgent.responseReader(session, -1), "It retries the request with exponential backoff.");
+      assert.strictEqual(AiderAgent.responseReader(other, 0), null);
+    } finally {
+      rmSync(historyPath, { force: true });
+    }
+  });
+});
+
+describe("detectState (Gemini)", () => {
+  it("detects ready at the input box", () => {
+    const screen = `✦ The retry logic caps at five attempts.
+
+╭──────────────────────────────────────────────╮
+│ >   Type your message or @path/to/file        │
+╰──────────────────────────────────────────────╯
+~/project      no sandbox      gemini-2.5-pro (98% context left)`;
+    assert.strictEqual(detectState(screen, GeminiAgent), State.READY);
+  });
+
+  it("detects thinking while the model responds", () => {
+    const screen = `> explain the retry logic
+
+⠼ Reading the code (esc to cancel, 4s)
+
+╭──────────────────────────────────────────────╮
+│ >   Type your message or @path/to/file        │
+╰──────────────────────────────────────────────╯`;
+    assert.strictEqual(detectState(screen, GeminiAgent), State.THINKING);
+  });
+
+  it("detects tool confirmations", () => {
+    const screen = `╭──────────────────────────────────────────────╮
+│ ?  Shell npm test                            │
+│                                              │
+│ Allow execution of: 'npm'?                   │
+│                                              │
+│ ● 1. Yes, allow once                         │
+│   2. Yes, allow always ...                   │
+│   3. No, suggest changes (esc)               │
+╰──────────────────────────────────────────────╯`;
+    assert.strictEqual(detectState(screen, GeminiAgent), State.CONFIRMING);
+  });
+
+  it("detects quota errors", () => {
+    const screen = `✕ [API Error: Quota exceeded for quota metric 'Gemini 2.5 Pro Requests']`;
+    assert.strictEqual(detectState(screen, GeminiAgent), State.RATE_LIMITED);
+  });
+});
+
+describe("parseGeminiSession", () => {
+  const session = JSON.stringify({
+    sessionId: "abc",
+    messages: [
+      { type: "user", timestamp: "2025-01-10T09:00:00Z", content: "what does retry() do?" },
+      {
+        type: "gemini",
+        timestamp: "2025-01-10T09:00:05Z",
+        content: "It retries with backoff.",
+        thoughts: [{ subject: "Reading", description: "Looking at retry.js" }],
+        toolCalls: [{ name: "read_file", args: { absolute_path: "/p/retry.js" } }],
+      },
+      { type: "info", content: "Request cancelled." },
+      { type: "gemini", content: [{ text: "Capped " }, { text: "at 5." }] },
+    ],
+  });
+
+  it("normalizes messages into Claude-shaped entries", () => {
+    const entries = parseGeminiSession(session);
+    assert.strictEqual(entries.length, 3);
+    assert.deepStrictEqual(entries[0], {
+      type: "user",
+      timestamp: "2025-01-10T09:00:00Z",
+      message: { content: "what does retry() do?" },
+    });
+    assert.deepStrictEqual(entries[1].message.content, [
+      { type: "thinking", thinking: "Reading: Looking at retry.js" },
+      { type: "text", text: "It retries with backoff." },
+      { type: "tool_use", name: "read_file", input: { absolute_path: "/p/retry.js" } },
+    ]);
+    assert.deepStrictEqual(entries[2].message.content, [{ type: "text", text: "Capped at 5." }]);
+  });
+
+  it("formats normalized entries like Claude logs", () => {
+    const lines = parseJsonlEntry(parseGeminiSession(session)[1], "gemini");
+    assert.ok(lines.some((l) => l.raw.includes("It retries with backoff.")));
+    assert.ok(lines.some((l) => l.raw.includes("read_file")));
+  });
+
+  it("returns no entries for a partially written file", () => {
+    assert.deepStrictEqual(parseGeminiSession('{"messages": [{"type": "us'), []);
+  });
+});
+
+describe("splitCodexPatch", () => {
+  it("splits a patch into per-file sections, following moves", () => {
+    const patch = [
+      "*** Begin Patch",
+      "*** Update File: src/a.js",
+      "@@",
+      "-old",
+      "+new",
+      "*** Add File: src/b.js",
+      "+hello",
+      "*** Update File: src/c.js",
+      "*** Move to: src/d.js",
+      "*** End Patch",
+    ].join("\n");
+    assert.deepStrictEqual(splitCodexPatch(patch), [
+      { path: "src/a.js", body: "*** Update File: src/a.js\n@@\n-old\n+new" },
+      { path: "src/b.js", body: "*** Add File: src/b.js\n+hello" },
+      { path: "src/d.js", body: "*** Update File: src/c.js\n*** Move to: src/d.js" },
+    ]);
+  });
+});
+
+describe("normalizeCodexRollout", () => {
+  const patch = "*** Begin Patch\n*** Update File: src/retry.js\n@@\n-max = 3\n+max = 5\n*** End Patch";
+  const rollout = [
+    { type: "session_meta", payload: { cwd: "/p", git: { branch: "main" } } },
+    { type: "response_item", payload: { type: "message", role: "user", content: [{ type: "input_text", text: "<environment_context>...</environment_context>" }] } },
+    { type: "response_item", payload: { type: "message", role: "user", content: [{ type: "input_text", text: "raise the retry cap" }] } },
+    { type: "event_msg", payload: { type: "user_message", message: "raise the retry cap" } },
+    { type: "response_item", payload: { type: "function_call", name: "update_plan", arguments: JSON.stringify({ plan: [{ step: "Raise cap", status: "in_progress" }] }), call_id: "c0" } },
+    { type: "response_item", payload: { type: "message", role: "assistant", content: [{ type: "output_text", text: "Bumping the cap to 5." }] } },
+    { type: "response_item", payload: { type: "custom_tool_call", name: "apply_patch", input: patch, call_id: "c1" } },
+    { type: "response_item", payload: { type: "custom_tool_call_output", output: "Success", call_id: "c1" } },
+    { type: "response_item", payload: { type: "function_call", name: "shell", arguments: JSON.stringify({ command: ["bash", "-lc", "npm test"] }), call_id: "c2" } },
+    { type: "response_item", payload: { type: "function_call_output", output: JSON.stringify({ output: "1 failing", metadata: { exit_code: 1 } }), call_id: "c2" } },
+  ];
+
+  it("keeps the user's requests once, without injected context", () => {
+    const users = normalizeCodexRollout(rollout).filter((e) => typeof e.message.content === "string");
+    assert.deepStrictEqual(users.map((e) => e.message.content), ["raise the retry cap"]);
+    assert.strictEqual(users[0].gitBranch, "main");
+    assert.strictEqual(users[0].cwd, "/p");
+  });
+
+  it("attaches assistant text to the patch it explains, one tool_use per file", () => {
+    const edit = normalizeCodexRollout(rollout).find((e) => e.type === "assistant");
+    assert.deepStrictEqual(edit.message.content, [
+      { type: "text", text: "Bumping the cap to 5." },
+      {
+        type: "tool_use",
+        name: "apply_patch",
+        id: "c1",
+        input: { file_path: "src/retry.js", patch: "*** Update File: src/retry.js\n@@\n-max = 3\n+max = 5" },
+      },
+    ]);
+  });
+
+  it("records commands, failures and update_plan todos", () => {
+    const entries = normalizeCodexRollout(rollout);
+    const last = entries.at(-1);
+    assert.deepStrictEqual(entries.at(-2).message.content, [
+      { type: "tool_use", name: "Bash", id: "c2", input: { command: "npm test" } },
+    ]);
+    assert.deepStrictEqual(last.message.content, [
+      { type: "tool_result", tool_use_id: "c2", is_error: true, content: "1 failing" },
+    ]);
+    assert.deepStrictEqual(last.todos, [{ content: "Raise cap", status: "in_progress" }]);
+  });
+
+  it("reads the plain-text exit code of newer rollouts", () => {
+    const entries = normalizeCodexRollout([
+      { type: "response_item", payload: { type: "function_call_output", output: "Exit code: 0\nOutput:\nok", call_id: "c" } },
+      { type: "response_item", payload: { type: "function_call_output", output: "Exit code: 2\nOutput:\nboom", call_id: "d" } },
+    ]);
+    assert.deepStrictEqual(entries.map((e) => e.message.content[0].is_error), [false, true]);
+  });
+});
+
 describe("normalizeAllowedTools", () => {
   it("normalizes whitespace and sorts tools", () => {
     assert.strictEqual(normalizeAllowedTools('Bash("npm *")  Bash("cargo *")'), 'Bash("cargo *") Bash("npm *")');
@@ -1564,6 +2897,13 @@ describe("Agent.createStream", () => {
   });
 });
 
+describe("Agent.getCommand", () => {
+  it("passes a model through --model", () => {
+    const command = ClaudeAgent.getCommand(false, null, "Read", "opus");
+    assert.ok(command.includes('--allowedTools "Read" --model "opus"'));
+  });
+});
+
 // =============================================================================
 // ANSI Parsing - parseAnsiLine, parseStyledScreenLines
 // =============================================================================
@@ -1719,3 +3059,701 @@ describe("parseStyledScreenLines", () => {
     assert.deepStrictEqual(parseStyledScreenLines(null), []);
   });
 });
+
+// =============================================================================
+// tmux control mode - TmuxMonitor
+// =============================================================================
+
+describe("TmuxMonitor", () => {
+  it("wakes waiters on output and counts versions", async () => {
+    const monitor = new TmuxMonitor("ax-test");
+    const start = Date.now();
+    const waiting = monitor.nextOutput(5000);
+    monitor.notify();
+    await waiting;
+    assert.ok(Date.now() - start < 1000);
+    assert.strictEqual(monitor.version, 1);
+    assert.strictEqual(monitor.waiters.size, 0);
+  });
+
+  it("falls back to the timeout without output", async () => {
+    const monitor = new TmuxMonitor("ax-test");
+    await monitor.nextOutput(10);
+    assert.strictEqual(monitor.version, 0);
+    assert.strictEqual(monitor.waiters.size, 0);
+  });
+});
+
+// =============================================================================
+// PTY backend - ScreenBuffer, encodePtyKey
+// =============================================================================
+
+describe("ScreenBuffer", () => {
+  /** @param {string} screen */
+  const rows = (screen) => screen.split("\n");
+
+  it("renders text with trailing blanks trimmed, one line per row", () => {
+    const buf = new ScreenBuffer(20, 3);
+    buf.write("hello\r\nworld   ");
+    assert.strictEqual(buf.render(), "hello\nworld\n\n");
+  });
+
+  it("moves the cursor and erases", () => {
+    const buf = new ScreenBuffer(20, 3);
+    buf.write("aaaa\r\nbbbb\x1b[1;3Hxy\x1b[2;2H\x1b[K");
+    assert.deepStrictEqual(rows(buf.render()).slice(0, 2), ["aaxy", "b"]);
+    buf.write("\x1b[2J\x1b[Hz");
+    assert.strictEqual(rows(buf.render())[0], "z");
+  });
+
+  it("wraps at the right margin", () => {
+    const buf = new ScreenBuffer(4, 3);
+    buf.write("abcdef");
+    assert.deepStrictEqual(rows(buf.render()).slice(0, 2), ["abcd", "ef"]);
+  });
+
+  it("keeps scrolled-off lines as scrollback", () => {
+    const buf = new ScreenBuffer(10, 2);
+    buf.write("1\r\n2\r\n3\r\n4");
+    assert.strictEqual(buf.render(), "3\n4\n");
+    assert.strictEqual(buf.render({ scrollback: 1 }), "2\n3\n4\n");
+    assert.strictEqual(buf.scrolled, 2);
+    buf.write("\x1b[3J");
+    assert.strictEqual(buf.render({ scrollback: 2 }), "\n\n");
+    assert.strictEqual(buf.clears, 1);
+  });
+
+  it("restores the primary screen after the alternate one", () => {
+    const buf = new ScreenBuffer(10, 2);
+    buf.write("shell$ \x1b[?1049h\x1b[Hfullscreen");
+    assert.strictEqual(rows(buf.render())[0], "fullscreen");
+    buf.write("\x1b[?1049l");
+    assert.strictEqual(rows(buf.render())[0], "shell$");
+  });
+
+  it("tracks SGR styles for escaped renders", () => {
+    const buf = new ScreenBuffer(20, 1);
+    buf.write("\x1b[1;32m›\x1b[0m ask");
+    assert.strictEqual(buf.render(), "› ask\n");
+    assert.strictEqual(buf.render({ withEscapes: true }), "\x1b[1;32m›\x1b[0m ask\n");
+  });
+
+  it("gives wide characters two columns", () => {
+    const buf = new ScreenBuffer(10, 1);
+    buf.write("日本\x1b[5Gx");
+    assert.strictEqual(buf.render(), "日本x\n");
+  });
+
+  it("handles escape sequences split across writes", () => {
+    const buf = new ScreenBuffer(10, 2);
+    buf.write("ab\x1b[");
+    buf.write("2;1Hc\x1b]0;title");
+    buf.write("\x07d");
+    assert.strictEqual(buf.render(), "ab\ncd\n");
+  });
+
+  it("answers cursor position and device attribute queries", () => {
+    /** @type {string[]} */
+    const replies = [];
+    const buf = new ScreenBuffer(10, 5, { onReply: (data) => replies.push(data) });
+    buf.write("\x1b[3;4H\x1b[6n\x1b[c");
+    assert.deepStrictEqual(replies, ["\x1b[3;4R", "\x1b[?1;2c"]);
+  });
+
+  it("tracks input modes the daemon needs", () => {
+    const buf = new ScreenBuffer(10, 2);
+    buf.write("\x1b[?2004h\x1b[?1h");
+    assert.strictEqual(buf.bracketedPaste, true);
+    assert.strictEqual(buf.appCursor, true);
+  });
+});
+
+describe("encodePtyKey", () => {
+  it("encodes tmux key names", () => {
+    assert.strictEqual(encodePtyKey("Enter"), "\r");
+    assert.strictEqual(encodePtyKey("Escape"), "\x1b");
+    assert.strictEqual(encodePtyKey("C-c"), "\x03");
+    assert.strictEqual(encodePtyKey("C-u"), "\x15");
+    assert.strictEqual(encodePtyKey("End"), "\x1b[F");
+    assert.strictEqual(encodePtyKey("Up", true), "\x1bOA");
+  });
+
+  it("sends anything else literally", () => {
+    assert.strictEqual(encodePtyKey("y"), "y");
+    assert.strictEqual(encodePtyKey("1"), "1");
+  });
+});
+
+// =============================================================================
+// Pi backend - driven through a fake SDK module
+// =============================================================================
+
+/**
+ * Minimal stand-in for @mariozechner/pi-coding-agent.
+ * prompt() emits events for each scripted reply (the first one before it
+ * yields), then records the message. `saved` lists persisted sessions.
+ */
+const createFakePiSdk = (replies = [], saved = []) => {
+  const calls = [];
+  const sdk = {
+    calls,
+    SessionManager: {
+      create: (cwd) => ({ kind: "create", cwd }),
+      list: async () => saved,
+      open: (path) => ({ kind: "open", path }),
+    },
+    createAgentSession: async ({ cwd, sessionManager }) => {
+      calls.push({ cwd, sessionManager });
+      const listeners = new Set();
+      const emit = (event) => listeners.forEach((l) => l(event));
+      const session = {
+        sessionId: saved.find((info) => info.path === sessionManager.path)?.id ?? "fake-1",
+        isStreaming: false,
+        messages: [],
+        subscribe: (listener) => {
+          listeners.add(listener);
+          return () => listeners.delete(listener);
+        },
+        prompt: async (text) => {
+          session.messages.push({ role: "user", content: text });
+          const reply = replies.shift();
+          if (reply instanceof Error) throw reply;
+          emit({ type: "tool_execution_start", toolName: "bash", args: { command: "ls" } });
+          await new Promise((r) => setImmediate(r));
+          emit({
+            type: "message_update",
+            assistantMessageEvent: { type: "text_delta", delta: reply },
+          });
+          emit({ type: "agent_end" });
+          session.messages.push({ role: "assistant", content: [{ type: "text", text: reply }] });
+        },
+        newSession: async () => {
+          session.messages = [];
+        },
+      };
+      return { session };
+    },
+  };
+  return sdk;
+};
+
+describe("parsePiEvent", () => {
+  it("returns text chunks for text deltas", () => {
+    const event = {
+      type: "message_update",
+      assistantMessageEvent: { type: "text_delta", delta: "Hello" },
+    };
+    assert.deepStrictEqual(parsePiEvent(event), { type: "text", content: "Hello" });
+  });
+
+  it("returns tool chunks for tool execution", () => {
+    const event = { type: "tool_execution_start", toolName: "read", args: { path: "/src/app.js" } };
+    assert.deepStrictEqual(parsePiEvent(event), { type: "tool", content: "> read(app.js)" });
+  });
+
+  it("ignores other events", () => {
+    assert.strictEqual(parsePiEvent({ type: "agent_end" }), null);
+    assert.strictEqual(
+      parsePiEvent({ type: "message_update", assistantMessageEvent: { type: "thinking_delta" } }),
+      null,
+    );
+  });
+});
+
+describe("PiSdkAgent", () => {
+  it("does not use tmux or default sessions", () => {
+    const agent = new PiSdkAgent({ loadSdk: async () => createFakePiSdk() });
+    assert.strictEqual(agent.usesTmux, false);
+    assert.strictEqual(agent.getDefaultSession(), null);
+  });
+
+  it("creates fresh sessions and reopens named ones", async () => {
+    const saved = [
+      { id: "abc123", path: "/pi/abc123.jsonl" },
+      { id: "abd456", path: "/pi/abd456.jsonl" },
+    ];
+    const sdk = createFakePiSdk([], saved);
+    const agent = new PiSdkAgent({ loadSdk: async () => sdk });
+    await agent.createSession();
+    assert.strictEqual((await agent.openSession("pi-partner-abc123")).id, "pi-partner-abc123");
+    assert.strictEqual((await agent.openSession("abd")).id, "pi-partner-abd456");
+    assert.deepStrictEqual(
+      sdk.calls.map((c) => c.sessionManager),
+      [
+        { kind: "create", cwd: process.cwd() },
+        { kind: "open", path: "/pi/abc123.jsonl" },
+        { kind: "open", path: "/pi/abd456.jsonl" },
+      ],
+    );
+  });
+
+  it("finds no session without a name or for an unknown one", async () => {
+    const sdk = createFakePiSdk([], [{ id: "abc123", path: "/pi/abc123.jsonl" }, { id: "abd456", path: "/pi/abd456.jsonl" }]);
+    const agent = new PiSdkAgent({ loadSdk: async () => sdk });
+    assert.strictEqual(await agent.openSession(null), null);
+    assert.strictEqual(await agent.openSession("pi-partner-nope"), null);
+    assert.strictEqual(await agent.openSession("ab"), null);
+    assert.strictEqual(sdk.calls.length, 0);
+  });
+
+  it("reports a helpful error when the SDK is missing", async () => {
+    const agent = new PiSdkAgent({
+      loadSdk: async () => {
+        throw new Error("Cannot find module");
+      },
+    });
+    await assert.rejects(agent.createSession(), /Pi SDK not installed/);
+  });
+
+  it("sends a prompt and reads the response", async () => {
+    const agent = new PiSdkAgent({ loadSdk: async () => createFakePiSdk(["Done."]) });
+    const session = await agent.createSession();
+    assert.strictEqual(session.id, "pi-partner-fake-1");
+    assert.strictEqual(session.state, State.READY);
+
+    await session.send("do the thing");
+    assert.strictEqual(session.state, State.THINKING);
+
+    const { state } = await session.waitForResponse(1000);
+    assert.strictEqual(state, State.READY);
+    assert.strictEqual(session.getResponse(), "Done.");
+  });
+
+  it("streams tool and text chunks, including those sent before iterating", async () => {
+    const agent = new PiSdkAgent({ loadSdk: async () => createFakePiSdk(["Hi"]) });
+    const session = await agent.createSession();
+    await session.send("hello");
+    const chunks = [];
+    for await (const chunk of session.stream()) chunks.push(chunk);
+    assert.deepStrictEqual(chunks, [
+      { type: "tool", content: "> bash(ls)" },
+      { type: "text", content: "Hi" },
+    ]);
+  });
+
+  it("maps rate limit errors to RATE_LIMITED", async () => {
+    const agent = new PiSdkAgent({
+      loadSdk: async () => createFakePiSdk([new Error("429 rate limit exceeded")]),
+    });
+    const session = await agent.createSession();
+    await session.send("hello");
+    const { state, screen } = await session.waitForResponse(1000);
+    assert.strictEqual(state, State.RATE_LIMITED);
+    assert.match(screen, /rate limit/);
+  });
+
+  it("rethrows other errors", async () => {
+    const agent = new PiSdkAgent({ loadSdk: async () => createFakePiSdk([new Error("boom")]) });
+    const session = await agent.createSession();
+    await session.send("hello");
+    await assert.rejects(session.waitForResponse(1000), /boom/);
+  });
+});
+
+describe("openSession", () => {
+  // Session stub that settles every prompt with a fixed state and screen
+  const createStubAgent = ({ state, screen }) => {
+    const sent = [];
+    const session = {
+      id: "claude-partner-12345678-1234-1234-1234-123456789abc",
+      isYolo: false,
+      get state() {
+        return state;
+      },
+      snapshot: () => ({ state, screen }),
+      send: async (text) => sent.push(text),
+      waitUntilReady: async () => ({ state, screen }),
+      clearInput: async () => sent.push("<clear>"),
+      waitForResponse: async () => ({ state, screen }),
+      getResponse: () => "stub response",
+    };
+    return {
+      sent,
+      openSession: async () => session,
+      createSession: async () => session,
+      parseRetryTime: ClaudeAgent.parseRetryTime.bind(ClaudeAgent),
+    };
+  };
+
+  it("rejects unknown tools", () => {
+    assert.throws(() => openSession({ tool: "nope" }), /unknown tool 'nope'/);
+  });
+
+  it("prompts and returns the response", async () => {
+    const tool = new PiSdkAgent({ loadSdk: async () => createFakePiSdk(["42"]) });
+    const ax = openSession({ tool });
+    assert.strictEqual(ax.state, null);
+    assert.strictEqual(await ax.prompt("meaning of life?"), "42");
+    assert.strictEqual(ax.id, "pi-partner-fake-1");
+  });
+
+  it("clears stale input once when attaching to a running session", async () => {
+    const tool = createStubAgent({ state: State.READY, screen: "" });
+    const ax = openSession({ tool, session: "existing" });
+    await ax.prompt("one");
+    await ax.prompt("two");
+    assert.strictEqual(ax.reused, true);
+    assert.deepStrictEqual(tool.sent, ["<clear>", "one", "two"]);
+  });
+
+  it("throws RateLimitedError with the retry time", async () => {
+    const tool = createStubAgent({
+      state: State.RATE_LIMITED,
+      screen: "Usage limit reached. Try again at 3:45 PM",
+    });
+    const err = await openSession({ tool })
+      .prompt("hi")
+      .catch((e) => e);
+    assert.ok(err instanceof RateLimitedError);
+    assert.strictEqual(err.retryTime, "3:45 PM");
+  });
+
+  it("throws ConfirmationRequiredError with the pending tool", async () => {
+    const tool = createStubAgent({
+      state: State.CONFIRMING,
+      screen: "Bash command\n\n  rm -rf dist\n\nDo you want to proceed?\n❯ 1. Yes\n  2. No",
+    });
+    const err = await openSession({ tool })
+      .prompt("clean up")
+      .catch((e) => e);
+    assert.ok(err instanceof ConfirmationRequiredError);
+    assert.strictEqual(err.session, "claude-partner-12345678-1234-1234-1234-123456789abc");
+    assert.ok(err.screen.includes("rm -rf dist"));
+  });
+
+  it("refuses to approve when nothing is pending", async () => {
+    const tool = createStubAgent({ state: State.READY, screen: "" });
+    await assert.rejects(openSession({ tool }).approve(), /nothing to approve \(ready\)/);
+  });
+});
+
+// =============================================================================
+// MCP server - handleMcpMessage
+// =============================================================================
+
+describe("handleMcpMessage", () => {
+  const call = (name, args, tools) =>
+    handleMcpMessage(
+      { jsonrpc: "2.0", id: 7, method: "tools/call", params: { name, arguments: args } },
+      tools,
+    );
+
+  it("negotiates the protocol version on initialize", async () => {
+    const known = await handleMcpMessage({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: "2025-03-26" },
+    });
+    assert.strictEqual(known.id, 1);
+    assert.strictEqual(known.result.protocolVersion, "2025-03-26");
+    assert.deepStrictEqual(known.result.capabilities, { tools: {} });
+    assert.strictEqual(known.result.serverInfo.name, "ax");
+
+    const unknown = await handleMcpMessage({
+      jsonrpc: "2.0",
+      id: 2,
+      method: "initialize",
+      params: { protocolVersion: "1999-01-01" },
+    });
+    assert.strictEqual(unknown.result.protocolVersion, "2025-06-18");
+  });
+
+  it("does not reply to notifications", async () => {
+    const response = await handleMcpMessage({ jsonrpc: "2.0", method: "notifications/initialized" });
+    assert.strictEqual(response, null);
+  });
+
+  it("lists the ax tools with input schemas", async () => {
+    const response = await handleMcpMessage({ jsonrpc: "2.0", id: 3, method: "tools/list" });
+    const names = response.result.tools.map((t) => t.name);
+    assert.deepStrictEqual(names, ["ask", "status", "output", "approve", "reject", "agents", "mailbox", "rfp"]);
+    for (const tool of response.result.tools) {
+      assert.strictEqual(tool.inputSchema.type, "object");
+      assert.strictEqual(tool.call, undefined);
+    }
+    assert.deepStrictEqual(MCP_TOOLS[0].inputSchema.required, ["message"]);
+  });
+
+  it("returns tool results as text and structured content", async () => {
+    const tools = [
+      {
+        name: "echo",
+        description: "",
+        inputSchema: { type: "object" },
+        call: async (args) => ({ session: "s", state: State.READY, response: args.message }),
+      },
+    ];
+    const response = await call("echo", { message: "hi" }, tools);
+    assert.strictEqual(response.id, 7);
+    assert.strictEqual(response.result.isError, false);
+    assert.deepStrictEqual(response.result.structuredContent, { session: "s", state: "ready", response: "hi" });
+    assert.deepStrictEqual(JSON.parse(response.result.content[0].text), response.result.structuredContent);
+  });
+
+  it("reports blocked sessions as states, and failures as errors", async () => {
+    const throwing = (err) => [
+      { name: "t", description: "", inputSchema: { type: "object" }, call: async () => Promise.reject(err) },
+    ];
+
+    const limited = await call("t", {}, throwing(new RateLimitedError("s1", "3:45 PM")));
+    assert.strictEqual(limited.result.isError, false);
+    assert.deepStrictEqual(limited.result.structuredContent, {
+      session: "s1",
+      state: State.RATE_LIMITED,
+      retryTime: "3:45 PM",
+    });
+
+    const confirming = await call("t", {}, throwing(new ConfirmationRequiredError("s2", "Bash(rm -rf dist)")));
+    assert.strictEqual(confirming.result.isError, false);
+    assert.strictEqual(confirming.result.structuredContent.state, State.CONFIRMING);
+    assert.strictEqual(confirming.result.structuredContent.pendingTool, "Bash(rm -rf dist)");
+
+    const timedOut = await call("t", {}, throwing(new TimeoutError("s3")));
+    assert.strictEqual(timedOut.result.isError, true);
+    assert.strictEqual(timedOut.result.structuredContent.state, State.THINKING);
+
+    const failed = await call("t", {}, throwing(new Error("no session")));
+    assert.strictEqual(failed.result.isError, true);
+    assert.deepStrictEqual(failed.result.structuredContent, { error: "no session" });
+  });
+
+  it("validates tool arguments", async () => {
+    const ask = await call("ask", {});
+    assert.strictEqual(ask.result.isError, true);
+    assert.strictEqual(ask.result.structuredContent.error, "missing message");
+
+    const rfp = await call("rfp", {});
+    assert.strictEqual(rfp.result.structuredContent.error, "missing prompt or rfpId");
+  });
+
+  it("rejects unknown tools and methods", async () => {
+    const tool = await call("nope", {});
+    assert.strictEqual(tool.error.code, -32602);
+    const method = await handleMcpMessage({ jsonrpc: "2.0", id: 9, method: "resources/list" });
+    assert.strictEqual(method.error.code, -32601);
+    assert.strictEqual(method.id, 9);
+  });
+
+  it("rejects JSON that isn't a request object", async () => {
+    for (const message of [null, 5, [], [{ jsonrpc: "2.0", id: 1, method: "ping" }]]) {
+      const response = await handleMcpMessage(message);
+      assert.deepStrictEqual(response, { jsonrpc: "2.0", id: null, error: { code: -32600, message: "Invalid Request" } });
+    }
+    const noMethod = await handleMcpMessage({ jsonrpc: "2.0", id: 4 });
+    assert.strictEqual(noMethod.error.code, -32600);
+  });
+});
+
+// =============================================================================
+// HTTP API - createApiServer
+// =============================================================================
+
+describe("createApiServer", () => {
+  const request = (server, { method = "GET", path = "/", headers = {}, body } = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        { host: "127.0.0.1", port: server.address().port, method, path, headers },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body: data }));
+        },
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+
+  const withServer = async (fn) => {
+    const server = createApiServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      await fn(server);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+
+  it("lists the tools at the root", () =>
+    withServer(async (server) => {
+      const res = await request(server);
+      assert.strictEqual(res.status, 200);
+      const { tools } = JSON.parse(res.body);
+      assert.ok(tools.some((t) => t.name === "ask"));
+      assert.deepStrictEqual(tools.find((t) => t.name === "agents").annotations, { readOnlyHint: true });
+    }));
+
+  it("rejects non-local Host headers", () =>
+    withServer(async (server) => {
+      const res = await request(server, { headers: { Host: "evil.example:7373" } });
+      assert.strictEqual(res.status, 403);
+    }));
+
+  it("only serves read-only tools over GET", () =>
+    withServer(async (server) => {
+      assert.strictEqual((await request(server, { path: "/ask?message=hi" })).status, 405);
+      assert.strictEqual((await request(server, { path: "/nope" })).status, 404);
+    }));
+
+  it("requires JSON bodies for POST", () =>
+    withServer(async (server) => {
+      const form = await request(server, {
+        method: "POST",
+        path: "/ask",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: "message=hi",
+      });
+      assert.strictEqual(form.status, 415);
+
+      const invalid = await request(server, {
+        method: "POST",
+        path: "/ask",
+        headers: { "Content-Type": "application/json" },
+        body: "{",
+      });
+      assert.strictEqual(invalid.status, 400);
+    }));
+
+  it("reports invalid arguments as JSON before streaming", () =>
+    withServer(async (server) => {
+      const res = await request(server, {
+        method: "POST",
+        path: "/ask",
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: JSON.stringify({ session: "x" }),
+      });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.type, "application/json");
+      assert.deepStrictEqual(JSON.parse(res.body), { error: "missing message" });
+    }));
+});
+
+// Runs the CLI in a throwaway project on the tmux-free backend, with a
+// custom tool whose binary doesn't exist so nothing real is ever started
+function withProject(fn) {
+  const root = mkdtempSync(path.join(os.tmpdir(), "ax-cli-"));
+  mkdirSync(path.join(root, ".ai", "tools"), { recursive: true });
+  writeFileSync(
+    path.join(root, ".ai", "tools", "fake.json"),
+    JSON.stringify({ startCommand: "ax-test-missing-binary", promptSymbol: "> " }),
+  );
+  const run = (...args) => {
+    const res = spawnSync(process.execPath, [path.join(import.meta.dirname, "ax.js"), ...args], {
+      cwd: root,
+      encoding: "utf-8",
+      timeout: 20000,
+      env: { ...process.env, AX_BACKEND: "pty", AX_PTY_DIR: path.join(root, "pty") },
+    });
+    return {
+      status: res.status,
+      stdout: res.stdout,
+      get json() {
+        return JSON.parse(res.stdout);
+      },
+    };
+  };
+  try {
+    return fn(run, root);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+describe("--json output", () => {
+  // A pty session whose "daemon" is this test process, showing a prompt
+  const fakeSession = (root, session) => {
+    const dir = path.join(root, "pty", session);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(
+      path.join(dir, "meta.json"),
+      JSON.stringify({ pid: process.pid, command: "x", cwd: root, created: Date.now(), cols: 80, rows: 24 }),
+    );
+    writeFileSync(path.join(dir, "screen"), "> \n");
+  };
+
+  it("reports a session's state, permissions, plan and branch from status", () =>
+    withProject((run, root) => {
+      const session = "fake-partner-11111111-2222-3333-4444-555555555555-yolo";
+      fakeSession(root, session);
+      const { json } = run("status", `--session=${session}`, "--json");
+      assert.deepStrictEqual(Object.keys(json).sort(), ["branch", "mode", "plan", "session", "state"]);
+      assert.strictEqual(json.session, session);
+      assert.strictEqual(json.mode, "yolo");
+      assert.strictEqual(json.plan, null);
+      assert.strictEqual(json.branch, null);
+    }));
+
+  it("reports a missing session from status", () =>
+    withProject((run) => {
+      const { status, json } = run("status", "--tool=fake", "--json");
+      assert.strictEqual(status, 1);
+      assert.deepStrictEqual(json, { session: null, state: "no_session" });
+    }));
+
+  it("lists agents and orphans", () =>
+    withProject((run) => {
+      const { status, json } = run("agents", "--json");
+      assert.strictEqual(status, 0);
+      assert.ok(Array.isArray(json.agents));
+      assert.ok(Array.isArray(json.orphans));
+    }));
+
+  it("lists mailbox entries", () =>
+    withProject((run, root) => {
+      const entry = {
+        id: "abc12345",
+        timestamp: new Date().toISOString(),
+        type: "observation",
+        payload: { agent: "reviewer", message: "looks off" },
+      };
+      writeFileSync(path.join(root, ".ai", "mailbox.jsonl"), JSON.stringify(entry) + "\n");
+      const { status, json } = run("mailbox", "--json");
+      assert.strictEqual(status, 0);
+      assert.strictEqual(json.entries.length, 1);
+      assert.strictEqual(json.entries[0].id, "abc12345");
+      assert.strictEqual(json.entries[0].status, "new");
+      assert.deepStrictEqual(json.entries[0].payload, entry.payload);
+    }));
+
+  it("reports ask failures as an error object", () =>
+    withProject((run) => {
+      const { status, json } = run("--tool=fake", "hi", "--json");
+      assert.strictEqual(status, 1);
+      assert.deepStrictEqual(Object.keys(json), ["error"]);
+      assert.match(json.error, /not installed/);
+    }));
+
+  it("reports argument errors as an error object", () =>
+    withProject((run, root) => {
+      const unknown = run("status", "--tool=nope", "--json");
+      assert.strictEqual(unknown.status, 1);
+      assert.match(unknown.json.error, /nope/);
+
+      fakeSession(root, "fake-partner-11111111-2222-3333-4444-555555555555");
+      fakeSession(root, "fake-partner-66666666-7777-8888-9999-000000000000");
+      const ambiguous = run("status", "--session=fake-partner", "--json");
+      assert.strictEqual(ambiguous.status, 1);
+      assert.strictEqual(ambiguous.json.error, "ambiguous session prefix");
+      assert.strictEqual(ambiguous.json.matches.length, 2);
+    }));
+});
+
+describe("AGENTS.md sync", () => {
+  it("writes through a symlinked AGENTS.md", () =>
+    withProject((run, root) => {
+      const target = path.join(root, "CLAUDE.md");
+      writeFileSync(target, "# Notes\n\n<!-- ax:mailbox:start -->\n<!-- ax:mailbox:end -->\n");
+      symlinkSync("CLAUDE.md", path.join(root, "AGENTS.md"));
+      const entry = {
+        id: "abc12345",
+        timestamp: new Date().toISOString(),
+        type: "observation",
+        payload: { agent: "reviewer", message: "looks off", severity: "warn" },
+      };
+      writeFileSync(path.join(root, ".ai", "mailbox.jsonl"), JSON.stringify(entry) + "\n");
+
+      assert.strictEqual(run("mailbox", "ack", "abc12345").status, 0);
+      assert.ok(lstatSync(path.join(root, "AGENTS.md")).isSymbolicLink());
+      assert.match(readFileSync(target, "utf-8"), /\(abc12345, warn\) looks off/);
+    }));
+});